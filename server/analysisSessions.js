@@ -0,0 +1,207 @@
+import { pool } from './database.js';
+
+// Sessions that are not streamed and finished within this window expire
+export const SESSION_TTL_MINUTES = Number(process.env.ANALYSIS_SESSION_TTL_MINUTES) || 60;
+
+// Streams still running this long after they started are given up on
+export const STREAM_TIMEOUT_MINUTES = Number(process.env.ANALYSIS_STREAM_TIMEOUT_MINUTES) || 120;
+
+// Session lifecycle: pending -> streaming -> completed | failed | expired
+export const SESSION_STATUS = {
+  PENDING: 'pending',
+  STREAMING: 'streaming',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// Map a database row to the session shape used by the analyze routes
+export const toSessionData = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    sessionKey: row.session_key,
+    userId: row.user_id,
+    conversationId: row.conversation_id,
+    code: row.contract_code,
+    filename: row.filename,
+    language: row.language,
+    lineCount: row.line_count,
+    provider: row.provider,
+    shipableSessionId: row.shipable_session_id,
+    shipableSessionKey: row.shipable_session_key,
+    scanCost: row.scan_cost,
+    creditsDeducted: row.credits_deducted,
+    isContractAnalysis: row.is_contract_analysis,
+    scope: row.scope || 'full',
+    contractFileIds: row.contract_file_ids || [],
+    contractFileVersionIds: row.contract_file_version_ids || [],
+    staticFindings: row.static_findings || [],
+    resultContent: row.result_content,
+    status: row.status,
+    completed: row.status === SESSION_STATUS.COMPLETED,
+    refunded: !!row.refunded_at,
+    errorMessage: row.error_message,
+    createdAt: row.created_at,
+    streamStartedAt: row.stream_started_at,
+    completedAt: row.completed_at,
+    refundedAt: row.refunded_at,
+    expiresAt: row.expires_at
+  };
+};
+
+// Create a pending analysis session
+export const createAnalysisSession = async ({
+  sessionKey,
+  userId,
+  conversationId = null,
+  code,
+  filename = null,
+  language,
+  lineCount,
+  provider,
+  providerSessionId,
+  providerSessionKey,
+  scanCost = 0,
+  creditsDeducted = 0,
+  isContractAnalysis = false,
+  contractFileIds = [],
+  contractFileVersionIds = [],
+  staticFindings = [],
+  scope = 'full'
+}) => {
+  const result = await pool.query(`
+    INSERT INTO analysis_sessions (
+      session_key, user_id, conversation_id, contract_code, filename, language, line_count,
+      provider, shipable_session_id, shipable_session_key, scan_cost, credits_deducted,
+      is_contract_analysis, contract_file_ids, contract_file_version_ids, static_findings, scope, status, expires_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+      CURRENT_TIMESTAMP + make_interval(mins => $19)
+    )
+    RETURNING *
+  `, [
+    sessionKey, userId, conversationId, code, filename, language, lineCount,
+    provider, providerSessionId, providerSessionKey, scanCost, creditsDeducted,
+    isContractAnalysis, contractFileIds, contractFileVersionIds, JSON.stringify(staticFindings), scope, SESSION_STATUS.PENDING, SESSION_TTL_MINUTES
+  ]);
+
+  return toSessionData(result.rows[0]);
+};
+
+// Look up a session by its key, regardless of status
+export const getAnalysisSession = async (sessionKey) => {
+  const result = await pool.query(
+    'SELECT * FROM analysis_sessions WHERE session_key = $1',
+    [sessionKey]
+  );
+  return toSessionData(result.rows[0]);
+};
+
+// Look up a session by its id, regardless of status
+export const getAnalysisSessionById = async (id) => {
+  const result = await pool.query('SELECT * FROM analysis_sessions WHERE id = $1', [id]);
+  return toSessionData(result.rows[0]);
+};
+
+// Atomically move a pending, unexpired session to streaming. The session and its
+// credit hold then expire after the stream timeout instead of the session TTL, so
+// neither runs out under a stream that is still going. A session whose hold was
+// already released cannot be claimed.
+// Returns null when another request (or instance) already claimed it.
+export const claimSessionForStreaming = async (sessionKey) => {
+  const result = await pool.query(`
+    WITH claimed AS (
+      UPDATE analysis_sessions
+      SET status = $2,
+          stream_started_at = CURRENT_TIMESTAMP,
+          expires_at = CURRENT_TIMESTAMP + make_interval(mins => $4),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE session_key = $1
+        AND status = $3
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        AND NOT EXISTS (
+          SELECT 1 FROM credit_holds h
+          WHERE h.analysis_session_id = analysis_sessions.id AND h.status <> 'held'
+        )
+      RETURNING *
+    ), extended_holds AS (
+      UPDATE credit_holds h
+      SET expires_at = claimed.expires_at
+      FROM claimed
+      WHERE h.analysis_session_id = claimed.id AND h.status = 'held'
+    )
+    SELECT * FROM claimed
+  `, [sessionKey, SESSION_STATUS.STREAMING, SESSION_STATUS.PENDING, STREAM_TIMEOUT_MINUTES]);
+
+  return toSessionData(result.rows[0]);
+};
+
+// Mark a streamed session as completed, keeping the full report.
+// Pass a transaction client as db to charge its hold in the same transaction.
+export const markSessionCompleted = async (sessionKey, resultContent = null, db = pool) => {
+  const result = await db.query(`
+    UPDATE analysis_sessions
+    SET status = $2,
+        result_content = COALESCE($4, result_content),
+        completed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE session_key = $1 AND status = $3
+    RETURNING *
+  `, [sessionKey, SESSION_STATUS.COMPLETED, SESSION_STATUS.STREAMING, resultContent]);
+
+  return toSessionData(result.rows[0]);
+};
+
+// Mark a session as failed, keeping the error for the status endpoint
+export const markSessionFailed = async (sessionKey, errorMessage) => {
+  const result = await pool.query(`
+    UPDATE analysis_sessions
+    SET status = $2,
+        error_message = $3,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE session_key = $1 AND status IN ($4, $5)
+    RETURNING *
+  `, [sessionKey, SESSION_STATUS.FAILED, errorMessage, SESSION_STATUS.PENDING, SESSION_STATUS.STREAMING]);
+
+  return toSessionData(result.rows[0]);
+};
+
+// Record a refund exactly once. Returns null if the session was already
+// refunded or completed, so callers only credit the user when a row comes back.
+// Pass a transaction client as db to refund the user in the same transaction.
+export const markSessionRefunded = async (sessionKey, db = pool) => {
+  const result = await db.query(`
+    UPDATE analysis_sessions
+    SET refunded_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE session_key = $1
+      AND refunded_at IS NULL
+      AND status <> $2
+      AND credits_deducted > 0
+    RETURNING *
+  `, [sessionKey, SESSION_STATUS.COMPLETED]);
+
+  return toSessionData(result.rows[0]);
+};
+
+// Expire sessions that were never streamed within their TTL, and streams that
+// outlived the stream timeout
+export const expireStaleSessions = async () => {
+  const result = await pool.query(`
+    UPDATE analysis_sessions
+    SET status = $1,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE (
+        status = $2
+        AND expires_at IS NOT NULL
+        AND expires_at < CURRENT_TIMESTAMP
+      ) OR (
+        status = $3
+        AND stream_started_at < CURRENT_TIMESTAMP - make_interval(mins => $4)
+      )
+  `, [SESSION_STATUS.EXPIRED, SESSION_STATUS.PENDING, SESSION_STATUS.STREAMING, STREAM_TIMEOUT_MINUTES]);
+
+  return result.rowCount;
+};
@@ -0,0 +1,325 @@
+// Cairo / StarkNet detectors for both Cairo 0 (`func`, `@external`) and
+// Cairo 1 (`fn`, `#[external(v0)]`, `#[abi(embed_v0)]`) syntax.
+
+// Storage that controls the contract; writes to it need a caller check
+const PRIVILEGED_STORAGE = /owner|admin|governor|guardian|minter|operator|paused|implementation|class_hash|fee|treasury|oracle|whitelist|role/i;
+const PRIVILEGED_NAME = /^(set_|update_|upgrade|mint|burn|pause|unpause|withdraw|transfer_ownership|renounce|initialize|add_|remove_|grant|revoke|sweep|emergency)/;
+// Ownable/AccessControl helpers and explicit caller comparisons
+const CALLER_CHECK = /get_caller_address\s*\(|assert_only_owner|assert_only_role|only_owner|only_role|Ownable\.assert_only_owner|assert_only_admin|_assert_only/;
+// Range checks that make felt arithmetic safe
+const RANGE_CHECK = /assert_le|assert_lt|assert_nn|assert_nn_le|assert_in_range|is_le|is_nn|assert_le_felt|assert_lt_felt|uint256_(add|sub|mul|check)|SafeUint256|\bassert\s*\(.*(<|>|<=|>=)/;
+
+// Blank out comments (// in both versions) while keeping offsets intact
+const stripComments = (source) => source.replace(/\/\/[^\n]*/g, match => ' '.repeat(match.length));
+
+const lineLocator = (text) => {
+  const starts = [0];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') starts.push(index + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+};
+
+const matchBracket = (text, open) => {
+  const pairs = { '{': '}', '(': ')', '<': '>', '[': ']' };
+  const close = pairs[text[open]];
+  let depth = 0;
+  for (let index = open; index < text.length; index++) {
+    if (text[index] === text[open]) depth++;
+    else if (text[index] === close && --depth === 0) return index + 1;
+  }
+  return text.length;
+};
+
+const skipSpace = (text, index) => {
+  while (index < text.length && /\s/.test(text[index])) index++;
+  return index;
+};
+
+// Cairo 1 uses `fn`, `felt252` and attribute syntax; Cairo 0 uses `func` and `%lang`
+export const detectCairoVersion = (source) => {
+  const cairo1 = /\bfn\s+\w+|felt252|#\[(starknet::)?contract\]|#\[storage\]|#\[external\(v0\)\]/.test(source);
+  const cairo0 = /%lang\s+starknet|%builtins|\bfunc\s+\w+|@storage_var|@external\b|\btempvar\b/.test(source);
+  if (cairo1 && !cairo0) return 'cairo1';
+  if (cairo0 && !cairo1) return 'cairo0';
+  if (cairo1 && cairo0) return /\bfn\s+\w+/.test(source) ? 'cairo1' : 'cairo0';
+  return null;
+};
+
+// Attributes (`#[...]`) or decorators (`@...`) directly above an offset
+const attributesBefore = (text, offset) => {
+  const attributes = [];
+  const lines = text.slice(0, offset).split('\n');
+  lines.pop();
+  for (let index = lines.length - 1; index >= 0; index--) {
+    const line = lines[index].trim();
+    if (!line) continue;
+    const attribute = line.match(/^#\[([^\]]+)\]$/) || line.match(/^@(\w+)$/);
+    if (!attribute) break;
+    attributes.push(attribute[1].trim());
+  }
+  return attributes;
+};
+
+const parseParams = (text) => {
+  const params = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('<([{'.includes(char)) depth++;
+    if ('>)]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  params.push(current);
+
+  return params
+    .map(param => param.trim())
+    .filter(Boolean)
+    .map(param => {
+      const [name, ...type] = param.replace(/^ref\s+/, '').split(':');
+      return { name: name.trim(), type: type.join(':').trim(), isRef: /^ref\s/.test(param) };
+    });
+};
+
+// `impl` blocks whose functions are entrypoints (`#[abi(embed_v0)]`, `#[external(v0)]`)
+const abiImplRanges = (text) => {
+  const ranges = [];
+  const pattern = /\bimpl\s+\w+[^{;]*\{/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const attributes = attributesBefore(text, match.index);
+    if (attributes.some(attribute => /abi\((embed_v0|per_item)\)|external\(v0\)|starknet::embeddable/.test(attribute))) {
+      const open = match.index + match[0].length - 1;
+      ranges.push({ start: open, end: matchBracket(text, open), perItem: attributes.some(attribute => /per_item/.test(attribute)) });
+    }
+  }
+  return ranges;
+};
+
+const parseFunctions = (text, version, lineAt) => {
+  const functions = [];
+  const implRanges = version === 'cairo1' ? abiImplRanges(text) : [];
+  const pattern = version === 'cairo1' ? /\bfn\s+(\w+)/g : /\bfunc\s+(\w+)/g;
+
+  let match;
+  while ((match = pattern.exec(text))) {
+    let index = skipSpace(text, match.index + match[0].length);
+
+    // Cairo 0 implicit arguments and Cairo 1 generics
+    if (text[index] === '{' && version === 'cairo0') index = skipSpace(text, matchBracket(text, index));
+    if (text[index] === '<') index = skipSpace(text, matchBracket(text, index));
+    if (text[index] !== '(') continue;
+
+    const paramsClose = matchBracket(text, index);
+    const params = parseParams(text.slice(index + 1, paramsClose - 1));
+
+    // Body in braces, or the pre-0.10 Cairo 0 `func f(): ... end` form
+    const braceOpen = text.indexOf('{', paramsClose);
+    const semicolon = text.indexOf(';', paramsClose);
+    const oldStyle = version === 'cairo0' && /^\s*(->\s*\([^)]*\)\s*)?:/.test(text.slice(paramsClose));
+    let bodyStart = paramsClose;
+    let bodyEnd = paramsClose;
+    if (oldStyle) {
+      const endMatch = /^\s*end\b/m.exec(text.slice(paramsClose));
+      bodyEnd = endMatch ? paramsClose + endMatch.index + endMatch[0].length : text.length;
+    } else if (braceOpen !== -1 && (semicolon === -1 || braceOpen < semicolon)) {
+      bodyStart = braceOpen;
+      bodyEnd = matchBracket(text, braceOpen);
+    }
+
+    const attributes = attributesBefore(text, match.index);
+    const impl = implRanges.find(range => match.index > range.start && match.index < range.end);
+    const selfParam = params.find(param => param.name === 'self');
+
+    let kind = null;
+    if (attributes.some(attribute => /^(l1_handler)$/.test(attribute))) kind = 'l1_handler';
+    else if (attributes.some(attribute => /^constructor$/.test(attribute))) kind = 'constructor';
+    else if (attributes.some(attribute => /^view$/.test(attribute))) kind = 'view';
+    else if (attributes.some(attribute => /^external(\(v0\))?$/.test(attribute)) || (impl && (!impl.perItem || attributes.includes('external(v0)')))) {
+      // Cairo 1 entrypoints taking `self: @ContractState` cannot write storage
+      kind = selfParam && !selfParam.isRef && /@/.test(selfParam.type) ? 'view' : 'external';
+    }
+
+    functions.push({
+      name: match[1],
+      line: lineAt(match.index),
+      bodyLine: lineAt(bodyStart),
+      kind,
+      params,
+      body: text.slice(bodyStart, bodyEnd)
+    });
+
+    pattern.lastIndex = Math.max(bodyEnd, pattern.lastIndex);
+  }
+
+  return functions;
+};
+
+const parseStorageVars = (text, version, lineAt) => {
+  if (version === 'cairo0') {
+    return [...text.matchAll(/@storage_var\s+func\s+(\w+)[^)]*\)\s*->\s*\(\s*\w+\s*:\s*([\w*]+)/g)]
+      .map(match => ({ name: match[1], type: match[2], line: lineAt(match.index) }));
+  }
+
+  const storage = /#\[storage\]\s*struct\s+Storage\s*\{/.exec(text);
+  if (!storage) return [];
+  const open = storage.index + storage[0].length - 1;
+  // Attributes such as #[substorage(v0)] are blanked so offsets stay valid
+  const body = text.slice(open + 1, matchBracket(text, open) - 1).replace(/#\[[^\]]*\]/g, match => ' '.repeat(match.length));
+
+  return parseParams(body).map(variable => ({
+    name: variable.name,
+    type: variable.type,
+    line: lineAt(open + 1 + body.search(new RegExp(`\\b${variable.name}\\s*:`)))
+  }));
+};
+
+const storageWrites = (fn, version) => (version === 'cairo1'
+  ? [...fn.body.matchAll(/self\.(\w+)\.write\s*\(/g)].map(match => match[1])
+  : [...fn.body.matchAll(/\b(\w+)\.write\s*\(/g)].map(match => match[1]));
+
+const detectFeltArithmetic = (fn, version, storageVars, report) => {
+  if (!fn.kind || fn.kind === 'view' || RANGE_CHECK.test(fn.body)) return;
+
+  const feltType = version === 'cairo1' ? /^felt252$/ : /^felt$/;
+  const feltNames = new Set(fn.params.filter(param => feltType.test(param.type)).map(param => param.name));
+
+  // Locals declared as felts and values read from felt storage
+  for (const local of fn.body.matchAll(/\blet\s+(?:mut\s+)?(\w+)\s*:\s*(felt252|felt)\b/g)) feltNames.add(local[1]);
+  const feltStorage = storageVars.filter(variable => /\bfelt(252)?\b/.test(variable.type) && !/Map/.test(variable.type)).map(variable => variable.name);
+  for (const read of fn.body.matchAll(/\blet\s+(?:mut\s+)?(\w+)(?:\s*:\s*\w+)?\s*=\s*(?:self\.)?(\w+)\.read\s*\(/g)) {
+    if (feltStorage.includes(read[2]) || /felt/.test(fn.body.slice(read.index, read.index + read[0].length))) feltNames.add(read[1]);
+  }
+  if (version === 'cairo0') {
+    for (const read of fn.body.matchAll(/let\s+\(\s*(\w+)\s*\)\s*=\s*(\w+)\.read\s*\(/g)) {
+      if (feltStorage.includes(read[2])) feltNames.add(read[1]);
+    }
+  }
+  if (feltNames.size === 0) return;
+
+  const names = [...feltNames].join('|');
+  const arithmetic = new RegExp(`\\b(${names})\\b\\s*[-+*]\\s*[\\w(]|[\\w)]\\s*[-+*]\\s*\\b(${names})\\b`);
+  const lines = fn.body.split('\n');
+  const offset = lines.findIndex(line => arithmetic.test(line) && !/^\s*(\/\/|assert)/.test(line));
+  if (offset === -1) return;
+
+  report(fn.bodyLine + offset, {
+    ruleId: 'cairo/felt-overflow',
+    severity: 'Medium',
+    title: `Unchecked felt arithmetic in ${fn.name}`,
+    description: `\`${fn.name}\` does arithmetic on \`${version === 'cairo1' ? 'felt252' : 'felt'}\` values without a range check. Felt arithmetic wraps modulo the field prime, so underflows and overflows produce huge values instead of failing.`,
+    recommendation: version === 'cairo1'
+      ? 'Use bounded integer types (`u128`, `u256`) which panic on overflow, or assert bounds before the operation.'
+      : 'Use `Uint256` with `uint256_add`/`uint256_sub` checks, or `assert_le`/`assert_nn` before the operation.',
+    cweId: 'CWE-190'
+  });
+};
+
+const detectMissingCallerCheck = (fn, version, report) => {
+  if (fn.kind !== 'external' || CALLER_CHECK.test(fn.body)) return;
+
+  const writes = storageWrites(fn, version);
+  const privilegedWrite = writes.find(name => PRIVILEGED_STORAGE.test(name));
+  const upgrades = /replace_class_syscall|upgradeable\.upgrade|\.upgrade\s*\(/.test(fn.body);
+  if (!privilegedWrite && !upgrades && !(writes.length > 0 && PRIVILEGED_NAME.test(fn.name))) return;
+
+  report(fn.line, {
+    ruleId: 'cairo/missing-caller-check',
+    severity: privilegedWrite || upgrades ? 'High' : 'Medium',
+    title: `External function ${fn.name} has no caller check`,
+    description: upgrades
+      ? `\`${fn.name}\` can replace the contract class but never checks \`get_caller_address()\`, so anyone can upgrade the contract.`
+      : `\`${fn.name}\` is an external entrypoint that writes \`${privilegedWrite || writes[0]}\` without checking the caller, so any account can call it.`,
+    recommendation: 'Check `get_caller_address()` against the stored owner or role, e.g. with the OpenZeppelin Ownable component (`assert_only_owner`).',
+    cweId: 'CWE-862'
+  });
+};
+
+const detectL1HandlerValidation = (fn, report) => {
+  if (fn.kind !== 'l1_handler') return;
+
+  const params = fn.params.filter(param => param.name !== 'self');
+  const fromAddress = params[0];
+
+  if (!fromAddress || !/from_address|from|sender/i.test(fromAddress.name)) {
+    report(fn.line, {
+      ruleId: 'cairo/l1-handler-signature',
+      severity: 'High',
+      title: `L1 handler ${fn.name} does not take from_address first`,
+      description: `The first argument of an L1 handler is the L1 sender address. \`${fn.name}\` ${fromAddress ? `names it \`${fromAddress.name}\`` : 'declares no arguments'}, which suggests the sender is not validated.`,
+      recommendation: 'Declare `from_address: felt252` as the first argument and assert it equals the trusted L1 contract.',
+      cweId: 'CWE-346'
+    });
+    return;
+  }
+
+  // The sender must be compared against a trusted L1 address
+  const validated = new RegExp(`assert[^;\\n]*\\b${fromAddress.name}\\b|\\b${fromAddress.name}\\b\\s*==|==\\s*${fromAddress.name}\\b|with_attr[^\\n]*\\n[^\\n]*\\b${fromAddress.name}\\b`).test(fn.body);
+  if (!validated) {
+    report(fn.line, {
+      ruleId: 'cairo/l1-handler-unvalidated-sender',
+      severity: 'High',
+      title: `L1 handler ${fn.name} does not validate from_address`,
+      description: `\`${fn.name}\` accepts messages from any L1 contract because \`${fromAddress.name}\` is never checked. Anyone can send a message from L1 and trigger the handler.`,
+      recommendation: `Assert that \`${fromAddress.name}\` equals the stored L1 bridge/contract address before processing the payload.`,
+      cweId: 'CWE-346'
+    });
+  }
+};
+
+// Analyze one Cairo source file. Returns { findings, errors, inventory }.
+export const analyzeCairo = (source, { file = null } = {}) => {
+  const text = stripComments(source);
+  const version = detectCairoVersion(text);
+  const findings = [];
+
+  if (!version) {
+    return { findings, errors: [{ file, message: 'Could not recognise Cairo 0 or Cairo 1 syntax' }], inventory: [] };
+  }
+
+  const reported = new Set();
+  const report = (line, finding) => {
+    const key = `${finding.ruleId}:${line}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push({ swcId: null, cweId: null, ...finding, file, lineStart: line, lineEnd: line, source: 'static' });
+  };
+
+  const lineAt = lineLocator(text);
+  const functions = parseFunctions(text, version, lineAt);
+  const storageVars = parseStorageVars(text, version, lineAt);
+
+  for (const fn of functions) {
+    detectFeltArithmetic(fn, version, storageVars, report);
+    detectMissingCallerCheck(fn, version, report);
+    detectL1HandlerValidation(fn, report);
+  }
+
+  const contract = text.match(/#\[starknet::contract\]\s*mod\s+(\w+)|#\[contract\]\s*mod\s+(\w+)/);
+
+  return {
+    findings,
+    errors: [],
+    inventory: [{
+      name: contract ? contract[1] || contract[2] : file,
+      version,
+      line: 1,
+      entrypoints: functions.filter(fn => fn.kind).map(fn => ({ name: fn.name, kind: fn.kind, line: fn.line })),
+      storageVars: storageVars.map(variable => ({ name: variable.name, type: variable.type }))
+    }]
+  };
+};
@@ -0,0 +1,73 @@
+import { analyzeSolidity } from './solidity.js';
+import { analyzeVyper } from './vyper.js';
+import { analyzeMove } from './move.js';
+import { analyzeCairo } from './cairo.js';
+import { SEVERITIES } from '../findingsParser.js';
+import { detectContractLanguage } from '../shared/languageDetection.js';
+
+// Local static-analysis pre-pass run before the AI analysis.
+// Each analyzer takes (source, { file }) and returns { findings, errors } and,
+// optionally, an inventory of the modules it found.
+const ANALYZERS = {
+  Solidity: analyzeSolidity,
+  Vyper: analyzeVyper,
+  Move: analyzeMove,
+  Cairo: analyzeCairo
+};
+
+const languageOf = (file) => detectContractLanguage(file.content || '', file.name);
+
+// files: [{ name, content }]. Returns { findings, errors, inventory, analyzedFiles }.
+export const runStaticAnalysis = (files = []) => {
+  const findings = [];
+  const errors = [];
+  const inventory = [];
+  let analyzedFiles = 0;
+
+  for (const file of files) {
+    const language = languageOf(file);
+    const analyzer = ANALYZERS[language];
+    if (!analyzer || !file.content) continue;
+
+    try {
+      const result = analyzer(file.content, { file: file.name });
+      findings.push(...result.findings);
+      errors.push(...result.errors);
+      if (result.inventory?.length) {
+        inventory.push({ file: file.name, language, modules: result.inventory });
+      }
+      analyzedFiles++;
+    } catch (error) {
+      console.warn(`⚠️ Static analysis failed for ${file.name}:`, error.message);
+      errors.push({ file: file.name, message: error.message });
+    }
+  }
+
+  findings.sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    String(a.file).localeCompare(String(b.file)) ||
+    (a.lineStart || 0) - (b.lineStart || 0)
+  );
+
+  return { findings, errors, inventory, analyzedFiles };
+};
+
+// Summary of the pre-pass results appended to the AI prompt.
+// Findings suppressed by source annotations are left out.
+export const formatStaticFindingsForPrompt = (allFindings = []) => {
+  const findings = allFindings.filter(finding => !finding.suppressed);
+  if (findings.length === 0) return '';
+
+  const lines = findings.map((finding, index) => {
+    const location = [finding.file, finding.lineStart ? `line ${finding.lineStart}` : null].filter(Boolean).join(', ');
+    return `${index + 1}. [${finding.severity}] ${finding.title} (${finding.ruleId}${finding.swcId ? `, ${finding.swcId}` : ''}) - ${location}`;
+  });
+
+  return [
+    '',
+    '---',
+    'Local static analysis pre-pass (automated detectors) reported the following candidate issues.',
+    'Verify each one, discard false positives, and include confirmed issues in your report with their line numbers:',
+    ...lines
+  ].join('\n');
+};
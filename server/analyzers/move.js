@@ -0,0 +1,311 @@
+// Move (Aptos / Sui) detectors working on a light structural parse:
+// modules, structs with their abilities, and functions with params and bodies.
+
+// Struct names that usually represent value or authority and must not be copied
+const VALUE_STRUCT = /(coin|token|balance|vault|cap|capability|receipt|ticket|share|nft|position|treasury)s?$/i;
+// Hot-potato structs must be consumed explicitly and must not be droppable
+const HOT_POTATO_STRUCT = /(receipt|hotpotato|flashloan|promise|ticket)$/i;
+// Operations that change global or object state
+const STATE_MUTATION = /\b(borrow_global_mut|move_to|move_from)\b|\bcoin::(withdraw|mint|burn|extract)\b|\b(balance::split|transfer::(public_)?transfer|object::delete)\b/;
+// Function names that suggest privileged operations
+const PRIVILEGED_NAME = /^(set_|update_|withdraw|mint|burn|pause|unpause|upgrade|admin|emergency|sweep|drain)/;
+
+// Blank out comments while keeping offsets and line numbers intact
+const stripComments = (source) => source
+  .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+  .replace(/\/\/[^\n]*/g, match => ' '.repeat(match.length));
+
+const lineLocator = (text) => {
+  const starts = [0];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') starts.push(index + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+};
+
+// Index just past the bracket that closes the one at `open`
+const matchBracket = (text, open) => {
+  const pairs = { '{': '}', '(': ')', '<': '>' };
+  const close = pairs[text[open]];
+  let depth = 0;
+  for (let index = open; index < text.length; index++) {
+    if (text[index] === text[open]) depth++;
+    else if (text[index] === close && --depth === 0) return index + 1;
+  }
+  return text.length;
+};
+
+// Split "a: &signer, b: vector<u8>" on top-level commas
+const parseParams = (text) => {
+  const params = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('<(['.includes(char)) depth++;
+    if ('>)]'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  params.push(current);
+
+  return params
+    .map(param => param.trim())
+    .filter(Boolean)
+    .map(param => {
+      const [name, ...type] = param.split(':');
+      return { name: name.trim(), type: type.join(':').trim() };
+    });
+};
+
+const parseFunctions = (text, start, end, lineAt) => {
+  const functions = [];
+  const pattern = /\b((?:public\s*(?:\(\s*(friend|package|script)\s*\))?\s+)?(?:entry\s+)?(?:native\s+)?(?:inline\s+)?)fun\s+(\w+)\s*(<[^(]*>)?\s*\(/g;
+  pattern.lastIndex = start;
+
+  let match;
+  while ((match = pattern.exec(text)) && match.index < end) {
+    const modifiers = match[1];
+    const paramsOpen = match.index + match[0].length - 1;
+    const paramsClose = matchBracket(text, paramsOpen);
+    const bodyOpen = text.indexOf('{', paramsClose);
+    const semicolon = text.indexOf(';', paramsClose);
+    const hasBody = bodyOpen !== -1 && (semicolon === -1 || bodyOpen < semicolon);
+    const bodyEnd = hasBody ? matchBracket(text, bodyOpen) : paramsClose;
+
+    functions.push({
+      name: match[3],
+      line: lineAt(match.index),
+      endLine: lineAt(bodyEnd - 1),
+      isPublic: /\bpublic\b/.test(modifiers) && !match[2],
+      isFriend: match[2] === 'friend' || match[2] === 'package',
+      visibility: match[2] || (/\bpublic\b/.test(modifiers) ? 'public' : 'private'),
+      isEntry: /\bentry\b/.test(modifiers),
+      params: parseParams(text.slice(paramsOpen + 1, paramsClose - 1)),
+      body: hasBody ? text.slice(bodyOpen, bodyEnd) : ''
+    });
+
+    pattern.lastIndex = bodyEnd;
+  }
+
+  return functions;
+};
+
+const parseModules = (text) => {
+  const lineAt = lineLocator(text);
+  const modules = [];
+  const pattern = /\bmodule\s+(?:(\w+)::)?(\w+)\s*([{;])/g;
+
+  let match;
+  while ((match = pattern.exec(text))) {
+    const open = match.index + match[0].length - 1;
+    // Move 2024 allows `module pkg::name;` covering the rest of the file
+    const end = match[3] === '{' ? matchBracket(text, open) : text.length;
+    const body = text.slice(open, end);
+
+    const structs = [];
+    const structPattern = /\b(?:public\s+)?struct\s+(\w+)(?:\s*<[^>]*>)?\s*(?:has\s+([\w\s,]+?))?\s*[{;(]/g;
+    let struct;
+    while ((struct = structPattern.exec(body))) {
+      structs.push({
+        name: struct[1],
+        line: lineAt(open + struct.index),
+        abilities: (struct[2] || '').split(',').map(ability => ability.trim()).filter(Boolean)
+      });
+    }
+
+    modules.push({
+      address: match[1] || null,
+      name: match[2],
+      line: lineAt(match.index),
+      friends: [...body.matchAll(/\bfriend\s+([\w:]+)\s*;/g)].map(friend => friend[1]),
+      structs,
+      functions: parseFunctions(text, open, end, lineAt)
+    });
+
+    pattern.lastIndex = match[3] === '{' ? end : text.length;
+  }
+
+  return modules;
+};
+
+const qualifiedName = (module, fn) => `${module.address ? `${module.address}::` : ''}${module.name}::${fn.name}`;
+
+const signerParams = (fn) => fn.params.filter(param => /&\s*signer\b|^signer$/.test(param.type));
+const capabilityParams = (fn) => fn.params.filter(param => /Cap(ability)?\b/.test(param.type));
+
+const usesName = (body, name) => new RegExp(`\\b${name}\\b`).test(body);
+
+// Sender or capability based authorization inside the body
+const checksSender = (fn) =>
+  signerParams(fn).some(param => usesName(fn.body, param.name)) ||
+  capabilityParams(fn).length > 0 ||
+  /\btx_context::sender\s*\(|\bctx\.sender\s*\(/.test(fn.body);
+
+const detectAbilities = (module, report) => {
+  for (const struct of module.structs) {
+    const has = (ability) => struct.abilities.includes(ability);
+    const isResource = has('key') || VALUE_STRUCT.test(struct.name);
+
+    if (has('copy') && isResource) {
+      report(struct.line, {
+        ruleId: 'move/resource-copy',
+        severity: 'High',
+        title: `Resource struct ${struct.name} has the copy ability`,
+        description: `\`${module.name}::${struct.name}\` represents an asset or authority (${has('key') ? 'it has `key`' : 'by its name'}) but has \`copy\`, so holders can duplicate it.`,
+        recommendation: `Remove \`copy\` from \`${struct.name}\`; assets and capabilities should only be moved.`,
+        cweId: 'CWE-664'
+      });
+    }
+
+    if (has('drop') && (HOT_POTATO_STRUCT.test(struct.name) || (has('key') && VALUE_STRUCT.test(struct.name)))) {
+      report(struct.line, {
+        ruleId: 'move/resource-drop',
+        severity: HOT_POTATO_STRUCT.test(struct.name) ? 'High' : 'Medium',
+        title: `Struct ${struct.name} has the drop ability`,
+        description: HOT_POTATO_STRUCT.test(struct.name)
+          ? `\`${module.name}::${struct.name}\` looks like a hot potato (e.g. a flash-loan receipt) but has \`drop\`, so callers can discard it instead of repaying or consuming it.`
+          : `\`${module.name}::${struct.name}\` holds value but has \`drop\`, so it can be destroyed implicitly and the value lost.`,
+        recommendation: `Remove \`drop\` from \`${struct.name}\` and require it to be consumed by an explicit function.`,
+        cweId: 'CWE-672'
+      });
+    }
+  }
+};
+
+const detectMissingSignerCheck = (module, report) => {
+  for (const fn of module.functions) {
+    if (!fn.isEntry && !fn.isPublic) continue;
+
+    const signers = signerParams(fn);
+    const unusedSigner = signers.find(param => !usesName(fn.body, param.name) && !param.name.startsWith('_'));
+
+    if (fn.isEntry && unusedSigner) {
+      report(fn.line, {
+        ruleId: 'move/unused-signer',
+        severity: 'Medium',
+        title: `Signer of ${fn.name} is never checked`,
+        description: `Entry function \`${qualifiedName(module, fn)}\` takes \`${unusedSigner.name}: ${unusedSigner.type}\` but never reads it, so any account can call it with the same effect.`,
+        recommendation: 'Derive the acting address with `signer::address_of` and check it against the owner or stored permissions.',
+        cweId: 'CWE-862'
+      });
+      continue;
+    }
+
+    const mutatesState = STATE_MUTATION.test(fn.body);
+    if (!mutatesState || checksSender(fn)) continue;
+
+    if (signers.length === 0 && /\b(borrow_global_mut|move_from)\b/.test(fn.body)) {
+      report(fn.line, {
+        ruleId: 'move/missing-signer',
+        severity: 'High',
+        title: `${fn.isEntry ? 'Entry' : 'Public'} function ${fn.name} mutates global storage without a signer`,
+        description: `\`${qualifiedName(module, fn)}\` modifies global resources but takes no \`&signer\`, so anyone can change state belonging to other accounts.`,
+        recommendation: 'Require a `&signer` and authorize the operation against `signer::address_of(account)`.',
+        cweId: 'CWE-862'
+      });
+    } else if (fn.isEntry && PRIVILEGED_NAME.test(fn.name)) {
+      report(fn.line, {
+        ruleId: 'move/unauthorized-entry',
+        severity: 'Medium',
+        title: `Privileged entry function ${fn.name} has no authorization`,
+        description: `\`${qualifiedName(module, fn)}\` changes state and looks privileged, but checks neither a signer, the transaction sender nor a capability object.`,
+        recommendation: 'Require an admin capability (e.g. `_: &AdminCap`) or check the sender before mutating state.',
+        cweId: 'CWE-285'
+      });
+    }
+  }
+};
+
+const detectFriendExposure = (modules, report) => {
+  const friendFunctions = new Map();
+  for (const module of modules) {
+    for (const fn of module.functions) {
+      if (fn.isFriend) friendFunctions.set(`${module.name}::${fn.name}`, { module, fn });
+    }
+
+    // public(friend) without any friend declaration is callable by no one
+    const friendOnly = module.functions.filter(fn => fn.visibility === 'friend');
+    if (friendOnly.length > 0 && module.friends.length === 0) {
+      for (const fn of friendOnly) {
+        report(fn.line, {
+          ruleId: 'move/friend-without-friends',
+          severity: 'Informational',
+          title: `public(friend) function ${fn.name} in a module without friends`,
+          description: `\`${module.name}\` declares no \`friend\` modules, so \`${fn.name}\` cannot be called from anywhere except inside the module.`,
+          recommendation: 'Declare the intended friend modules, or make the function private if it is internal.'
+        });
+      }
+    }
+  }
+
+  // A friend function that mutates state is only as safe as the public wrappers calling it
+  for (const module of modules) {
+    for (const fn of module.functions) {
+      if (!fn.isPublic && !fn.isEntry) continue;
+      if (checksSender(fn)) continue;
+
+      for (const [name, target] of friendFunctions) {
+        if (target.module === module) continue;
+        if (!new RegExp(`\\b${name.replace('::', '::\\s*')}\\s*(<[^>]*>)?\\s*\\(`).test(fn.body)) continue;
+        if (!STATE_MUTATION.test(target.fn.body) || checksSender(target.fn)) continue;
+
+        report(fn.line, {
+          ruleId: 'move/unguarded-friend-call',
+          severity: 'High',
+          title: `Unguarded public path to friend function ${name}`,
+          description: `\`${qualifiedName(module, fn)}\` is publicly callable without authorization and calls \`${name}\`, a \`public(friend)\` function that mutates state. The friend restriction is bypassed through this wrapper.`,
+          recommendation: `Authorize the caller in \`${fn.name}\` (signer or capability check) or make it non-public.`,
+          cweId: 'CWE-284'
+        });
+      }
+    }
+  }
+};
+
+// Modules and public entry points of a parsed source, for scan summaries
+const toInventory = (modules) => modules.map(module => ({
+  name: module.address ? `${module.address}::${module.name}` : module.name,
+  line: module.line,
+  entryFunctions: module.functions.filter(fn => fn.isEntry).map(fn => fn.name),
+  publicFunctions: module.functions.filter(fn => fn.isPublic && !fn.isEntry).map(fn => fn.name),
+  structs: module.structs.map(struct => ({ name: struct.name, abilities: struct.abilities }))
+}));
+
+// Analyze one Move source file. Returns { findings, errors, inventory }.
+export const analyzeMove = (source, { file = null } = {}) => {
+  const modules = parseModules(stripComments(source));
+  const findings = [];
+  const reported = new Set();
+
+  const report = (line, finding) => {
+    const key = `${finding.ruleId}:${line}:${finding.title}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push({ swcId: null, cweId: null, ...finding, file, lineStart: line, lineEnd: line, source: 'static' });
+  };
+
+  if (modules.length === 0) {
+    return { findings, errors: [{ file, message: 'No Move module declaration found' }], inventory: [] };
+  }
+
+  for (const module of modules) {
+    detectAbilities(module, report);
+    detectMissingSignerCheck(module, report);
+  }
+  detectFriendExposure(modules, report);
+
+  return { findings, errors: [], inventory: toInventory(modules) };
+};
@@ -0,0 +1,297 @@
+import parser from '@solidity-parser/parser';
+
+// Solidity detectors run locally on the parsed AST before the AI analysis
+
+const LOW_LEVEL_CALLS = ['call', 'delegatecall', 'staticcall', 'send'];
+const ACCESS_CONTROL_MODIFIER = /only|auth|admin|owner|role|restricted|governance/i;
+const REENTRANCY_GUARD_MODIFIER = /nonreentrant|noreentrancy|reentrancyguard|lock/i;
+
+// Depth-first walk over AST nodes, passing the chain of ancestors
+const walk = (node, visit, ancestors = []) => {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit, ancestors));
+    return;
+  }
+
+  if (typeof node.type !== 'string') return;
+  if (visit(node, ancestors) === false) return;
+
+  const path = [...ancestors, node];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'range') continue;
+    if (value && typeof value === 'object') walk(value, visit, path);
+  }
+};
+
+const lineRange = (node) => ({
+  lineStart: node.loc?.start.line || null,
+  lineEnd: node.loc?.end.line || node.loc?.start.line || null
+});
+
+const isMember = (node, object, member) =>
+  node?.type === 'MemberAccess' && node.memberName === member &&
+  node.expression?.type === 'Identifier' && node.expression.name === object;
+
+// The callee of a call, unwrapping `{ value: ... }` options
+const calleeOf = (call) => (call.expression?.type === 'NameValueExpression' ? call.expression.expression : call.expression);
+
+const lowLevelCallKind = (node) => {
+  if (node?.type !== 'FunctionCall') return null;
+  const callee = calleeOf(node);
+  return callee?.type === 'MemberAccess' && LOW_LEVEL_CALLS.includes(callee.memberName) ? callee.memberName : null;
+};
+
+// Name of the variable a write targets: `x = `, `x[k] = `, `x.field = `
+const baseIdentifier = (node) => {
+  let current = node;
+  while (current) {
+    if (current.type === 'Identifier') return current.name;
+    if (current.type === 'IndexAccess') current = current.base;
+    else if (current.type === 'MemberAccess') current = current.expression;
+    else return null;
+  }
+  return null;
+};
+
+// Modifiers or explicit msg.sender checks count as access control
+const hasAccessControl = (fn) => {
+  if ((fn.modifiers || []).some(modifier => ACCESS_CONTROL_MODIFIER.test(modifier.name))) return true;
+
+  let checksSender = false;
+  walk(fn.body, node => {
+    if (node.type === 'BinaryOperation' && ['==', '!='].includes(node.operator) &&
+      (isMember(node.left, 'msg', 'sender') || isMember(node.right, 'msg', 'sender'))) {
+      checksSender = true;
+    }
+    if (node.type === 'FunctionCall' && node.expression?.type === 'Identifier' &&
+      /^(_checkOwner|_checkRole|hasRole|_onlyOwner|onlyOwner)$/.test(node.expression.name)) {
+      checksSender = true;
+    }
+  });
+  return checksSender;
+};
+
+const detectFloatingPragma = (ast, report) => {
+  walk(ast, node => {
+    if (node.type === 'PragmaDirective' && node.name === 'solidity' && /[\^~><*]|\|\|/.test(node.value)) {
+      report(node, {
+        ruleId: 'solidity/floating-pragma',
+        severity: 'Low',
+        title: 'Floating pragma',
+        description: `The compiler version is not locked (\`pragma solidity ${node.value}\`). Contracts may be deployed with a compiler version other than the one they were tested with.`,
+        recommendation: 'Lock the pragma to the exact compiler version used for testing and deployment.',
+        swcId: 'SWC-103',
+        cweId: 'CWE-664'
+      });
+    }
+  });
+};
+
+const detectTxOrigin = (fn, report) => {
+  walk(fn.body, node => {
+    if (node.type !== 'BinaryOperation' || !['==', '!='].includes(node.operator)) return;
+
+    const left = isMember(node.left, 'tx', 'origin');
+    const right = isMember(node.right, 'tx', 'origin');
+    if (!left && !right) return;
+
+    // `tx.origin == msg.sender` is an EOA check, not authorization
+    const other = left ? node.right : node.left;
+    if (isMember(other, 'msg', 'sender')) return;
+
+    report(node, {
+      ruleId: 'solidity/tx-origin-auth',
+      severity: 'High',
+      title: 'Authorization through tx.origin',
+      description: `\`${fn.name || 'function'}\` compares \`tx.origin\` for authorization. A malicious contract called by the authorized account can pass this check.`,
+      recommendation: 'Use `msg.sender` for authorization checks.',
+      swcId: 'SWC-115',
+      cweId: 'CWE-477'
+    });
+  });
+};
+
+const detectUncheckedCalls = (fn, report) => {
+  const statements = [];
+  walk(fn.body, node => {
+    if (node.type === 'ExpressionStatement' || node.type === 'VariableDeclarationStatement') {
+      statements.push(node);
+    }
+  });
+
+  const referencedCount = (name) => {
+    let count = 0;
+    walk(fn.body, node => {
+      if (node.type === 'Identifier' && node.name === name) count++;
+    });
+    return count;
+  };
+
+  for (const statement of statements) {
+    const call = statement.type === 'ExpressionStatement' ? statement.expression : statement.initialValue;
+    const kind = lowLevelCallKind(call);
+    if (!kind || kind === 'staticcall') continue;
+
+    let unchecked = statement.type === 'ExpressionStatement';
+    if (statement.type === 'VariableDeclarationStatement') {
+      const success = statement.variables?.[0];
+      // The success flag is ignored when unnamed or never read after the declaration
+      unchecked = !success || referencedCount(success.name) <= 1;
+    }
+
+    if (unchecked) {
+      report(call, {
+        ruleId: 'solidity/unchecked-call',
+        severity: 'Medium',
+        title: `Unchecked low-level ${kind} return value`,
+        description: `The return value of \`${kind}\` in \`${fn.name || 'function'}\` is not checked. A failed call will not revert and execution continues as if it succeeded.`,
+        recommendation: `Check the success flag, e.g. \`(bool success, ) = target.${kind === 'send' ? 'call{value: amount}("")' : `${kind}(...)`}; require(success);\`.`,
+        swcId: 'SWC-104',
+        cweId: 'CWE-252'
+      });
+    }
+  }
+};
+
+const detectDelegatecallToInput = (fn, report) => {
+  if (!['public', 'external', 'default'].includes(fn.visibility || 'default')) return;
+
+  const parameters = new Set((fn.parameters || []).map(parameter => parameter.name).filter(Boolean));
+  if (parameters.size === 0 || hasAccessControl(fn)) return;
+
+  walk(fn.body, node => {
+    if (lowLevelCallKind(node) !== 'delegatecall') return;
+
+    const target = baseIdentifier(calleeOf(node).expression);
+    if (target && parameters.has(target)) {
+      report(node, {
+        ruleId: 'solidity/delegatecall-user-input',
+        severity: 'High',
+        title: 'Delegatecall to user-supplied address',
+        description: `\`${fn.name || 'function'}\` delegatecalls into \`${target}\`, which is supplied by the caller. Any caller can run arbitrary code in this contract's storage context.`,
+        recommendation: 'Only delegatecall into trusted, fixed or whitelisted implementation addresses, and restrict who can trigger it.',
+        swcId: 'SWC-112',
+        cweId: 'CWE-829'
+      });
+    }
+  });
+};
+
+const detectSelfdestruct = (fn, report) => {
+  walk(fn.body, node => {
+    if (node.type !== 'FunctionCall' || node.expression?.type !== 'Identifier') return;
+    if (!['selfdestruct', 'suicide'].includes(node.expression.name)) return;
+
+    const isProtected = hasAccessControl(fn);
+    report(node, {
+      ruleId: 'solidity/selfdestruct',
+      severity: isProtected ? 'Low' : 'High',
+      title: isProtected ? 'Use of selfdestruct' : 'Unprotected selfdestruct',
+      description: isProtected
+        ? `\`${fn.name || 'function'}\` calls \`selfdestruct\`, which is deprecated (EIP-6049) and lets a privileged account destroy the contract.`
+        : `\`${fn.name || 'function'}\` calls \`selfdestruct\` without access control. Anyone can destroy the contract and force-send its balance.`,
+      recommendation: 'Remove `selfdestruct`; if a shutdown path is required, use a pausable pattern restricted to trusted roles.',
+      swcId: 'SWC-106',
+      cweId: 'CWE-284'
+    });
+  });
+};
+
+const detectReentrancy = (fn, stateVariables, report) => {
+  if ((fn.modifiers || []).some(modifier => REENTRANCY_GUARD_MODIFIER.test(modifier.name))) return;
+  if (['view', 'pure'].includes(fn.stateMutability)) return;
+
+  const externalCalls = [];
+  const stateWrites = [];
+
+  walk(fn.body, node => {
+    const kind = lowLevelCallKind(node);
+    if (kind === 'call') externalCalls.push(node);
+
+    if (node.type === 'BinaryOperation' && /^(=|\+=|-=|\*=|\/=|%=|\|=|&=|\^=|<<=|>>=)$/.test(node.operator)) {
+      const name = baseIdentifier(node.left);
+      if (name && stateVariables.has(name)) stateWrites.push({ node, name });
+    }
+    if (node.type === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator)) {
+      const name = baseIdentifier(node.subExpression);
+      if (name && stateVariables.has(name)) stateWrites.push({ node, name });
+    }
+  });
+
+  for (const call of externalCalls) {
+    const laterWrite = stateWrites.find(write => write.node.range[0] > call.range[1]);
+    if (!laterWrite) continue;
+
+    report(call, {
+      ruleId: 'solidity/reentrancy',
+      severity: 'High',
+      title: 'State change after external call (reentrancy)',
+      description: `\`${fn.name || 'function'}\` makes an external call and updates \`${laterWrite.name}\` afterwards (line ${laterWrite.node.loc.start.line}). The callee can re-enter before the state is updated.`,
+      recommendation: 'Follow checks-effects-interactions: update state before the external call, or protect the function with a reentrancy guard.',
+      swcId: 'SWC-107',
+      cweId: 'CWE-841'
+    });
+  }
+};
+
+// State variables of a contract, including those of base contracts in the same file
+const collectStateVariables = (contract, contractsByName, seen = new Set()) => {
+  const names = new Set();
+  if (!contract || seen.has(contract.name)) return names;
+  seen.add(contract.name);
+
+  for (const node of contract.subNodes || []) {
+    if (node.type === 'StateVariableDeclaration') {
+      node.variables.forEach(variable => names.add(variable.name));
+    }
+  }
+  for (const base of contract.baseContracts || []) {
+    collectStateVariables(contractsByName.get(base.baseName.namePath), contractsByName, seen)
+      .forEach(name => names.add(name));
+  }
+  return names;
+};
+
+// Analyze one Solidity source file. Returns { findings, errors }.
+export const analyzeSolidity = (source, { file = null } = {}) => {
+  let ast;
+  try {
+    ast = parser.parse(source, { loc: true, range: true, tolerant: true });
+  } catch (error) {
+    return { findings: [], errors: [{ file, message: error.message }] };
+  }
+
+  const findings = [];
+  const reported = new Set();
+  const report = (node, finding) => {
+    const location = lineRange(node);
+    const key = `${finding.ruleId}:${location.lineStart}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push({ ...finding, ...location, file, source: 'static' });
+  };
+
+  detectFloatingPragma(ast, report);
+
+  const contracts = (ast.children || []).filter(node => node.type === 'ContractDefinition');
+  const contractsByName = new Map(contracts.map(contract => [contract.name, contract]));
+
+  for (const contract of contracts) {
+    const stateVariables = collectStateVariables(contract, contractsByName);
+
+    for (const fn of contract.subNodes || []) {
+      if (fn.type !== 'FunctionDefinition' || !fn.body) continue;
+
+      detectTxOrigin(fn, report);
+      detectUncheckedCalls(fn, report);
+      detectDelegatecallToInput(fn, report);
+      detectSelfdestruct(fn, report);
+      detectReentrancy(fn, stateVariables, report);
+    }
+  }
+
+  const errors = (ast.errors || []).map(error => ({ file, message: error.message, line: error.line || null }));
+  return { findings, errors };
+};
@@ -0,0 +1,319 @@
+// Vyper detectors. Vyper has no JS parser, so functions are read from the
+// indentation structure of the source.
+
+// Compiler releases with known security bugs: [first affected, first fixed)
+const VULNERABLE_COMPILER_RANGES = [
+  {
+    from: '0.2.15',
+    to: '0.3.1',
+    severity: 'Critical',
+    title: 'Compiler version with broken @nonreentrant lock',
+    description: 'Vyper 0.2.15, 0.2.16 and 0.3.0 allocate a separate storage slot per function for the same @nonreentrant key, so the lock does not protect functions from each other (exploited against several Curve pools in July 2023).'
+  }
+];
+
+const STATE_CHANGING_DECORATORS = ['external', 'public'];
+const READ_ONLY_DECORATORS = ['view', 'pure', 'constant'];
+
+const parseVersion = (text) => {
+  const match = String(text).match(/(\d+)\.(\d+)\.(\d+)/) || String(text).match(/(\d+)\.(\d+)/);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+};
+
+const compareVersions = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+// Turn a version constraint ("^0.2.15", ">=0.3.0 <0.4.0", "0.3.7") into [min, maxExclusive]
+const versionInterval = (constraint) => {
+  let min = [0, 0, 0];
+  let max = null;
+  const tighten = (lower, upper) => {
+    if (lower && compareVersions(lower, min) > 0) min = lower;
+    if (upper && (!max || compareVersions(upper, max) < 0)) max = upper;
+  };
+
+  for (const part of constraint.split(/[\s,]+/).filter(Boolean)) {
+    const operator = part.match(/^(\^|~=?|>=|<=|>|<|==|=)?/)[0];
+    const version = parseVersion(part);
+    if (!version) continue;
+    const next = [version[0], version[1], version[2] + 1];
+
+    switch (operator) {
+      case '^':
+        tighten(version, version[0] === 0 ? [0, version[1] + 1, 0] : [version[0] + 1, 0, 0]);
+        break;
+      case '~':
+      case '~=':
+        tighten(version, [version[0], version[1] + 1, 0]);
+        break;
+      case '>=':
+        tighten(version, null);
+        break;
+      case '>':
+        tighten(next, null);
+        break;
+      case '<=':
+        tighten(null, next);
+        break;
+      case '<':
+        tighten(null, version);
+        break;
+      default:
+        tighten(version, next);
+    }
+  }
+
+  return { min, max, exact: !!max && compareVersions(max, [min[0], min[1], min[2] + 1]) === 0 };
+};
+
+const overlaps = (interval, from, to) =>
+  (!interval.max || compareVersions(interval.max, from) > 0) && compareVersions(interval.min, to) < 0;
+
+// Remove a trailing comment, ignoring '#' inside string literals
+const stripComment = (line) => {
+  let quote = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === quote && line[index - 1] !== '\\') quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return line.slice(0, index);
+    }
+  }
+  return line;
+};
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Code lines without comments or docstrings, keeping original line numbers
+const codeLines = (source) => {
+  const lines = [];
+  let inDocstring = null;
+
+  source.split('\n').forEach((raw, index) => {
+    const trimmed = raw.trim();
+    if (inDocstring) {
+      if (trimmed.includes(inDocstring)) inDocstring = null;
+      return;
+    }
+    const docstring = trimmed.match(/^("""|''')/);
+    if (docstring) {
+      if (trimmed.length === 3 || !trimmed.slice(3).includes(docstring[1])) inDocstring = docstring[1];
+      return;
+    }
+
+    const code = stripComment(raw).replace(/\s+$/, '');
+    if (code.trim()) lines.push({ number: index + 1, text: code, indent: indentOf(code) });
+  });
+
+  return lines;
+};
+
+// Functions with their decorators and body lines
+const parseFunctions = (lines) => {
+  const functions = [];
+  let decorators = [];
+
+  lines.forEach((line, index) => {
+    const trimmed = line.text.trim();
+    const decorator = trimmed.match(/^@(\w+)(?:\((.*)\))?/);
+    if (decorator) {
+      decorators.push({ name: decorator[1], argument: decorator[2] || null, line: line.number });
+      return;
+    }
+
+    const definition = trimmed.match(/^def\s+(\w+)\s*\(/);
+    if (!definition) {
+      decorators = [];
+      return;
+    }
+
+    const body = [];
+    for (let next = index + 1; next < lines.length && lines[next].indent > line.indent; next++) {
+      body.push(lines[next]);
+    }
+
+    functions.push({ name: definition[1], line: line.number, decorators, body });
+    decorators = [];
+  });
+
+  return functions;
+};
+
+// The full text of a call starting at `start` in line `index`, across lines
+const readCall = (lines, index, start) => {
+  let depth = 0;
+  let text = '';
+  for (let lineIndex = index; lineIndex < lines.length; lineIndex++) {
+    const segment = lineIndex === index ? lines[lineIndex].text.slice(start) : lines[lineIndex].text;
+    for (const char of segment) {
+      text += char;
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) return { text, endLine: lines[lineIndex].number };
+    }
+    text += '\n';
+  }
+  return { text, endLine: lines[lines.length - 1].number };
+};
+
+const hasDecorator = (fn, name) => fn.decorators.some(decorator => decorator.name === name);
+
+const detectCompilerVersion = (source, report) => {
+  const pragma = source.split('\n')
+    .map((text, index) => ({ text, number: index + 1 }))
+    .find(line => /^\s*#\s*(@version|pragma\s+version)\b/.test(line.text));
+
+  if (!pragma) {
+    report({ lineStart: null }, {
+      ruleId: 'vyper/missing-version-pragma',
+      severity: 'Informational',
+      title: 'Missing compiler version pragma',
+      description: 'The contract does not declare a compiler version, so it may be compiled with a release that has known bugs.',
+      recommendation: 'Add `#pragma version 0.x.y` (or `# @version 0.x.y` for older compilers) pinned to a current, patched release.'
+    });
+    return;
+  }
+
+  const constraint = pragma.text.replace(/^\s*#\s*(@version|pragma\s+version)\s*/, '').trim();
+  const interval = versionInterval(constraint);
+
+  for (const range of VULNERABLE_COMPILER_RANGES) {
+    if (overlaps(interval, parseVersion(range.from), parseVersion(range.to))) {
+      report({ lineStart: pragma.number }, {
+        ruleId: 'vyper/vulnerable-compiler',
+        severity: range.severity,
+        title: range.title,
+        description: `\`${constraint}\` ${interval.exact ? 'is' : 'allows'} an affected compiler (${range.from} up to, but not including, ${range.to}). ${range.description}`,
+        recommendation: `Compile with Vyper ${range.to} or later and redeploy affected contracts.`,
+        cweId: 'CWE-1395'
+      });
+    }
+  }
+
+  if (!interval.exact) {
+    report({ lineStart: pragma.number }, {
+      ruleId: 'vyper/floating-pragma',
+      severity: 'Low',
+      title: 'Floating compiler version',
+      description: `The compiler version is not pinned (\`${constraint}\`). The contract may be deployed with a different compiler than the one it was tested with.`,
+      recommendation: 'Pin the pragma to the exact compiler version used for testing and deployment.',
+      swcId: 'SWC-103'
+    });
+  }
+};
+
+const EXTERNAL_CALL = /\b(raw_call|send|extcall)\b|\b[A-Z]\w*\([^()]*\)\.\w+\(/;
+const STORAGE_WRITE = /^\s*self\.\w+(\[[^\]]*\]|\.\w+)*\s*(=|\+=|-=|\*=|\/=|%=)(?!=)/;
+
+const detectMissingNonreentrant = (fn, globalLock, report) => {
+  const isExternal = STATE_CHANGING_DECORATORS.some(name => hasDecorator(fn, name));
+  const isReadOnly = READ_ONLY_DECORATORS.some(name => hasDecorator(fn, name));
+  if (!isExternal || isReadOnly || hasDecorator(fn, 'nonreentrant') || globalLock) return;
+
+  const callIndex = fn.body.findIndex(line => EXTERNAL_CALL.test(line.text));
+  if (callIndex === -1) return;
+
+  const write = fn.body.slice(callIndex + 1).find(line => STORAGE_WRITE.test(line.text));
+  if (!write) return;
+
+  report({ lineStart: fn.body[callIndex].number }, {
+    ruleId: 'vyper/missing-nonreentrant',
+    severity: 'High',
+    title: 'External call before state update without @nonreentrant',
+    description: `\`${fn.name}\` makes an external call and writes storage afterwards (line ${write.number}) without a \`@nonreentrant\` lock. The callee can re-enter before the state is updated.`,
+    recommendation: 'Update storage before making external calls and add `@nonreentrant` (or enable `#pragma nonreentrancy on` on Vyper 0.4+).',
+    swcId: 'SWC-107',
+    cweId: 'CWE-841'
+  });
+};
+
+const detectUncheckedRawCall = (fn, report) => {
+  fn.body.forEach((line, index) => {
+    const start = line.text.indexOf('raw_call(');
+    if (start === -1) return;
+
+    const call = readCall(fn.body, index, start);
+    if (!/revert_on_failure\s*=\s*False/.test(call.text)) return;
+
+    // The success flag must be read after the call for the failure to be handled
+    const before = line.text.slice(0, start);
+    const assigned = before.match(/^\s*(\w+)(?:\s*:\s*[^=]+)?\s*(?:,[^=]*)?=\s*$/) || before.match(/^\s*(\w+)\s*,/);
+    const successName = assigned ? assigned[1] : null;
+    const isChecked = successName && fn.body
+      .filter(other => other.number > call.endLine)
+      .some(other => new RegExp(`\\b${successName}\\b`).test(other.text));
+    const inCondition = /\b(assert|if|elif|return)\b/.test(before);
+
+    if (!isChecked && !inCondition) {
+      report({ lineStart: line.number, lineEnd: call.endLine }, {
+        ruleId: 'vyper/unchecked-raw-call',
+        severity: 'Medium',
+        title: 'Unchecked raw_call with revert_on_failure=False',
+        description: `\`${fn.name}\` calls \`raw_call\` with \`revert_on_failure=False\` but never checks the returned success flag. Failed calls are silently ignored.`,
+        recommendation: 'Assign the success flag and `assert` it, or drop `revert_on_failure=False` so failures revert.',
+        swcId: 'SWC-104',
+        cweId: 'CWE-252'
+      });
+    }
+  });
+};
+
+const detectUnsafeSend = (fn, report) => {
+  fn.body.forEach((line, index) => {
+    if (!/(^|[^\w.])send\s*\(/.test(line.text)) return;
+
+    // A send inside a loop lets one failing recipient block every payout
+    const inLoop = fn.body.slice(0, index).some(previous =>
+      /^\s*for\b/.test(previous.text) && previous.indent < line.indent &&
+      fn.body.slice(fn.body.indexOf(previous) + 1, index).every(between => between.indent > previous.indent)
+    );
+
+    report({ lineStart: line.number }, {
+      ruleId: 'vyper/unsafe-send',
+      severity: inLoop ? 'Medium' : 'Low',
+      title: inLoop ? 'send() inside a loop' : 'Use of send()',
+      description: inLoop
+        ? `\`${fn.name}\` sends ETH inside a loop. \`send\` reverts on failure, so a single recipient that rejects ETH blocks every other payout.`
+        : `\`${fn.name}\` uses \`send\`, which only forwards a 2300 gas stipend and fails for recipients whose fallback needs more gas.`,
+      recommendation: inLoop
+        ? 'Use a pull-payment pattern: record balances and let recipients withdraw individually.'
+        : 'Prefer a pull-payment pattern, or `raw_call(to, b"", value=amount)` with an explicit success check.',
+      swcId: inLoop ? 'SWC-113' : 'SWC-134',
+      cweId: inLoop ? 'CWE-400' : 'CWE-703'
+    });
+  });
+};
+
+// Analyze one Vyper source file. Returns { findings, errors } like the other analyzers.
+export const analyzeVyper = (source, { file = null } = {}) => {
+  const findings = [];
+  const reported = new Set();
+  const report = ({ lineStart, lineEnd }, finding) => {
+    const key = `${finding.ruleId}:${lineStart}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    findings.push({
+      swcId: null,
+      cweId: null,
+      ...finding,
+      file,
+      lineStart,
+      lineEnd: lineEnd || lineStart,
+      source: 'static'
+    });
+  };
+
+  detectCompilerVersion(source, report);
+
+  const lines = codeLines(source);
+  const globalLock = /^\s*#\s*pragma\s+nonreentrancy\s+on\b/m.test(source);
+
+  for (const fn of parseFunctions(lines)) {
+    detectMissingNonreentrant(fn, globalLock, report);
+    detectUncheckedRawCall(fn, report);
+    detectUnsafeSend(fn, report);
+  }
+
+  return { findings, errors: [] };
+};
@@ -0,0 +1,2407 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import multer from 'multer';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {pool} from './database.js';
+import web3AuthRoutes from './routes/web3Auth.js';
+import conversationRoutes from './routes/conversations.js';
+import analysisRoutes from './routes/analyses.js';
+import projectRoutes from './routes/projects.js';
+import findingRoutes from './routes/findings.js';
+import creditRoutes from './routes/credits.js';
+import planRoutes from './planRoutes.js';
+import { AnalysisProviderError } from './providers/analysisProvider.js';
+import {
+  isUuid, loadContractFiles, loadContractFileVersions, loadSolidityLibrary, markFilesScanned, filePathOf, normalizeUploadPath,
+  storeContractFile, listFileVersions, getFileVersion, restoreFileVersion, loadVersionChanges
+} from './contractFiles.js';
+import { flattenContractFiles } from './solidityImports.js';
+import { getProjectForUser, createProjectForUser, touchProject } from './projects.js';
+import { ARCHIVE_EXTENSIONS, isArchiveName, readArchive, selectArchiveSources } from './archives.js';
+import { GIT_BUNDLE_EXTENSIONS, isGitBundleName, readGitRevision } from './gitImport.js';
+import { storeFindingsForSession } from './findings.js';
+import { isLineInHunks } from './fileDiff.js';
+import { getUserPlan } from './planUtils.js';
+import {
+  priceFiles, priceContent, priceUploads, priceChangeReview, toCostBreakdown, createQuote, resolveQuote
+} from './pricing.js';
+import { runStaticAnalysis, formatStaticFindingsForPrompt } from './analyzers/index.js';
+import { applySuppressions } from './suppressions.js';
+import {
+  placeCreditHold, attachHoldToSession, captureSessionHold, releaseCreditHold,
+  getSessionHold, getCreditHoldByRequestKey, refundAnalysisSession, CREDIT_HOLD_STATUS
+} from './credits.js';
+import { detectLanguage, detectContractLanguage } from './shared/languageDetection.js';
+import {
+  SESSION_STATUS,
+  createAnalysisSession,
+  getAnalysisSession,
+  getAnalysisSessionById,
+  claimSessionForStreaming,
+  markSessionCompleted,
+  markSessionFailed,
+  markSessionRefunded
+} from './analysisSessions.js';
+
+// __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Helper function to generate UUID using crypto
+const generateUUID = () => crypto.randomUUID();
+
+// No rate limiting - removed as requested
+
+// File upload configuration
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.sol', '.vy', '.move', '.cairo'];
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    if (allowedExtensions.includes(fileExtension)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not supported. Allowed: ${allowedExtensions.join(', ')}`), false);
+    }
+  }
+});
+
+// Archive upload configuration (zipped or tarred repositories)
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isArchiveName(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Archive type not supported. Allowed: ${ARCHIVE_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Git bundle upload configuration (`git bundle create repo.bundle --all`)
+const gitBundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isGitBundleName(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not supported. Allowed: ${GIT_BUNDLE_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Routes accepting repository uploads up to 50MB
+const REPOSITORY_UPLOAD_PATHS = ['/api/files/upload-archive', '/api/files/import-git'];
+
+// Utility functions
+const validateContractCode = (code) => {
+  if (!code || typeof code !== 'string') {
+    throw new Error('Contract code is required and must be a string');
+  }
+
+  const trimmedCode = (code || '').trim();
+  if (trimmedCode.length < 10) {
+    throw new Error('Contract code is too short to analyze');
+  }
+
+  if (code.length > 500000) { // 500KB limit
+    throw new Error('Contract code is too large (max 500KB)');
+  }
+
+  return true;
+};
+
+// Load the files selected for an analysis and flatten their Solidity imports.
+// Earlier versions (versionIds) are analyzed in place of the current content of their file.
+// Returns { requestedFiles, flattened, missingIds, missingVersionIds }.
+const resolveSelectedFiles = async (userId, { fileIds = [], versionIds = [], remappings } = {}) => {
+  const { files: currentFiles, missingIds } = await loadContractFiles(userId, fileIds);
+  const { files: versionFiles, missingIds: missingVersionIds } = await loadContractFileVersions(userId, versionIds);
+
+  const versionFileIds = new Set(versionFiles.map(file => file.id));
+  const requestedFiles = [...currentFiles.filter(file => !versionFileIds.has(file.id)), ...versionFiles];
+
+  const library = await loadSolidityLibrary(userId);
+  const flattened = flattenContractFiles(requestedFiles, library, { remappings });
+
+  return {
+    requestedFiles,
+    flattened,
+    missingIds: fileIds.length > 0 ? missingIds : [],
+    missingVersionIds: versionIds.length > 0 ? missingVersionIds : []
+  };
+};
+
+// Idempotency-Key values accepted on /api/analyze
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+// Answer a repeated /api/analyze request from the hold the first attempt placed:
+// the session it created, or 409 when that attempt failed or is still running.
+const respondToRepeatedAnalysis = async (res, hold, currentUser) => {
+  const session = hold.analysisSessionId ? await getAnalysisSessionById(hold.analysisSessionId) : null;
+
+  if (hold.status === CREDIT_HOLD_STATUS.RELEASED || !session ||
+      [SESSION_STATUS.FAILED, SESSION_STATUS.EXPIRED].includes(session.status)) {
+    console.warn('⚠️ Repeated analysis request:', hold.id, hold.status, session?.status || 'no session');
+    return res.status(409).json({
+      success: false,
+      error: session || hold.status === CREDIT_HOLD_STATUS.RELEASED
+        ? 'This analysis request already failed and its credits were refunded. Please start a new analysis.'
+        : 'This analysis request is already being processed.',
+      holdStatus: hold.status,
+      sessionStatus: session?.status || null
+    });
+  }
+
+  console.log('🔁 Replaying analysis request for session:', session.sessionKey);
+  return res.json({
+    success: true,
+    sessionKey: session.sessionKey,
+    replayed: true,
+    creditInfo: {
+      creditsDeducted: hold.amount,
+      creditsRemaining: currentUser.credits_balance,
+      transactionId: hold.transactionId,
+      holdId: hold.id,
+      holdExpiresAt: hold.expiresAt,
+      quoteId: null,
+      costBreakdown: null
+    },
+    metadata: {
+      analysisId: session.id,
+      language: session.language,
+      filename: session.filename || null,
+      scanCost: session.scanCost,
+      isContractAnalysis: session.isContractAnalysis,
+      status: session.status,
+      timestamp: new Date().toISOString(),
+      provider: session.provider
+    }
+  });
+};
+
+// Build the Express app. Takes the analysis provider so tests can run the analyze
+// flow against the mock provider; index.js wires in the configured one and listens.
+export const createApp = ({ analysisProvider }) => {
+  const app = express();
+
+  // The token index.js validated at startup; signs and verifies file access tokens
+  const JWT_TOKEN = process.env.SHIPABLE_JWT_TOKEN || process.env.VITE_SHIPABLE_JWT_TOKEN || process.env.JWT_SECRET;
+
+  // Middleware
+  app.use(helmet({
+    contentSecurityPolicy: false, // Disable for development
+    crossOriginEmbedderPolicy: false
+  }));
+
+  app.use(cors({
+    origin: [
+      process.env.FRONTEND_URL,
+      process.env.CORS_ORIGIN,
+      'https://secweb3-production.up.railway.app',
+      'http://localhost:5173'
+    ].filter(Boolean),
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache-Control', 'Idempotency-Key'],
+    credentials: true
+  }));
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Add Web3 authentication routes
+  app.use('/api/auth', web3AuthRoutes);
+  console.log('✅ Web3 authentication routes enabled');
+
+  // Add conversation routes
+  app.use('/api/conversations', conversationRoutes);
+  console.log('✅ Conversation routes enabled');
+
+  // Add analysis routes (structured findings)
+  app.use('/api/analyses', analysisRoutes);
+  console.log('✅ Analysis routes enabled');
+
+  // Add project routes (project workspaces grouping contract files)
+  app.use('/api/projects', projectRoutes);
+  console.log('✅ Project routes enabled');
+
+  // Add finding routes (triage status, assignee and comments)
+  app.use('/api/findings', findingRoutes);
+  console.log('✅ Finding routes enabled');
+
+  // Add credit routes (ledger history, reconciliation and admin adjustments)
+  app.use('/api/credits', creditRoutes);
+  console.log('✅ Credit routes enabled');
+
+  // Add plan routes directly to avoid import issues
+  app.get('/api/plans/current', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
+
+      const authToken = authHeader.split(' ')[1];
+      const jwtModule = await import('jsonwebtoken');
+      const decodedToken = jwtModule.default.verify(authToken, process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key');
+
+      const user = await getUserPlan(decodedToken.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      res.json({
+        plan: {
+          code: user.plan_code || 'free',
+          name: user.plan_name || 'Free',
+          description: user.plan_description || 'Basic plan',
+          creditsPerMonth: user.credits_per_month ?? 100,
+          creditsPerScanLimit: user.credits_per_scan_limit ?? 50,
+          filesPerScanLimit: user.files_per_scan_limit ?? 5,
+          priceUsd: (user.price_cents || 0) / 100,
+          features: user.features || ['Basic security analysis', '5 files per scan', 'Community support'],
+          monthlyReset: !!user.monthly_reset,
+          rolloverPolicy: user.credits_rollover_policy || 'none',
+          rolloverCap: user.credits_rollover_cap ?? null
+        },
+        creditsBalance: user.credits_balance ?? 0,
+        planStartedAt: user.plan_started_at || user.created_at,
+        creditsResetAt: user.credits_reset_at || null,
+        nextCreditsResetAt: user.next_credits_reset_at || null
+      });
+    } catch (error) {
+      console.error('Plan current error:', error);
+      res.status(500).json({ error: 'Failed to get current plan' });
+    }
+  });
+
+  // Price an analysis before running it. Accepts the selection /api/analyze takes
+  // (selectedFileIds, selectedVersionIds, changes, code, filename, remappings) or
+  // files not uploaded yet as files: [{ name, content | size }]. Signed-in users get a
+  // quoteId that /api/analyze honours for the same input.
+  app.post('/api/plans/estimate-cost', async (req, res) => {
+    try {
+      const { files, code, filename, selectedFileIds, selectedVersionIds, changes, remappings } = req.body || {};
+
+      let userId = null;
+      const authHeader = req.headers['authorization'];
+      if (authHeader) {
+        try {
+          const jwtModule = await import('jsonwebtoken');
+          userId = jwtModule.default.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key').userId;
+        } catch (authError) {
+          return res.status(401).json({ success: false, error: 'Invalid authentication token' });
+        }
+      }
+
+      const fileIds = Array.isArray(selectedFileIds) ? selectedFileIds : [];
+      const versionIds = Array.isArray(selectedVersionIds) ? selectedVersionIds : [];
+      const hasSelection = fileIds.length > 0 || versionIds.length > 0 || isUuid(changes?.fileId);
+      if (hasSelection && !userId) {
+        return res.status(401).json({ success: false, error: 'Authentication required to price stored files' });
+      }
+
+      let estimate;
+      let importResolution = null;
+      if (isUuid(changes?.fileId)) {
+        const changeReview = await loadVersionChanges(userId, changes.fileId, {
+          fromVersion: Number(changes.fromVersion),
+          toVersion: Number(changes.toVersion)
+        });
+        if (!changeReview) {
+          return res.status(404).json({ success: false, error: 'File version not found' });
+        }
+        estimate = priceChangeReview(changeReview);
+      } else if (hasSelection) {
+        const { requestedFiles, flattened, missingIds, missingVersionIds } = await resolveSelectedFiles(userId, {
+          fileIds,
+          versionIds,
+          remappings
+        });
+        if (missingIds.length > 0 || missingVersionIds.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'File not found',
+            missingFileIds: missingIds,
+            missingVersionIds
+          });
+        }
+        estimate = priceFiles(flattened.files, { selectedIds: requestedFiles.map(file => file.id) });
+        importResolution = {
+          includedFiles: flattened.files.length - requestedFiles.length,
+          unresolved: flattened.unresolved
+        };
+      } else if (typeof code === 'string' && code.trim()) {
+        estimate = priceContent(code, filename);
+      } else if (Array.isArray(files) && files.length > 0) {
+        estimate = priceUploads(files);
+      } else {
+        return res.status(400).json({ success: false, error: 'Nothing to price. Provide files, code or a file selection' });
+      }
+
+      const quote = userId ? await createQuote(userId, estimate) : null;
+
+      res.json({
+        success: true,
+        ...toCostBreakdown(estimate),
+        importResolution,
+        quoteId: quote ? quote.quoteId : null,
+        quoteExpiresAt: quote ? quote.expiresAt : null
+      });
+    } catch (error) {
+      console.error('Estimate cost error:', error);
+      res.status(500).json({ success: false, error: 'Failed to estimate cost' });
+    }
+  });
+
+  console.log('✅ Basic plan routes enabled directly');
+
+  // Add plan routes (plan list, upgrade requests and their admin review)
+  app.use('/api', planRoutes);
+  console.log('✅ Plan routes enabled');
+
+  // Contract analysis endpoint with credit deduction
+  app.post('/api/analyze', async (req, res) => {
+    try {
+      console.log('🔄 /api/analyze endpoint hit');
+
+      // Test database connection first
+      try {
+        await pool.query('SELECT 1');
+        console.log('✅ Database connection verified');
+      } catch (connError) {
+        console.error('❌ Database connection failed:', connError.message);
+        return res.status(503).json({
+          success: false,
+          error: 'Database connection unavailable. Please try again in a moment.'
+        });
+      }
+
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        console.warn('❌ No authorization header');
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Authentication required' 
+        });
+      }
+
+      const accessToken = authHeader.split(' ')[1];
+      if (!accessToken) {
+        console.warn('❌ No token in authorization header');
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Authentication token missing' 
+        });
+      }
+
+      let decodedUser;
+      try {
+        const jwtLib = await import('jsonwebtoken');
+        decodedUser = jwtLib.default.verify(accessToken, process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key');
+      } catch (jwtError) {
+        console.warn('❌ JWT verification failed:', jwtError.message);
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Invalid authentication token' 
+        });
+      }
+
+      // Get user and plan info with error handling
+      let userResult;
+      try {
+        console.log('🔍 Fetching user data for ID:', decodedUser.userId);
+
+        // First check if user exists
+        const userCheck = await pool.query('SELECT id, credits_balance FROM users WHERE id = $1', [decodedUser.userId]);
+
+        if (!userCheck.rows.length) {
+          console.warn('❌ User not found in database:', decodedUser.userId);
+          return res.status(401).json({
+            success: false,
+            error: 'User not found. Please sign in again.'
+          });
+        }
+
+        console.log('✅ User found, fetching full plan data...');
+
+        userResult = await pool.query(`
+          SELECT u.*, 
+                 COALESCE(p.credits_per_month, 100) as credits_per_month,
+                 COALESCE(p.credits_per_scan_limit, 50) as credits_per_scan_limit,
+                 COALESCE(p.files_per_scan_limit, 5) as files_per_scan_limit,
+                 COALESCE(p.name, 'Free') as plan_name
+          FROM users u
+          LEFT JOIN plans p ON u.plan_id = p.id
+          WHERE u.id = $1
+        `, [decodedUser.userId]);
+      } catch (dbError) {
+        console.error('❌ Database error in analyze:', {
+          error: dbError.message,
+          code: dbError.code,
+          detail: dbError.detail,
+          stack: dbError.stack
+        });
+        return res.status(503).json({
+          success: false,
+          error: `Database error: ${dbError.message}. Please try again.`
+        });
+      }
+
+      if (!userResult.rows.length) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'User not found. Please sign in again.' 
+        });
+      }
+
+      const currentUser = userResult.rows[0];
+      console.log('✅ User found:', currentUser.id);
+
+      const { code, filename, message, selectedFileIds, selectedVersionIds, changes, conversationId, remappings, allowUnresolvedImports, quoteId } = req.body || {};
+
+      // Accept either 'code', 'message', or 'selectedFileIds'
+      let inputContent = code || message || '';
+      let analysisFilename = filename;
+
+      // Validate request body
+      if (!req.body) {
+        console.warn('❌ No request body');
+        return res.status(400).json({
+          success: false,
+          error: 'Request body is required'
+        });
+      }
+
+      // Retries of one analysis request send the same Idempotency-Key and get the
+      // session it created instead of a second charge. Keys are scoped to the user.
+      const idempotencyKey = req.get('Idempotency-Key');
+      if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Idempotency-Key must be 1-100 letters, digits or . _ : - characters'
+        });
+      }
+      const requestKey = idempotencyKey ? `${decodedUser.userId}:${idempotencyKey}` : crypto.randomUUID();
+
+      if (idempotencyKey) {
+        const existingHold = await getCreditHoldByRequestKey(requestKey);
+        if (existingHold) {
+          return respondToRepeatedAnalysis(res, existingHold, currentUser);
+        }
+      }
+
+      // Validate input (accept code/message OR selectedFileIds and/or selectedVersionIds)
+      const fileIds = Array.isArray(selectedFileIds) ? selectedFileIds : [];
+      const versionIds = Array.isArray(selectedVersionIds) ? selectedVersionIds : [];
+      const hasFileIds = fileIds.length > 0 || versionIds.length > 0;
+      const hasContent = inputContent && typeof inputContent === 'string' && inputContent.trim().length > 0;
+      const hasChanges = isUuid(changes?.fileId);
+
+      if (!hasContent && !hasFileIds && !hasChanges) {
+        console.warn('❌ Invalid input:', { 
+          codeLength: code?.length,
+          messageLength: message?.length,
+          inputLength: inputContent?.length,
+          inputType: typeof inputContent,
+          fileIds: selectedFileIds,
+          versionIds: selectedVersionIds,
+          hasFileIds,
+          hasContent
+        });
+        return res.status(400).json({
+          success: false,
+          error: 'Content or file selection is required.'
+        });
+      }
+
+      // Change review mode - analyze only the diff between two versions of a file,
+      // with surrounding context, at a cost based on the changed lines
+      let selectedFiles = [];
+      let requestedFileIds = null;
+      let importResolution = null;
+      let changeReview = null;
+      if (hasChanges) {
+        changeReview = await loadVersionChanges(decodedUser.userId, changes.fileId, {
+          fromVersion: Number(changes.fromVersion),
+          toVersion: Number(changes.toVersion)
+        });
+        if (!changeReview) {
+          return res.status(404).json({
+            success: false,
+            error: 'File version not found'
+          });
+        }
+        if (changeReview.hunks.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: `No changes between version ${changeReview.from.version_number} and version ${changeReview.to.version_number}`
+          });
+        }
+
+        selectedFiles = [changeReview.file];
+        analysisFilename = filePathOf(changeReview.file);
+        inputContent = [
+          `// Changes to ${analysisFilename} from version ${changeReview.from.version_number} to version ${changeReview.to.version_number}.`,
+          '// Only the changed regions are included, with surrounding context, as a unified diff.',
+          `// Review the changes for security issues and report line numbers of version ${changeReview.to.version_number}.`,
+          changeReview.diff
+        ].join('\n');
+      }
+
+      // File selection mode - analyze the user's stored contract files
+      if (hasFileIds && !hasChanges) {
+        const requestedFileCount = fileIds.length + versionIds.length;
+        if (requestedFileCount > currentUser.files_per_scan_limit) {
+          return res.status(403).json({
+            success: false,
+            error: `This scan includes ${requestedFileCount} files but your ${currentUser.plan_name} plan allows maximum ${currentUser.files_per_scan_limit} files per scan`,
+            planName: currentUser.plan_name,
+            creditError: true
+          });
+        }
+
+        // Resolve Solidity imports against the user's files and flatten them in
+        // dependency order; unresolved imports are reported before any credits are taken
+        const { requestedFiles: files, flattened, missingIds, missingVersionIds } = await resolveSelectedFiles(decodedUser.userId, {
+          fileIds,
+          versionIds,
+          remappings
+        });
+        if (missingIds.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: `File not found: ${missingIds.join(', ')}`,
+            missingFileIds: missingIds
+          });
+        }
+        if (missingVersionIds.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: `File version not found: ${missingVersionIds.join(', ')}`,
+            missingVersionIds
+          });
+        }
+        if (flattened.unresolved.length > 0 && !allowUnresolvedImports) {
+          console.warn(`❌ ${flattened.unresolved.length} unresolved imports`);
+          return res.status(422).json({
+            success: false,
+            error: `Unresolved imports: ${flattened.unresolved.map(entry => `${entry.import} (${entry.file}:${entry.line})`).join(', ')}`,
+            unresolvedImports: flattened.unresolved
+          });
+        }
+        if (flattened.cycles.length > 0) {
+          console.log('🔁 Import cycles:', flattened.cycles.map(cycle => cycle.join(' -> ')));
+        }
+
+        selectedFiles = flattened.files;
+        requestedFileIds = files.map(file => file.id);
+        importResolution = {
+          includedFiles: flattened.files.length - files.length,
+          unresolved: flattened.unresolved,
+          cycles: flattened.cycles
+        };
+        inputContent = flattened.code;
+        analysisFilename = selectedFiles.length > 1
+          ? `${selectedFiles.length}_contracts_combined`
+          : selectedFiles[0].original_name;
+
+        try {
+          validateContractCode(inputContent);
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+      }
+
+      console.log('✅ Content validated, length:', inputContent.length);
+
+      // Link the analysis to the conversation it was started from, if it is the user's
+      let analysisConversationId = null;
+      if (isUuid(conversationId)) {
+        const conversationResult = await pool.query(
+          'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
+          [conversationId, decodedUser.userId]
+        );
+        analysisConversationId = conversationResult.rows[0]?.id || null;
+      }
+
+      // Determine if this is contract analysis or just chat
+      // Contract analysis if files were selected or the 'code' field has substantial content
+      const isContractAnalysis = hasFileIds || hasChanges || (!!code && code.length > 50);
+      let estimate = null; // No cost for chat
+      if (changeReview) {
+        estimate = priceChangeReview(changeReview);
+      } else if (hasFileIds) {
+        estimate = priceFiles(selectedFiles, { selectedIds: requestedFileIds });
+      } else if (isContractAnalysis) {
+        estimate = priceContent(inputContent, analysisFilename);
+      }
+      let scanCost = estimate ? estimate.total : 0;
+
+      // A quote from /api/plans/estimate-cost fixes the price of this exact input
+      if (estimate && quoteId) {
+        const quote = isUuid(quoteId)
+          ? await resolveQuote(quoteId, decodedUser.userId, estimate)
+          : { error: 'not_found' };
+
+        if (quote.error) {
+          console.warn('❌ Quote not honoured:', quoteId, quote.error);
+          return res.status(409).json({
+            success: false,
+            error: quote.error === 'mismatch'
+              ? 'The files changed since this price was quoted. Please review the new price.'
+              : quote.error === 'expired'
+                ? 'This price quote has expired. Please review the current price.'
+                : 'Price quote not found. Please review the current price.',
+            quoteError: quote.error,
+            ...toCostBreakdown(estimate)
+          });
+        }
+
+        scanCost = quote.total;
+      }
+
+      console.log('💳 Content type determination:', {
+        isContractAnalysis,
+        hasCodeField: !!code,
+        contentLength: inputContent.length,
+        scanCost,
+        userBalance: currentUser.credits_balance,
+        scanLimit: currentUser.credits_per_scan_limit
+      });
+
+      // Only check credits for contract analysis, not for chat
+      if (isContractAnalysis) {
+        // Check plan limits
+        if (scanCost > currentUser.credits_per_scan_limit) {
+          console.warn('❌ Scan cost exceeds limit:', scanCost, 'vs', currentUser.credits_per_scan_limit);
+          return res.status(403).json({
+            success: false,
+            error: `This scan requires ${scanCost} credits but your ${currentUser.plan_name} plan allows maximum ${currentUser.credits_per_scan_limit} credits per scan`,
+            scanCost,
+            availableCredits: currentUser.credits_balance,
+            planName: currentUser.plan_name,
+            creditError: true
+          });
+        }
+
+        if (currentUser.credits_balance < scanCost) {
+          console.warn('❌ Insufficient credits:', currentUser.credits_balance, 'needed:', scanCost);
+          return res.status(402).json({
+            success: false,
+            error: `Insufficient credits. You need ${scanCost} credits but only have ${currentUser.credits_balance}`,
+            scanCost,
+            availableCredits: currentUser.credits_balance,
+            planName: currentUser.plan_name,
+            creditError: true
+          });
+        }
+      } else {
+        console.log('💬 Chat message - no credit check required');
+      }
+
+      // Only reserve credits for contract analysis, not for chat. The hold is
+      // captured when the stream completes and released if it never does.
+      let creditHold = null;
+      if (isContractAnalysis) {
+        console.log('💳 Attempting credit hold:', {
+          userId: decodedUser.userId,
+          scanCost,
+          currentBalance: currentUser.credits_balance
+        });
+
+        try {
+          creditHold = await placeCreditHold(pool, {
+            userId: decodedUser.userId,
+            amount: scanCost,
+            requestKey,
+            description: changeReview ? 'Change analysis' : 'Contract analysis',
+            metadata: { filename: analysisFilename || null, files: selectedFiles.length, scope: changeReview ? 'changes' : 'full', quoteId: quoteId || null }
+          });
+        } catch (deductError) {
+          console.error('❌ Credit hold database error:', {
+            message: deductError.message,
+            code: deductError.code,
+            detail: deductError.detail,
+            parameters: [scanCost, decodedUser.userId]
+          });
+
+          return res.status(503).json({
+            success: false,
+            error: `Credit reservation failed: ${deductError.message}. Please contact support.`
+          });
+        }
+
+        if (!creditHold) {
+          console.warn('❌ Credit hold failed - insufficient balance:', {
+            userId: decodedUser.userId,
+            scanCost,
+            currentBalance: currentUser.credits_balance
+          });
+
+          return res.status(402).json({
+            success: false,
+            error: `Insufficient credits or concurrent modification. You need ${scanCost} credits but may have ${currentUser.credits_balance}. Please refresh and try again.`,
+            scanCost,
+            availableCredits: currentUser.credits_balance,
+            creditError: true
+          });
+        }
+
+        // A concurrent retry placed the hold first
+        if (creditHold.duplicate) {
+          return respondToRepeatedAnalysis(res, creditHold.hold, currentUser);
+        }
+
+        console.log('✅ Credits held until the analysis completes. New balance:', creditHold.balance);
+      } else {
+        console.log('💬 Chat message - skipping credit hold');
+      }
+
+      // Validate analysis provider configuration
+      if (!analysisProvider.isConfigured()) {
+        console.error(`❌ Analysis provider "${analysisProvider.name}" not configured`);
+        // Release the hold since we can't process the analysis
+        if (creditHold) {
+          await releaseCreditHold(pool, creditHold.hold.id, {
+            reason: 'provider_not_configured',
+            description: 'Released: analysis service not configured'
+          });
+        }
+
+        return res.status(503).json({
+          success: false,
+          error: 'Analysis service not configured. Credits have been refunded.',
+          refunded: true
+        });
+      }
+
+      // Local static-analysis pre-pass; its findings are stored with the session
+      // and passed to the provider as context
+      let staticAnalysis = { findings: [], errors: [], inventory: [], analyzedFiles: 0 };
+      if (isContractAnalysis) {
+        const staticSources = selectedFiles.length > 0
+          ? selectedFiles.map(file => ({ name: filePathOf(file), content: file.file_content }))
+          : [{ name: analysisFilename || 'contract.sol', content: inputContent }];
+        staticAnalysis = runStaticAnalysis(staticSources);
+        // Findings silenced by secweb3-disable annotations are kept but not sent to the provider
+        staticAnalysis.findings = applySuppressions(
+          staticAnalysis.findings,
+          new Map(staticSources.map(source => [source.name.toLowerCase(), source.content]))
+        );
+        // Change reviews run the detectors on the whole new version but keep only
+        // findings inside the changed regions
+        if (changeReview) {
+          staticAnalysis.findings = staticAnalysis.findings.filter(finding => isLineInHunks(finding.lineStart, changeReview.hunks));
+        }
+        console.log(`🔎 Static analysis: ${staticAnalysis.findings.length} findings (${staticAnalysis.findings.filter(finding => finding.suppressed).length} suppressed) in ${staticAnalysis.analyzedFiles} files`);
+      }
+
+      // Now ask the analysis provider to create a session
+      console.log(`🔄 Creating ${analysisProvider.name} analysis session...`);
+
+      try {
+        const providerSession = await analysisProvider.createSession({ source: 'website' });
+
+        // Persist session info for streaming endpoint
+        const sessionKey = providerSession.key;
+        const analysisSession = await createAnalysisSession({
+          sessionKey,
+          userId: decodedUser.userId,
+          conversationId: analysisConversationId,
+          code: inputContent, // Store the actual content (code or message)
+          filename: analysisFilename,
+          language: detectContractLanguage(inputContent, analysisFilename),
+          lineCount: inputContent.split('\n').length,
+          provider: analysisProvider.name,
+          providerSessionId: providerSession.id,
+          providerSessionKey: providerSession.key, // Provider session key used when streaming
+          scanCost,
+          creditsDeducted: isContractAnalysis ? scanCost : 0,
+          isContractAnalysis, // Store whether this is analysis or chat
+          contractFileIds: selectedFiles.map(file => file.id),
+          contractFileVersionIds: selectedFiles.map(file => file.version_id).filter(Boolean),
+          staticFindings: staticAnalysis.findings,
+          scope: changeReview ? 'changes' : 'full'
+        });
+
+        console.log('✅ Session stored for streaming:', sessionKey);
+
+        // The hold was placed before the session existed
+        if (creditHold) {
+          await attachHoldToSession(creditHold.hold.id, analysisSession.id);
+        }
+
+        // Update scan count of selected files
+        await markFilesScanned(selectedFiles.map(file => file.id));
+
+        // Success - return session key and updated credit info
+        return res.json({
+          success: true,
+          sessionKey: sessionKey,
+          creditInfo: {
+            creditsDeducted: scanCost,
+            creditsRemaining: creditHold ? creditHold.balance : currentUser.credits_balance,
+            transactionId: creditHold ? creditHold.transaction.id : null,
+            holdId: creditHold ? creditHold.hold.id : null,
+            holdExpiresAt: creditHold ? creditHold.hold.expiresAt : null,
+            quoteId: quoteId || null,
+            costBreakdown: estimate ? toCostBreakdown(estimate) : null
+          },
+          metadata: {
+            analysisId: analysisSession.id,
+            language: detectContractLanguage(inputContent, analysisFilename),
+            filename: analysisFilename || null,
+            filesAnalyzed: selectedFiles.length,
+            importResolution,
+            changes: changeReview ? {
+              fileId: changeReview.file.id,
+              fromVersion: changeReview.from.version_number,
+              toVersion: changeReview.to.version_number,
+              ...changeReview.summary
+            } : null,
+            staticAnalysis: {
+              findings: staticAnalysis.findings.length,
+              suppressed: staticAnalysis.findings.filter(finding => finding.suppressed).length,
+              parseErrors: staticAnalysis.errors.length,
+              modules: staticAnalysis.inventory
+            },
+            scanCost,
+            isContractAnalysis,
+            timestamp: new Date().toISOString(),
+            provider: analysisProvider.name,
+            shipableSessionId: providerSession.id
+          }
+        });
+
+      } catch (apiError) {
+        // Release the hold on API error
+        try {
+          if (creditHold) {
+            console.log('🔄 Attempting to release credit hold due to API error...');
+            const release = await releaseCreditHold(pool, creditHold.hold.id, {
+              reason: 'provider_error',
+              description: 'Released: analysis service error'
+            });
+            if (release) {
+              console.log('✅ Credit hold released successfully. New balance:', release.balance);
+            }
+          }
+        } catch (refundError) {
+          console.error('❌ Failed to refund credits:', refundError);
+          // Continue with the error response but mention refund issue
+        }
+
+        console.error(`❌ ${analysisProvider.name} provider error:`, apiError);
+
+        const invalidResponse = apiError instanceof AnalysisProviderError && apiError.code === 'INVALID_RESPONSE';
+        return res.status(503).json({
+          success: false,
+          error: invalidResponse
+            ? 'Invalid response from analysis service. Credits have been refunded.'
+            : 'Analysis service temporarily unavailable. Credits have been refunded.',
+          refunded: true,
+          originalError: apiError.message
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Analyze endpoint error:', error);
+      console.error('Error stack:', error.stack);
+
+      // Return more specific error information for debugging
+      return res.status(500).json({
+        success: false,
+        error: process.env.NODE_ENV === 'development' 
+          ? `Server error: ${error.message}` 
+          : 'Internal server error. Please try again.'
+      });
+    }
+  });
+
+  // Add a simple test endpoint to verify server is working
+  app.get('/api/test', async (req, res) => {
+    let dbStatus = 'unknown';
+    try {
+      await pool.query('SELECT 1');
+      dbStatus = 'connected';
+    } catch (dbError) {
+      dbStatus = `error: ${dbError.message}`;
+    }
+
+    res.json({
+      success: true,
+      message: 'Server is running',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV,
+      database: dbStatus,
+      shipableConfigured: !!JWT_TOKEN,
+      analysisProvider: analysisProvider.name,
+      analysisProviderConfigured: analysisProvider.isConfigured(),
+      useMockAnalysis: analysisProvider.name === 'mock'
+    });
+  });
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: '2.0.0',
+      features: {
+        web3Auth: !!process.env.JWT_SECRET,
+        database: !!process.env.DATABASE_URL,
+        shipableIntegration: !!process.env.SHIPABLE_JWT_TOKEN
+      },
+      environment: {
+        nodeVersion: process.version,
+        platform: process.platform,
+        NODE_ENV: process.env.NODE_ENV
+      }
+    });
+  });
+
+  // Debug endpoint to test JWT authentication
+  app.get('/api/debug/auth', async (req, res) => {
+    try {
+      console.log('🔍 Debug auth endpoint hit');
+      console.log('Headers:', req.headers);
+
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.json({ status: 'no_auth_header' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      if (!token) {
+        return res.json({ status: 'no_token' });
+      }
+
+      // Try to import and use the auth middleware
+      const authModule = await import('./auth/web3Auth.js');
+      console.log('✅ Auth module loaded successfully');
+
+      // Verify the token manually
+      const jwt = await import('jsonwebtoken');
+      const decoded = jwt.default.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      console.log('✅ Token decoded:', decoded);
+
+      res.json({ 
+        status: 'success',
+        decoded,
+        jwtSecret: process.env.JWT_SECRET ? 'present' : 'missing'
+      });
+    } catch (error) {
+      console.error('❌ Debug auth failed:', error);
+      res.json({ 
+        status: 'error', 
+        error: error.message,
+        stack: error.stack 
+      });
+    }
+  });
+
+  // Check session status and verify credits were properly deducted
+  app.get('/api/analyze/session/:sessionKey/status', async (req, res) => {
+    try {
+      const { sessionKey } = req.params;
+      const sessionData = await getAnalysisSession(sessionKey);
+
+      if (!sessionData) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      // Get current user credit balance if authenticated
+      let currentBalance = null;
+      const authHeader = req.headers['authorization'];
+      if (authHeader && sessionData.userId) {
+        try {
+          const token = authHeader.split(' ')[1];
+          if (token) {
+            const jwt = await import('jsonwebtoken');
+            const decoded = jwt.default.verify(token, process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key');
+
+            if (decoded.userId === sessionData.userId) {
+              const userResult = await pool.query('SELECT credits_balance FROM users WHERE id = $1', [sessionData.userId]);
+              if (userResult.rows.length > 0) {
+                currentBalance = userResult.rows[0].credits_balance;
+              }
+            }
+          }
+        } catch (authError) {
+          console.warn('Auth verification failed in session status:', authError.message);
+        }
+      }
+
+      const creditHold = await getSessionHold(sessionData.id);
+
+      res.json({
+        success: true,
+        session: {
+          sessionKey,
+          analysisId: sessionData.id,
+          language: sessionData.language,
+          filename: sessionData.filename,
+          scanCost: sessionData.scanCost,
+          creditsDeducted: sessionData.creditsDeducted,
+          status: sessionData.status,
+          completed: sessionData.completed,
+          refunded: sessionData.refunded,
+          error: sessionData.errorMessage || null,
+          createdAt: sessionData.createdAt,
+          completedAt: sessionData.completedAt || null,
+          refundedAt: sessionData.refundedAt || null,
+          expiresAt: sessionData.expiresAt || null,
+          creditHold: creditHold ? {
+            status: creditHold.status,
+            amount: creditHold.amount,
+            expiresAt: creditHold.expiresAt,
+            releaseReason: creditHold.releaseReason,
+            settledAt: creditHold.settledAt
+          } : null
+        },
+        currentBalance
+      });
+
+    } catch (error) {
+      console.error('Session status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get session status'
+      });
+    }
+  });
+
+  // Test analysis provider connectivity
+  app.get('/api/test-shipable', async (req, res) => {
+    try {
+      console.log(`🧪 Testing ${analysisProvider.name} provider connectivity...`);
+
+      if (!analysisProvider.isConfigured()) {
+        return res.json({
+          success: false,
+          error: `${analysisProvider.name} analysis provider not configured`,
+          provider: analysisProvider.name,
+          configured: false
+        });
+      }
+
+      const session = await analysisProvider.createSession({ source: 'test', timeoutMs: 10000 }); // 10 second timeout
+      return res.json({
+        success: true,
+        message: `${analysisProvider.name} analysis provider is accessible`,
+        sessionCreated: !!session.key,
+        provider: analysisProvider.name,
+        configured: true
+      });
+    } catch (error) {
+      console.error('🧪 Analysis provider test failed:', error);
+      return res.json({
+        success: false,
+        error: error.message,
+        details: error.details || undefined,
+        provider: analysisProvider.name,
+        configured: analysisProvider.isConfigured()
+      });
+    }
+  });
+
+  // Test analysis provider session creation endpoint
+  app.post('/api/test-session', async (req, res) => {
+    try {
+      console.log(`🧪 Testing ${analysisProvider.name} session creation...`);
+
+      const sessionData = await analysisProvider.createSession({ source: 'website' });
+      console.log('🧪 Test session successful:', sessionData);
+
+      res.json({
+        success: true,
+        sessionData,
+        provider: analysisProvider.name,
+        message: 'Analysis session creation test successful'
+      });
+
+    } catch (error) {
+      console.error('🧪 Test session error:', error);
+      res.status(error instanceof AnalysisProviderError ? 502 : 500).json({
+        success: false,
+        error: error.message,
+        details: {
+          provider: analysisProvider.name,
+          status: error.status || null,
+          body: error.details || null
+        },
+        message: 'Failed to test analysis session creation'
+      });
+    }
+  });
+
+  // Handle preflight requests for streaming endpoint
+  app.options('/api/analyze/stream/:sessionKey', (req, res) => {
+    res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Cache-Control');
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.sendStatus(200);
+  });
+
+  // Stream analysis results
+  app.post('/api/analyze/stream/:sessionKey', async (req, res) => {
+    const startTime = Date.now();
+    console.log('🎯 Stream endpoint hit:', {
+      sessionKey: req.params.sessionKey,
+      hasMessage: !!req.body?.message,
+      hasCode: !!req.body?.code,
+      timestamp: new Date().toISOString()
+    });
+
+    let cleanup = () => {};
+
+    try {
+      const { sessionKey } = req.params;
+      const { message, code } = req.body;
+
+      if (!sessionKey) {
+        console.warn('❌ No session key provided');
+        return res.status(400).json({
+          success: false,
+          error: 'Session key is required'
+        });
+      }
+
+      // Validate authentication for streaming
+      const streamAuthHeader = req.headers['authorization'];
+      if (streamAuthHeader) {
+        try {
+          const streamToken = streamAuthHeader.split(' ')[1];
+          if (streamToken) {
+            const streamJwt = await import('jsonwebtoken');
+            const streamDecoded = streamJwt.default.verify(streamToken, process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key');
+            console.log('✅ Streaming request authenticated for user:', streamDecoded.userId);
+          }
+        } catch (authError) {
+          console.warn('⚠️ Streaming authentication failed:', authError.message);
+          // Continue anyway since session validation is primary check
+        }
+      }
+
+      const existingSession = await getAnalysisSession(sessionKey);
+
+      if (!existingSession || existingSession.status === SESSION_STATUS.EXPIRED) {
+        console.error('❌ Session not found:', sessionKey);
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found or expired. Please start a new analysis.'
+        });
+      }
+
+      // Validate analysis provider configuration
+      if (!analysisProvider.isConfigured()) {
+        console.error(`❌ Analysis provider "${analysisProvider.name}" not configured for streaming`);
+        return res.status(503).json({
+          success: false,
+          error: 'Analysis service not properly configured'
+        });
+      }
+
+      // Claim the session so it is streamed exactly once, even across instances
+      const sessionData = await claimSessionForStreaming(sessionKey);
+
+      if (!sessionData) {
+        console.warn('⚠️ Session cannot be streamed:', sessionKey, existingSession.status);
+        return res.status(409).json({
+          success: false,
+          error: existingSession.status === SESSION_STATUS.PENDING
+            ? 'Session expired. Please start a new analysis.'
+            : `Session is already ${existingSession.status}. Please start a new analysis.`,
+          status: existingSession.status
+        });
+      }
+
+      console.log('✅ Starting analysis stream for session:', sessionKey);
+      console.log('📊 Session details:', {
+        language: sessionData.language,
+        scanCost: sessionData.scanCost,
+        creditsDeducted: sessionData.creditsDeducted,
+        provider: analysisProvider.name
+      });
+
+      // Set up SSE headers and send immediate response to prevent 502
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': process.env.FRONTEND_URL || 'http://localhost:5173',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Cache-Control',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Credentials': 'true'
+      });
+
+      // Send immediate acknowledgment to prevent 502 timeout
+      res.write(`data: ${JSON.stringify({ body: '🚀 **Starting Analysis**\n\nInitializing...' })}\n\n`);
+
+      // Add keep-alive mechanism
+      const keepAlive = setInterval(() => {
+        if (!res.destroyed) {
+          res.write(': keepalive\n\n');
+        }
+      }, 10000); // Send keep-alive every 10 seconds
+
+      // Cleanup function
+      cleanup = () => {
+        clearInterval(keepAlive);
+        if (!res.destroyed) {
+          try {
+            res.end();
+          } catch (e) {
+            console.warn('Error ending response:', e.message);
+          }
+        }
+      };
+
+      // Handle client disconnect
+      req.on('close', () => {
+        console.log('🔌 Client disconnected from stream');
+        cleanup();
+      });
+
+      // The response closing before it was ended means the client went away mid-stream
+      let clientDisconnected = false;
+      res.on('close', () => {
+        if (!res.writableFinished) clientDisconnected = true;
+      });
+
+      // Contract analyses run on the content that was priced and charged; chat
+      // sessions are free and may send their message and code with the request
+      const analysisCode = sessionData.isContractAnalysis ? sessionData.code : code || sessionData.code;
+
+      // Contract analyses include the static pre-pass results as context
+      const analysisContent = sessionData.isContractAnalysis && analysisCode
+        ? `${analysisCode}${formatStaticFindingsForPrompt(sessionData.staticFindings)}`
+        : analysisCode || message;
+
+      // Stream against the provider's own session key, falling back to the local key
+      const providerSessionKey = sessionData.shipableSessionKey || sessionData.shipableSessionId || sessionKey;
+
+      console.log(`🔄 Calling ${analysisProvider.name} streaming endpoint...`);
+      console.log('🔑 Using provider session key:', providerSessionKey);
+
+      const streamStartTime = Date.now();
+      let chunkCount = 0;
+      let totalBytes = 0;
+      let fullContent = '';
+
+      for await (const text of analysisProvider.streamAnalysis({
+        sessionKey: providerSessionKey,
+        content: analysisContent
+      })) {
+        if (res.destroyed || clientDisconnected) {
+          break;
+        }
+
+        chunkCount++;
+        totalBytes += text.length;
+        fullContent += text;
+
+        if (chunkCount % 10 === 0) {
+          console.log(`📊 Streaming progress: ${chunkCount} chunks, ${totalBytes} bytes`);
+        }
+
+        // Forward the data in the format expected by frontend
+        res.write(`data: ${JSON.stringify({ body: text })}\n\n`);
+      }
+
+      // A client that left before the report finished is not charged for it
+      if (clientDisconnected) {
+        throw new Error('Client disconnected before the analysis completed');
+      }
+
+      console.log('✅ Streaming completed:', {
+        duration: `${Date.now() - streamStartTime}ms`,
+        chunks: chunkCount,
+        totalBytes: `${totalBytes} bytes`
+      });
+
+      // Mark the session completed, storing the full report, and charge the credits
+      // held for it in one transaction: a session that timed out or lost its hold
+      // fails instead of completing uncharged
+      const completeClient = await pool.connect();
+      let completedSession;
+      try {
+        await completeClient.query('BEGIN');
+
+        completedSession = await markSessionCompleted(sessionKey, fullContent, completeClient);
+        if (!completedSession) {
+          throw new Error('Analysis session is no longer streaming (it may have timed out)');
+        }
+
+        const capturedHold = await captureSessionHold(completeClient, completedSession.id);
+        if (capturedHold) {
+          console.log(`💳 Captured ${capturedHold.amount} held credits for session:`, sessionKey);
+        }
+
+        await completeClient.query('COMMIT');
+      } catch (completeError) {
+        await completeClient.query('ROLLBACK');
+        throw completeError;
+      } finally {
+        completeClient.release();
+      }
+      console.log('✅ Session completed successfully:', sessionKey);
+
+      // Extract structured findings before signalling completion so clients can fetch them
+      if (completedSession.isContractAnalysis) {
+        try {
+          const { files } = completedSession.contractFileVersionIds.length > 0
+            ? await loadContractFileVersions(completedSession.userId, completedSession.contractFileVersionIds)
+            : await loadContractFiles(completedSession.userId, completedSession.contractFileIds);
+          const findings = await storeFindingsForSession({ ...completedSession, code: analysisCode }, fullContent, files);
+          console.log(`🧾 Stored ${findings.length} findings for session:`, sessionKey);
+        } catch (findingsError) {
+          console.error('❌ Failed to store findings:', findingsError.message);
+        }
+      }
+
+      // Send completion signal
+      if (!res.destroyed) {
+        res.write('data: [DONE]\n\n');
+        cleanup();
+      }
+
+    } catch (error) {
+      const { sessionKey } = req.params;
+      const totalDuration = Date.now() - startTime;
+      console.error('❌ Streaming endpoint error:', {
+        sessionKey,
+        error: error.message,
+        status: error.status,
+        stack: error.stack,
+        duration: `${totalDuration}ms`,
+        provider: analysisProvider.name,
+        timestamp: new Date().toISOString()
+      });
+
+      // Mark the session failed and refund credits if it was never completed
+      let failedSession = null;
+      let refunded = false;
+      try {
+        failedSession = await markSessionFailed(sessionKey, error.message);
+      } catch (sessionError) {
+        console.error('❌ Failed to mark session as failed:', sessionError.message);
+      }
+
+      if (failedSession && failedSession.userId && failedSession.creditsDeducted > 0) {
+        console.log('🔄 Attempting to refund credits due to streaming failure...');
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          // Only refund once, even if several requests fail for the same session
+          const refundableSession = await markSessionRefunded(sessionKey, client);
+
+          if (refundableSession) {
+            const refund = await refundAnalysisSession(client, refundableSession, {
+              reason: 'stream_failed',
+              description: 'Released: analysis streaming failed'
+            });
+
+            refunded = true;
+            if (refund) {
+              console.log('✅ Credits refunded for streaming failure. New balance:', refund.balance);
+            }
+          }
+
+          await client.query('COMMIT');
+        } catch (refundError) {
+          await client.query('ROLLBACK');
+          refunded = false;
+          console.error('❌ Failed to refund credits for streaming failure:', refundError);
+        } finally {
+          client.release();
+        }
+      }
+
+      if (!res.headersSent) {
+        // Headers not sent yet, we can send JSON error
+        res.status(502).json({
+          success: false,
+          error: refunded
+            ? 'Analysis streaming failed. Credits have been refunded.'
+            : 'Analysis streaming failed.',
+          details: error.message,
+          refunded
+        });
+      } else if (!res.destroyed) {
+        // Headers already sent, send SSE error message
+        res.write(`data: ${JSON.stringify({ 
+          body: `❌ **Analysis Failed**\n\n${error.message}\n\n${refunded ? 'Credits have been refunded. ' : ''}Please try again.`
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        cleanup();
+      }
+    }
+  });
+
+  // Get session messages from the analysis provider
+  app.get('/api/sessions/:sessionKey', async (req, res) => {
+    try {
+      const { sessionKey } = req.params;
+      const sessionInfo = await getAnalysisSession(sessionKey);
+
+      if (!sessionInfo) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      console.log(`Fetching session messages from ${analysisProvider.name} for:`, sessionKey);
+
+      const messages = await analysisProvider.getSessionMessages(sessionInfo.shipableSessionKey || sessionKey);
+
+      res.json({
+        success: true,
+        session: {
+          sessionKey,
+          messages,
+          metadata: {
+            language: sessionInfo.language,
+            filename: sessionInfo.filename,
+            lineCount: sessionInfo.lineCount,
+            createdAt: sessionInfo.createdAt,
+            status: sessionInfo.status,
+            provider: sessionInfo.provider,
+            shipableSessionId: sessionInfo.shipableSessionId
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Session error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get session info'
+      });
+    }
+  });
+
+  // File upload endpoint
+  app.post('/api/upload', upload.single('contract'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded'
+        });
+      }
+
+      const code = req.file.buffer.toString('utf8');
+      const filename = req.file.originalname;
+
+      // Validate the uploaded code
+      validateContractCode(code);
+      const detection = detectLanguage(code, filename);
+
+      res.json({
+        success: true,
+        code,
+        filename,
+        size: req.file.size,
+        language: detection.language,
+        languageConfidence: detection.confidence,
+        languageVersion: detection.version
+      });
+
+    } catch (error) {
+      console.error('Upload error:', error);
+
+      res.status(400).json({
+        success: false,
+        error: error.message || 'File upload failed'
+      });
+    }
+  });
+
+  // Supported languages endpoint
+  app.get('/api/languages', (req, res) => {
+    res.json({
+      supported: [
+        {
+          name: 'Solidity',
+          extension: '.sol',
+          description: 'Ethereum and EVM-compatible smart contracts'
+        },
+        {
+          name: 'Vyper',
+          extension: '.vy',
+          description: 'Python-like smart contract language'
+        },
+        {
+          name: 'Move',
+          extension: '.move',
+          description: 'Aptos and Sui blockchain language'
+        },
+        {
+          name: 'Cairo',
+          extension: '.cairo',
+          description: 'StarkNet smart contract language'
+        }
+      ]
+    });
+  });
+
+  // Multi-file upload endpoint
+  app.post('/api/files/upload', upload.array('contracts', 10), async (req, res) => {
+    try {
+      console.log('📤 POST /api/files/upload - Request received');
+
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        console.log('❌ No authorization header');
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      if (!token) {
+        console.log('❌ No token in authorization header');
+        return res.status(401).json({ success: false, error: 'Invalid token format' });
+      }
+
+      let decodedUser;
+      try {
+        // Try multiple JWT secrets for compatibility
+        const possibleSecrets = [
+          JWT_TOKEN,
+          process.env.JWT_SECRET,
+          process.env.SHIPABLE_JWT_TOKEN,
+          process.env.VITE_SHIPABLE_JWT_TOKEN,
+          'your-secret-key'
+        ].filter(Boolean);
+
+        let verified = false;
+        for (const secret of possibleSecrets) {
+          try {
+            decodedUser = jwt.verify(token, secret);
+            console.log('✅ JWT verified successfully with secret');
+            verified = true;
+            break;
+          } catch (secretError) {
+            console.log(`❌ JWT verification failed with secret: ${secretError.message}`);
+            continue;
+          }
+        }
+
+        if (!verified) {
+          console.log('❌ All JWT verification attempts failed');
+          return res.status(401).json({ success: false, error: 'Invalid token' });
+        }
+      } catch (jwtError) {
+        console.error('❌ JWT verification error:', jwtError.message);
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        console.log('❌ No files in request');
+        return res.status(400).json({
+          success: false,
+          error: 'No files uploaded'
+        });
+      }
+
+      console.log(`📁 Processing ${req.files.length} files for user ${decodedUser.userId}`);
+
+      // Optional project the files are uploaded into
+      const { projectId } = req.body || {};
+      if (projectId && !(await getProjectForUser(projectId, decodedUser.userId))) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      // Folder paths of the files (e.g. from a folder upload), in the same order as the files
+      const uploadPaths = [].concat(req.body?.paths ?? []);
+
+      const uploadedFiles = [];
+      const errors = [];
+
+      for (const [index, file] of req.files.entries()) {
+        try {
+          console.log(`📄 Processing file: ${file.originalname} (${file.size} bytes)`);
+          const code = file.buffer.toString('utf8');
+          const filename = file.originalname;
+          const filePath = normalizeUploadPath(uploadPaths[index]);
+
+          // Validate the contract code
+          console.log(`✅ Validating contract code for ${filename}`);
+          validateContractCode(code);
+
+          console.log(`💾 Storing ${filename}...`);
+          const stored = await storeContractFile(decodedUser.userId, { filename, filePath, projectId: projectId || null, code });
+
+          if (stored.duplicate) {
+            console.log(`⚠️ Unchanged file detected: ${filename}`);
+            errors.push(`File ${filePath || filename} is unchanged (same content as its current version)`);
+            continue;
+          }
+
+          console.log(stored.updated
+            ? `✅ Stored version ${stored.version.version_number} of file ID ${stored.file.id}`
+            : `✅ File inserted successfully: ID ${stored.file.id}`);
+          uploadedFiles.push({ ...stored.file, updated: stored.updated });
+        } catch (fileError) {
+          console.error(`❌ Error processing file ${file.originalname}:`, fileError.message);
+          errors.push(`${file.originalname}: ${fileError.message}`);
+        }
+      }
+
+      if (projectId && uploadedFiles.length > 0) {
+        await touchProject(projectId);
+      }
+
+      const updatedCount = uploadedFiles.filter(file => file.updated).length;
+      console.log(`📤 Upload complete: ${uploadedFiles.length} successful (${updatedCount} new versions), ${errors.length} errors`);
+
+      res.json({
+        success: true,
+        uploadedFiles,
+        errors,
+        message: `${uploadedFiles.length} files uploaded successfully${updatedCount > 0 ? ` (${updatedCount} as new versions of existing files)` : ''}`
+      });
+
+    } catch (error) {
+      console.error('Multi-file upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'File upload failed'
+      });
+    }
+  });
+
+  // Stores the entries selected from an archive or git revision into a project.
+  // Returns { uploadedFiles, results, summary } with a result per non-ignored entry.
+  const importSourceEntries = async (userId, project, entries, { commitHash = null } = {}) => {
+    const results = [];
+    const uploadedFiles = [];
+    let ignored = 0;
+
+    for (const entry of entries) {
+      // Non-source files (README, configs, ...) are only counted
+      if (entry.status === 'ignored') {
+        ignored++;
+        continue;
+      }
+
+      if (entry.status !== 'accepted') {
+        results.push({ path: entry.path, status: entry.status, reason: entry.reason });
+        continue;
+      }
+
+      try {
+        validateContractCode(entry.content);
+
+        const stored = await storeContractFile(userId, {
+          filename: path.posix.basename(entry.path),
+          filePath: normalizeUploadPath(entry.path),
+          projectId: project.id,
+          commitHash,
+          code: entry.content,
+          source: 'import'
+        });
+
+        if (stored.duplicate) {
+          results.push({ path: entry.path, status: 'duplicate', reason: 'Unchanged from the current version in this project', fileId: stored.existingId });
+          continue;
+        }
+
+        uploadedFiles.push({ ...stored.file, updated: stored.updated });
+        results.push({
+          path: entry.path,
+          status: stored.updated ? 'updated' : 'accepted',
+          reason: stored.updated ? `Stored as version ${stored.version.version_number}` : undefined,
+          fileId: stored.file.id,
+          language: stored.file.language
+        });
+      } catch (fileError) {
+        results.push({ path: entry.path, status: 'rejected', reason: fileError.message });
+      }
+    }
+
+    if (uploadedFiles.length > 0) {
+      await touchProject(project.id);
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { accepted: 0, updated: 0, duplicate: 0, skipped: 0, rejected: 0, ignored });
+
+    return { uploadedFiles, results, summary };
+  };
+
+  // Archive upload endpoint: extracts the supported sources of a .zip or .tar.gz
+  // repository into a project, keeping their paths relative to the repository root
+  app.post('/api/files/upload-archive', archiveUpload.single('archive'), async (req, res) => {
+    try {
+      console.log('📦 POST /api/files/upload-archive - Request received');
+
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+      if (!token) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      let decodedUser;
+      try {
+        decodedUser = jwt.verify(token, JWT_TOKEN);
+      } catch (jwtError) {
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No archive uploaded' });
+      }
+
+      const { projectId, projectName } = req.body || {};
+      const skipDependencies = req.body?.skipDependencies !== 'false';
+      const skipTests = req.body?.skipTests === 'true';
+
+      const entries = selectArchiveSources(readArchive(req.file.buffer, req.file.originalname), { skipDependencies, skipTests });
+      if (!entries.some(entry => entry.status === 'accepted')) {
+        return res.status(400).json({
+          success: false,
+          error: `No supported contract sources found in ${req.file.originalname}`,
+          results: entries.filter(entry => entry.status !== 'ignored')
+            .map(({ path: entryPath, status, reason }) => ({ path: entryPath, status, reason }))
+        });
+      }
+
+      // Files go into the given project, or a new one named after the archive
+      let project;
+      if (projectId) {
+        project = await getProjectForUser(projectId, decodedUser.userId);
+        if (!project) {
+          return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+      } else {
+        const archiveName = req.file.originalname.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '');
+        project = await createProjectForUser(decodedUser.userId, { name: (projectName || '').trim() || archiveName });
+      }
+
+      console.log(`📁 Extracting ${entries.length} entries from ${req.file.originalname} into project ${project.id}`);
+
+      const { uploadedFiles, results, summary } = await importSourceEntries(decodedUser.userId, project, entries);
+
+      console.log('📦 Archive import complete:', summary);
+
+      res.json({
+        success: true,
+        project,
+        uploadedFiles,
+        results,
+        summary,
+        message: `${summary.accepted} files imported and ${summary.updated} updated from ${req.file.originalname}`
+      });
+
+    } catch (error) {
+      console.error('Archive upload error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Archive upload failed'
+      });
+    }
+  });
+
+  // Git import endpoint: imports the supported sources of one commit from an uploaded
+  // git bundle, or from a repository under GIT_IMPORT_ROOT in self-hosted mode.
+  // Each stored file records the commit hash so findings can be traced to the revision.
+  app.post('/api/files/import-git', gitBundleUpload.single('bundle'), async (req, res) => {
+    try {
+      console.log('🌿 POST /api/files/import-git - Request received');
+
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+      if (!token) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      let decodedUser;
+      try {
+        decodedUser = jwt.verify(token, JWT_TOKEN);
+      } catch (jwtError) {
+        return res.status(401).json({ success: false, error: 'Invalid token' });
+      }
+
+      const { projectId, projectName, repoPath, ref } = req.body || {};
+      const skipDependencies = req.body?.skipDependencies !== 'false' && req.body?.skipDependencies !== false;
+      const skipTests = req.body?.skipTests === 'true' || req.body?.skipTests === true;
+
+      if (!req.file && !repoPath) {
+        return res.status(400).json({ success: false, error: 'A git bundle or repository path is required' });
+      }
+
+      // Check the target project before doing any git work
+      let project = null;
+      if (projectId) {
+        project = await getProjectForUser(projectId, decodedUser.userId);
+        if (!project) {
+          return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+      }
+
+      const revision = await readGitRevision({ bundle: req.file?.buffer, repoPath: req.file ? null : repoPath, ref });
+      const shortHash = revision.commit.hash.slice(0, 7);
+      const sourceName = req.file
+        ? req.file.originalname.replace(/\.bundle$/i, '')
+        : path.basename(String(repoPath).replace(/[\\/]+$/, '')) || 'repository';
+
+      // Git trees have no wrapping folder; keep paths exactly as in the repository
+      const entries = selectArchiveSources(revision.entries, { skipDependencies, skipTests, stripWrapper: false });
+      if (!entries.some(entry => entry.status === 'accepted')) {
+        return res.status(400).json({
+          success: false,
+          error: `No supported contract sources found at ${revision.ref} (${shortHash})`,
+          commit: revision.commit,
+          results: entries.filter(entry => entry.status !== 'ignored')
+            .map(({ path: entryPath, status, reason }) => ({ path: entryPath, status, reason }))
+        });
+      }
+
+      if (!project) {
+        project = await createProjectForUser(decodedUser.userId, {
+          name: (projectName || '').trim() || `${sourceName} @ ${shortHash}`,
+          description: `Imported from ${sourceName} at ${revision.ref} (${revision.commit.hash})`
+        });
+      }
+
+      console.log(`🌿 Importing ${entries.length} entries of ${sourceName}@${shortHash} into project ${project.id}`);
+
+      const { uploadedFiles, results, summary } = await importSourceEntries(decodedUser.userId, project, entries, {
+        commitHash: revision.commit.hash
+      });
+
+      console.log('🌿 Git import complete:', summary);
+
+      res.json({
+        success: true,
+        project,
+        commit: revision.commit,
+        ref: revision.ref,
+        uploadedFiles,
+        results,
+        summary,
+        message: `${summary.accepted} files imported and ${summary.updated} updated from ${sourceName} at ${shortHash}`
+      });
+
+    } catch (error) {
+      console.error('Git import error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Git import failed'
+      });
+    }
+  });
+
+  // Get user's contract files
+  app.get('/api/files', async (req, res) => {
+    try {
+      console.log('📂 GET /api/files - Request received');
+
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        console.log('❌ No authorization header');
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      if (!token) {
+        console.log('❌ No token in authorization header');
+        return res.status(401).json({ success: false, error: 'Invalid token format' });
+      }
+
+      let decodedUser;
+      try {
+        // Try multiple JWT secrets for compatibility
+        const possibleSecrets = [
+          JWT_TOKEN,
+          process.env.JWT_SECRET,
+          process.env.SHIPABLE_JWT_TOKEN,
+          process.env.VITE_SHIPABLE_JWT_TOKEN,
+          'your-secret-key' // fallback for development
+        ].filter(Boolean);
+
+        let verificationError;
+        for (const secret of possibleSecrets) {
+          try {
+            decodedUser = jwt.verify(token, secret);
+            console.log('✅ Token verified for user:', decodedUser.userId, 'using secret:', secret.substring(0, 10) + '...');
+            break;
+          } catch (err) {
+            verificationError = err;
+            continue;
+          }
+        }
+
+        if (!decodedUser) {
+          console.log('❌ JWT verification failed with all secrets:', verificationError.message);
+          console.log('Available environment variables:', Object.keys(process.env).filter(key => 
+            key.includes('JWT') || key.includes('TOKEN') || key.includes('SECRET')
+          ));
+          return res.status(401).json({ 
+            success: false, 
+            error: 'Invalid token',
+            debug: process.env.NODE_ENV !== 'production' ? verificationError.message : undefined
+          });
+        }
+
+      } catch (jwtError) {
+        console.log('❌ JWT verification error:', jwtError.message);
+        return res.status(401).json({ success: false, error: 'Token verification failed' });
+      }
+
+      // Check if contract_files table exists
+      try {
+        const tableExists = await pool.query(`
+          SELECT EXISTS (
+            SELECT FROM information_schema.tables 
+            WHERE table_name = 'contract_files'
+          );
+        `);
+
+        if (!tableExists.rows[0].exists) {
+          console.log('❌ contract_files table does not exist');
+          return res.json({
+            success: true,
+            files: [], // Return empty array if table doesn't exist yet
+            message: 'No files uploaded yet'
+          });
+        }
+
+        console.log('✅ contract_files table exists');
+      } catch (tableError) {
+        console.error('❌ Error checking table existence:', tableError);
+        return res.status(500).json({
+          success: false,
+          error: 'Database table check failed'
+        });
+      }
+
+      // Query user files
+      try {
+        // ?projectId= limits the list to one project ('none' for files outside projects)
+        const { projectId } = req.query;
+        if (projectId && projectId !== 'none' && !isUuid(projectId)) {
+          return res.status(400).json({ success: false, error: 'Invalid project id' });
+        }
+
+        const files = await pool.query(`
+          SELECT 
+            id, filename, original_name, file_path, project_id, commit_hash, current_version, file_size, language, 
+            upload_date, last_scanned, scan_count, tags, description
+          FROM contract_files 
+          WHERE user_id = $1 AND is_active = true 
+            AND ($2::text IS NULL OR ($2 = 'none' AND project_id IS NULL) OR project_id::text = $2)
+          ORDER BY upload_date DESC
+        `, [decodedUser.userId, projectId || null]);
+
+        console.log(`✅ Retrieved ${files.rows.length} files for user ${decodedUser.userId}`);
+
+        res.json({
+          success: true,
+          files: files.rows
+        });
+
+      } catch (queryError) {
+        console.error('❌ Database query error:', queryError);
+        res.status(500).json({
+          success: false,
+          error: 'Database query failed: ' + queryError.message
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Get files endpoint error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve files: ' + error.message
+      });
+    }
+  });
+
+  // Get specific file content for scanning
+  app.get('/api/files/:id', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+      const fileId = req.params.id;
+
+      const file = await pool.query(`
+        SELECT file_content, filename, language, original_name, file_path, project_id, commit_hash, current_version
+        FROM contract_files 
+        WHERE id = $1 AND user_id = $2 AND is_active = true
+      `, [fileId, decodedUser.userId]);
+
+      if (file.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        file: file.rows[0]
+      });
+
+    } catch (error) {
+      console.error('Get file content error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve file content'
+      });
+    }
+  });
+
+  // Get the version history of a file (newest first, without content)
+  app.get('/api/files/:id/versions', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+
+      const history = await listFileVersions(decodedUser.userId, req.params.id);
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        file: history.file,
+        versions: history.versions
+      });
+
+    } catch (error) {
+      console.error('Get file versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve file versions'
+      });
+    }
+  });
+
+  // Get one version of a file with its content
+  app.get('/api/files/:id/versions/:version', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+
+      const version = await getFileVersion(decodedUser.userId, req.params.id, Number(req.params.version));
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'File version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        version
+      });
+
+    } catch (error) {
+      console.error('Get file version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve file version'
+      });
+    }
+  });
+
+  // Get the changes between two versions of a file (defaults: previous -> current),
+  // with the credits an analysis of only those changes would cost
+  app.get('/api/files/:id/diff', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+
+      const changes = await loadVersionChanges(decodedUser.userId, req.params.id, {
+        fromVersion: Number(req.query.from),
+        toVersion: Number(req.query.to)
+      });
+      if (!changes) {
+        return res.status(404).json({
+          success: false,
+          error: 'File version not found'
+        });
+      }
+
+      const estimate = priceChangeReview(changes);
+
+      res.json({
+        success: true,
+        from: changes.from,
+        to: changes.to,
+        hunks: changes.hunks,
+        summary: changes.summary,
+        diff: changes.diff,
+        estimatedCost: changes.hunks.length > 0 ? estimate.total : 0,
+        fullScanCost: estimate.fullScanCost
+      });
+
+    } catch (error) {
+      console.error('Get file diff error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compare file versions'
+      });
+    }
+  });
+
+  // Restore an earlier version; it is added as the newest version so no history is lost
+  app.post('/api/files/:id/versions/:version/restore', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+      const versionNumber = Number(req.params.version);
+
+      const restored = await restoreFileVersion(decodedUser.userId, req.params.id, versionNumber);
+      if (!restored) {
+        return res.status(404).json({
+          success: false,
+          error: 'File version not found'
+        });
+      }
+
+      if (restored.unchanged) {
+        return res.status(400).json({
+          success: false,
+          error: `Version ${versionNumber} has the same content as the current version`
+        });
+      }
+
+      console.log(`♻️ Restored version ${versionNumber} of file ${req.params.id} as version ${restored.version.version_number}`);
+
+      res.json({
+        success: true,
+        file: restored.file,
+        version: restored.version,
+        message: `Version ${versionNumber} restored as version ${restored.version.version_number}`
+      });
+
+    } catch (error) {
+      console.error('Restore file version error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore file version'
+      });
+    }
+  });
+
+  // Delete contract file
+  app.delete('/api/files/:id', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+      const fileId = req.params.id;
+
+      const result = await pool.query(`
+        UPDATE contract_files 
+        SET is_active = false 
+        WHERE id = $1 AND user_id = $2
+      `, [fileId, decodedUser.userId]);
+
+      if (result.rowCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'File deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete file error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete file'
+      });
+    }
+  });
+
+  // Update file metadata
+  app.patch('/api/files/:id', async (req, res) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, error: 'Access token required' });
+      }
+
+      const token = authHeader.split(' ')[1];
+      const decodedUser = jwt.verify(token, JWT_TOKEN);
+      const fileId = req.params.id;
+      const { tags, description } = req.body;
+
+      const result = await pool.query(`
+        UPDATE contract_files 
+        SET tags = $1, description = $2
+        WHERE id = $3 AND user_id = $4 AND is_active = true
+        RETURNING id, filename, tags, description
+      `, [tags || [], description || '', fileId, decodedUser.userId]);
+
+      if (result.rowCount === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        file: result.rows[0]
+      });
+
+    } catch (error) {
+      console.error('Update file metadata error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update file metadata'
+      });
+    }
+  });
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error);
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          error: `File too large. Maximum size is ${REPOSITORY_UPLOAD_PATHS.includes(req.path) ? '50MB' : '5MB'}.`
+        });
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Serve static files (frontend)
+  const staticPath = path.join(__dirname, '../dist');
+  console.log('📁 Serving static files from:', staticPath);
+  app.use(express.static(staticPath));
+
+  // Catch-all for React Router (serve index.html for non-API routes)
+  app.get('*', (req, res) => {
+    // Don't serve index.html for API routes
+    if (req.path.startsWith('/api/')) {
+      return res.status(404).json({
+        success: false,
+        error: 'API endpoint not found',
+        availableEndpoints: [
+          'GET /api/health',
+          'POST /api/analyze',
+          'POST /api/upload',
+          'GET /api/languages',
+          'POST /api/files/upload',
+          'POST /api/files/upload-archive',
+          'POST /api/files/import-git',
+          'GET /api/files',
+          'GET /api/files/:id',
+          'DELETE /api/files/:id',
+          'PATCH /api/files/:id',
+          'GET /api/files/:id/versions',
+          'GET /api/files/:id/versions/:version',
+          'GET /api/files/:id/diff',
+          'POST /api/files/:id/versions/:version/restore',
+          'GET /api/projects',
+          'POST /api/projects',
+          'GET /api/projects/:id',
+          'PATCH /api/projects/:id',
+          'DELETE /api/projects/:id',
+          'GET /api/analyses/:id/findings',
+          'GET /api/findings/assigned',
+          'PATCH /api/findings/:id',
+          'GET /api/findings/:id/comments',
+          'POST /api/findings/:id/comments',
+          'GET /api/credits/transactions',
+          'GET /api/credits/balance',
+          'POST /api/credits/adjustments',
+          'GET /api/plans',
+          'GET /api/plans/current',
+          'POST /api/plans/estimate-cost',
+          'POST /api/plans/upgrade-request',
+          'GET /api/plans/upgrade-requests',
+          'GET /api/admin/upgrade-requests',
+          'POST /api/admin/upgrade-requests/:id/approve',
+          'POST /api/admin/upgrade-requests/:id/reject',
+          'GET /api/analyses/:id/export?format=sarif',
+          'GET /api/analyses/:id/report?format=html|pdf',
+          'GET /api/conversations/:id/report?format=html|pdf'
+        ]
+      });
+    }
+
+    // Serve React app for all other routes
+    res.sendFile(path.join(staticPath, 'index.html'));
+  });
+
+  return app;
+};
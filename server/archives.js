@@ -0,0 +1,237 @@
+import path from 'path';
+import zlib from 'zlib';
+
+// Minimal ZIP and tar(.gz) readers for source archive uploads, built on zlib.
+// Only regular files are returned; links, devices and encrypted entries are skipped.
+
+export const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+// Limits guarding against archive bombs
+const MAX_ENTRIES = 5000;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+const MAX_ENTRY_SIZE = 5 * 1024 * 1024;
+
+const SOURCE_EXTENSIONS = ['.sol', '.vy', '.move', '.cairo'];
+
+// Third-party code vendored into Foundry/Hardhat repositories
+const DEPENDENCY_DIRECTORIES = ['node_modules', '.git', 'lib/forge-std', 'lib/ds-test', 'cache', 'out', 'artifacts'];
+const TEST_DIRECTORIES = ['test', 'tests'];
+const TEST_FILE = /\.t\.sol$/i;
+
+export const isArchiveName = (filename) => {
+  const lower = String(filename || '').toLowerCase();
+  return ARCHIVE_EXTENSIONS.some(extension => lower.endsWith(extension));
+};
+
+const archiveError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isSourcePath = (filePath) => SOURCE_EXTENSIONS.includes(path.posix.extname(filePath).toLowerCase());
+
+const readZip = (buffer) => {
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= searchStart; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) throw archiveError('Invalid ZIP archive');
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) throw archiveError('ZIP64 archives are not supported');
+  if (entryCount > MAX_ENTRIES) throw archiveError(`Archive has more than ${MAX_ENTRIES} entries`);
+
+  // Entry data lies before the central directory
+  const directoryStart = offset;
+  const entries = [];
+  let totalSize = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    // Central directory records lie between its start offset and the end record
+    if (offset + 46 > endOffset || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw archiveError('Corrupt ZIP central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (offset + 46 + nameLength > endOffset) throw archiveError('Corrupt ZIP central directory');
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const isDirectory = name.endsWith('/');
+    const isSymlink = ((externalAttributes >>> 16) & 0o170000) === 0o120000;
+    if (isDirectory || isSymlink) continue;
+
+    // Only contract sources are decompressed; other entries are listed by path
+    if (!isSourcePath(name)) {
+      entries.push({ path: name });
+      continue;
+    }
+
+    if (flags & 0x1) {
+      entries.push({ path: name, error: 'Encrypted entries are not supported' });
+      continue;
+    }
+    if (size > MAX_ENTRY_SIZE) {
+      entries.push({ path: name, error: 'File size exceeds 5MB limit' });
+      continue;
+    }
+
+    if (localOffset + 30 > directoryStart || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw archiveError('Corrupt ZIP entry header');
+    }
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    if (dataStart + compressedSize > directoryStart) throw archiveError('Truncated ZIP archive');
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+      } catch (error) {
+        entries.push({
+          path: name,
+          error: error.code === 'ERR_BUFFER_TOO_LARGE' ? 'File size exceeds 5MB limit' : `Could not decompress entry: ${error.message}`
+        });
+        continue;
+      }
+    } else {
+      entries.push({ path: name, error: `Unsupported compression method ${method}` });
+      continue;
+    }
+
+    if (content.length > MAX_ENTRY_SIZE) {
+      entries.push({ path: name, error: 'File size exceeds 5MB limit' });
+      continue;
+    }
+
+    // The declared sizes can lie; the limit applies to the data actually read
+    totalSize += content.length;
+    if (totalSize > MAX_TOTAL_SIZE) throw archiveError('Archive content exceeds 100MB');
+    entries.push({ path: name, content });
+  }
+
+  return entries;
+};
+
+const readTarString = (block, start, length) => {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end >= 0 && end < start + length ? end : start + length);
+};
+
+const readTar = (buffer) => {
+  const entries = [];
+  let offset = 0;
+  let totalSize = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readTarString(header, 257, 6).startsWith('ustar') ? readTarString(header, 345, 155) : '';
+    const headerName = [prefix, readTarString(header, 0, 100)].filter(Boolean).join('/');
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    // GNU long names and pax headers carry the path of the next entry
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (type === 'x') {
+      const pathRecord = data.toString('utf8').split('\n').find(record => / path=/.test(record));
+      if (pathRecord) longName = pathRecord.slice(pathRecord.indexOf('path=') + 5);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const name = longName || headerName;
+    longName = null;
+    if (type !== '0' && type !== '\0' && type !== '7') continue;
+
+    if (entries.length >= MAX_ENTRIES) throw archiveError(`Archive has more than ${MAX_ENTRIES} entries`);
+    if (size > MAX_ENTRY_SIZE) {
+      entries.push({ path: name, error: 'File size exceeds 5MB limit' });
+      continue;
+    }
+
+    totalSize += size;
+    if (totalSize > MAX_TOTAL_SIZE) throw archiveError('Archive content exceeds 100MB');
+    entries.push({ path: name, content: data });
+  }
+
+  return entries;
+};
+
+// Reads the regular files of a .zip, .tar or .tar.gz archive.
+// Returns [{ path, content: Buffer }] or [{ path, error }] for unreadable entries.
+// ZIP entries that are not contract sources are returned as { path } without content.
+export const readArchive = (buffer, filename) => {
+  const lower = String(filename || '').toLowerCase();
+
+  if (lower.endsWith('.zip')) return readZip(buffer);
+
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+    let tar;
+    try {
+      tar = zlib.gunzipSync(buffer, { maxOutputLength: MAX_TOTAL_SIZE + 1024 * 1024 });
+    } catch (error) {
+      throw archiveError(`Invalid gzip archive: ${error.message}`);
+    }
+    return readTar(tar);
+  }
+
+  if (lower.endsWith('.tar')) return readTar(buffer);
+
+  throw archiveError(`Unsupported archive type. Allowed: ${ARCHIVE_EXTENSIONS.join(', ')}`);
+};
+
+const isWithin = (filePath, directories) =>
+  directories.some(directory => filePath === directory || filePath.startsWith(`${directory}/`) || filePath.includes(`/${directory}/`));
+
+// Sorts archive entries into supported sources and skipped/rejected files, keeping
+// paths relative to the repository root (a single wrapping folder, as in GitHub
+// downloads, is removed unless stripWrapper is false). Returns [{ path, content?, status, reason? }] where
+// status is 'accepted', 'skipped', 'rejected' or 'ignored' (not a contract source).
+export const selectArchiveSources = (entries, { skipDependencies = true, skipTests = false, stripWrapper = true } = {}) => {
+  const normalized = entries
+    .map(entry => ({ ...entry, path: path.posix.normalize(entry.path.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '') }))
+    .filter(entry => entry.path && !entry.path.startsWith('../'));
+
+  const roots = new Set(normalized.map(entry => entry.path.split('/')[0]));
+  const wrapper = stripWrapper && roots.size === 1 && normalized.every(entry => entry.path.includes('/')) ? `${[...roots][0]}/` : '';
+
+  return normalized.map(entry => {
+    const filePath = entry.path.slice(wrapper.length);
+    if (!isSourcePath(filePath)) {
+      return { path: filePath, status: 'ignored', reason: 'Not a supported contract source' };
+    }
+    if (skipDependencies && isWithin(filePath, DEPENDENCY_DIRECTORIES)) {
+      return { path: filePath, status: 'skipped', reason: 'Dependency directory' };
+    }
+    if (skipTests && (isWithin(filePath, TEST_DIRECTORIES) || TEST_FILE.test(filePath))) {
+      return { path: filePath, status: 'skipped', reason: 'Test file' };
+    }
+    if (entry.error) {
+      return { path: filePath, status: 'rejected', reason: entry.error };
+    }
+    return { path: filePath, content: entry.content.toString('utf8'), status: 'accepted' };
+  });
+};
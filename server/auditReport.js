@@ -0,0 +1,464 @@
+import crypto from 'crypto';
+import { pool } from './database.js';
+import { filePathOf } from './contractFiles.js';
+import { getFindingsForAnalysis, summarizeFindings } from './findings.js';
+import { SEVERITIES } from './findingsParser.js';
+import { createPdfDocument } from './pdfDocument.js';
+
+// Client-facing audit reports (HTML and PDF) built from a completed analysis
+
+export const REPORT_FORMATS = ['html', 'pdf'];
+
+// Lines of context shown around a finding's location
+const EXCERPT_CONTEXT_LINES = 2;
+const EXCERPT_MAX_LINES = 24;
+
+const SEVERITY_COLORS = {
+  Critical: [185, 28, 28],
+  High: [234, 88, 12],
+  Medium: [202, 138, 4],
+  Low: [37, 99, 235],
+  Informational: [107, 114, 128]
+};
+
+const toHex = (color) => `#${color.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-');
+
+// Highest severity with at least one finding decides the overall risk
+const overallRisk = (summary) => SEVERITIES.find(severity => severity !== 'Informational' && summary.bySeverity[severity] > 0) || 'Minimal';
+
+// Files covered by the analysis with their content and checksums at the scanned versions
+const loadReportFiles = async (analysis) => {
+  const fileIds = analysis.contract_file_ids || [];
+  const versionIds = analysis.contract_file_version_ids || [];
+
+  if (fileIds.length > 0) {
+    // Analyses from before file versioning only know the file ids; use current content
+    const result = versionIds.length > 0
+      ? await pool.query(`
+        SELECT f.id, f.original_name, f.file_path, v.commit_hash, v.file_content, v.file_size, v.language, v.checksum, v.version_number
+        FROM contract_file_versions v
+        JOIN contract_files f ON f.id = v.contract_file_id
+        WHERE v.id = ANY($1::uuid[]) AND f.user_id = $2
+      `, [versionIds, analysis.user_id])
+      : await pool.query(`
+        SELECT id, original_name, file_path, commit_hash, file_content, file_size, language, checksum
+        FROM contract_files
+        WHERE id = ANY($1::uuid[]) AND user_id = $2
+      `, [fileIds, analysis.user_id]);
+
+    const byId = new Map(result.rows.map(row => [row.id, row]));
+    return fileIds.filter(id => byId.has(id)).map(id => {
+      const row = byId.get(id);
+      return {
+        id: row.id,
+        name: filePathOf(row),
+        content: row.file_content,
+        size: row.file_size,
+        language: row.language,
+        checksum: row.checksum,
+        commitHash: row.commit_hash,
+        version: row.version_number || null
+      };
+    });
+  }
+
+  // Pasted code is reported as a single file
+  const content = analysis.contract_code || '';
+  return [{
+    id: null,
+    name: analysis.filename || 'contract',
+    content,
+    size: Buffer.byteLength(content, 'utf8'),
+    language: analysis.language,
+    checksum: crypto.createHash('sha256').update(content).digest('hex'),
+    commitHash: null,
+    version: null
+  }];
+};
+
+// Source lines around a finding, with the reported lines highlighted
+const buildExcerpt = (finding, files) => {
+  if (!finding.lineStart) return null;
+
+  const file = files.find(candidate => candidate.id && candidate.id === finding.contractFileId)
+    || files.find(candidate => finding.file && candidate.name.toLowerCase() === finding.file.toLowerCase())
+    || (files.length === 1 ? files[0] : null);
+  if (!file || !file.content) return null;
+
+  const lines = file.content.split('\n');
+  const lineEnd = finding.lineEnd || finding.lineStart;
+  if (finding.lineStart > lines.length) return null;
+
+  const first = Math.max(1, finding.lineStart - EXCERPT_CONTEXT_LINES);
+  const last = Math.min(lines.length, lineEnd + EXCERPT_CONTEXT_LINES, first + EXCERPT_MAX_LINES - 1);
+
+  return {
+    file: file.name,
+    lines: lines.slice(first - 1, last).map((text, index) => {
+      const number = first + index;
+      return { number, text, highlight: number >= finding.lineStart && number <= lineEnd };
+    })
+  };
+};
+
+// Gather everything a report needs for one analysis session row
+export const buildAuditReport = async (analysis) => {
+  const [findings, files] = await Promise.all([
+    getFindingsForAnalysis(analysis.id),
+    loadReportFiles(analysis)
+  ]);
+
+  const summary = summarizeFindings(findings);
+
+  return {
+    analysis: {
+      id: analysis.id,
+      filename: analysis.filename,
+      language: analysis.language,
+      status: analysis.status,
+      provider: analysis.provider,
+      createdAt: analysis.created_at,
+      completedAt: analysis.completed_at
+    },
+    generatedAt: new Date(),
+    scanCost: analysis.scan_cost || 0,
+    creditsCharged: analysis.refunded_at ? 0 : analysis.credits_deducted || 0,
+    refunded: !!analysis.refunded_at,
+    summary,
+    risk: overallRisk(summary),
+    files: files.map(({ content, ...file }) => ({
+      ...file,
+      lineCount: content ? content.split('\n').length : 0
+    })),
+    findings: findings.map(finding => ({ ...finding, excerpt: buildExcerpt(finding, files) }))
+  };
+};
+
+const executiveSummary = (report) => {
+  const { summary, files } = report;
+  const totalLines = files.reduce((total, file) => total + file.lineCount, 0);
+  const scope = `${files.length} file${files.length === 1 ? '' : 's'} (${totalLines} lines)`;
+  const suppressed = summary.suppressed > 0
+    ? ` ${summary.suppressed} further finding${summary.suppressed === 1 ? ' was' : 's were'} suppressed by annotations in the source and ${summary.suppressed === 1 ? 'is' : 'are'} listed with ${summary.suppressed === 1 ? 'its' : 'their'} justification.`
+    : '';
+
+  if (summary.total === 0) {
+    return `SecWeb3 reviewed ${scope} and did not identify any security findings. Automated analysis cannot prove the absence of vulnerabilities; a manual review is still recommended before deployment.${suppressed}`;
+  }
+
+  const counts = SEVERITIES
+    .filter(severity => summary.bySeverity[severity] > 0)
+    .map(severity => `${summary.bySeverity[severity]} ${severity}`)
+    .join(', ');
+
+  return `SecWeb3 reviewed ${scope} and identified ${summary.total} finding${summary.total === 1 ? '' : 's'}: ${counts}. Overall risk is rated ${report.risk}. Each finding below lists its location, a code excerpt and a recommended fix; Critical and High findings should be resolved before deployment.${suppressed}`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Light markdown for finding text: inline code and bold
+const renderRichText = (value) => escapeHtml(value)
+  .replace(/```\w*\n?/g, '')
+  .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>');
+
+// Markdown markers are dropped in the PDF, which has no inline styling
+const toPlainText = (value) => String(value ?? '')
+  .replace(/```\w*\n?/g, '')
+  .replace(/\*\*|__|`/g, '');
+
+const locationLabel = (finding) => {
+  if (!finding.file && !finding.lineStart) return null;
+  const lines = finding.lineStart
+    ? (finding.lineEnd && finding.lineEnd !== finding.lineStart ? `lines ${finding.lineStart}-${finding.lineEnd}` : `line ${finding.lineStart}`)
+    : null;
+  return [finding.file, lines].filter(Boolean).join(', ');
+};
+
+const renderSeverityChartSvg = (summary) => {
+  const max = Math.max(1, ...SEVERITIES.map(severity => summary.bySeverity[severity]));
+  const rowHeight = 28;
+
+  const rows = SEVERITIES.map((severity, index) => {
+    const count = summary.bySeverity[severity];
+    const width = Math.round((count / max) * 360);
+    const y = index * rowHeight;
+    return `
+      <text x="0" y="${y + 17}" class="chart-label">${severity}</text>
+      <rect x="110" y="${y + 4}" width="${Math.max(width, 2)}" height="18" rx="3" fill="${toHex(SEVERITY_COLORS[severity])}" />
+      <text x="${118 + Math.max(width, 2)}" y="${y + 17}" class="chart-count">${count}</text>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 520 ${SEVERITIES.length * rowHeight}" role="img" aria-label="Findings by severity">${rows}
+    </svg>`;
+};
+
+const renderFindingHtml = (finding, index) => {
+  const color = toHex(SEVERITY_COLORS[finding.severity] || SEVERITY_COLORS.Informational);
+  const location = locationLabel(finding);
+  const references = [finding.swcId, finding.cweId].filter(Boolean).join(' / ');
+
+  const excerpt = finding.excerpt ? `
+        <div class="excerpt">
+          <div class="excerpt-file">${escapeHtml(finding.excerpt.file)}</div>
+          <pre>${finding.excerpt.lines.map(line => `<span class="line${line.highlight ? ' highlight' : ''}"><span class="line-number">${line.number}</span>${escapeHtml(line.text)}</span>`).join('\n')}</pre>
+        </div>` : '';
+
+  return `
+      <section class="finding">
+        <h3><span class="badge" style="background:${color}">${escapeHtml(finding.severity)}</span> ${index + 1}. ${escapeHtml(finding.title)}</h3>
+        <dl class="meta">
+          ${location ? `<dt>Location</dt><dd>${escapeHtml(location)}</dd>` : ''}
+          ${references ? `<dt>Reference</dt><dd>${escapeHtml(references)}</dd>` : ''}
+          ${finding.suppressed ? `<dt>Suppressed</dt><dd>${escapeHtml(finding.suppressionJustification)}</dd>` : ''}
+        </dl>
+        ${finding.description ? `<h4>Description</h4><p class="text">${renderRichText(finding.description)}</p>` : ''}
+        ${excerpt}
+        ${finding.recommendation ? `<h4>Recommendation</h4><p class="text">${renderRichText(finding.recommendation)}</p>` : ''}
+      </section>`;
+};
+
+// Self-contained HTML report: inline styles and SVG, prints cleanly to PDF
+export const renderAuditReportHtml = (report) => {
+  const { analysis, summary, files, findings } = report;
+  const title = `Security Audit Report - ${analysis.filename || 'Smart Contract'}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 18mm; }
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; line-height: 1.5; max-width: 900px; margin: 0 auto; padding: 32px; }
+    h1 { font-size: 26px; margin: 0 0 4px; }
+    h2 { font-size: 19px; border-bottom: 2px solid #e5e7eb; padding-bottom: 6px; margin-top: 36px; }
+    h3 { font-size: 16px; margin: 0 0 8px; }
+    h4 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.04em; color: #4b5563; margin: 14px 0 4px; }
+    .subtitle { color: #6b7280; margin: 0 0 24px; }
+    .overview { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 16px 0; }
+    .stat { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px 12px; }
+    .stat-label { font-size: 11px; text-transform: uppercase; color: #6b7280; }
+    .stat-value { font-size: 18px; font-weight: 600; }
+    .chart { width: 100%; max-width: 520px; }
+    .chart-label, .chart-count { font-size: 13px; fill: #374151; }
+    .finding { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px 18px; margin: 16px 0; page-break-inside: avoid; }
+    .badge { display: inline-block; color: #fff; font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 999px; vertical-align: middle; }
+    .meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0; font-size: 13px; }
+    .meta dt { color: #6b7280; }
+    .meta dd { margin: 0; }
+    .text { white-space: pre-wrap; margin: 0; font-size: 14px; }
+    code, pre { font-family: "SFMono-Regular", Menlo, Consolas, monospace; font-size: 12px; }
+    code { background: #f3f4f6; padding: 1px 4px; border-radius: 3px; }
+    .excerpt { margin-top: 12px; border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; }
+    .excerpt-file { background: #f9fafb; border-bottom: 1px solid #e5e7eb; padding: 4px 10px; font-size: 12px; color: #4b5563; }
+    .excerpt pre { margin: 0; padding: 8px 0; overflow-x: auto; background: #fff; }
+    .line { display: block; padding: 0 10px; white-space: pre; }
+    .line.highlight { background: #fef3c7; }
+    .line-number { display: inline-block; width: 40px; color: #9ca3af; user-select: none; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.checksum { font-family: "SFMono-Regular", Menlo, Consolas, monospace; font-size: 11px; word-break: break-all; }
+    footer { margin-top: 40px; font-size: 12px; color: #6b7280; }
+    @media print { body { padding: 0; } h2 { page-break-after: avoid; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Security Audit Report</h1>
+    <p class="subtitle">${escapeHtml(analysis.filename || 'Smart Contract')} &middot; Analysis ${escapeHtml(analysis.id)} &middot; Completed ${escapeHtml(formatDate(analysis.completedAt))}</p>
+  </header>
+
+  <h2>Executive Summary</h2>
+  <p>${escapeHtml(executiveSummary(report))}</p>
+  <div class="overview">
+    <div class="stat"><div class="stat-label">Overall risk</div><div class="stat-value">${escapeHtml(report.risk)}</div></div>
+    <div class="stat"><div class="stat-label">Findings</div><div class="stat-value">${summary.total}</div></div>
+    <div class="stat"><div class="stat-label">Files scanned</div><div class="stat-value">${files.length}</div></div>
+    <div class="stat"><div class="stat-label">Scan cost</div><div class="stat-value">${report.scanCost} credits</div></div>
+  </div>
+
+  <h2>Severity Breakdown</h2>
+  ${renderSeverityChartSvg(summary)}
+
+  <h2>Findings</h2>
+  ${findings.length > 0 ? findings.map(renderFindingHtml).join('') : '<p>No findings were reported for this analysis.</p>'}
+
+  <h2>Scanned Files</h2>
+  <table>
+    <thead><tr><th>File</th><th>Language</th><th>Lines</th><th>Size</th><th>Commit</th><th>SHA-256</th></tr></thead>
+    <tbody>
+      ${files.map(file => `<tr><td>${escapeHtml(file.name)}${file.version ? ` (v${file.version})` : ''}</td><td>${escapeHtml(file.language || '-')}</td><td>${file.lineCount}</td><td>${file.size} B</td><td class="checksum">${escapeHtml(file.commitHash ? file.commitHash.slice(0, 12) : '-')}</td><td class="checksum">${escapeHtml(file.checksum)}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>
+
+  <h2>Scan Details</h2>
+  <table>
+    <tbody>
+      <tr><th>Analysis ID</th><td>${escapeHtml(analysis.id)}</td></tr>
+      <tr><th>Started</th><td>${escapeHtml(formatDate(analysis.createdAt))}</td></tr>
+      <tr><th>Completed</th><td>${escapeHtml(formatDate(analysis.completedAt))}</td></tr>
+      <tr><th>Analysis engine</th><td>${escapeHtml(analysis.provider || '-')}</td></tr>
+      <tr><th>Scan cost</th><td>${report.scanCost} credits${report.refunded ? ' (refunded)' : ''}</td></tr>
+    </tbody>
+  </table>
+
+  <footer>Generated by SecWeb3 on ${escapeHtml(formatDate(report.generatedAt))}. This report reflects automated analysis of the listed files at the checksums and commits above.</footer>
+</body>
+</html>
+`;
+};
+
+const renderFindingPdf = (doc, finding, index) => {
+  const color = SEVERITY_COLORS[finding.severity] || SEVERITY_COLORS.Informational;
+  const titleLines = doc.wrapText(`${index + 1}. ${toPlainText(finding.title)}`, doc.contentWidth - 90, 'bold', 12);
+
+  // Keep the heading together with the start of its body
+  doc.ensureSpace(titleLines.length * 17 + 40);
+  doc.rect(doc.margin, doc.y, 80, 15, color);
+  doc.textAt(finding.severity, doc.margin + 6, doc.y + 3, { font: 'bold', size: 9, color: [255, 255, 255] });
+  doc.text(titleLines.join('\n'), { font: 'bold', size: 12, indent: 90, lineHeight: 17 });
+
+  const location = locationLabel(finding);
+  const references = [finding.swcId, finding.cweId].filter(Boolean).join(' / ');
+  if (location) doc.text(`Location: ${location}`, { size: 9, color: [75, 85, 99] });
+  if (references) doc.text(`Reference: ${references}`, { size: 9, color: [75, 85, 99] });
+  if (finding.suppressed) doc.text(`Suppressed: ${toPlainText(finding.suppressionJustification)}`, { size: 9, color: [75, 85, 99] });
+
+  if (finding.description) {
+    doc.moveDown(4);
+    doc.text('Description', { font: 'bold', size: 10 });
+    doc.text(toPlainText(finding.description), { size: 10 });
+  }
+
+  if (finding.excerpt) {
+    const lineHeight = 11;
+    const maxChars = Math.floor((doc.contentWidth - 40) / 4.8);
+    doc.moveDown(6);
+    doc.ensureSpace(lineHeight * 3);
+    doc.text(finding.excerpt.file, { font: 'mono', size: 8, color: [75, 85, 99] });
+
+    for (const line of finding.excerpt.lines) {
+      doc.ensureSpace(lineHeight);
+      doc.rect(doc.margin, doc.y, doc.contentWidth, lineHeight, line.highlight ? [254, 243, 199] : [246, 247, 249]);
+      const source = line.text.replace(/\t/g, '    ');
+      doc.textAt(String(line.number).padStart(4), doc.margin + 4, doc.y + 1.5, { font: 'mono', size: 8, color: [156, 163, 175] });
+      doc.textAt(source.length > maxChars ? `${source.slice(0, maxChars - 1)}…` : source, doc.margin + 32, doc.y + 1.5, { font: 'mono', size: 8 });
+      doc.moveDown(lineHeight);
+    }
+  }
+
+  if (finding.recommendation) {
+    doc.moveDown(6);
+    doc.text('Recommendation', { font: 'bold', size: 10 });
+    doc.text(toPlainText(finding.recommendation), { size: 10 });
+  }
+
+  doc.moveDown(16);
+};
+
+const renderSeverityChartPdf = (doc, summary) => {
+  const max = Math.max(1, ...SEVERITIES.map(severity => summary.bySeverity[severity]));
+  const barWidth = doc.contentWidth - 140;
+
+  doc.ensureSpace(SEVERITIES.length * 20);
+  for (const severity of SEVERITIES) {
+    const count = summary.bySeverity[severity];
+    const width = Math.max(2, (count / max) * barWidth);
+    doc.textAt(severity, doc.margin, doc.y + 3, { size: 10 });
+    doc.rect(doc.margin + 95, doc.y + 2, width, 13, SEVERITY_COLORS[severity]);
+    doc.textAt(String(count), doc.margin + 101 + width, doc.y + 3, { size: 10 });
+    doc.moveDown(20);
+  }
+};
+
+// PDF rendering of the same report, written directly without a browser
+export const renderAuditReportPdf = (report) => {
+  const { analysis, summary, files, findings } = report;
+  const doc = createPdfDocument();
+  const muted = [107, 114, 128];
+
+  const sectionHeading = (text) => {
+    doc.moveDown(10);
+    doc.ensureSpace(60);
+    doc.text(text, { font: 'bold', size: 15, lineHeight: 20 });
+    doc.rect(doc.margin, doc.y, doc.contentWidth, 1, [229, 231, 235]);
+    doc.moveDown(8);
+  };
+
+  doc.text('Security Audit Report', { font: 'bold', size: 22, lineHeight: 28 });
+  doc.text(`${analysis.filename || 'Smart Contract'} - Analysis ${analysis.id}`, { size: 10, color: muted });
+  doc.text(`Completed ${formatDate(analysis.completedAt)}`, { size: 10, color: muted });
+
+  sectionHeading('Executive Summary');
+  doc.text(executiveSummary(report), { size: 11, lineHeight: 16 });
+  doc.moveDown(6);
+  doc.text(`Overall risk: ${report.risk}    Findings: ${summary.total}    Files scanned: ${files.length}    Scan cost: ${report.scanCost} credits`, { font: 'bold', size: 10 });
+
+  sectionHeading('Severity Breakdown');
+  renderSeverityChartPdf(doc, summary);
+
+  sectionHeading('Findings');
+  if (findings.length === 0) {
+    doc.text('No findings were reported for this analysis.', { size: 10 });
+  }
+  findings.forEach((finding, index) => renderFindingPdf(doc, finding, index));
+
+  sectionHeading('Scanned Files');
+  for (const file of files) {
+    doc.ensureSpace(48);
+    doc.text(file.version ? `${file.name} (v${file.version})` : file.name, { font: 'bold', size: 10 });
+    doc.text(`${file.language || 'unknown'} - ${file.lineCount} lines - ${file.size} bytes`, { size: 9, color: muted });
+    doc.text(`SHA-256 ${file.checksum}`, { font: 'mono', size: 8 });
+    if (file.commitHash) doc.text(`Commit ${file.commitHash}`, { font: 'mono', size: 8 });
+    doc.moveDown(6);
+  }
+
+  sectionHeading('Scan Details');
+  const details = [
+    ['Analysis ID', analysis.id],
+    ['Started', formatDate(analysis.createdAt)],
+    ['Completed', formatDate(analysis.completedAt)],
+    ['Analysis engine', analysis.provider || '-'],
+    ['Scan cost', `${report.scanCost} credits${report.refunded ? ' (refunded)' : ''}`]
+  ];
+  for (const [label, value] of details) {
+    doc.ensureSpace(15);
+    doc.textAt(label, doc.margin, doc.y, { font: 'bold', size: 10 });
+    doc.textAt(String(value), doc.margin + 120, doc.y, { size: 10 });
+    doc.moveDown(15);
+  }
+
+  return doc.toBuffer({
+    title: `Security Audit Report - ${analysis.filename || 'Smart Contract'}`,
+    author: 'SecWeb3',
+    footer: (page, pageCount) => `SecWeb3 security audit report - generated ${formatDate(report.generatedAt)} - page ${page} of ${pageCount}`
+  });
+};
+
+// Render a report in the requested format, ready to send as a download
+export const renderAuditReport = async (analysis, format = 'html') => {
+  const report = await buildAuditReport(analysis);
+  const baseName = `secweb3-audit-${analysis.id}`;
+
+  if (format === 'pdf') {
+    return {
+      contentType: 'application/pdf',
+      filename: `${baseName}.pdf`,
+      body: renderAuditReportPdf(report)
+    };
+  }
+
+  return {
+    contentType: 'text/html; charset=utf-8',
+    filename: `${baseName}.html`,
+    body: renderAuditReportHtml(report)
+  };
+};
@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import path from 'path';
+import { pool } from './database.js';
+import { detectLanguage } from './shared/languageDetection.js';
+import { diffLines, buildChangeHunks, summarizeChanges, formatUnifiedDiff } from './fileDiff.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// Path a file is shown and referenced by: its folder path in a project, else its name
+export const filePathOf = (file) => file.file_path || file.original_name;
+
+// Normalizes a folder path sent with an upload (e.g. `webkitRelativePath`) to a
+// relative path without `.`/`..` segments. Returns null when nothing usable is left.
+export const normalizeUploadPath = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const segments = value.replace(/\\/g, '/').split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  const normalized = segments.join('/').slice(0, 1024);
+  return normalized || null;
+};
+
+// Load the user's active contract files at their current version, preserving the
+// requested order. Returns { files, missingIds } so callers can report unknown ids.
+export const loadContractFiles = async (userId, fileIds = []) => {
+  const ids = [...new Set(fileIds)].filter(isUuid);
+  if (ids.length === 0) {
+    return { files: [], missingIds: [...new Set(fileIds)] };
+  }
+
+  const result = await pool.query(`
+    SELECT f.id, f.filename, f.original_name, f.file_path, f.project_id, f.commit_hash, f.file_content,
+           f.file_size, f.language, f.checksum, v.id AS version_id, f.current_version AS version_number
+    FROM contract_files f
+    LEFT JOIN contract_file_versions v ON v.contract_file_id = f.id AND v.version_number = f.current_version
+    WHERE f.id = ANY($1::uuid[]) AND f.user_id = $2 AND f.is_active = true
+  `, [ids, userId]);
+
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+  const files = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+  const missingIds = [...new Set(fileIds)].filter(id => !byId.has(id));
+
+  return { files, missingIds };
+};
+
+// Load specific versions of the user's files, shaped like loadContractFiles rows
+// (id is the file id) so they can be analyzed like current files.
+// Returns { files, missingIds } where missingIds are unknown version ids.
+export const loadContractFileVersions = async (userId, versionIds = []) => {
+  const ids = [...new Set(versionIds)].filter(isUuid);
+  if (ids.length === 0) {
+    return { files: [], missingIds: [...new Set(versionIds)] };
+  }
+
+  const result = await pool.query(`
+    SELECT f.id, f.filename, f.original_name, f.file_path, f.project_id, v.commit_hash, v.file_content,
+           v.file_size, v.language, v.checksum, v.id AS version_id, v.version_number
+    FROM contract_file_versions v
+    JOIN contract_files f ON f.id = v.contract_file_id
+    WHERE v.id = ANY($1::uuid[]) AND f.user_id = $2
+  `, [ids, userId]);
+
+  const byVersionId = new Map(result.rows.map(row => [row.version_id, row]));
+  const files = ids.filter(id => byVersionId.has(id)).map(id => byVersionId.get(id));
+  const missingIds = [...new Set(versionIds)].filter(id => !byVersionId.has(id));
+
+  return { files, missingIds };
+};
+
+// All of the user's active Solidity files at their current version, used to resolve
+// imports of selected files. Rows are shaped like loadContractFiles rows so files
+// pulled in by an import are recorded and located like the selected ones.
+export const loadSolidityLibrary = async (userId) => {
+  const result = await pool.query(`
+    SELECT f.id, f.filename, f.original_name, f.file_path, f.project_id, f.commit_hash, f.file_content,
+           f.file_size, f.language, f.checksum, v.id AS version_id, f.current_version AS version_number
+    FROM contract_files f
+    LEFT JOIN contract_file_versions v ON v.contract_file_id = f.id AND v.version_number = f.current_version
+    WHERE f.user_id = $1 AND f.is_active = true
+      AND (f.language = 'Solidity' OR LOWER(f.original_name) LIKE '%.sol')
+    ORDER BY f.upload_date
+  `, [userId]);
+
+  return result.rows;
+};
+
+// Stands in for a missing project in the active path index
+const NIL_UUID = '00000000-0000-0000-0000-000000000000';
+
+const FILE_COLUMNS = 'id, filename, original_name, file_path, project_id, commit_hash, file_size, language, upload_date, current_version';
+
+// How a version was created: 'upload', 'import' (archive or git) or 'restore'
+const VERSION_COLUMNS = 'id, contract_file_id, version_number, file_size, checksum, language, commit_hash, source, restored_from, created_at';
+
+// Record the file's current content as a version row
+const insertFileVersion = async (client, file, { code, checksum, language, commitHash, source, restoredFrom = null }) => {
+  const result = await client.query(`
+    INSERT INTO contract_file_versions (
+      contract_file_id, version_number, file_content, file_size, checksum, language, commit_hash, source, restored_from
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING ${VERSION_COLUMNS}
+  `, [file.id, file.current_version, code, Buffer.byteLength(code), checksum, language, commitHash, source, restoredFrom]);
+
+  return result.rows[0];
+};
+
+// Replace the content of an existing file with a new version
+const updateFileContent = async (client, fileId, { filename, code, checksum, language, commitHash }) => {
+  const result = await client.query(`
+    UPDATE contract_files
+    SET filename = $2, file_content = $3, file_size = $4, language = $5, file_type = $6,
+        checksum = $7, commit_hash = $8, current_version = current_version + 1
+    WHERE id = $1
+    RETURNING ${FILE_COLUMNS}
+  `, [fileId, filename, code, Buffer.byteLength(code), language, path.extname(filename).toLowerCase().slice(1), checksum, commitHash]);
+
+  return result.rows[0];
+};
+
+// Store an uploaded source file for the user. Files are keyed by their path within a
+// project (or outside projects): new content at an existing path becomes a new version
+// of that file, and content identical to the current version is not stored again.
+// Files imported from git record the commit they were read at.
+// Returns { file, version, detection, updated } or { duplicate: true, existingId }.
+export const storeContractFile = async (userId, { filename, filePath = null, projectId = null, commitHash = null, code, source = 'upload' }) => {
+  const detection = detectLanguage(code, filename);
+  const checksum = crypto.createHash('sha256').update(code).digest('hex');
+
+  console.log(`🔍 File details: language=${detection.language} (${Math.round(detection.confidence * 100)}%), checksum=${checksum.substring(0, 8)}...`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const content = { filename, code, checksum, language: detection.language, commitHash };
+
+    // A new path is inserted outright; when the path is taken (including by an upload
+    // that is still committing) the insert waits for it and does nothing
+    const inserted = await client.query(`
+      INSERT INTO contract_files (
+        user_id, filename, original_name, file_content, file_size,
+        language, file_type, checksum, project_id, file_path, commit_hash
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (user_id, (COALESCE(project_id, '${NIL_UUID}'::uuid)), (COALESCE(file_path, original_name)))
+        WHERE is_active = true
+        DO NOTHING
+      RETURNING ${FILE_COLUMNS}
+    `, [
+      userId,
+      filename,
+      filename,
+      code,
+      Buffer.byteLength(code),
+      detection.language,
+      path.extname(filename).toLowerCase().slice(1),
+      checksum,
+      projectId,
+      filePath,
+      commitHash
+    ]);
+
+    let file = inserted.rows[0];
+    const updated = !file;
+    if (updated) {
+      const existingFile = await client.query(`
+        SELECT id, checksum
+        FROM contract_files
+        WHERE user_id = $1 AND is_active = true
+          AND COALESCE(project_id, '${NIL_UUID}'::uuid) = COALESCE($2::uuid, '${NIL_UUID}'::uuid)
+          AND COALESCE(file_path, original_name) = $3
+        FOR UPDATE
+      `, [userId, projectId, filePath || filename]);
+
+      const existing = existingFile.rows[0];
+      if (!existing) {
+        // The conflicting file was deleted before it could be locked
+        throw new Error(`File at ${filePath || filename} changed during upload`);
+      }
+
+      if (existing.checksum === checksum) {
+        await client.query('ROLLBACK');
+        return { duplicate: true, existingId: existing.id };
+      }
+
+      file = await updateFileContent(client, existing.id, content);
+    }
+
+    const version = await insertFileVersion(client, file, { ...content, source });
+    await client.query('COMMIT');
+
+    return {
+      file: {
+        ...file,
+        language_confidence: detection.confidence,
+        language_version: detection.version
+      },
+      version,
+      detection,
+      updated
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Version history of one of the user's active files, newest first.
+// Returns null when the file does not exist.
+export const listFileVersions = async (userId, fileId) => {
+  if (!isUuid(fileId)) return null;
+
+  const fileResult = await pool.query(
+    `SELECT ${FILE_COLUMNS} FROM contract_files WHERE id = $1 AND user_id = $2 AND is_active = true`,
+    [fileId, userId]
+  );
+  if (fileResult.rows.length === 0) return null;
+
+  const versions = await pool.query(`
+    SELECT ${VERSION_COLUMNS}
+    FROM contract_file_versions
+    WHERE contract_file_id = $1
+    ORDER BY version_number DESC
+  `, [fileId]);
+
+  const file = fileResult.rows[0];
+  return {
+    file,
+    versions: versions.rows.map(version => ({ ...version, is_current: version.version_number === file.current_version }))
+  };
+};
+
+// One version of one of the user's active files, including its content
+export const getFileVersion = async (userId, fileId, versionNumber) => {
+  if (!isUuid(fileId) || !Number.isInteger(versionNumber)) return null;
+
+  const result = await pool.query(`
+    SELECT v.id, v.contract_file_id, v.version_number, v.file_size, v.checksum, v.language, v.commit_hash,
+           v.source, v.restored_from, v.created_at, v.file_content,
+           f.filename, f.original_name, f.file_path, f.project_id, f.current_version
+    FROM contract_file_versions v
+    JOIN contract_files f ON f.id = v.contract_file_id
+    WHERE v.contract_file_id = $1 AND v.version_number = $2 AND f.user_id = $3 AND f.is_active = true
+  `, [fileId, versionNumber, userId]);
+
+  const version = result.rows[0];
+  return version ? { ...version, is_current: version.version_number === version.current_version } : null;
+};
+
+// Make an earlier version current again by adding it as a new version, so the
+// history is kept. Returns { file, version }, { unchanged: true } when it already
+// matches the current content, or null when the version does not exist.
+export const restoreFileVersion = async (userId, fileId, versionNumber) => {
+  const restored = await getFileVersion(userId, fileId, versionNumber);
+  if (!restored) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT checksum FROM contract_files WHERE id = $1 FOR UPDATE', [fileId]);
+    if (current.rows[0].checksum === restored.checksum) {
+      await client.query('ROLLBACK');
+      return { unchanged: true };
+    }
+
+    const content = {
+      filename: restored.filename,
+      code: restored.file_content,
+      checksum: restored.checksum,
+      language: restored.language,
+      commitHash: restored.commit_hash
+    };
+    const file = await updateFileContent(client, fileId, content);
+    const version = await insertFileVersion(client, file, { ...content, source: 'restore', restoredFrom: versionNumber });
+
+    await client.query('COMMIT');
+    return { file, version };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Unchanged lines sent around each change when reviewing only the changes
+export const CHANGE_CONTEXT_LINES = 10;
+
+// Changes of a file between two of its versions (toVersion defaults to the current
+// one, fromVersion to the version before it). Returns null when a version is missing,
+// else { file, from, to, hunks, summary, diff } where file is the `to` version shaped
+// like loadContractFileVersions rows.
+export const loadVersionChanges = async (userId, fileId, { fromVersion, toVersion, context = CHANGE_CONTEXT_LINES } = {}) => {
+  const history = await listFileVersions(userId, fileId);
+  if (!history) return null;
+
+  const toNumber = Number.isInteger(toVersion) && toVersion > 0 ? toVersion : history.file.current_version;
+  const fromNumber = Number.isInteger(fromVersion) && fromVersion > 0 ? fromVersion : toNumber - 1;
+  const [from, to] = await Promise.all([
+    getFileVersion(userId, fileId, fromNumber),
+    getFileVersion(userId, fileId, toNumber)
+  ]);
+  if (!from || !to) return null;
+
+  const ops = diffLines(from.file_content, to.file_content);
+  const hunks = buildChangeHunks(ops, context);
+  const name = filePathOf(to);
+
+  return {
+    file: {
+      id: to.contract_file_id,
+      filename: to.filename,
+      original_name: to.original_name,
+      file_path: to.file_path,
+      project_id: to.project_id,
+      commit_hash: to.commit_hash,
+      file_content: to.file_content,
+      file_size: to.file_size,
+      language: to.language,
+      checksum: to.checksum,
+      version_id: to.id,
+      version_number: to.version_number
+    },
+    from,
+    to,
+    hunks,
+    summary: summarizeChanges(ops),
+    diff: formatUnifiedDiff(hunks, { oldLabel: `a/${name} (v${from.version_number})`, newLabel: `b/${name} (v${to.version_number})` })
+  };
+};
+
+// Record that the files were included in a scan
+export const markFilesScanned = async (fileIds = []) => {
+  if (fileIds.length === 0) return;
+
+  await pool.query(`
+    UPDATE contract_files
+    SET scan_count = scan_count + 1, last_scanned = CURRENT_TIMESTAMP
+    WHERE id = ANY($1::uuid[])
+  `, [fileIds]);
+};
+
+const fileBanner = (name) => `// === ${name} ===`;
+
+// Concatenate files into one analysis input, each preceded by a name banner
+export const combineContractFiles = (files) => files
+  .map(file => `${fileBanner(filePathOf(file))}\n${file.file_content}\n`)
+  .join('\n');
+
+// Map a line number in combined input back to { file, line } using the banners
+export const locateCombinedLine = (combinedCode, line, fileNames = []) => {
+  if (!combinedCode || !line) return null;
+
+  const lines = combinedCode.split('\n');
+  let currentFile = null;
+  let bannerLine = 0;
+
+  for (let index = 0; index < Math.min(line, lines.length); index++) {
+    const banner = lines[index].match(/^\/\/ === (.+) ===$/);
+    if (banner && fileNames.includes(banner[1])) {
+      currentFile = banner[1];
+      bannerLine = index + 1;
+    }
+  }
+
+  if (!currentFile || line <= bannerLine) return null;
+  return { file: currentFile, line: line - bannerLine };
+};
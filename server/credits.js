@@ -0,0 +1,388 @@
+import { pool } from './database.js';
+import { SESSION_TTL_MINUTES } from './analysisSessions.js';
+
+// Credit ledger: every change to users.credits_balance is recorded in
+// credit_transactions in the same database transaction, so the cached balance can
+// always be reconciled against the sum of the ledger.
+
+export const CREDIT_TRANSACTION_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  SIGNUP_GRANT: 'signup_grant',
+  DEBIT: 'debit',
+  REFUND: 'refund',
+  MONTHLY_GRANT: 'monthly_grant',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  HOLD: 'hold',
+  CAPTURE: 'capture',
+  RELEASE: 'release',
+  PLAN_GRANT: 'plan_grant'
+};
+
+// Hold lifecycle: held -> captured | released
+export const CREDIT_HOLD_STATUS = {
+  HELD: 'held',
+  CAPTURED: 'captured',
+  RELEASED: 'released'
+};
+
+// Holds not captured within this window are released. Defaults to the session TTL,
+// after which the session can no longer be streamed anyway; starting the stream
+// extends the hold to the stream timeout (claimSessionForStreaming).
+export const CREDIT_HOLD_TTL_MINUTES = Number(process.env.CREDIT_HOLD_TTL_MINUTES) || SESSION_TTL_MINUTES;
+
+export const SIGNUP_CREDITS = 100;
+
+// Map a database row to the transaction shape returned by the API
+export const toCreditTransaction = (row) => ({
+  id: row.id,
+  type: row.type,
+  amount: row.amount,
+  balanceAfter: row.balance_after,
+  analysisSessionId: row.analysis_session_id,
+  relatedTransactionId: row.related_transaction_id,
+  description: row.description,
+  metadata: row.metadata || {},
+  createdAt: row.created_at
+});
+
+export const toCreditHold = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  amount: row.amount,
+  status: row.status,
+  analysisSessionId: row.analysis_session_id,
+  transactionId: row.transaction_id,
+  releaseReason: row.release_reason,
+  expiresAt: row.expires_at,
+  settledAt: row.settled_at,
+  createdAt: row.created_at
+});
+
+// Run fn with a transaction client; reuses the caller's client when db is one
+const withTransaction = async (db, fn) => {
+  if (db !== pool) return fn(db);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Apply a signed amount to a user's balance and record it in the ledger.
+// An idempotency key makes the entry apply at most once: a repeated call returns
+// the original entry with duplicate: true. Returns null when a negative amount
+// would take the balance below zero.
+// Returns { transaction, balance, duplicate }.
+export const recordCreditTransaction = (db, {
+  userId,
+  type,
+  amount,
+  analysisSessionId = null,
+  relatedTransactionId = null,
+  idempotencyKey = null,
+  description = null,
+  metadata = {},
+  createdBy = null
+}) => withTransaction(db, async (client) => {
+  // Claim the key first; a concurrent call with the same key waits here
+  const inserted = await client.query(`
+    INSERT INTO credit_transactions (
+      user_id, type, amount, balance_after, analysis_session_id, related_transaction_id,
+      idempotency_key, description, metadata, created_by
+    ) VALUES ($1, $2, $3, 0, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (idempotency_key) DO NOTHING
+    RETURNING id
+  `, [userId, type, amount, analysisSessionId, relatedTransactionId, idempotencyKey, description, JSON.stringify(metadata), createdBy]);
+
+  if (inserted.rows.length === 0) {
+    const existing = await client.query('SELECT * FROM credit_transactions WHERE idempotency_key = $1', [idempotencyKey]);
+    return { transaction: toCreditTransaction(existing.rows[0]), balance: existing.rows[0].balance_after, duplicate: true };
+  }
+
+  const balanceResult = await client.query(`
+    UPDATE users
+    SET credits_balance = credits_balance + $1,
+        credits_updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND ($1 >= 0 OR credits_balance + $1 >= 0)
+    RETURNING credits_balance
+  `, [amount, userId]);
+
+  if (balanceResult.rows.length === 0) {
+    await client.query('DELETE FROM credit_transactions WHERE id = $1', [inserted.rows[0].id]);
+    return null;
+  }
+
+  const balance = balanceResult.rows[0].credits_balance;
+  const result = await client.query(
+    'UPDATE credit_transactions SET balance_after = $1 WHERE id = $2 RETURNING *',
+    [balance, inserted.rows[0].id]
+  );
+
+  return { transaction: toCreditTransaction(result.rows[0]), balance, duplicate: false };
+});
+
+// Reserve credits for an analysis. requestKey identifies the analysis request so
+// retries of the same request only place one hold. Returns null when the balance is
+// too low, otherwise { hold, transaction, balance, duplicate }; duplicate is true
+// when the request already placed its hold.
+export const placeCreditHold = (db, { userId, amount, requestKey, description, metadata = {} }) =>
+  withTransaction(db, async (client) => {
+    const entry = await recordCreditTransaction(client, {
+      userId,
+      type: CREDIT_TRANSACTION_TYPES.HOLD,
+      amount: -Math.abs(amount),
+      idempotencyKey: `hold:${requestKey}`,
+      description,
+      metadata
+    });
+    if (!entry) return null;
+
+    const inserted = await client.query(`
+      INSERT INTO credit_holds (user_id, amount, transaction_id, expires_at)
+      SELECT $1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4)
+      WHERE NOT EXISTS (SELECT 1 FROM credit_holds WHERE transaction_id = $3)
+      RETURNING *
+    `, [userId, Math.abs(amount), entry.transaction.id, CREDIT_HOLD_TTL_MINUTES]);
+
+    const hold = inserted.rows[0]
+      || (await client.query('SELECT * FROM credit_holds WHERE transaction_id = $1', [entry.transaction.id])).rows[0];
+
+    return { hold: toCreditHold(hold), transaction: entry.transaction, balance: entry.balance, duplicate: entry.duplicate };
+  });
+
+// The hold placed for an analysis request (placeCreditHold requestKey), or null
+export const getCreditHoldByRequestKey = async (requestKey) => {
+  const result = await pool.query(`
+    SELECT h.*
+    FROM credit_holds h
+    JOIN credit_transactions t ON t.id = h.transaction_id
+    WHERE t.idempotency_key = $1
+  `, [`hold:${requestKey}`]);
+  return result.rows[0] ? toCreditHold(result.rows[0]) : null;
+};
+
+// Tie a hold and its ledger entry to the analysis session it reserves credits for
+export const attachHoldToSession = (holdId, analysisSessionId, db = pool) =>
+  withTransaction(db, async (client) => {
+    const result = await client.query(
+      'UPDATE credit_holds SET analysis_session_id = $1 WHERE id = $2 RETURNING transaction_id',
+      [analysisSessionId, holdId]
+    );
+    if (result.rows.length > 0) {
+      await client.query(
+        'UPDATE credit_transactions SET analysis_session_id = $1 WHERE id = $2',
+        [analysisSessionId, result.rows[0].transaction_id]
+      );
+    }
+  });
+
+// Settle a held hold. Only one of capture and release can win, so a hold is
+// never both charged and given back. expiredOnly skips holds whose expiry was
+// extended since they were picked up.
+const settleHold = async (client, holdId, status, releaseReason = null, { expiredOnly = false } = {}) => {
+  const result = await client.query(`
+    UPDATE credit_holds
+    SET status = $2, release_reason = $3, settled_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = $4
+      AND ($5::boolean = false OR expires_at < CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [holdId, status, releaseReason, CREDIT_HOLD_STATUS.HELD, expiredOnly]);
+
+  return result.rows[0] ? toCreditHold(result.rows[0]) : null;
+};
+
+// The hold placed for an analysis session, or null for chat and older sessions
+export const getSessionHold = async (analysisSessionId) => {
+  const result = await pool.query(
+    'SELECT * FROM credit_holds WHERE analysis_session_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [analysisSessionId]
+  );
+  return result.rows[0] ? toCreditHold(result.rows[0]) : null;
+};
+
+// Charge the hold of a completed analysis. The credits already left the balance
+// with the hold, so the capture entry records the charge without moving credits.
+// Returns the captured hold, or null when the session was never given a hold
+// (chat, older sessions). Throws when its hold was already settled, so a session
+// whose credits were given back is not completed for free.
+export const captureSessionHold = (db, analysisSessionId) =>
+  withTransaction(db, async (client) => {
+    const existing = await client.query(
+      'SELECT id, status FROM credit_holds WHERE analysis_session_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [analysisSessionId]
+    );
+    if (existing.rows.length === 0) return null;
+
+    const hold = await settleHold(client, existing.rows[0].id, CREDIT_HOLD_STATUS.CAPTURED);
+    if (!hold) {
+      throw new Error(`Credit hold ${existing.rows[0].id} was already settled and cannot be captured`);
+    }
+
+    await recordCreditTransaction(client, {
+      userId: hold.userId,
+      type: CREDIT_TRANSACTION_TYPES.CAPTURE,
+      amount: 0,
+      analysisSessionId,
+      relatedTransactionId: hold.transactionId,
+      idempotencyKey: `capture:${hold.id}`,
+      description: `Charged ${hold.amount} credits for completed analysis`,
+      metadata: { credits: hold.amount }
+    });
+
+    return hold;
+  });
+
+// Give the credits of an open hold back. reason is stored on the hold, e.g.
+// 'expired' or 'stream_failed'. Returns { hold, balance } or null when the hold
+// was already captured or released (or, with expiredOnly, has not expired).
+export const releaseCreditHold = (db, holdId, { reason, description = 'Released reserved credits', expiredOnly = false } = {}) =>
+  withTransaction(db, async (client) => {
+    const hold = await settleHold(client, holdId, CREDIT_HOLD_STATUS.RELEASED, reason, { expiredOnly });
+    if (!hold) return null;
+
+    const entry = await recordCreditTransaction(client, {
+      userId: hold.userId,
+      type: CREDIT_TRANSACTION_TYPES.RELEASE,
+      amount: hold.amount,
+      analysisSessionId: hold.analysisSessionId,
+      relatedTransactionId: hold.transactionId,
+      idempotencyKey: `release:${hold.id}`,
+      description,
+      metadata: { reason }
+    });
+
+    return { hold, balance: entry.balance };
+  });
+
+// Release holds that were neither captured nor released before they expired.
+// Each hold is released in its own transaction; returns the number released.
+export const releaseExpiredHolds = async (batchSize = 100) => {
+  const expired = await pool.query(`
+    SELECT id FROM credit_holds
+    WHERE status = $1 AND expires_at < CURRENT_TIMESTAMP
+    ORDER BY expires_at
+    LIMIT $2
+  `, [CREDIT_HOLD_STATUS.HELD, batchSize]);
+
+  let released = 0;
+  for (const row of expired.rows) {
+    const result = await releaseCreditHold(pool, row.id, {
+      reason: 'expired',
+      description: 'Released reserved credits: analysis was not completed in time',
+      expiredOnly: true
+    });
+    if (result) released++;
+  }
+  return released;
+};
+
+// Give back a debit in full. Keyed by the debit, so a debit is refunded at most once
+// whichever failure path gets there first.
+export const refundDebit = (db, debit, { description = 'Refund', metadata = {} } = {}) =>
+  recordCreditTransaction(db, {
+    userId: debit.userId,
+    type: CREDIT_TRANSACTION_TYPES.REFUND,
+    amount: Math.abs(debit.amount),
+    analysisSessionId: debit.analysisSessionId || null,
+    relatedTransactionId: debit.id,
+    idempotencyKey: `refund:${debit.id}`,
+    description,
+    metadata
+  });
+
+// Give back what an analysis session was charged (toSessionData shape): its open
+// hold, or for sessions charged before holds existed, the debit that paid for it.
+// Sessions charged before the ledger existed are refunded by their creditsDeducted.
+export const refundAnalysisSession = async (db, session, { description = 'Refund', reason = 'refund', metadata = {} } = {}) => {
+  const hold = await db.query(
+    'SELECT id FROM credit_holds WHERE analysis_session_id = $1 AND status = $2',
+    [session.id, CREDIT_HOLD_STATUS.HELD]
+  );
+  if (hold.rows[0]) {
+    return releaseCreditHold(db, hold.rows[0].id, { reason, description });
+  }
+
+  const result = await db.query(`
+    SELECT * FROM credit_transactions
+    WHERE analysis_session_id = $1 AND type = $2
+    ORDER BY created_at
+    LIMIT 1
+  `, [session.id, CREDIT_TRANSACTION_TYPES.DEBIT]);
+
+  const debit = result.rows[0];
+  if (debit) {
+    return refundDebit(db, { ...toCreditTransaction(debit), userId: debit.user_id }, { description, metadata });
+  }
+
+  // Holds already settled mean there is nothing left to give back
+  const settled = await db.query('SELECT 1 FROM credit_holds WHERE analysis_session_id = $1', [session.id]);
+  if (settled.rows.length > 0) return null;
+
+  return recordCreditTransaction(db, {
+    userId: session.userId,
+    type: CREDIT_TRANSACTION_TYPES.REFUND,
+    amount: session.creditsDeducted,
+    analysisSessionId: session.id,
+    idempotencyKey: `refund-session:${session.id}`,
+    description,
+    metadata
+  });
+};
+
+// A user's ledger entries, newest first. before: { createdAt, id } of the last entry
+// seen. Entries written in one transaction share created_at, so the id breaks ties.
+export const getCreditTransactions = async (userId, { limit = 50, before = null, type = null } = {}) => {
+  const result = await pool.query(`
+    SELECT *, created_at::text AS cursor_created_at
+    FROM credit_transactions
+    WHERE user_id = $1
+      AND ($2::timestamp IS NULL OR (created_at, id) < ($2::timestamp, $3::uuid))
+      AND ($4::varchar IS NULL OR type = $4::varchar)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $5
+  `, [userId, before?.createdAt ?? null, before?.id ?? null, type, limit]);
+
+  // created_at as text keeps the microseconds a Date would drop
+  const last = result.rows[result.rows.length - 1];
+  const nextCursor = result.rows.length === limit
+    ? { createdAt: last.cursor_created_at, id: last.id }
+    : null;
+
+  return { transactions: result.rows.map(toCreditTransaction), nextCursor };
+};
+
+// Compare the cached balance with the sum of the ledger
+export const reconcileCreditBalance = async (userId) => {
+  const result = await pool.query(`
+    SELECT u.credits_balance,
+           COALESCE((SELECT SUM(amount) FROM credit_transactions t WHERE t.user_id = u.id), 0)::int AS ledger_balance
+    FROM users u
+    WHERE u.id = $1
+  `, [userId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    balance: row.credits_balance,
+    ledgerBalance: row.ledger_balance,
+    reconciled: row.credits_balance === row.ledger_balance
+  };
+};
+
+// Wallets allowed to adjust balances, from ADMIN_WALLETS (comma separated)
+export const isAdminUser = (user) => {
+  const admins = String(process.env.ADMIN_WALLETS || '')
+    .split(',')
+    .map(wallet => wallet.trim().toLowerCase())
+    .filter(Boolean);
+  return !!user?.wallet_address && admins.includes(user.wallet_address.toLowerCase());
+};
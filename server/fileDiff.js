@@ -0,0 +1,158 @@
+// Line diffs between file versions, used to review only what changed.
+// Implements Myers' O(ND) algorithm; very different files fall back to a full replace.
+
+// Beyond this many edits the middle of the files is treated as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitLines = (text) => String(text || '').replace(/\r\n/g, '\n').split('\n');
+
+// Shortest edit script between x and y as equal/delete/insert steps, or null when the
+// files differ in more than MAX_EDIT_DISTANCE lines
+const shortestEdit = (x, y) => {
+  const n = x.length;
+  const m = y.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Furthest reaching x per diagonal k in [-d - 1, d + 1] before this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let i = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let j = i - k;
+      while (i < n && j < m && x[i] === y[j]) {
+        i++;
+        j++;
+      }
+      v[offset + k] = i;
+
+      if (i >= n && j >= m) return backtrack(trace, n, m);
+    }
+  }
+
+  return null;
+};
+
+const backtrack = (trace, n, m) => {
+  const steps = [];
+  let i = n;
+  let j = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = i - j;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousI = at(previousK);
+    const previousJ = previousI - previousK;
+
+    while (i > previousI && j > previousJ) {
+      steps.push('equal');
+      i--;
+      j--;
+    }
+    if (d > 0) steps.push(i === previousI ? 'insert' : 'delete');
+
+    i = previousI;
+    j = previousJ;
+  }
+
+  return steps.reverse();
+};
+
+// Line operations turning oldText into newText: [{ type, text, oldIndex, newIndex }]
+// where type is 'equal', 'delete' or 'insert' and the indexes are 0-based positions
+// in each file at the operation
+export const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix are cheap to find and keep the edit search small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const steps = shortestEdit(middleA, middleB)
+    || [...middleA.map(() => 'delete'), ...middleB.map(() => 'insert')];
+
+  const ops = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  const push = (type) => {
+    const text = type === 'insert' ? b[newIndex] : a[oldIndex];
+    ops.push({ type, text, oldIndex, newIndex });
+    if (type !== 'insert') oldIndex++;
+    if (type !== 'delete') newIndex++;
+  };
+
+  for (let index = 0; index < start; index++) push('equal');
+  steps.forEach(push);
+  while (oldIndex < a.length) push('equal');
+
+  return ops;
+};
+
+// Groups changed lines into hunks with `context` unchanged lines around them.
+// Returns [{ oldStart, oldLines, newStart, newLines, lines }] with 1-based starts and
+// lines prefixed by ' ', '-' or '+' as in a unified diff.
+export const buildChangeHunks = (ops, context = 3) => {
+  const changed = ops.map((op, index) => (op.type === 'equal' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return [];
+
+  // Merge changes whose context windows touch
+  const ranges = [];
+  for (const index of changed) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  return ranges.map(({ from, to }) => {
+    const hunkOps = ops.slice(from, to + 1);
+    return {
+      oldStart: hunkOps[0].oldIndex + 1,
+      oldLines: hunkOps.filter(op => op.type !== 'insert').length,
+      newStart: hunkOps[0].newIndex + 1,
+      newLines: hunkOps.filter(op => op.type !== 'delete').length,
+      lines: hunkOps.map(op => `${op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+'}${op.text}`)
+    };
+  });
+};
+
+// Line counts of a diff: { added, removed, changedLines }
+export const summarizeChanges = (ops) => {
+  const added = ops.filter(op => op.type === 'insert').length;
+  const removed = ops.filter(op => op.type === 'delete').length;
+  return { added, removed, changedLines: added + removed };
+};
+
+// Whether a line of the new version lies inside one of the hunks
+export const isLineInHunks = (line, hunks) =>
+  hunks.some(hunk => line >= hunk.newStart && line < hunk.newStart + Math.max(1, hunk.newLines));
+
+// Unified diff text for the hunks of one file
+export const formatUnifiedDiff = (hunks, { oldLabel, newLabel }) => [
+  `--- ${oldLabel}`,
+  `+++ ${newLabel}`,
+  ...hunks.flatMap(hunk => [
+    `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+    ...hunk.lines
+  ])
+].join('\n');
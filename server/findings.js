@@ -0,0 +1,448 @@
+import crypto from 'crypto';
+import { pool } from './database.js';
+import { extractFindings, SEVERITIES } from './findingsParser.js';
+import { isUuid, locateCombinedLine, filePathOf } from './contractFiles.js';
+import { applySuppressions } from './suppressions.js';
+
+// Triage lifecycle of a finding; every finding starts open
+export const FINDING_STATUSES = ['open', 'confirmed', 'false_positive', 'acknowledged', 'fixed'];
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+// Map a database row to the finding shape returned by the API
+export const toFinding = (row) => ({
+  id: row.id,
+  analysisId: row.analysis_session_id,
+  contractFileId: row.contract_file_id,
+  position: row.position,
+  severity: row.severity,
+  title: row.title,
+  description: row.description,
+  file: row.file_path,
+  lineStart: row.line_start,
+  lineEnd: row.line_end,
+  swcId: row.swc_id,
+  cweId: row.cwe_id,
+  recommendation: row.recommendation,
+  source: row.source,
+  ruleId: row.rule_id,
+  fingerprint: row.fingerprint || null,
+  status: row.status || 'open',
+  assigneeWallet: row.assignee_wallet || null,
+  statusUpdatedAt: row.status_updated_at || null,
+  commentCount: row.comment_count || 0,
+  suppressed: !!row.suppressed,
+  suppressionJustification: row.suppression_justification || null,
+  commitHash: row.commit_hash || null,
+  createdAt: row.created_at
+});
+
+// Count findings per severity, always including every severity level.
+// Suppressed findings are only counted in `suppressed`.
+export const summarizeFindings = (findings) => {
+  const active = findings.filter(finding => !finding.suppressed);
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const finding of active) {
+    bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+  }
+  return { total: active.length, bySeverity, suppressed: findings.length - active.length };
+};
+
+// Longest snippet (in lines) that goes into a fingerprint
+const MAX_SNIPPET_LINES = 20;
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Code of the finding's lines without comments or formatting, so that moving code
+// around or reformatting it keeps the finding's identity
+const normalizedSnippet = (content, lineStart, lineEnd) => {
+  if (!content || !lineStart) return '';
+  const end = Math.min(lineEnd || lineStart, lineStart + MAX_SNIPPET_LINES - 1);
+
+  return String(content).replace(/\r\n/g, '\n').split('\n')
+    .slice(lineStart - 1, end)
+    .join('\n')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(\/\/|#).*$/gm, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Fingerprint of a finding: its rule (detector rule, SWC id or normalized title),
+// file and normalized code snippet. Line numbers are left out on purpose.
+// Without the file content, the title stands in for the snippet.
+export const fingerprintFinding = (finding, content = null) => {
+  const rule = finding.ruleId || finding.swcId || normalizeText(finding.title);
+  const snippet = normalizedSnippet(content, finding.lineStart, finding.lineEnd) || normalizeText(finding.title);
+
+  return crypto.createHash('sha256')
+    .update([rule, (finding.file || '').toLowerCase(), snippet].join('\n'))
+    .digest('hex');
+};
+
+// Look up an analysis session owned by the user, by id or session key
+export const getAnalysisForUser = async (analysisIdOrKey, userId) => {
+  const result = await pool.query(`
+    SELECT *
+    FROM analysis_sessions
+    WHERE ${isUuid(analysisIdOrKey) ? '(id = $1::uuid OR session_key = $1::text)' : 'session_key = $1'}
+      AND user_id = $2
+  `, [analysisIdOrKey, userId]);
+
+  return result.rows[0] || null;
+};
+
+// An AI finding reports the same issue as a static one when it points at the same
+// lines and shares the SWC id or a keyword of the detector rule
+const isSameIssue = (aiFinding, staticFinding) => {
+  if ((aiFinding.file || '').toLowerCase() !== (staticFinding.file || '').toLowerCase()) return false;
+  if (!aiFinding.lineStart || !staticFinding.lineStart) return false;
+
+  const aiEnd = aiFinding.lineEnd || aiFinding.lineStart;
+  if (staticFinding.lineStart < aiFinding.lineStart - 2 || staticFinding.lineStart > aiEnd + 2) return false;
+
+  if (aiFinding.swcId && staticFinding.swcId) return aiFinding.swcId === staticFinding.swcId;
+
+  const title = aiFinding.title.toLowerCase();
+  return (staticFinding.ruleId || '').split(/[/-]/).some(word => word.length >= 5 && title.includes(word));
+};
+
+// Copy the comment threads of a finding onto the finding that replaces it in a
+// later scan, keeping authors, timestamps and replies
+const copyFindingComments = async (client, fromFindingId, toFindingId) => {
+  const comments = await client.query(
+    'SELECT * FROM finding_comments WHERE finding_id = $1 ORDER BY created_at, id',
+    [fromFindingId]
+  );
+
+  const copiedIds = new Map();
+  for (const comment of comments.rows) {
+    const copied = await client.query(`
+      INSERT INTO finding_comments (finding_id, parent_id, user_id, body, created_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [toFindingId, comment.parent_id ? copiedIds.get(comment.parent_id) || null : null, comment.user_id, comment.body, comment.created_at]);
+    copiedIds.set(comment.id, copied.rows[0].id);
+  }
+};
+
+// Parse a completed session's report, merge in the static pre-pass findings
+// and replace the session's stored findings. Findings that match one of the
+// previous scan of the same files keep its status, assignee and comments.
+// files: the contract files that were scanned ({ id, original_name, file_path })
+export const storeFindingsForSession = async (session, reportContent, files = []) => {
+  const fileNames = files.map(filePathOf);
+  const aiFindings = extractFindings(reportContent, {
+    knownFiles: fileNames,
+    defaultFile: files.length === 1 ? fileNames[0] : session.filename
+  }).map(finding => {
+    // Line numbers against the combined multi-file input map back to one file
+    const knownFile = finding.file && fileNames.some(name => name.toLowerCase() === finding.file.toLowerCase());
+    if (files.length > 1 && finding.lineStart && !knownFile) {
+      const start = locateCombinedLine(session.code, finding.lineStart, fileNames);
+      if (start) {
+        const end = finding.lineEnd ? locateCombinedLine(session.code, finding.lineEnd, fileNames) : null;
+        return {
+          ...finding,
+          file: start.file,
+          lineStart: start.line,
+          lineEnd: end && end.file === start.file ? end.line : start.line
+        };
+      }
+    }
+    return finding;
+  });
+
+  // Static findings confirmed by the AI report keep the AI's wording and gain the rule id
+  const staticFindings = session.staticFindings || [];
+  const matchedStatic = new Set();
+  const merged = aiFindings.map(finding => {
+    const match = staticFindings.find(staticFinding => !matchedStatic.has(staticFinding) && isSameIssue(finding, staticFinding));
+    if (!match) return { ...finding, source: 'ai', ruleId: null };
+
+    matchedStatic.add(match);
+    return { ...finding, source: 'ai+static', ruleId: match.ruleId, swcId: finding.swcId || match.swcId };
+  });
+  for (const staticFinding of staticFindings) {
+    if (!matchedStatic.has(staticFinding)) merged.push({ ...staticFinding, source: 'static' });
+  }
+
+  const fileIdByName = new Map(files.map(file => [filePathOf(file).toLowerCase(), file.id]));
+  const contentByName = new Map(files.map(file => [filePathOf(file).toLowerCase(), file.file_content]));
+  const annotated = applySuppressions(merged, contentByName);
+
+  // Triage of the same issues in the previous scan of these files carries over
+  const previous = await findPreviousAnalysis({
+    id: session.id,
+    user_id: session.userId,
+    scope: session.scope,
+    contract_file_ids: session.contractFileIds,
+    created_at: session.createdAt
+  });
+  const previousByFingerprint = new Map();
+  if (previous) {
+    const previousFindings = await pool.query(`
+      SELECT id, fingerprint, status, assignee_wallet, status_updated_at, status_updated_by
+      FROM findings
+      WHERE analysis_session_id = $1 AND fingerprint IS NOT NULL
+      ORDER BY position
+    `, [previous.id]);
+    for (const row of previousFindings.rows) {
+      previousByFingerprint.set(row.fingerprint, [...(previousByFingerprint.get(row.fingerprint) || []), row]);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM findings WHERE analysis_session_id = $1', [session.id]);
+
+    const stored = [];
+    for (const [position, finding] of annotated.entries()) {
+      const { file, lineStart, lineEnd } = finding;
+      const contractFileId = file ? fileIdByName.get(file.toLowerCase()) || null : null;
+      const fingerprint = fingerprintFinding(finding, file ? contentByName.get(file.toLowerCase()) : null);
+      // Identical issues can occur more than once, so match them one to one
+      const triaged = previousByFingerprint.get(fingerprint)?.shift() || null;
+
+      const result = await client.query(`
+        INSERT INTO findings (
+          analysis_session_id, user_id, contract_file_id, position, severity, title,
+          description, file_path, line_start, line_end, swc_id, cwe_id, recommendation,
+          source, rule_id, fingerprint, suppressed, suppression_justification,
+          status, assignee_wallet, status_updated_at, status_updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          COALESCE($19, 'open'), $20, $21, $22)
+        RETURNING *
+      `, [
+        session.id, session.userId, contractFileId, position, finding.severity, finding.title,
+        finding.description, file, lineStart, lineEnd, finding.swcId, finding.cweId,
+        finding.recommendation, finding.source, finding.ruleId, fingerprint,
+        finding.suppressed, finding.suppressionJustification,
+        triaged?.status ?? null, triaged?.assignee_wallet ?? null,
+        triaged?.status_updated_at ?? null, triaged?.status_updated_by ?? null
+      ]);
+
+      if (triaged) {
+        await copyFindingComments(client, triaged.id, result.rows[0].id);
+      }
+
+      stored.push(toFinding(result.rows[0]));
+    }
+
+    await client.query('COMMIT');
+    return stored;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get the stored findings of an analysis, most severe first
+export const getFindingsForAnalysis = async (analysisSessionId) => {
+  const result = await pool.query(`
+    SELECT f.*, cf.commit_hash,
+           (SELECT COUNT(*)::int FROM finding_comments c WHERE c.finding_id = f.id) AS comment_count
+    FROM findings f
+    LEFT JOIN contract_files cf ON cf.id = f.contract_file_id
+    WHERE f.analysis_session_id = $1
+    ORDER BY f.suppressed, array_position($2::text[], f.severity::text), f.position
+  `, [analysisSessionId, SEVERITIES]);
+
+  return result.rows.map(toFinding);
+};
+
+// SQL condition: finding f is assigned to the wallet of the user whose id is in parameter
+const assignedToUser = (parameter) =>
+  `lower(f.assignee_wallet) = (SELECT lower(wallet_address) FROM users WHERE id = ${parameter})`;
+
+// Look up a stored finding the user owns or is assigned to. role tells which:
+// 'owner' or 'assignee'.
+export const getFindingForUser = async (findingId, userId) => {
+  if (!isUuid(findingId)) return null;
+
+  const result = await pool.query(`
+    SELECT f.*, cf.commit_hash, f.user_id = $2 AS is_owner,
+           (SELECT COUNT(*)::int FROM finding_comments c WHERE c.finding_id = f.id) AS comment_count
+    FROM findings f
+    LEFT JOIN contract_files cf ON cf.id = f.contract_file_id
+    WHERE f.id = $1 AND (f.user_id = $2 OR ${assignedToUser('$2')})
+  `, [findingId, userId]);
+
+  const row = result.rows[0];
+  return row ? { ...toFinding(row), role: row.is_owner ? 'owner' : 'assignee' } : null;
+};
+
+// Unresolved findings assigned to the user, newest scan first. Triage carries over
+// between scans, so only the latest scan of a set of files is listed.
+export const getAssignedFindings = async (userId, { limit = 100 } = {}) => {
+  const result = await pool.query(`
+    SELECT f.*, cf.commit_hash, s.filename AS analysis_filename,
+           (SELECT COUNT(*)::int FROM finding_comments c WHERE c.finding_id = f.id) AS comment_count
+    FROM findings f
+    JOIN analysis_sessions s ON s.id = f.analysis_session_id
+    LEFT JOIN contract_files cf ON cf.id = f.contract_file_id
+    WHERE ${assignedToUser('$1')}
+      AND f.status NOT IN ('fixed', 'false_positive')
+      AND f.suppressed = false
+      AND NOT EXISTS (
+        SELECT 1 FROM analysis_sessions later
+        WHERE later.user_id = s.user_id
+          AND later.status = 'completed'
+          AND later.scope = 'full'
+          AND cardinality(s.contract_file_ids) > 0
+          AND later.contract_file_ids @> s.contract_file_ids
+          AND later.contract_file_ids <@ s.contract_file_ids
+          AND later.created_at > s.created_at
+      )
+    ORDER BY s.created_at DESC, array_position($2::text[], f.severity::text), f.position
+    LIMIT $3
+  `, [userId, SEVERITIES, limit]);
+
+  return result.rows.map(row => ({ ...toFinding(row), analysisFilename: row.analysis_filename }));
+};
+
+// Update the triage fields of a finding. Only the given fields change;
+// assigneeWallet null unassigns. Owners can change both, assignees only the
+// status. Returns the updated finding, or null when the user may not update it.
+export const updateFindingTriage = async (findingId, userId, { status, assigneeWallet }) => {
+  const result = await pool.query(`
+    UPDATE findings f
+    SET status = COALESCE($3::varchar, status),
+        assignee_wallet = CASE WHEN $4::boolean THEN $5::varchar ELSE assignee_wallet END,
+        status_updated_at = CASE WHEN $3::varchar <> status THEN CURRENT_TIMESTAMP ELSE status_updated_at END,
+        status_updated_by = CASE WHEN $3::varchar <> status THEN $2::uuid ELSE status_updated_by END
+    WHERE f.id = $1 AND (f.user_id = $2 OR (NOT $4::boolean AND ${assignedToUser('$2')}))
+    RETURNING id
+  `, [findingId, userId, status ?? null, assigneeWallet !== undefined, assigneeWallet ?? null]);
+
+  return result.rows[0] ? getFindingForUser(findingId, userId) : null;
+};
+
+const toComment = (row) => ({
+  id: row.id,
+  findingId: row.finding_id,
+  parentId: row.parent_id,
+  body: row.body,
+  authorWallet: row.wallet_address || null,
+  authorEnsName: row.ens_name || null,
+  createdAt: row.created_at
+});
+
+// Comments of a finding as threads: top-level comments, oldest first, with their replies
+export const getFindingComments = async (findingId) => {
+  const result = await pool.query(`
+    SELECT c.*, u.wallet_address, u.ens_name
+    FROM finding_comments c
+    LEFT JOIN users u ON u.id = c.user_id
+    WHERE c.finding_id = $1
+    ORDER BY c.created_at, c.id
+  `, [findingId]);
+
+  const comments = result.rows.map(row => ({ ...toComment(row), replies: [] }));
+  const byId = new Map(comments.map(comment => [comment.id, comment]));
+  const threads = [];
+  for (const comment of comments) {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    (parent ? parent.replies : threads).push(comment);
+  }
+  return threads;
+};
+
+// Add a comment to a finding, optionally replying to one of its comments.
+// Returns null when the parent comment does not belong to the finding.
+export const addFindingComment = async (findingId, userId, { body, parentId = null }) => {
+  if (parentId) {
+    const parent = await pool.query(
+      'SELECT id FROM finding_comments WHERE id = $1 AND finding_id = $2',
+      [parentId, findingId]
+    );
+    if (parent.rows.length === 0) return null;
+  }
+
+  const result = await pool.query(`
+    WITH inserted AS (
+      INSERT INTO finding_comments (finding_id, parent_id, user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    )
+    SELECT inserted.*, u.wallet_address, u.ens_name
+    FROM inserted
+    LEFT JOIN users u ON u.id = inserted.user_id
+  `, [findingId, parentId, userId, body]);
+
+  return { ...toComment(result.rows[0]), replies: [] };
+};
+
+// The most recent completed full analysis of exactly the same files before this one.
+// Change-only analyses cover part of the code, so they are never compared.
+export const findPreviousAnalysis = async (analysis) => {
+  const fileIds = analysis.contract_file_ids || [];
+  if ((analysis.scope || 'full') !== 'full' || fileIds.length === 0) return null;
+
+  const result = await pool.query(`
+    SELECT *
+    FROM analysis_sessions
+    WHERE user_id = $1
+      AND id <> $2
+      AND status = 'completed'
+      AND scope = 'full'
+      AND is_contract_analysis = true
+      AND contract_file_ids @> $3::uuid[]
+      AND contract_file_ids <@ $3::uuid[]
+      AND created_at < $4
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [analysis.user_id, analysis.id, fileIds, analysis.created_at]);
+
+  return result.rows[0] || null;
+};
+
+// Classify findings against the previous analysis of the same files:
+// new (only now), persisting (both) or resolved (only before).
+// Returns null when there is nothing to compare with.
+export const compareWithPreviousAnalysis = async (analysis, findings) => {
+  const previous = await findPreviousAnalysis(analysis);
+  if (!previous) return null;
+
+  const previousFindings = await getFindingsForAnalysis(previous.id);
+
+  // Findings stored before fingerprinting existed are compared by their content-free key
+  const legacy = [...findings, ...previousFindings].some(finding => !finding.fingerprint);
+  const keyOf = (finding) => (legacy ? fingerprintFinding(finding) : finding.fingerprint);
+
+  // Identical issues can occur more than once, so match them one to one
+  const unmatched = new Map();
+  for (const finding of previousFindings) {
+    const key = keyOf(finding);
+    unmatched.set(key, [...(unmatched.get(key) || []), finding]);
+  }
+
+  const classified = findings.map(finding => {
+    const matches = unmatched.get(keyOf(finding));
+    if (matches && matches.length > 0) {
+      const previousFinding = matches.shift();
+      return { ...finding, change: 'persisting', previousFindingId: previousFinding.id };
+    }
+    return { ...finding, change: 'new', previousFindingId: null };
+  });
+  const resolved = [...unmatched.values()].flat().map(finding => ({ ...finding, change: 'resolved' }));
+
+  return {
+    previousAnalysis: {
+      id: previous.id,
+      filename: previous.filename,
+      createdAt: previous.created_at,
+      completedAt: previous.completed_at
+    },
+    findings: classified,
+    resolved,
+    summary: {
+      new: classified.filter(finding => finding.change === 'new').length,
+      persisting: classified.filter(finding => finding.change === 'persisting').length,
+      resolved: resolved.length
+    }
+  };
+};
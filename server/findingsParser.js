@@ -0,0 +1,274 @@
+// Parse free-form markdown audit output into structured findings
+
+export const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'Informational'];
+
+const SEVERITY_ALIASES = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  moderate: 'Medium',
+  low: 'Low',
+  info: 'Informational',
+  informational: 'Informational',
+  note: 'Informational',
+  gas: 'Informational'
+};
+
+const SEVERITY_WORD = '(critical|high|medium|moderate|low|informational|info|note|gas)';
+
+// Headings that close the current finding and severity group
+const NON_FINDING_HEADINGS = /^(summary|executive summary|overview|introduction|scope|conclusion|conclusions|disclaimer|methodology|contract overview|audit summary|general recommendations|recommendations|next steps|final thoughts|security score|overall assessment|risk assessment)\b/i;
+
+// "## High Severity Issues", "### Critical Findings", "**Medium**"
+const SEVERITY_GROUP = new RegExp(`^${SEVERITY_WORD}(\\s*[-_ ]?\\s*(severity|risk|priority|impact))?(\\s+(issues?|findings?|vulnerabilities|risks?))?\\s*(\\(\\d+\\))?\\s*:?$`, 'i');
+
+// "[High] Title", "(High) Title", "High: Title", "High - Title", "High Severity: Title"
+const SEVERITY_PREFIX = new RegExp(`^[[(]?${SEVERITY_WORD}(\\s*(severity|risk))?[\\])]?\\s*[:\\-–—|]\\s*(.+)$|^[[(]${SEVERITY_WORD}(\\s*(severity|risk))?[\\])]\\s*(.+)$`, 'i');
+
+// "Title (High)", "Title - High"
+const SEVERITY_SUFFIX = new RegExp(`^(.+?)\\s*(?:[(\\[]${SEVERITY_WORD}(?:\\s*(?:severity|risk))?[)\\]]|[-–—]\\s*${SEVERITY_WORD}(?:\\s*(?:severity|risk))?)$`, 'i');
+
+const FIELD_PATTERNS = {
+  severity: /^(?:severity|risk(?: level)?|impact level)\s*:\s*(.+)$/i,
+  description: /^(?:description|issue|details|explanation|impact)\s*:\s*(.*)$/i,
+  recommendation: /^(?:recommendations?|remediation|mitigation|fix|suggested fix|recommended fix|solution)\s*:\s*(.*)$/i,
+  location: /^(?:location|locations|lines?|file|affected code|affected lines|function)\s*:\s*(.+)$/i
+};
+
+const SWC_PATTERN = /\bSWC[-\s]?(\d{3})\b/i;
+const CWE_PATTERN = /\bCWE[-\s]?(\d{1,4})\b/i;
+
+export const normalizeSeverity = (value) => {
+  if (!value) return null;
+  const match = String(value).toLowerCase().match(new RegExp(SEVERITY_WORD));
+  return match ? SEVERITY_ALIASES[match[1]] : null;
+};
+
+// Remove markdown emphasis, emoji and list/number prefixes from a heading
+const cleanHeading = (text) => text
+  .replace(/[*_`]/g, '')
+  .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '')
+  .replace(/^\s*(?:issue|finding|vulnerability)?\s*#?\s*\d+(?:\.\d+)*\s*[.):-]?\s+/i, '')
+  .replace(/^\s*[A-Z]-\d+\s*[.):-]?\s*/, '')
+  .trim();
+
+// Recognize markdown headings, whole-line bold text and bold list items.
+// Text after a bold list item ("1. **Title** - line 4") is returned as rest.
+const readHeading = (line) => {
+  const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+  if (heading) return { text: heading[1], rest: '' };
+
+  const bold = line.match(/^\s*(?:[-*]\s+|\d+\.\s+)?\*\*(.+?)\*\*\s*:?\s*$/);
+  if (bold) return { text: bold[1], rest: '' };
+
+  const boldItem = line.match(/^\s*(?:[-*]\s+|\d+\.\s+)\*\*(.+?)\*\*\s*[:\-–—]?\s*(.+)$/);
+  if (boldItem) return { text: boldItem[1], rest: boldItem[2] };
+
+  return null;
+};
+
+// Parse "line 12", "lines 12-20", "L12-L20", "Vault.sol:12", "Vault.sol#L12-L20"
+export const parseLocation = (text, knownFiles = []) => {
+  if (!text) return { file: null, lineStart: null, lineEnd: null };
+
+  let file = null;
+  const lowerText = text.toLowerCase();
+  for (const name of knownFiles) {
+    if (name && lowerText.includes(name.toLowerCase())) {
+      file = name;
+      break;
+    }
+  }
+  if (!file) {
+    const fileMatch = text.match(/([\w./@-]+\.(?:sol|vy|move|cairo))\b/i);
+    if (fileMatch) file = fileMatch[1];
+  }
+
+  let lineStart = null;
+  let lineEnd = null;
+  const rangeMatch = text.match(/(?:\b[Ll]ines?\s*|#?\bL|:)(\d+)\s*(?:-|–|to|\.\.)\s*L?(\d+)/);
+  const singleMatch = text.match(/(?:\b[Ll]ines?\s*|#?\bL|:)(\d+)/);
+
+  if (rangeMatch) {
+    lineStart = Number(rangeMatch[1]);
+    lineEnd = Number(rangeMatch[2]);
+  } else if (singleMatch) {
+    lineStart = Number(singleMatch[1]);
+    lineEnd = lineStart;
+  }
+
+  if (lineStart !== null && lineEnd !== null && lineEnd < lineStart) {
+    [lineStart, lineEnd] = [lineEnd, lineStart];
+  }
+
+  return { file, lineStart, lineEnd };
+};
+
+// Split a finding heading into severity and title
+const parseFindingHeading = (text) => {
+  const cleaned = cleanHeading(text);
+
+  const prefix = cleaned.match(SEVERITY_PREFIX);
+  if (prefix) {
+    const severity = normalizeSeverity(prefix[1] || prefix[5]);
+    const title = (prefix[4] || prefix[8] || '').trim();
+    if (severity && title) return { severity, title };
+  }
+
+  const suffix = cleaned.match(SEVERITY_SUFFIX);
+  if (suffix) {
+    const severity = normalizeSeverity(suffix[2] || suffix[3]);
+    if (severity) return { severity, title: suffix[1].trim() };
+  }
+
+  return { severity: null, title: cleaned };
+};
+
+const stripMarkdownField = (line) => line
+  .replace(/^\s*[-*>]\s+/, '')
+  .replace(/\*\*/g, '')
+  .replace(/__/g, '')
+  .trim();
+
+// Turn one finding section (heading + body lines) into a finding
+const buildFinding = (section, context) => {
+  const { knownFiles, defaultFile } = context;
+  const descriptionLines = [];
+  const recommendationLines = [];
+  let severity = section.severity;
+  let location = null;
+  let target = descriptionLines;
+
+  for (const rawLine of section.body) {
+    const line = stripMarkdownField(rawLine);
+
+    const severityField = line.match(FIELD_PATTERNS.severity);
+    if (severityField) {
+      severity = normalizeSeverity(severityField[1]) || severity;
+      continue;
+    }
+
+    const locationField = line.match(FIELD_PATTERNS.location);
+    if (locationField && !location) {
+      location = locationField[1];
+      continue;
+    }
+
+    const recommendationField = line.match(FIELD_PATTERNS.recommendation);
+    if (recommendationField) {
+      target = recommendationLines;
+      if (recommendationField[1]) target.push(recommendationField[1]);
+      continue;
+    }
+
+    const descriptionField = line.match(FIELD_PATTERNS.description);
+    if (descriptionField) {
+      target = descriptionLines;
+      if (descriptionField[1]) target.push(descriptionField[1]);
+      continue;
+    }
+
+    target.push(rawLine.replace(/\s+$/, ''));
+  }
+
+  if (!severity) return null;
+
+  const bodyText = section.body.join('\n');
+  const parsedLocation = parseLocation(location || `${section.title}\n${bodyText}`, knownFiles);
+  const swcMatch = `${section.title}\n${bodyText}`.match(SWC_PATTERN);
+  const cweMatch = `${section.title}\n${bodyText}`.match(CWE_PATTERN);
+
+  return {
+    severity,
+    title: section.title.slice(0, 500),
+    description: descriptionLines.join('\n').trim(),
+    recommendation: recommendationLines.join('\n').trim() || null,
+    file: parsedLocation.file || defaultFile || null,
+    lineStart: parsedLocation.lineStart,
+    lineEnd: parsedLocation.lineEnd,
+    swcId: swcMatch ? `SWC-${swcMatch[1]}` : null,
+    cweId: cweMatch ? `CWE-${cweMatch[1]}` : null
+  };
+};
+
+// Extract findings from an audit report.
+// knownFiles: file names in the scan, used to resolve locations
+// defaultFile: file to attribute findings to when the report names none
+export const extractFindings = (markdown, { knownFiles = [], defaultFile = null } = {}) => {
+  if (!markdown || typeof markdown !== 'string') return [];
+
+  const context = { knownFiles, defaultFile };
+  const findings = [];
+  let groupSeverity = null;
+  let groupLevel = null;
+  let current = null;
+  let inCodeBlock = false;
+
+  const closeCurrent = () => {
+    if (current) {
+      const finding = buildFinding(current, context);
+      if (finding) findings.push(finding);
+      current = null;
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*```/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      if (current) current.body.push(line);
+      continue;
+    }
+
+    const heading = inCodeBlock ? null : readHeading(line);
+    if (heading === null) {
+      if (current) current.body.push(line);
+      continue;
+    }
+
+    const headingText = heading.text;
+
+    const level = (line.match(/^\s*(#+)/) || [null, '#######'])[1].length;
+    const cleaned = cleanHeading(headingText);
+
+    // Bold field labels like "**Description:**" belong to the current finding
+    if (current && !/^#/.test(line.trim()) && Object.values(FIELD_PATTERNS).some(pattern => pattern.test(`${cleaned}:`) || pattern.test(cleaned))) {
+      current.body.push(line);
+      continue;
+    }
+
+    if (NON_FINDING_HEADINGS.test(cleaned)) {
+      closeCurrent();
+      groupSeverity = null;
+      groupLevel = null;
+      continue;
+    }
+
+    if (SEVERITY_GROUP.test(cleaned)) {
+      closeCurrent();
+      groupSeverity = normalizeSeverity(cleaned);
+      groupLevel = level;
+      continue;
+    }
+
+    // A heading at or above the severity group level ends the group
+    if (groupLevel !== null && level <= groupLevel) {
+      groupSeverity = null;
+      groupLevel = null;
+    }
+
+    const { severity, title } = parseFindingHeading(headingText);
+
+    // Plain bold text inside a finding that is not a new issue stays in the body
+    if (current && !severity && !/^#/.test(line.trim()) && !/^\s*(?:[-*]\s+|\d+\.\s+)/.test(line)) {
+      current.body.push(line);
+      continue;
+    }
+
+    closeCurrent();
+    current = { severity: severity || groupSeverity, title, body: heading.rest ? [heading.rest] : [] };
+  }
+
+  closeCurrent();
+
+  return findings.filter(finding => finding.title);
+};
@@ -0,0 +1,139 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readArchive } from './archives.js';
+
+// Reads the tree of a git revision from an uploaded bundle or, in self-hosted mode,
+// from a repository on the server (under GIT_IMPORT_ROOT). Sources are read with
+// `git archive`, so nothing is checked out into a working tree.
+
+export const GIT_BUNDLE_EXTENSIONS = ['.bundle'];
+
+const GIT_TIMEOUT = 60 * 1000;
+const MAX_ARCHIVE_OUTPUT = 110 * 1024 * 1024;
+
+// Branch, tag, commit hash or revision expression such as `HEAD~2`; never an option
+const REF_PATTERN = /^[\w./@^~{}-]+$/;
+
+const gitError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const isGitBundleName = (filename) => {
+  const lower = String(filename || '').toLowerCase();
+  return GIT_BUNDLE_EXTENSIONS.some(extension => lower.endsWith(extension));
+};
+
+// Server-side repositories can only be imported when the server is configured for it
+export const isLocalGitImportEnabled = () => Boolean(process.env.GIT_IMPORT_ROOT);
+
+const runGit = (args, { encoding = 'utf8', maxBuffer = 10 * 1024 * 1024 } = {}) => new Promise((resolve, reject) => {
+  execFile('git', args, {
+    encoding,
+    maxBuffer,
+    timeout: GIT_TIMEOUT,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  }, (error, stdout, stderr) => {
+    if (error) {
+      if (error.code === 'ENOENT') return reject(gitError('git is not available on this server', 503));
+      if (error.killed) return reject(gitError('git command timed out', 504));
+      error.stderr = String(stderr || '').trim();
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+// Resolves a path below GIT_IMPORT_ROOT, following symlinks so they cannot point outside it
+const resolveLocalRepository = async (repoPath) => {
+  const root = await fs.realpath(process.env.GIT_IMPORT_ROOT);
+
+  let repository;
+  try {
+    repository = await fs.realpath(path.resolve(root, String(repoPath)));
+  } catch {
+    throw gitError('Repository path not found', 404);
+  }
+
+  if (repository !== root && !repository.startsWith(`${root}${path.sep}`)) {
+    throw gitError('Repository path must be inside the configured import root', 403);
+  }
+
+  return repository;
+};
+
+// Commit a ref points to, with the metadata shown to auditors
+const resolveCommit = async (gitArgs, ref) => {
+  let hash;
+  try {
+    hash = (await runGit([...gitArgs, 'rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+  } catch (error) {
+    if (error.status) throw error;
+    throw gitError(`Ref "${ref}" not found in repository`, 404);
+  }
+
+  const [author, date, subject] = (await runGit([...gitArgs, 'log', '-1', '--format=%an%n%cI%n%s', hash])).split('\n');
+  return { hash, author, date, subject };
+};
+
+// Reads the files of `ref` from a git bundle buffer or a server-side repository path.
+// Returns { commit: { hash, author, date, subject }, ref, entries } where entries are
+// [{ path, content } | { path, error }] as returned by readArchive.
+export const readGitRevision = async ({ bundle = null, repoPath = null, ref = 'HEAD' }) => {
+  const revision = String(ref || 'HEAD').trim();
+  if (!REF_PATTERN.test(revision) || revision.startsWith('-') || revision.length > 255) {
+    throw gitError('Invalid git ref');
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'secweb3-git-'));
+  try {
+    let repository;
+
+    if (bundle) {
+      // Bundles are cloned into a bare repository so the ref can be resolved
+      const bundlePath = path.join(workDir, 'import.bundle');
+      repository = path.join(workDir, 'repository.git');
+      await fs.writeFile(bundlePath, bundle);
+
+      try {
+        await runGit(['clone', '--bare', '--quiet', bundlePath, repository]);
+      } catch (error) {
+        if (error.status) throw error;
+        console.error('Git bundle clone failed:', error.stderr || error.message);
+        throw gitError('Invalid git bundle. Bundles must be complete (no prerequisite commits).');
+      }
+    } else if (repoPath) {
+      if (!isLocalGitImportEnabled()) {
+        throw gitError('Importing from a server-side repository path is only available in self-hosted mode', 403);
+      }
+      repository = await resolveLocalRepository(repoPath);
+    } else {
+      throw gitError('A git bundle or repository path is required');
+    }
+
+    // The repository may belong to another system user in self-hosted setups
+    const gitArgs = ['-c', `safe.directory=${repository}`, '-C', repository];
+
+    try {
+      await runGit([...gitArgs, 'rev-parse', '--git-dir']);
+    } catch (error) {
+      if (error.status) throw error;
+      throw gitError('Not a git repository');
+    }
+
+    const commit = await resolveCommit(gitArgs, revision);
+    let tar;
+    try {
+      tar = await runGit([...gitArgs, 'archive', '--format=tar', commit.hash], {
+        encoding: 'buffer',
+        maxBuffer: MAX_ARCHIVE_OUTPUT
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      throw gitError(error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' ? 'Repository content exceeds 100MB' : 'Could not read repository tree');
+    }
+
+    return { commit, ref: revision, entries: readArchive(tar, 'repository.tar') };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
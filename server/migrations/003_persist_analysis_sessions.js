@@ -0,0 +1,39 @@
+import { pool } from '../database.js';
+
+const persistAnalysisSessions = async () => {
+  try {
+    console.log('🔄 Extending analysis_sessions for persistent sessions...');
+
+    // Columns that used to live only in the in-memory sessions Map
+    await pool.query(`
+      ALTER TABLE analysis_sessions
+        ADD COLUMN IF NOT EXISTS session_key VARCHAR(255) UNIQUE,
+        ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS scan_cost INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS credits_deducted INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS is_contract_analysis BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS stream_started_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS error_message TEXT,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_sessions_user_id
+      ON analysis_sessions(user_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_sessions_status_expires
+      ON analysis_sessions(status, expires_at)
+    `);
+
+    console.log('✅ Analysis sessions table ready');
+  } catch (error) {
+    console.error('❌ Failed to extend analysis_sessions:', error);
+    throw error;
+  }
+};
+
+export default persistAnalysisSessions;
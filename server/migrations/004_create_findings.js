@@ -0,0 +1,51 @@
+import { pool } from '../database.js';
+
+const createFindings = async () => {
+  try {
+    console.log('🔄 Creating findings table...');
+
+    // Keep the analysed files and the full streamed report with each session
+    await pool.query(`
+      ALTER TABLE analysis_sessions
+        ADD COLUMN IF NOT EXISTS contract_file_ids UUID[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS result_content TEXT
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS findings (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        analysis_session_id UUID NOT NULL REFERENCES analysis_sessions(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        contract_file_id UUID REFERENCES contract_files(id) ON DELETE SET NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        severity VARCHAR(20) NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        file_path VARCHAR(255),
+        line_start INTEGER,
+        line_end INTEGER,
+        swc_id VARCHAR(20),
+        cwe_id VARCHAR(20),
+        recommendation TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_findings_analysis_session_id
+      ON findings(analysis_session_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_findings_contract_file_id
+      ON findings(contract_file_id)
+    `);
+
+    console.log('✅ Findings table created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create findings table:', error);
+    throw error;
+  }
+};
+
+export default createFindings;
@@ -0,0 +1,27 @@
+import { pool } from '../database.js';
+
+const addStaticAnalysis = async () => {
+  try {
+    console.log('🔄 Adding static analysis columns...');
+
+    // Pre-pass results are kept with the session until the AI report is merged in
+    await pool.query(`
+      ALTER TABLE analysis_sessions
+        ADD COLUMN IF NOT EXISTS static_findings JSONB NOT NULL DEFAULT '[]'
+    `);
+
+    // Where a finding came from ('ai' or 'static') and the detector rule that raised it
+    await pool.query(`
+      ALTER TABLE findings
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'ai',
+        ADD COLUMN IF NOT EXISTS rule_id VARCHAR(100)
+    `);
+
+    console.log('✅ Static analysis columns added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add static analysis columns:', error);
+    throw error;
+  }
+};
+
+export default addStaticAnalysis;
@@ -0,0 +1,46 @@
+import { pool } from '../database.js';
+
+const createProjects = async () => {
+  try {
+    console.log('🔄 Creating projects table...');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        is_archived BOOLEAN DEFAULT false
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id)');
+
+    // Files keep the folder path they were uploaded with, relative to the project root
+    await pool.query(`
+      ALTER TABLE contract_files
+        ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS file_path VARCHAR(1024)
+    `);
+
+    await pool.query(`
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL
+    `);
+
+    // Findings reference files by path, which can now include folders
+    await pool.query('ALTER TABLE findings ALTER COLUMN file_path TYPE VARCHAR(1024)');
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_contract_files_project_id ON contract_files(project_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_conversations_project_id ON conversations(project_id)');
+
+    console.log('✅ Projects table created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create projects table:', error);
+    throw error;
+  }
+};
+
+export default createProjects;
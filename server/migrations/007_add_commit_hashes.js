@@ -0,0 +1,22 @@
+import { pool } from '../database.js';
+
+const addCommitHashes = async () => {
+  try {
+    console.log('🔄 Adding commit hashes to contract files...');
+
+    // Files imported from git record the commit they were read at (SHA-1 or SHA-256)
+    await pool.query(`
+      ALTER TABLE contract_files
+        ADD COLUMN IF NOT EXISTS commit_hash VARCHAR(64)
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_contract_files_commit_hash ON contract_files(commit_hash)');
+
+    console.log('✅ Commit hashes added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add commit hashes:', error);
+    throw error;
+  }
+};
+
+export default addCommitHashes;
@@ -0,0 +1,82 @@
+import { pool } from '../database.js';
+
+const createFileVersions = async () => {
+  try {
+    console.log('🔄 Creating contract_file_versions table...');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS contract_file_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        contract_file_id UUID NOT NULL REFERENCES contract_files(id) ON DELETE CASCADE,
+        version_number INTEGER NOT NULL,
+        file_content TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        language VARCHAR(50),
+        commit_hash VARCHAR(64),
+        source VARCHAR(20) NOT NULL DEFAULT 'upload',
+        restored_from INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (contract_file_id, version_number)
+      )
+    `);
+
+    // contract_files keeps the current content; current_version points into the history
+    await pool.query(`
+      ALTER TABLE contract_files
+        ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1
+    `);
+
+    // Existing files become version 1 of their history
+    await pool.query(`
+      INSERT INTO contract_file_versions (
+        contract_file_id, version_number, file_content, file_size, checksum, language, commit_hash, created_at
+      )
+      SELECT f.id, f.current_version, f.file_content, f.file_size, f.checksum, f.language, f.commit_hash, f.upload_date
+      FROM contract_files f
+      WHERE NOT EXISTS (SELECT 1 FROM contract_file_versions v WHERE v.contract_file_id = f.id)
+    `);
+
+    // Analyses record the exact versions they scanned
+    await pool.query(`
+      ALTER TABLE analysis_sessions
+        ADD COLUMN IF NOT EXISTS contract_file_version_ids UUID[] NOT NULL DEFAULT '{}'
+    `);
+
+    // An active path holds one file per project (or outside projects). Copies left by
+    // concurrent uploads before the unique index existed are deactivated, newest kept.
+    await pool.query(`
+      UPDATE contract_files f
+      SET is_active = false
+      WHERE f.is_active = true
+        AND EXISTS (
+          SELECT 1 FROM contract_files newer
+          WHERE newer.is_active = true
+            AND newer.user_id = f.user_id
+            AND COALESCE(newer.project_id, '00000000-0000-0000-0000-000000000000'::uuid)
+              = COALESCE(f.project_id, '00000000-0000-0000-0000-000000000000'::uuid)
+            AND COALESCE(newer.file_path, newer.original_name) = COALESCE(f.file_path, f.original_name)
+            AND (COALESCE(newer.upload_date, '-infinity'), newer.id) > (COALESCE(f.upload_date, '-infinity'), f.id)
+        )
+    `);
+
+    // Uploads look files up by this key and insert against it with ON CONFLICT
+    await pool.query('DROP INDEX IF EXISTS idx_contract_files_user_path');
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_files_active_path
+      ON contract_files(
+        user_id,
+        (COALESCE(project_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+        (COALESCE(file_path, original_name))
+      )
+      WHERE is_active = true
+    `);
+
+    console.log('✅ File versions table created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create file versions table:', error);
+    throw error;
+  }
+};
+
+export default createFileVersions;
@@ -0,0 +1,20 @@
+import { pool } from '../database.js';
+
+const addAnalysisScope = async () => {
+  try {
+    console.log('🔄 Adding analysis scope...');
+
+    // 'full' analyses cover whole files; 'changes' analyses only the diff between two versions
+    await pool.query(`
+      ALTER TABLE analysis_sessions
+        ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'full'
+    `);
+
+    console.log('✅ Analysis scope added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add analysis scope:', error);
+    throw error;
+  }
+};
+
+export default addAnalysisScope;
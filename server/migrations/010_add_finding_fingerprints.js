@@ -0,0 +1,27 @@
+import { pool } from '../database.js';
+
+const addFindingFingerprints = async () => {
+  try {
+    console.log('🔄 Adding finding fingerprints...');
+
+    // Stable identity of a finding across scans (rule + normalized code snippet)
+    await pool.query(`
+      ALTER TABLE findings
+        ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64)
+    `);
+
+    // Used to find the previous analysis of the same file set
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_analysis_sessions_user_completed
+      ON analysis_sessions(user_id, completed_at DESC)
+      WHERE status = 'completed'
+    `);
+
+    console.log('✅ Finding fingerprints added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add finding fingerprints:', error);
+    throw error;
+  }
+};
+
+export default addFindingFingerprints;
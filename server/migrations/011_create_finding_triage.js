@@ -0,0 +1,40 @@
+import { pool } from '../database.js';
+
+const createFindingTriage = async () => {
+  try {
+    console.log('🔄 Creating finding triage...');
+
+    await pool.query(`
+      ALTER TABLE findings
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'confirmed', 'false_positive', 'acknowledged', 'fixed')),
+        ADD COLUMN IF NOT EXISTS assignee_wallet VARCHAR(42),
+        ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS status_updated_by UUID REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    // Comments reply to a finding or, through parent_id, to another comment
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS finding_comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        finding_id UUID NOT NULL REFERENCES findings(id) ON DELETE CASCADE,
+        parent_id UUID REFERENCES finding_comments(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_finding_comments_finding_id
+      ON finding_comments(finding_id, created_at)
+    `);
+
+    console.log('✅ Finding triage created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create finding triage:', error);
+    throw error;
+  }
+};
+
+export default createFindingTriage;
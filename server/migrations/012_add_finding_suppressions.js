@@ -0,0 +1,21 @@
+import { pool } from '../database.js';
+
+const addFindingSuppressions = async () => {
+  try {
+    console.log('🔄 Adding finding suppressions...');
+
+    // Findings silenced by a secweb3-disable annotation in the source stay listed
+    await pool.query(`
+      ALTER TABLE findings
+        ADD COLUMN IF NOT EXISTS suppressed BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS suppression_justification TEXT
+    `);
+
+    console.log('✅ Finding suppressions added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add finding suppressions:', error);
+    throw error;
+  }
+};
+
+export default addFindingSuppressions;
@@ -0,0 +1,63 @@
+import { pool } from '../database.js';
+
+const createCreditTransactions = async () => {
+  try {
+    console.log('🔄 Creating credit ledger...');
+
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS credits_updated_at TIMESTAMP
+    `);
+
+    // Every change to a user's balance; amount is signed and balance_after is the
+    // cached users.credits_balance right after the entry
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credit_transactions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(30) NOT NULL,
+        amount INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        analysis_session_id UUID REFERENCES analysis_sessions(id) ON DELETE SET NULL,
+        related_transaction_id UUID REFERENCES credit_transactions(id) ON DELETE SET NULL,
+        idempotency_key VARCHAR(255) UNIQUE,
+        description TEXT,
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT credit_transactions_type_check
+          CHECK (type IN ('opening_balance', 'signup_grant', 'debit', 'refund', 'monthly_grant', 'admin_adjustment'))
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_credit_transactions_user_created
+      ON credit_transactions(user_id, created_at DESC)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_credit_transactions_analysis_session
+      ON credit_transactions(analysis_session_id)
+    `);
+
+    // Users from before the ledger start with their current balance
+    const backfill = await pool.query(`
+      INSERT INTO credit_transactions (user_id, type, amount, balance_after, idempotency_key, description)
+      SELECT u.id, 'opening_balance', COALESCE(u.credits_balance, 0), COALESCE(u.credits_balance, 0),
+             'opening-balance:' || u.id, 'Balance before the credit ledger'
+      FROM users u
+      WHERE NOT EXISTS (SELECT 1 FROM credit_transactions t WHERE t.user_id = u.id)
+      ON CONFLICT (idempotency_key) DO NOTHING
+    `);
+    if (backfill.rowCount > 0) {
+      console.log(`📒 Recorded opening balances for ${backfill.rowCount} users`);
+    }
+
+    console.log('✅ Credit ledger created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create credit ledger:', error);
+    throw error;
+  }
+};
+
+export default createCreditTransactions;
@@ -0,0 +1,56 @@
+import { pool } from '../database.js';
+
+const createCreditHolds = async () => {
+  try {
+    console.log('🔄 Creating credit holds...');
+
+    // Holds reserve credits for an analysis: the hold entry takes them from the
+    // balance, a capture entry charges them, a release entry gives them back
+    await pool.query(`
+      ALTER TABLE credit_transactions
+        DROP CONSTRAINT IF EXISTS credit_transactions_type_check
+    `);
+    await pool.query(`
+      ALTER TABLE credit_transactions
+        ADD CONSTRAINT credit_transactions_type_check
+        CHECK (type IN (
+          'opening_balance', 'signup_grant', 'debit', 'refund', 'monthly_grant', 'admin_adjustment',
+          'hold', 'capture', 'release'
+        ))
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credit_holds (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        amount INTEGER NOT NULL CHECK (amount > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'held',
+        analysis_session_id UUID REFERENCES analysis_sessions(id) ON DELETE SET NULL,
+        transaction_id UUID NOT NULL REFERENCES credit_transactions(id),
+        release_reason VARCHAR(100),
+        expires_at TIMESTAMP NOT NULL,
+        settled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT credit_holds_status_check CHECK (status IN ('held', 'captured', 'released'))
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_credit_holds_session
+      ON credit_holds(analysis_session_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_credit_holds_open_expiry
+      ON credit_holds(expires_at)
+      WHERE status = 'held'
+    `);
+
+    console.log('✅ Credit holds created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create credit holds:', error);
+    throw error;
+  }
+};
+
+export default createCreditHolds;
@@ -0,0 +1,51 @@
+import { pool } from '../database.js';
+
+const addCreditRollover = async () => {
+  try {
+    console.log('🔄 Adding credit rollover policies...');
+
+    const existing = await pool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'plans' AND column_name = 'monthly_reset'
+    `);
+
+    // What happens to unused credits at a monthly reset:
+    //   none   - the balance is set to the monthly allowance
+    //   capped - up to credits_rollover_cap unused credits carry over
+    //   full   - every unused credit carries over
+    await pool.query(`
+      ALTER TABLE plans
+        ADD COLUMN IF NOT EXISTS monthly_reset BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS credits_rollover_policy TEXT NOT NULL DEFAULT 'none',
+        ADD COLUMN IF NOT EXISTS credits_rollover_cap INTEGER
+    `);
+
+    await pool.query(`
+      ALTER TABLE plans
+        DROP CONSTRAINT IF EXISTS plans_credits_rollover_policy_check
+    `);
+    await pool.query(`
+      ALTER TABLE plans
+        ADD CONSTRAINT plans_credits_rollover_policy_check
+        CHECK (credits_rollover_policy IN ('none', 'capped', 'full'))
+    `);
+
+    // Paid plans refresh monthly, as checkAndResetMonthlyCredits always assumed.
+    // Only on the first run so plans changed later keep their setting.
+    if (existing.rows.length === 0) {
+      await pool.query(`UPDATE plans SET monthly_reset = true WHERE code IN ('pro', 'custom')`);
+    }
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_credits_reset_at
+      ON users(credits_reset_at)
+    `);
+
+    console.log('✅ Credit rollover policies added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add credit rollover policies:', error);
+    throw error;
+  }
+};
+
+export default addCreditRollover;
@@ -0,0 +1,34 @@
+import { pool } from '../database.js';
+
+const createPricingQuotes = async () => {
+  try {
+    console.log('🔄 Creating pricing quotes...');
+
+    // A quote fixes the price of an exact analysis input (input_hash) until it expires
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pricing_quotes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        input_hash VARCHAR(64) NOT NULL,
+        total INTEGER NOT NULL,
+        pricing_version INTEGER NOT NULL,
+        breakdown JSONB NOT NULL DEFAULT '{}',
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_pricing_quotes_expires_at
+      ON pricing_quotes(expires_at)
+    `);
+
+    console.log('✅ Pricing quotes created successfully');
+  } catch (error) {
+    console.error('❌ Failed to create pricing quotes:', error);
+    throw error;
+  }
+};
+
+export default createPricingQuotes;
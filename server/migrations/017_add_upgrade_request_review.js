@@ -0,0 +1,52 @@
+import { pool } from '../database.js';
+
+const addUpgradeRequestReview = async () => {
+  try {
+    console.log('🔄 Adding upgrade request review...');
+
+    // Approving an upgrade grants the plan's credits through the ledger
+    await pool.query(`
+      ALTER TABLE credit_transactions
+        DROP CONSTRAINT IF EXISTS credit_transactions_type_check
+    `);
+    await pool.query(`
+      ALTER TABLE credit_transactions
+        ADD CONSTRAINT credit_transactions_type_check
+        CHECK (type IN (
+          'opening_balance', 'signup_grant', 'debit', 'refund', 'monthly_grant', 'admin_adjustment',
+          'hold', 'capture', 'release', 'plan_grant'
+        ))
+    `);
+
+    await pool.query(`
+      ALTER TABLE upgrade_requests
+        ADD COLUMN IF NOT EXISTS credits_granted INTEGER,
+        ADD COLUMN IF NOT EXISTS credit_transaction_id UUID REFERENCES credit_transactions(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS plan_expires_at TIMESTAMP WITH TIME ZONE
+    `);
+
+    await pool.query(`
+      ALTER TABLE upgrade_requests
+        DROP CONSTRAINT IF EXISTS upgrade_requests_status_check
+    `);
+    await pool.query(`
+      ALTER TABLE upgrade_requests
+        ADD CONSTRAINT upgrade_requests_status_check
+        CHECK (status IN ('pending', 'approved', 'rejected'))
+    `);
+
+    // A user has at most one request waiting for review
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_upgrade_requests_one_pending
+      ON upgrade_requests(user_id)
+      WHERE status = 'pending'
+    `);
+
+    console.log('✅ Upgrade request review added successfully');
+  } catch (error) {
+    console.error('❌ Failed to add upgrade request review:', error);
+    throw error;
+  }
+};
+
+export default addUpgradeRequestReview;
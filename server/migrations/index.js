@@ -0,0 +1,174 @@
+import { pool } from '../database.js';
+import createTables from './001_create_tables.js';
+
+// Create the schema and apply every migration in order. Later migrations are
+// skipped with a warning when they fail, so a partially migrated database still boots.
+const runMigrations = async () => {
+  console.log('🔄 Running database migrations...');
+  await createTables();
+
+  // Run plans system migration
+  try {
+    const createPlansSystem = await import('./002_create_plans_system.js');
+    await createPlansSystem.default();
+  } catch (error) {
+    console.warn('⚠️ Plans system migration skipped:', error.message);
+  }
+
+  // Run analysis session persistence migration
+  try {
+    const persistAnalysisSessions = await import('./003_persist_analysis_sessions.js');
+    await persistAnalysisSessions.default();
+  } catch (error) {
+    console.warn('⚠️ Analysis sessions migration skipped:', error.message);
+  }
+
+  // Run findings migration
+  try {
+    const createFindings = await import('./004_create_findings.js');
+    await createFindings.default();
+  } catch (error) {
+    console.warn('⚠️ Findings migration skipped:', error.message);
+  }
+
+  // Run static analysis migration
+  try {
+    const addStaticAnalysis = await import('./005_add_static_analysis.js');
+    await addStaticAnalysis.default();
+  } catch (error) {
+    console.warn('⚠️ Static analysis migration skipped:', error.message);
+  }
+
+  // Run projects migration
+  try {
+    const createProjects = await import('./006_create_projects.js');
+    await createProjects.default();
+  } catch (error) {
+    console.warn('⚠️ Projects migration skipped:', error.message);
+  }
+
+  // Run commit hashes migration
+  try {
+    const addCommitHashes = await import('./007_add_commit_hashes.js');
+    await addCommitHashes.default();
+  } catch (error) {
+    console.warn('⚠️ Commit hashes migration skipped:', error.message);
+  }
+
+  // Run file versions migration
+  try {
+    const createFileVersions = await import('./008_create_file_versions.js');
+    await createFileVersions.default();
+  } catch (error) {
+    console.warn('⚠️ File versions migration skipped:', error.message);
+  }
+
+  // Run analysis scope migration
+  try {
+    const addAnalysisScope = await import('./009_add_analysis_scope.js');
+    await addAnalysisScope.default();
+  } catch (error) {
+    console.warn('⚠️ Analysis scope migration skipped:', error.message);
+  }
+
+  // Run finding fingerprints migration
+  try {
+    const addFindingFingerprints = await import('./010_add_finding_fingerprints.js');
+    await addFindingFingerprints.default();
+  } catch (error) {
+    console.warn('⚠️ Finding fingerprints migration skipped:', error.message);
+  }
+
+  // Run finding triage migration
+  try {
+    const createFindingTriage = await import('./011_create_finding_triage.js');
+    await createFindingTriage.default();
+  } catch (error) {
+    console.warn('⚠️ Finding triage migration skipped:', error.message);
+  }
+
+  // Run finding suppressions migration
+  try {
+    const addFindingSuppressions = await import('./012_add_finding_suppressions.js');
+    await addFindingSuppressions.default();
+  } catch (error) {
+    console.warn('⚠️ Finding suppressions migration skipped:', error.message);
+  }
+
+  // Run credit ledger migration
+  try {
+    const createCreditTransactions = await import('./013_create_credit_transactions.js');
+    await createCreditTransactions.default();
+  } catch (error) {
+    console.warn('⚠️ Credit ledger migration skipped:', error.message);
+  }
+
+  // Run credit holds migration
+  try {
+    const createCreditHolds = await import('./014_create_credit_holds.js');
+    await createCreditHolds.default();
+  } catch (error) {
+    console.warn('⚠️ Credit holds migration skipped:', error.message);
+  }
+
+  // Run credit rollover migration
+  try {
+    const addCreditRollover = await import('./015_add_credit_rollover.js');
+    await addCreditRollover.default();
+  } catch (error) {
+    console.warn('⚠️ Credit rollover migration skipped:', error.message);
+  }
+
+  // Run pricing quotes migration
+  try {
+    const createPricingQuotes = await import('./016_create_pricing_quotes.js');
+    await createPricingQuotes.default();
+  } catch (error) {
+    console.warn('⚠️ Pricing quotes migration skipped:', error.message);
+  }
+
+  // Run upgrade request review migration
+  try {
+    const addUpgradeRequestReview = await import('./017_add_upgrade_request_review.js');
+    await addUpgradeRequestReview.default();
+  } catch (error) {
+    console.warn('⚠️ Upgrade request review migration skipped:', error.message);
+  }
+
+  // Verify required tables exist
+  console.log('🔄 Verifying database schema...');
+  try {
+    const tableCheck = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+      AND table_name IN ('users', 'plans', 'conversations', 'analysis_sessions')
+    `);
+
+    const existingTables = tableCheck.rows.map(r => r.table_name);
+    console.log('📊 Existing tables:', existingTables);
+
+    // Check users table columns
+    const userColumnsCheck = await pool.query(`
+      SELECT column_name, data_type 
+      FROM information_schema.columns 
+      WHERE table_name = 'users'
+    `);
+
+    console.log('👤 Users table columns:', userColumnsCheck.rows.map(r => `${r.column_name} (${r.data_type})`));
+
+    // Ensure credits_balance exists
+    const hasCreditsBalance = userColumnsCheck.rows.some(r => r.column_name === 'credits_balance');
+    if (!hasCreditsBalance) {
+      console.log('🔄 Adding missing credits_balance column...');
+      await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS credits_balance INTEGER DEFAULT 100');
+    }
+
+    console.log('✅ Database schema verified');
+  } catch (schemaError) {
+    console.warn('⚠️ Schema verification failed:', schemaError.message);
+    // Continue anyway - tables might exist with different schema
+  }
+};
+
+export default runMigrations;
@@ -0,0 +1,233 @@
+import zlib from 'zlib';
+
+// Minimal PDF 1.4 writer for server-side reports.
+// Uses the standard Helvetica/Courier fonts so no font files or browser are needed.
+// Coordinates passed to drawing methods are measured from the top-left corner.
+
+const FONTS = {
+  regular: { id: 'F1', base: 'Helvetica' },
+  bold: { id: 'F2', base: 'Helvetica-Bold' },
+  mono: { id: 'F3', base: 'Courier' }
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Unicode characters that WinAnsiEncoding places in the 0x80-0x9F range
+const WIN_ANSI_EXTRAS = {
+  '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80, '™': 0x99
+};
+
+// Encode text as WinAnsi bytes; characters outside the encoding become '?'
+const toWinAnsi = (text) => {
+  const codes = [];
+  for (const char of String(text ?? '').replace(/\t/g, '    ')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      codes.push(WIN_ANSI_EXTRAS[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      codes.push(code);
+    } else if (code >= 0x1F000 || (code >= 0x2600 && code <= 0x27BF) || code === 0xFE0F) {
+      // Drop emoji rather than printing placeholders
+      continue;
+    } else if (code >= 32) {
+      codes.push(63);
+    }
+  }
+  return codes;
+};
+
+const escapePdfString = (codes) => codes
+  .map(code => {
+    if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+    if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+  })
+  .join('');
+
+const charWidth = (code, font) => {
+  if (font === 'mono') return 600;
+  const width = code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  return font === 'bold' ? width * 1.06 : width;
+};
+
+export const measureText = (text, font = 'regular', size = 10) =>
+  toWinAnsi(text).reduce((total, code) => total + charWidth(code, font), 0) * size / 1000;
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const colorOperator = (color, operator) => `${color.map(channel => formatNumber(channel / 255)).join(' ')} ${operator}`;
+
+export const createPdfDocument = ({ pageWidth = 595.28, pageHeight = 841.89, margin = 50 } = {}) => {
+  const pages = [];
+  let current = null;
+  let cursorY = margin;
+
+  const contentWidth = pageWidth - margin * 2;
+  const bottomLimit = pageHeight - margin - 20;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+    cursorY = margin;
+  };
+
+  // Start a new page when the next block would not fit
+  const ensureSpace = (height) => {
+    if (!current || cursorY + height > bottomLimit) addPage();
+  };
+
+  const textAt = (text, x, y, { font = 'regular', size = 10, color = [33, 37, 41] } = {}) => {
+    if (!current) addPage();
+    const baseline = pageHeight - y - size * 0.8;
+    current.push(`BT /${FONTS[font].id} ${size} Tf ${colorOperator(color, 'rg')} ${formatNumber(x)} ${formatNumber(baseline)} Td (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+  };
+
+  const rect = (x, y, width, height, color) => {
+    if (!current) addPage();
+    current.push(`${colorOperator(color, 'rg')} ${formatNumber(x)} ${formatNumber(pageHeight - y - height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+  };
+
+  // Break text into lines no wider than maxWidth, honouring explicit newlines
+  const wrapText = (text, maxWidth, font = 'regular', size = 10) => {
+    const lines = [];
+    for (const paragraph of String(text ?? '').split('\n')) {
+      let line = '';
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (measureText(candidate, font, size) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line) lines.push(line);
+
+        // Words longer than a full line are split by character
+        line = '';
+        for (const char of word) {
+          if (measureText(line + char, font, size) > maxWidth && line) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  // Write wrapped text at the cursor and advance it
+  const text = (value, { font = 'regular', size = 10, color, indent = 0, lineHeight = size * 1.4, width } = {}) => {
+    const maxWidth = (width || contentWidth) - indent;
+    for (const line of wrapText(value, maxWidth, font, size)) {
+      ensureSpace(lineHeight);
+      if (line) textAt(line, margin + indent, cursorY, { font, size, color });
+      cursorY += lineHeight;
+    }
+  };
+
+  const moveDown = (amount) => {
+    cursorY += amount;
+  };
+
+  const buildPdf = ({ title = 'Report', author = '', footer } = {}) => {
+    if (pages.length === 0) addPage();
+
+    // Page footers are added last so they can include the page count
+    if (footer) {
+      pages.forEach((commands, index) => {
+        current = commands;
+        const label = footer(index + 1, pages.length);
+        textAt(label, margin, pageHeight - margin + 5, { size: 8, color: [120, 120, 120] });
+      });
+    }
+
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.fromEntries(Object.entries(FONTS).map(([key, font]) => [
+      key,
+      addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`)
+    ]));
+    const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Author (${escapePdfString(toWinAnsi(author))}) /Producer (SecWeb3) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+    const fontResources = Object.entries(FONTS)
+      .map(([key, font]) => `/${font.id} ${fontIds[key]} 0 R`)
+      .join(' ');
+
+    const pageIds = pages.map(commands => {
+      const stream = zlib.deflateSync(Buffer.from(commands.join('\n'), 'latin1'));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    pageWidth,
+    pageHeight,
+    margin,
+    contentWidth,
+    get y() {
+      return cursorY;
+    },
+    addPage,
+    ensureSpace,
+    textAt,
+    rect,
+    text,
+    wrapText,
+    moveDown,
+    measureText,
+    toBuffer: buildPdf
+  };
+};
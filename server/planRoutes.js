@@ -1,73 +1,54 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { pool } from './database.js';
-
-const JWT_SECRET = process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key';
-
-// Direct auth middleware
-const authenticateWeb3Token = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
-
-    if (!result.rows.length) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    req.user = result.rows[0];
-    next();
-  } catch (error) {
-    console.error('Auth error:', error.message);
-    return res.status(403).json({ error: 'Invalid or expired token' });
-  }
+import { isAdminUser } from './credits.js';
+import {
+  UPGRADE_REQUEST_STATUS, getActivePlans, getPlanByCode, createUpgradeRequest, getUserUpgradeRequests,
+  listUpgradeRequests, approveUpgradeRequest, rejectUpgradeRequest, PlanUnavailableError
+} from './planUtils.js';
+import { authenticateWeb3Token } from './auth/middleware.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_SERIAL_ID = 2147483647;
+
+// Upgrade request ids are SERIAL: plain digits within the column's range, else null
+const parseRequestId = (value) => {
+  if (!/^\d+$/.test(value)) return null;
+  const id = Number(value);
+  return id >= 1 && id <= MAX_SERIAL_ID ? id : null;
 };
 
-// Direct plan utilities to avoid import issues
-const computeScanCost = ({ files = [], totalBytes = 0 }) => {
-  if (!Array.isArray(files) || files.length === 0) {
-    return Math.ceil((Number(totalBytes) || 0) / 1024);
-  }
-
-  let totalCost = 0;
-  for (const file of files) {
-    const fileSize = file.size || (file.content ? file.content.length : 0);
-    const sizeCost = Math.max(1, Math.ceil(fileSize / 1024));
-    const fileCost = 2;
-    totalCost += Math.max(sizeCost, fileCost);
-  }
+// Upgrade request as returned to clients
+const toUpgradeRequest = (row) => ({
+  id: row.id,
+  requestedPlanCode: row.requested_plan_code,
+  planName: row.plan_name || null,
+  status: row.status,
+  companyName: row.company_name,
+  contactEmail: row.contact_email,
+  contactPhone: row.contact_phone,
+  useCase: row.use_case,
+  expectedMonthlyScans: row.expected_monthly_scans,
+  specialRequirements: row.special_requirements,
+  adminNotes: row.admin_notes,
+  creditsGranted: row.credits_granted ?? null,
+  planExpiresAt: row.plan_expires_at || null,
+  createdAt: row.created_at,
+  reviewedAt: row.reviewed_at || null
+});
 
-  return Math.max(1, Math.ceil(totalCost));
-};
+// Admin queue entries also identify the requesting user
+const toAdminUpgradeRequest = (row) => ({
+  ...toUpgradeRequest(row),
+  userId: row.user_id,
+  walletAddress: row.wallet_address,
+  ensName: row.ens_name,
+  currentPlanCode: row.current_plan_code
+});
 
-const getUserPlan = async (userId) => {
-  try {
-    const result = await pool.query(`
-      SELECT u.*, 
-             COALESCE(p.code, 'free') as plan_code,
-             COALESCE(p.name, 'Free') as plan_name,
-             COALESCE(p.description, 'Basic plan') as plan_description,
-             COALESCE(p.credits_per_month, 100) as credits_per_month,
-             COALESCE(p.credits_per_scan_limit, 50) as credits_per_scan_limit,
-             COALESCE(p.files_per_scan_limit, 5) as files_per_scan_limit,
-             COALESCE(p.price_cents, 0) as price_cents,
-             COALESCE(p.features, '[]'::jsonb) as features
-      FROM users u
-      LEFT JOIN plans p ON u.plan_id = p.id
-      WHERE u.id = $1
-    `, [userId]);
-
-    return result.rows[0] || null;
-  } catch (error) {
-    console.warn('getUserPlan error:', error.message);
-    return null;
+const requireAdmin = (req, res, next) => {
+  if (!isAdminUser(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
   }
+  next();
 };
 
 const router = express.Router();
@@ -75,6 +56,11 @@ const router = express.Router();
 // Get all available plans
 router.get('/plans', async (req, res) => {
   try {
+    const plans = await getActivePlans();
+    res.json({ plans });
+  } catch (error) {
+    console.error('Get plans error:', error);
+
     // Return default plans if database query fails
     const defaultPlans = [
       {
@@ -102,130 +88,160 @@ router.get('/plans', async (req, res) => {
     ];
 
     res.json({ plans: defaultPlans });
-  } catch (error) {
-    console.error('Get plans error:', error);
-    res.status(500).json({ error: 'Failed to fetch plans' });
   }
 });
 
-// Get user's current plan
-router.get('/plans/current', authenticateWeb3Token, async (req, res) => {
+// The current plan and cost estimates are served by /api/plans/current and
+// /api/plans/estimate-cost in app.js
+
+// Request an upgrade; an admin approves or rejects it from the review queue
+router.post('/plans/upgrade-request', authenticateWeb3Token, async (req, res) => {
   try {
-    const userPlan = await getUserPlan(req.user.id);
-
-    // Always return a response, even if plan lookup fails
-    const plan = userPlan ? {
-      code: userPlan.plan_code || 'free',
-      name: userPlan.plan_name || 'Free',
-      description: userPlan.plan_description || 'Basic plan',
-      creditsPerMonth: userPlan.credits_per_month || 100,
-      creditsPerScanLimit: userPlan.credits_per_scan_limit || 50,
-      filesPerScanLimit: userPlan.files_per_scan_limit || 5,
-      priceUsd: (userPlan.price_cents || 0) / 100,
-      features: userPlan.features || ['Basic security analysis']
-    } : {
-      code: 'free',
-      name: 'Free',
-      description: 'Basic plan',
-      creditsPerMonth: 100,
-      creditsPerScanLimit: 50,
-      filesPerScanLimit: 5,
-      priceUsd: 0,
-      features: ['Basic security analysis']
-    };
+    const { requestedPlanCode, contactEmail } = req.body || {};
+
+    if (!requestedPlanCode || !contactEmail) {
+      return res.status(400).json({ 
+        error: 'Requested plan and contact email are required' 
+      });
+    }
+
+    if (!EMAIL_PATTERN.test(contactEmail)) {
+      return res.status(400).json({ error: 'Contact email is not a valid email address' });
+    }
+
+    const plan = await getPlanByCode(requestedPlanCode);
+    if (!plan) {
+      return res.status(400).json({ error: `Unknown plan: ${requestedPlanCode}` });
+    }
+
+    if (plan.id === req.user.plan_id) {
+      return res.status(400).json({ error: `You are already on the ${plan.name} plan` });
+    }
+
+    const request = await createUpgradeRequest(req.user.id, req.body);
+
+    console.log('📋 Upgrade request:', {
+      requestId: request.id,
+      userId: req.user.id,
+      wallet: req.user.wallet_address,
+      requestedPlan: requestedPlanCode
+    });
 
     res.json({
-      plan,
-      creditsBalance: req.user.credits_balance || 100,
-      planStartedAt: userPlan?.plan_started_at || new Date().toISOString(),
-      creditsResetAt: userPlan?.credits_reset_at || new Date().toISOString()
+      success: true,
+      message: 'Upgrade request submitted successfully. We will contact you within 24 hours.',
+      requestId: request.id,
+      request: toUpgradeRequest({ ...request, plan_name: plan.name })
     });
   } catch (error) {
-    console.error('Get current plan error:', error);
+    // The partial unique index allows one pending request per user
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You already have an upgrade request waiting for review' });
+    }
+    console.error('Upgrade request error:', error);
+    res.status(500).json({ error: 'Failed to submit upgrade request' });
+  }
+});
 
-    // Fallback response to prevent frontend errors
+// Get user's upgrade requests, newest first
+router.get('/plans/upgrade-requests', authenticateWeb3Token, async (req, res) => {
+  try {
+    const requests = await getUserUpgradeRequests(req.user.id);
     res.json({
-      plan: {
-        code: 'free',
-        name: 'Free',
-        description: 'Basic plan',
-        creditsPerMonth: 100,
-        creditsPerScanLimit: 50,
-        filesPerScanLimit: 5,
-        priceUsd: 0,
-        features: ['Basic security analysis']
-      },
-      creditsBalance: 100,
-      planStartedAt: new Date().toISOString(),
-      creditsResetAt: new Date().toISOString()
+      success: true,
+      requests: requests.map(toUpgradeRequest)
     });
+  } catch (error) {
+    console.error('Get upgrade requests error:', error);
+    res.status(500).json({ error: 'Failed to get upgrade requests' });
   }
 });
 
-// Calculate scan cost (for frontend estimation)
-router.post('/plans/estimate-cost', authenticateWeb3Token, async (req, res) => {
+// Admin review queue. Query: status (pending by default, or all), limit
+router.get('/admin/upgrade-requests', authenticateWeb3Token, requireAdmin, async (req, res) => {
   try {
-    const { files = [], totalBytes = 0 } = req.body;
-    const cost = computeScanCost({ files, totalBytes });
+    const status = req.query.status || UPGRADE_REQUEST_STATUS.PENDING;
+    if (status !== 'all' && !Object.values(UPGRADE_REQUEST_STATUS).includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const requests = await listUpgradeRequests({ status: status === 'all' ? null : status, limit });
 
     res.json({
-      estimatedCost: cost,
-      fileCount: files.length,
-      breakdown: files.map(file => ({
-        name: file.name || 'unknown',
-        size: file.size || (file.content ? file.content.length : 0),
-        language: file.name?.split('.').pop() || 'unknown',
-        estimatedCost: Math.max(1, Math.ceil((file.size || (file.content ? file.content.length : 0)) / 1024))
-      }))
+      success: true,
+      requests: requests.map(toAdminUpgradeRequest)
     });
   } catch (error) {
-    console.error('Cost estimation error:', error);
-    res.json({
-      estimatedCost: 5, // Safe fallback
-      fileCount: 1,
-      breakdown: []
-    });
+    console.error('List upgrade requests error:', error);
+    res.status(500).json({ error: 'Failed to list upgrade requests' });
   }
 });
 
-// Simplified upgrade request endpoint
-router.post('/plans/upgrade-request', authenticateWeb3Token, async (req, res) => {
+// Approve a request: switches the user's plan and grants its credits.
+// Body: { adminNotes?, durationMonths? (default 1), credits? (default the plan's monthly credits) }
+router.post('/admin/upgrade-requests/:id/approve', authenticateWeb3Token, requireAdmin, async (req, res) => {
   try {
-    const { requestedPlanCode, contactEmail, useCase } = req.body;
+    const requestId = parseRequestId(req.params.id);
+    const { adminNotes = null, durationMonths = 1, credits = null } = req.body || {};
 
-    if (!requestedPlanCode || !contactEmail) {
-      return res.status(400).json({ 
-        error: 'Requested plan and contact email are required' 
-      });
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid request id' });
     }
 
-    // Log the request for manual processing
-    console.log('📋 Upgrade request:', {
-      userId: req.user.id,
-      wallet: req.user.wallet_address,
-      requestedPlan: requestedPlanCode,
-      email: contactEmail,
-      useCase: useCase,
-      timestamp: new Date().toISOString()
-    });
+    if (!Number.isInteger(durationMonths) || durationMonths < 1 || durationMonths > 36) {
+      return res.status(400).json({ error: 'durationMonths must be an integer between 1 and 36' });
+    }
 
-    res.json({ 
-      message: 'Upgrade request submitted successfully. We will contact you within 24 hours.',
-      requestId: Date.now() // Temporary ID
+    if (credits !== null && (!Number.isInteger(credits) || credits < 0)) {
+      return res.status(400).json({ error: 'credits must be a non-negative integer' });
+    }
+
+    const request = await approveUpgradeRequest(requestId, req.user.id, { adminNotes, durationMonths, credits });
+
+    if (!request) {
+      return res.status(404).json({ error: 'No pending upgrade request with this id' });
+    }
+
+    console.log(`✅ Admin ${req.user.wallet_address} approved upgrade request ${requestId} (${request.requested_plan_code})`);
+
+    res.json({
+      success: true,
+      request: toUpgradeRequest(request)
     });
   } catch (error) {
-    console.error('Upgrade request error:', error);
-    res.status(500).json({ error: 'Failed to submit upgrade request' });
+    if (error instanceof PlanUnavailableError) {
+      return res.status(409).json({ error: `The ${error.planCode} plan is no longer available` });
+    }
+    console.error('Approve upgrade request error:', error);
+    res.status(500).json({ error: 'Failed to approve upgrade request' });
   }
 });
 
-// Get user's upgrade requests (simplified)
-router.get('/plans/upgrade-requests', authenticateWeb3Token, async (req, res) => {
+// Reject a request. Body: { adminNotes? }
+router.post('/admin/upgrade-requests/:id/reject', authenticateWeb3Token, requireAdmin, async (req, res) => {
   try {
-    res.json({ requests: [] }); // Empty for now
+    const requestId = parseRequestId(req.params.id);
+
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid request id' });
+    }
+
+    const request = await rejectUpgradeRequest(requestId, req.user.id, { adminNotes: req.body?.adminNotes || null });
+
+    if (!request) {
+      return res.status(404).json({ error: 'No pending upgrade request with this id' });
+    }
+
+    console.log(`🚫 Admin ${req.user.wallet_address} rejected upgrade request ${requestId}`);
+
+    res.json({
+      success: true,
+      request: toUpgradeRequest(request)
+    });
   } catch (error) {
-    console.error('Get upgrade requests error:', error);
-    res.json({ requests: [] });
+    console.error('Reject upgrade request error:', error);
+    res.status(500).json({ error: 'Failed to reject upgrade request' });
   }
 });
 
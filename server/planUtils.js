@@ -1,45 +1,5 @@
 import { pool } from './database.js';
-
-// Language complexity multipliers
-const LANGUAGE_MULTIPLIERS = {
-  '.sol': 1.0,    // Solidity - baseline
-  '.vy': 1.2,     // Vyper - slightly more complex
-  '.move': 1.5,   // Move - more complex
-  '.cairo': 1.8   // Cairo - most complex
-};
-
-// Get language multiplier from filename
-export const getLanguageMultiplier = (filename) => {
-  const extension = filename.toLowerCase().substring(filename.lastIndexOf('.'));
-  return LANGUAGE_MULTIPLIERS[extension] || 1.0;
-};
-
-// Calculate scan cost with complexity multipliers
-export const computeScanCost = ({ files = [], totalBytes = 0 }) => {
-  if (!Array.isArray(files) || files.length === 0) {
-    return Math.ceil((Number(totalBytes) || 0) / 1024);
-  }
-
-  let totalCost = 0;
-  let totalFileMultiplier = 0;
-
-  for (const file of files) {
-    const multiplier = getLanguageMultiplier(file.name || '');
-    const fileSize = file.size || Buffer.byteLength(file.content || file.contentBase64 || '', 'utf8');
-
-    // Size-based cost
-    const sizeCost = Math.max(1, Math.ceil(fileSize / 1024)) * multiplier;
-
-    // File count cost
-    const fileCost = 2 * multiplier;
-
-    totalCost += Math.max(sizeCost, fileCost);
-    totalFileMultiplier += multiplier;
-  }
-
-  // Ensure minimum cost
-  return Math.max(1, Math.ceil(totalCost));
-};
+import { recordCreditTransaction, CREDIT_TRANSACTION_TYPES } from './credits.js';
 
 // Get all active plans
 export const getActivePlans = async () => {
@@ -63,7 +23,8 @@ export const getUserPlan = async (userId) => {
   const result = await pool.query(`
     SELECT u.*, p.code as plan_code, p.name as plan_name, p.description as plan_description,
            p.credits_per_month, p.credits_per_scan_limit, p.files_per_scan_limit,
-           p.price_cents, p.features
+           p.price_cents, p.features, p.monthly_reset, p.credits_rollover_policy, p.credits_rollover_cap,
+           CASE WHEN p.monthly_reset THEN u.credits_reset_at + INTERVAL '1 month' END AS next_credits_reset_at
     FROM users u
     LEFT JOIN plans p ON u.plan_id = p.id
     WHERE u.id = $1
@@ -72,29 +33,147 @@ export const getUserPlan = async (userId) => {
   return result.rows[0] || null;
 };
 
-// Check if user needs credit reset (monthly for pro/custom)
-export const checkAndResetMonthlyCredits = async (userId) => {
-  const user = await getUserPlan(userId);
-  if (!user) return false;
-
-  const now = new Date();
-  const lastReset = new Date(user.credits_reset_at);
-  const daysSinceReset = (now - lastReset) / (1000 * 60 * 60 * 24);
-
-  // Reset credits if it's been 30+ days and user is on pro/custom plan
-  if (daysSinceReset >= 30 && ['pro', 'custom'].includes(user.plan_code)) {
-    await pool.query(`
-      UPDATE users 
-      SET credits_balance = $1, 
-          credits_reset_at = CURRENT_TIMESTAMP,
-          credits_updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-    `, [user.credits_per_month, userId]);
-
-    return true;
+// Balance after a reset: the monthly allowance plus whatever the plan lets carry over
+export const computeResetBalance = ({ balance, creditsPerMonth, policy, rolloverCap }) => {
+  const unused = Math.max(0, balance);
+  if (policy === 'full') return unused + creditsPerMonth;
+  if (policy === 'capped') return Math.min(unused, Math.max(0, rolloverCap || 0)) + creditsPerMonth;
+  return creditsPerMonth;
+};
+
+// Apply the monthly reset of one user if it is due. The user row is locked and
+// re-checked so concurrent schedulers (or instances) grant each period once.
+// Returns the ledger entry of the grant, or null when no reset was due.
+const resetUserCredits = async (userId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT u.id, u.credits_balance, u.credits_reset_at,
+             p.name AS plan_name, p.credits_per_month, p.credits_rollover_policy, p.credits_rollover_cap,
+             (EXTRACT(YEAR FROM age(CURRENT_TIMESTAMP, u.credits_reset_at)) * 12
+               + EXTRACT(MONTH FROM age(CURRENT_TIMESTAMP, u.credits_reset_at)))::int AS months_elapsed
+      FROM users u
+      JOIN plans p ON u.plan_id = p.id
+      WHERE u.id = $1
+        AND p.monthly_reset = true
+        AND u.credits_reset_at <= CURRENT_TIMESTAMP - INTERVAL '1 month'
+      FOR UPDATE OF u
+    `, [userId]);
+
+    const user = result.rows[0];
+    if (!user) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // Keep the reset anchored to the same day of the month; months missed while
+    // the scheduler was down are granted once, not once per month
+    const updated = await client.query(`
+      UPDATE users
+      SET credits_reset_at = credits_reset_at + make_interval(months => $2)
+      WHERE id = $1
+      RETURNING credits_reset_at
+    `, [userId, user.months_elapsed]);
+    const period = updated.rows[0].credits_reset_at.toISOString().slice(0, 10);
+
+    // Credits in open holds left the balance when the scan started but are not spent
+    // until it completes, so they count as unused. The balance is set to the new total
+    // less the held credits: a capture then spends them and a release returns them.
+    const held = await client.query(
+      "SELECT COALESCE(SUM(amount), 0)::int AS amount FROM credit_holds WHERE user_id = $1 AND status = 'held'",
+      [userId]
+    );
+    const heldAmount = held.rows[0].amount;
+    const unused = Math.max(0, user.credits_balance) + heldAmount;
+
+    const target = computeResetBalance({
+      balance: unused,
+      creditsPerMonth: user.credits_per_month,
+      policy: user.credits_rollover_policy,
+      rolloverCap: user.credits_rollover_cap
+    });
+    const carriedOver = target - user.credits_per_month;
+
+    const grant = await recordCreditTransaction(client, {
+      userId,
+      type: CREDIT_TRANSACTION_TYPES.MONTHLY_GRANT,
+      amount: Math.max(0, target - heldAmount) - user.credits_balance,
+      idempotencyKey: `monthly-grant:${userId}:${period}`,
+      description: `Monthly credits (${user.plan_name})`,
+      metadata: {
+        period,
+        allowance: user.credits_per_month,
+        rolloverPolicy: user.credits_rollover_policy,
+        carriedOver,
+        held: heldAmount,
+        expired: Math.max(0, unused - carriedOver)
+      }
+    });
+
+    await client.query('COMMIT');
+    return grant;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Move users whose approved plan has run out back to the free plan. Their credit
+// cycle restarts; the balance is left as it is. Returns the number of users moved.
+export const downgradeExpiredPlans = async () => {
+  const result = await pool.query(`
+    UPDATE users
+    SET plan_id = (SELECT id FROM plans WHERE code = 'free'),
+        plan_started_at = CURRENT_TIMESTAMP,
+        plan_expires_at = NULL,
+        credits_reset_at = CURRENT_TIMESTAMP
+    WHERE plan_expires_at <= CURRENT_TIMESTAMP
+  `);
+
+  return result.rowCount;
+};
+
+// Check if user needs credit reset (monthly for plans with monthly_reset)
+export const checkAndResetMonthlyCredits = async (userId) => !!(await resetUserCredits(userId));
+
+// Apply every due monthly reset, batchSize users at a time.
+// Returns { reset, failed } counts.
+export const applyDueCreditResets = async ({ batchSize = 100, maxBatches = 50 } = {}) => {
+  let reset = 0;
+  let failed = 0;
+  const failedIds = [];
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    // Users that failed in this run are skipped so one bad row cannot stall the job
+    const due = await pool.query(`
+      SELECT u.id
+      FROM users u
+      JOIN plans p ON u.plan_id = p.id
+      WHERE p.monthly_reset = true
+        AND u.credits_reset_at <= CURRENT_TIMESTAMP - INTERVAL '1 month'
+        AND NOT (u.id = ANY($2::uuid[]))
+      ORDER BY u.credits_reset_at
+      LIMIT $1
+    `, [batchSize, failedIds]);
+
+    for (const { id } of due.rows) {
+      try {
+        if (await resetUserCredits(id)) reset++;
+      } catch (error) {
+        failed++;
+        failedIds.push(id);
+        console.error(`❌ Monthly credit reset failed for user ${id}:`, error.message);
+      }
+    }
+
+    if (due.rows.length < batchSize) break;
   }
 
-  return false;
+  return { reset, failed };
 };
 
 // Validate scan against plan limits
@@ -131,6 +210,13 @@ export const validateScanAgainstPlan = (scanCost, fileCount, userPlan) => {
   };
 };
 
+// Upgrade request lifecycle: pending -> approved | rejected
+export const UPGRADE_REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
 // Create upgrade request
 export const createUpgradeRequest = async (userId, requestData) => {
   const {
@@ -149,8 +235,8 @@ export const createUpgradeRequest = async (userId, requestData) => {
      use_case, expected_monthly_scans, special_requirements)
     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     RETURNING *
-  `, [userId, requestedPlanCode, companyName, contactEmail, contactPhone, 
-      useCase, expectedMonthlyScans, specialRequirements]);
+  `, [userId, requestedPlanCode, companyName || null, contactEmail, contactPhone || null,
+      useCase || null, Number.parseInt(expectedMonthlyScans, 10) || null, specialRequirements || null]);
 
   return result.rows[0];
 };
@@ -167,3 +253,131 @@ export const getUserUpgradeRequests = async (userId) => {
 
   return result.rows;
 };
+
+// Upgrade requests of every user for the admin review queue, oldest first
+export const listUpgradeRequests = async ({ status = UPGRADE_REQUEST_STATUS.PENDING, limit = 100 } = {}) => {
+  const result = await pool.query(`
+    SELECT ur.*, p.name as plan_name, p.price_cents, p.credits_per_month,
+           u.wallet_address, u.ens_name, cp.code as current_plan_code
+    FROM upgrade_requests ur
+    JOIN users u ON u.id = ur.user_id
+    LEFT JOIN plans p ON ur.requested_plan_code = p.code
+    LEFT JOIN plans cp ON cp.id = u.plan_id
+    WHERE ($1::text IS NULL OR ur.status = $1::text)
+    ORDER BY ur.created_at ASC
+    LIMIT $2
+  `, [status, limit]);
+
+  return result.rows;
+};
+
+// Raised when an approved request names a plan that is no longer offered
+export class PlanUnavailableError extends Error {
+  constructor(planCode) {
+    super(`Requested plan is not available: ${planCode}`);
+    this.name = 'PlanUnavailableError';
+    this.planCode = planCode;
+  }
+}
+
+// Lock a pending request for review. Returns null when it is missing or was
+// already reviewed, so two admins cannot both act on it.
+const lockPendingUpgradeRequest = async (client, requestId) => {
+  const result = await client.query(
+    'SELECT * FROM upgrade_requests WHERE id = $1 AND status = $2 FOR UPDATE',
+    [requestId, UPGRADE_REQUEST_STATUS.PENDING]
+  );
+  return result.rows[0] || null;
+};
+
+// Approve an upgrade: switch the user to the requested plan for durationMonths,
+// restart their monthly credit cycle and grant the plan's monthly credits
+// (or credits, when the admin sets an amount).
+// Returns the updated request, or null when there is no pending request with that id.
+// Throws PlanUnavailableError when the requested plan has been deactivated.
+export const approveUpgradeRequest = async (requestId, adminId, { adminNotes = null, durationMonths = 1, credits = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const request = await lockPendingUpgradeRequest(client, requestId);
+    if (!request) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const planResult = await client.query(
+      'SELECT * FROM plans WHERE code = $1 AND is_active = true',
+      [request.requested_plan_code]
+    );
+    const plan = planResult.rows[0];
+    if (!plan) {
+      throw new PlanUnavailableError(request.requested_plan_code);
+    }
+
+    const userResult = await client.query(`
+      UPDATE users
+      SET plan_id = $1,
+          plan_started_at = CURRENT_TIMESTAMP,
+          plan_expires_at = CURRENT_TIMESTAMP + make_interval(months => $2),
+          credits_reset_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING plan_expires_at
+    `, [plan.id, durationMonths, request.user_id]);
+
+    const creditsGranted = credits ?? plan.credits_per_month;
+    const grant = creditsGranted > 0
+      ? await recordCreditTransaction(client, {
+        userId: request.user_id,
+        type: CREDIT_TRANSACTION_TYPES.PLAN_GRANT,
+        amount: creditsGranted,
+        idempotencyKey: `upgrade-grant:${request.id}`,
+        description: `${plan.name} plan credits`,
+        metadata: { upgradeRequestId: request.id, planCode: plan.code },
+        createdBy: adminId
+      })
+      : null;
+
+    const updated = await client.query(`
+      UPDATE upgrade_requests
+      SET status = $2,
+          admin_notes = $3,
+          reviewed_at = CURRENT_TIMESTAMP,
+          reviewed_by = $4,
+          credits_granted = $5,
+          credit_transaction_id = $6,
+          plan_expires_at = $7,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [
+      request.id, UPGRADE_REQUEST_STATUS.APPROVED, adminNotes, adminId, creditsGranted,
+      grant ? grant.transaction.id : null, userResult.rows[0].plan_expires_at
+    ]);
+
+    await client.query('COMMIT');
+    return { ...updated.rows[0], plan_name: plan.name };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Reject an upgrade request. Returns the updated request, or null when there is
+// no pending request with that id.
+export const rejectUpgradeRequest = async (requestId, adminId, { adminNotes = null } = {}) => {
+  const result = await pool.query(`
+    UPDATE upgrade_requests
+    SET status = $2,
+        admin_notes = $3,
+        reviewed_at = CURRENT_TIMESTAMP,
+        reviewed_by = $4,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = $5
+    RETURNING *
+  `, [requestId, UPGRADE_REQUEST_STATUS.REJECTED, adminNotes, adminId, UPGRADE_REQUEST_STATUS.PENDING]);
+
+  return result.rows[0] || null;
+};
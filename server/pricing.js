@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { pool } from './database.js';
+import { detectContractLanguage } from './shared/languageDetection.js';
+import { filePathOf } from './contractFiles.js';
+
+// The one place analysis prices are computed. Estimates and charges both go
+// through here, and a quote fixes the price of an exact input for a while so
+// /api/analyze charges what the user was shown.
+//
+// Full analysis: baseCost + ceil(sum over files of bytes * language multiplier / bytesPerCredit).
+// Files pulled in through imports are priced like selected ones; a source included
+// more than once (same content) is priced once.
+// Change review: changeBaseCost + ceil(changedLines / changedLinesPerCredit), never
+// more than a full analysis of the new version.
+
+export const PRICING_VERSION = 1;
+
+export const PRICING = {
+  baseCost: 5,
+  bytesPerCredit: 1024,
+  changeBaseCost: 2,
+  changedLinesPerCredit: 50,
+  languageMultipliers: {
+    Solidity: 1.0,
+    Vyper: 1.2,
+    Move: 1.5,
+    Cairo: 1.8
+  }
+};
+
+// Quotes can be honoured by /api/analyze for this long
+export const QUOTE_TTL_MINUTES = Number(process.env.PRICING_QUOTE_TTL_MINUTES) || 30;
+
+export const getLanguageMultiplier = (language) => PRICING.languageMultipliers[language] || 1.0;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const roundCredits = (credits) => Math.round(credits * 100) / 100;
+
+// Itemize one source. source: 'selected' | 'import' | 'pasted'. Sources known only
+// by their size (content null) are priced but cannot be quoted.
+const priceItem = ({ fileId = null, versionId = null, name, content, size = 0, language, source }) => {
+  const bytes = typeof content === 'string' ? Buffer.byteLength(content, 'utf8') : Math.max(0, Number(size) || 0);
+  const multiplier = getLanguageMultiplier(language);
+  return {
+    fileId,
+    versionId,
+    name,
+    language,
+    bytes,
+    multiplier,
+    credits: roundCredits(bytes * multiplier / PRICING.bytesPerCredit),
+    source,
+    contentHash: typeof content === 'string' ? sha256(content) : null
+  };
+};
+
+// Total and input fingerprint of priced items. The fingerprint covers what is
+// analysed, so a quote only applies to the exact same sources.
+const summarize = (mode, items, extra = {}) => {
+  const weightedBytes = items.reduce((sum, item) => sum + item.bytes * item.multiplier, 0);
+  const total = PRICING.baseCost + Math.ceil(weightedBytes / PRICING.bytesPerCredit);
+  const quotable = items.length > 0 && items.every(item => item.contentHash);
+  const inputHash = quotable
+    ? sha256(JSON.stringify([mode, items.map(item => item.contentHash).sort(), extra.inputKey || null]))
+    : null;
+  return {
+    mode,
+    pricingVersion: PRICING_VERSION,
+    baseCost: PRICING.baseCost,
+    total,
+    items,
+    inputHash
+  };
+};
+
+// Price a set of sources, counting identical content once
+const priceSources = (sources) => {
+  const seen = new Map();
+  const items = [];
+  const deduplicated = [];
+
+  for (const source of sources) {
+    const item = priceItem(source);
+
+    if (item.contentHash && seen.has(item.contentHash)) {
+      deduplicated.push({ fileId: item.fileId, name: item.name, duplicateOf: seen.get(item.contentHash) });
+      continue;
+    }
+    if (item.contentHash) seen.set(item.contentHash, item.name);
+    items.push(item);
+  }
+
+  return { ...summarize('files', items), deduplicated };
+};
+
+// Price stored contract files (contractFiles.js shape). selectedIds: ids the user
+// picked; other files were included through imports.
+export const priceFiles = (files, { selectedIds = null } = {}) => {
+  const selected = selectedIds ? new Set(selectedIds) : null;
+  return priceSources(files.map(file => ({
+    fileId: file.id,
+    versionId: file.version_id || null,
+    name: filePathOf(file),
+    content: file.file_content,
+    language: file.language || detectContractLanguage(file.file_content, file.original_name),
+    source: !selected || selected.has(file.id) ? 'selected' : 'import'
+  })));
+};
+
+// Price files before they are uploaded: [{ name, content }] or [{ name, size }].
+// Priced like stored files, so a quote for the uploads applies to analysing them later.
+export const priceUploads = (uploads) => priceSources(uploads.map(upload => {
+  const content = typeof upload.content === 'string' ? upload.content : null;
+  return {
+    name: upload.name || 'unknown',
+    content,
+    size: upload.size,
+    language: detectContractLanguage(content || '', upload.name || ''),
+    source: 'selected'
+  };
+}));
+
+// Price code pasted into the chat
+export const priceContent = (content, filename = null) => {
+  const item = priceItem({
+    name: filename || 'pasted code',
+    content,
+    language: detectContractLanguage(content, filename || ''),
+    source: 'pasted'
+  });
+  return { ...summarize('content', [item]), deduplicated: [] };
+};
+
+// Price a review of the changes between two versions (loadVersionChanges shape)
+export const priceChangeReview = (changes) => {
+  const full = priceFiles([changes.file]);
+  const changedLines = changes.summary.changedLines;
+  const changeCost = PRICING.changeBaseCost + Math.ceil(changedLines / PRICING.changedLinesPerCredit);
+  const inputKey = `${changes.from.id}:${changes.to.id}`;
+
+  return {
+    ...summarize('changes', full.items, { inputKey }),
+    baseCost: PRICING.changeBaseCost,
+    total: Math.min(full.total, changeCost),
+    changedLines,
+    fullScanCost: full.total,
+    deduplicated: []
+  };
+};
+
+// Shape returned to clients; content hashes stay on the server
+export const toCostBreakdown = (estimate) => ({
+  estimatedCost: estimate.total,
+  baseCost: estimate.baseCost,
+  pricingVersion: estimate.pricingVersion,
+  mode: estimate.mode,
+  fileCount: estimate.items.length,
+  breakdown: estimate.items.map(({ contentHash, ...item }) => item),
+  deduplicated: estimate.deduplicated,
+  ...(estimate.mode === 'changes' ? { changedLines: estimate.changedLines, fullScanCost: estimate.fullScanCost } : {})
+});
+
+// Store an estimate as a quote the user can analyse against.
+// Returns { quoteId, expiresAt }, or null when the input cannot be quoted.
+export const createQuote = async (userId, estimate) => {
+  if (!estimate.inputHash) return null;
+
+  const result = await pool.query(`
+    INSERT INTO pricing_quotes (user_id, input_hash, total, pricing_version, breakdown, expires_at)
+    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(mins => $6))
+    RETURNING id, expires_at
+  `, [userId, estimate.inputHash, estimate.total, estimate.pricingVersion, JSON.stringify(toCostBreakdown(estimate)), QUOTE_TTL_MINUTES]);
+
+  return { quoteId: result.rows[0].id, expiresAt: result.rows[0].expires_at };
+};
+
+// Check a quote against the input about to be analysed.
+// Returns { total } to charge, or { error } with reason not_found | expired | mismatch.
+export const resolveQuote = async (quoteId, userId, estimate) => {
+  const result = await pool.query(`
+    SELECT id, input_hash, total, expires_at < CURRENT_TIMESTAMP AS expired
+    FROM pricing_quotes
+    WHERE id = $1 AND user_id = $2
+  `, [quoteId, userId]);
+
+  const quote = result.rows[0];
+  if (!quote) return { error: 'not_found' };
+  if (quote.expired) return { error: 'expired' };
+  if (quote.input_hash !== estimate.inputHash) return { error: 'mismatch' };
+
+  await pool.query('UPDATE pricing_quotes SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [quoteId]);
+  return { total: quote.total };
+};
+
+// Remove quotes that expired more than a day ago
+export const deleteExpiredQuotes = async () => {
+  const result = await pool.query(
+    "DELETE FROM pricing_quotes WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '1 day'"
+  );
+  return result.rowCount;
+};
@@ -0,0 +1,30 @@
+import { pool } from './database.js';
+import { isUuid } from './contractFiles.js';
+
+export const MAX_PROJECT_NAME_LENGTH = 255;
+
+// The user's project, or null when the id is unknown, archived or someone else's
+export const getProjectForUser = async (projectId, userId) => {
+  if (!isUuid(projectId)) return null;
+
+  const result = await pool.query(
+    'SELECT * FROM projects WHERE id = $1 AND user_id = $2 AND is_archived = false',
+    [projectId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const createProjectForUser = async (userId, { name, description = '' }) => {
+  const result = await pool.query(
+    `INSERT INTO projects (user_id, name, description)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [userId, name.trim().slice(0, MAX_PROJECT_NAME_LENGTH), description]
+  );
+  return result.rows[0];
+};
+
+// Bump the project's updated_at after files were added
+export const touchProject = async (projectId) => {
+  await pool.query('UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [projectId]);
+};
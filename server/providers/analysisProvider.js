@@ -0,0 +1,44 @@
+import { createShipableProvider } from './shipableProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+export { AnalysisProviderError } from './errors.js';
+
+// Every provider exposes the same shape:
+//   name                                    - provider identifier ('shipable', 'mock')
+//   isConfigured()                          - whether the provider can serve requests
+//   createSession({ source })               - resolves to { id, key }
+//   streamAnalysis({ sessionKey, content }) - async iterable of markdown text chunks
+//   getSessionMessages(sessionKey)          - resolves to an array of messages
+const REQUIRED_METHODS = ['isConfigured', 'createSession', 'streamAnalysis', 'getSessionMessages'];
+
+// Resolve the provider name from config, honouring the legacy USE_MOCK_ANALYSIS flag
+export const resolveProviderName = (env = process.env) => {
+  if (env.ANALYSIS_PROVIDER) {
+    return env.ANALYSIS_PROVIDER.toLowerCase();
+  }
+  return env.USE_MOCK_ANALYSIS === 'true' ? 'mock' : 'shipable';
+};
+
+// Build the analysis provider selected by config
+export const createAnalysisProvider = ({ name = resolveProviderName(), shipable = {}, mock = {} } = {}) => {
+  let provider;
+
+  switch (name) {
+    case 'shipable':
+      provider = createShipableProvider(shipable);
+      break;
+    case 'mock':
+      provider = createMockProvider(mock);
+      break;
+    default:
+      throw new Error(`Unknown analysis provider: ${name}. Supported: shipable, mock`);
+  }
+
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Analysis provider "${name}" does not implement ${method}()`);
+    }
+  }
+
+  return provider;
+};
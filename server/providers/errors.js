@@ -0,0 +1,10 @@
+// Error raised by providers when the upstream service fails or misbehaves
+export class AnalysisProviderError extends Error {
+  constructor(message, { status = null, code = 'PROVIDER_ERROR', details = null } = {}) {
+    super(message);
+    this.name = 'AnalysisProviderError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,200 @@
+import FormData from 'form-data';
+import fetch from 'node-fetch';
+import { AnalysisProviderError } from './errors.js';
+
+// Parse one SSE "data:" payload from Shipable into a markdown text chunk
+const parseShipableEvent = (data) => {
+  try {
+    const parsed = JSON.parse(data);
+    return parsed.body || null;
+  } catch (parseError) {
+    console.warn('⚠️ Error parsing streaming data:', parseError.message, 'Data preview:', data.substring(0, 100));
+    // If parsing fails, forward the raw data
+    return data;
+  }
+};
+
+// Shipable AI provider - sessions via /chat/sessions, streaming via /chat/open-playground
+export const createShipableProvider = ({ baseUrl, token } = {}) => {
+  const apiBase = baseUrl || 'https://api.shipable.ai/v2';
+
+  const isConfigured = () => !!token && !!apiBase;
+
+  const createSession = async ({ source = 'website', timeoutMs } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${apiBase}/chat/sessions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ source }),
+        ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {})
+      });
+    } catch (fetchError) {
+      throw new AnalysisProviderError(`Failed to connect to analysis service: ${fetchError.message}`, {
+        code: 'CONNECTION_FAILED'
+      });
+    }
+
+    console.log('🔄 Shipable API response status:', response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('❌ Shipable session creation failed:', errorText);
+      throw new AnalysisProviderError(`Shipable API error: ${response.status}`, {
+        status: response.status,
+        code: 'SESSION_FAILED',
+        details: errorText
+      });
+    }
+
+    const sessionData = await response.json();
+
+    if (!sessionData || sessionData.statusCode !== 201 || !sessionData.data?.key) {
+      throw new AnalysisProviderError('Invalid response from analysis service', {
+        status: response.status,
+        code: 'INVALID_RESPONSE',
+        details: sessionData
+      });
+    }
+
+    return {
+      id: sessionData.data.id,
+      key: sessionData.data.key
+    };
+  };
+
+  const streamAnalysis = async function* ({ sessionKey, content }) {
+    // Shipable expects multipart/form-data, one field per value
+    const formData = new FormData();
+    formData.append('sessionKey', sessionKey);
+    formData.append('content', content);
+    formData.append('token', token);
+    formData.append('stream', 'true');
+
+    console.log('🔄 Calling Shipable API:', `${apiBase}/chat/open-playground`);
+
+    let response;
+    try {
+      response = await fetch(`${apiBase}/chat/open-playground`, {
+        method: 'POST',
+        headers: {
+          // Don't set Content-Type - FormData sets it automatically with correct boundary
+          'Accept': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive'
+        },
+        body: formData
+      });
+    } catch (fetchError) {
+      console.error('❌ Shipable API fetch error:', fetchError);
+      throw new AnalysisProviderError(`Failed to connect to analysis service: ${fetchError.message}`, {
+        code: 'CONNECTION_FAILED'
+      });
+    }
+
+    console.log('📡 Shipable API response status:', response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('❌ Shipable API error response:', {
+        status: response.status,
+        statusText: response.statusText,
+        body: errorText,
+        sessionKey
+      });
+
+      let errorMessage = `Received ${response.status} error from AI service.`;
+      try {
+        const errorJson = JSON.parse(errorText);
+        if (errorJson.message) {
+          errorMessage = `Shipable API Error: ${errorJson.message}`;
+        }
+      } catch (e) {
+        // Use default error message
+      }
+
+      throw new AnalysisProviderError(errorMessage, {
+        status: response.status,
+        code: 'STREAM_FAILED',
+        details: errorText
+      });
+    }
+
+    if (!response.body) {
+      throw new AnalysisProviderError('No response body from Shipable API', { code: 'EMPTY_STREAM' });
+    }
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    // Lines can be split across chunks, so only parse complete ones
+    for await (const value of response.body) {
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const trimmedLine = line.trim();
+        if (!trimmedLine.startsWith('data: ')) continue;
+
+        const data = trimmedLine.slice(6).trim();
+        if (!data) continue;
+        if (data === '[DONE]') {
+          console.log('🏁 Received [DONE] signal');
+          return;
+        }
+
+        const text = parseShipableEvent(data);
+        if (text) {
+          yield text;
+        }
+      }
+    }
+
+    const trailing = buffered.trim();
+    if (trailing.startsWith('data: ')) {
+      const data = trailing.slice(6).trim();
+      if (data && data !== '[DONE]') {
+        const text = parseShipableEvent(data);
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+
+  const getSessionMessages = async (sessionKey) => {
+    const response = await fetch(`${apiBase}/chat/sessions/${sessionKey}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Failed to fetch session messages:', response.status, errorText);
+      throw new AnalysisProviderError(`Failed to fetch session messages: ${response.status}`, {
+        status: response.status,
+        code: 'MESSAGES_FAILED',
+        details: errorText
+      });
+    }
+
+    const messagesData = await response.json();
+    return messagesData.data || [];
+  };
+
+  return {
+    name: 'shipable',
+    apiBase,
+    isConfigured,
+    createSession,
+    streamAnalysis,
+    getSessionMessages
+  };
+};
@@ -0,0 +1,112 @@
+import express from 'express';
+import { getAnalysisForUser, getFindingsForAnalysis, summarizeFindings, compareWithPreviousAnalysis } from '../findings.js';
+import { buildSarifLog } from '../sarif.js';
+import { renderAuditReport, REPORT_FORMATS } from '../auditReport.js';
+import { authenticateWeb3Token } from '../auth/middleware.js';
+
+const router = express.Router();
+
+// Summary of an analysis session for API responses
+const toAnalysisSummary = (analysis) => ({
+  id: analysis.id,
+  sessionKey: analysis.session_key,
+  status: analysis.status,
+  filename: analysis.filename,
+  language: analysis.language,
+  contractFileIds: analysis.contract_file_ids || [],
+  contractFileVersionIds: analysis.contract_file_version_ids || [],
+  scope: analysis.scope || 'full',
+  scanCost: analysis.scan_cost,
+  createdAt: analysis.created_at,
+  completedAt: analysis.completed_at
+});
+
+// Get structured findings of an analysis (accepts the analysis id or its session key).
+// When an earlier full analysis of the same files exists, each finding carries
+// change: 'new' | 'persisting' and the response lists the resolved findings.
+router.get('/:id/findings', authenticateWeb3Token, async (req, res) => {
+  try {
+    const analysis = await getAnalysisForUser(req.params.id, req.user.id);
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const findings = await getFindingsForAnalysis(analysis.id);
+    const comparison = await compareWithPreviousAnalysis(analysis, findings);
+
+    res.json({
+      success: true,
+      analysis: toAnalysisSummary(analysis),
+      findings: comparison ? comparison.findings : findings,
+      summary: summarizeFindings(findings),
+      comparison: comparison && {
+        previousAnalysis: comparison.previousAnalysis,
+        summary: comparison.summary,
+        resolved: comparison.resolved
+      }
+    });
+  } catch (error) {
+    console.error('Get findings error:', error);
+    res.status(500).json({ error: 'Failed to get findings' });
+  }
+});
+
+// Export findings in a machine-readable format (currently SARIF 2.1.0)
+router.get('/:id/export', authenticateWeb3Token, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'sarif').toLowerCase();
+
+    if (format !== 'sarif') {
+      return res.status(400).json({ error: `Unsupported export format: ${format}`, supportedFormats: ['sarif'] });
+    }
+
+    const analysis = await getAnalysisForUser(req.params.id, req.user.id);
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const findings = await getFindingsForAnalysis(analysis.id);
+    const sarif = buildSarifLog(analysis, findings);
+
+    res.setHeader('Content-Type', 'application/sarif+json');
+    res.setHeader('Content-Disposition', `attachment; filename="secweb3-${analysis.id}.sarif"`);
+    res.send(JSON.stringify(sarif, null, 2));
+  } catch (error) {
+    console.error('Export analysis error:', error);
+    res.status(500).json({ error: 'Failed to export analysis' });
+  }
+});
+
+// Download a client-facing audit report (HTML or PDF)
+router.get('/:id/report', authenticateWeb3Token, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'html').toLowerCase();
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported report format: ${format}`, supportedFormats: REPORT_FORMATS });
+    }
+
+    const analysis = await getAnalysisForUser(req.params.id, req.user.id);
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({ error: 'Reports are available once the analysis has completed', status: analysis.status });
+    }
+
+    const report = await renderAuditReport(analysis, format);
+
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.send(report.body);
+  } catch (error) {
+    console.error('Generate report error:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+export default router;
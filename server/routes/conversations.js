@@ -1,48 +1,31 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { pool } from '../database.js';
+import { renderAuditReport, REPORT_FORMATS } from '../auditReport.js';
+import { isUuid } from '../contractFiles.js';
+import { getProjectForUser } from '../projects.js';
+import { authenticateWeb3Token } from '../auth/middleware.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key';
+const router = express.Router();
 
-// Direct auth middleware to avoid import issues
-const authenticateWeb3Token = async (req, res, next) => {
+// Get user conversations, optionally only those of one project (?projectId=)
+router.get('/', authenticateWeb3Token, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
+    const { projectId } = req.query;
 
-    if (!result.rows.length) {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (projectId && !isUuid(projectId)) {
+      return res.status(400).json({ error: 'Invalid project id' });
     }
 
-    req.user = result.rows[0];
-    next();
-  } catch (error) {
-    console.error('Auth error:', error.message);
-    return res.status(403).json({ error: 'Invalid or expired token' });
-  }
-};
-
-const router = express.Router();
-
-// Get user conversations
-router.get('/', authenticateWeb3Token, async (req, res) => {
-  try {
     const result = await pool.query(
       `SELECT c.*, COUNT(m.id) as message_count
        FROM conversations c
        LEFT JOIN messages m ON c.id = m.conversation_id
        WHERE c.user_id = $1 AND c.is_archived = false
+         AND ($2::uuid IS NULL OR c.project_id = $2::uuid)
        GROUP BY c.id
        ORDER BY c.updated_at DESC
        LIMIT 50`,
-      [req.user.id]
+      [req.user.id, projectId || null]
     );
 
     res.json({
@@ -58,18 +41,22 @@ router.get('/', authenticateWeb3Token, async (req, res) => {
 // Create new conversation
 router.post('/', authenticateWeb3Token, async (req, res) => {
   try {
-    const { title, messages = [] } = req.body;
+    const { title, messages = [], projectId = null } = req.body;
 
     if (!title) {
       return res.status(400).json({ error: 'Conversation title is required' });
     }
 
+    if (projectId && !(await getProjectForUser(projectId, req.user.id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
     // Create conversation
     const convResult = await pool.query(
-      `INSERT INTO conversations (user_id, title)
-       VALUES ($1, $2)
+      `INSERT INTO conversations (user_id, title, project_id)
+       VALUES ($1, $2, $3)
        RETURNING *`,
-      [req.user.id, title]
+      [req.user.id, title, projectId || null]
     );
 
     const conversation = convResult.rows[0];
@@ -239,6 +226,56 @@ router.patch('/:id', authenticateWeb3Token, async (req, res) => {
   }
 });
 
+// Download the audit report of a conversation's contract analysis.
+// Uses the latest completed analysis unless ?analysisId= picks one.
+router.get('/:id/report', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { analysisId } = req.query;
+    const format = String(req.query.format || 'html').toLowerCase();
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported report format: ${format}`, supportedFormats: REPORT_FORMATS });
+    }
+
+    if (analysisId && !isUuid(analysisId)) {
+      return res.status(400).json({ error: 'Invalid analysis id' });
+    }
+
+    const convResult = await pool.query(
+      'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (convResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const analysisResult = await pool.query(
+      `SELECT * FROM analysis_sessions
+       WHERE conversation_id = $1 AND user_id = $2
+         AND status = 'completed' AND is_contract_analysis = true
+         AND ($3::uuid IS NULL OR id = $3::uuid)
+       ORDER BY completed_at DESC
+       LIMIT 1`,
+      [id, req.user.id, analysisId || null]
+    );
+
+    if (analysisResult.rows.length === 0) {
+      return res.status(404).json({ error: 'No completed contract analysis in this conversation' });
+    }
+
+    const report = await renderAuditReport(analysisResult.rows[0], format);
+
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.send(report.body);
+  } catch (error) {
+    console.error('Generate conversation report error:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
 // Delete conversation
 router.delete('/:id', authenticateWeb3Token, async (req, res) => {
   try {
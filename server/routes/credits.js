@@ -0,0 +1,142 @@
+import express from 'express';
+import { pool } from '../database.js';
+import { isUuid } from '../contractFiles.js';
+import {
+  CREDIT_TRANSACTION_TYPES, recordCreditTransaction, getCreditTransactions,
+  reconcileCreditBalance, isAdminUser
+} from '../credits.js';
+import { authenticateWeb3Token } from '../auth/middleware.js';
+
+const WALLET_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const MAX_PAGE_SIZE = 200;
+
+const router = express.Router();
+
+// Ledger entries of the current user, newest first.
+// Query: limit, type, and before + beforeId from the previous page's nextCursor
+router.get('/transactions', authenticateWeb3Token, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const type = req.query.type || null;
+    const before = req.query.before || null;
+    const beforeId = req.query.beforeId || null;
+
+    if (type && !Object.values(CREDIT_TRANSACTION_TYPES).includes(type)) {
+      return res.status(400).json({ error: `Invalid type: ${type}`, supportedTypes: Object.values(CREDIT_TRANSACTION_TYPES) });
+    }
+
+    if (Boolean(before) !== Boolean(beforeId)) {
+      return res.status(400).json({ error: 'before and beforeId must be given together' });
+    }
+
+    if (before && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'before must be a timestamp' });
+    }
+
+    if (beforeId && !isUuid(beforeId)) {
+      return res.status(400).json({ error: 'beforeId must be a transaction id' });
+    }
+
+    const { transactions, nextCursor } = await getCreditTransactions(req.user.id, {
+      limit,
+      before: before ? { createdAt: before, id: beforeId } : null,
+      type
+    });
+
+    res.json({
+      success: true,
+      transactions,
+      balance: req.user.credits_balance,
+      hasMore: nextCursor !== null,
+      nextCursor: nextCursor && { before: nextCursor.createdAt, beforeId: nextCursor.id }
+    });
+  } catch (error) {
+    console.error('Get credit transactions error:', error);
+    res.status(500).json({ error: 'Failed to get credit transactions' });
+  }
+});
+
+// Cached balance compared with the sum of the ledger
+router.get('/balance', authenticateWeb3Token, async (req, res) => {
+  try {
+    const reconciliation = await reconcileCreditBalance(req.user.id);
+
+    if (!reconciliation.reconciled) {
+      console.warn(`⚠️ Credit balance of user ${req.user.id} differs from ledger: ${reconciliation.balance} vs ${reconciliation.ledgerBalance}`);
+    }
+
+    res.json({
+      success: true,
+      ...reconciliation
+    });
+  } catch (error) {
+    console.error('Get credit balance error:', error);
+    res.status(500).json({ error: 'Failed to get credit balance' });
+  }
+});
+
+// Admin only: credit or debit a user's balance.
+// Body: { userId | walletAddress, amount (signed integer), reason, idempotencyKey? }
+router.post('/adjustments', authenticateWeb3Token, async (req, res) => {
+  try {
+    if (!isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { userId, walletAddress, amount, reason, idempotencyKey = null } = req.body || {};
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ error: 'amount must be a non-zero integer' });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required for adjustments' });
+    }
+
+    let target;
+    if (userId !== undefined) {
+      if (!isUuid(userId)) {
+        return res.status(400).json({ error: 'Invalid userId' });
+      }
+      target = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    } else if (walletAddress !== undefined) {
+      if (!WALLET_ADDRESS_PATTERN.test(walletAddress)) {
+        return res.status(400).json({ error: 'walletAddress must be a wallet address (0x followed by 40 hex characters)' });
+      }
+      target = await pool.query('SELECT id FROM users WHERE wallet_address = $1', [walletAddress.toLowerCase()]);
+    } else {
+      return res.status(400).json({ error: 'Provide userId or walletAddress' });
+    }
+
+    if (!target.rows.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await recordCreditTransaction(pool, {
+      userId: target.rows[0].id,
+      type: CREDIT_TRANSACTION_TYPES.ADMIN_ADJUSTMENT,
+      amount,
+      idempotencyKey: idempotencyKey ? `adjustment:${idempotencyKey}` : null,
+      description: reason.trim(),
+      createdBy: req.user.id
+    });
+
+    if (!result) {
+      return res.status(409).json({ error: 'Adjustment would make the balance negative' });
+    }
+
+    console.log(`💳 Admin ${req.user.wallet_address} adjusted credits of user ${target.rows[0].id} by ${amount}`);
+
+    res.json({
+      success: true,
+      transaction: result.transaction,
+      balance: result.balance,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    console.error('Credit adjustment error:', error);
+    res.status(500).json({ error: 'Failed to adjust credits' });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import { isUuid } from '../contractFiles.js';
+import {
+  FINDING_STATUSES, MAX_COMMENT_LENGTH, getFindingForUser, getAssignedFindings, updateFindingTriage,
+  getFindingComments, addFindingComment
+} from '../findings.js';
+import { authenticateWeb3Token } from '../auth/middleware.js';
+
+const WALLET_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+const router = express.Router();
+
+// Unresolved findings assigned to the signed-in wallet
+router.get('/assigned', authenticateWeb3Token, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      findings: await getAssignedFindings(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get assigned findings error:', error);
+    res.status(500).json({ error: 'Failed to get assigned findings' });
+  }
+});
+
+// Triage a finding: { status?, assigneeWallet? } (assigneeWallet null unassigns).
+// Assignees can change the status; only the owner can assign.
+router.patch('/:id', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { status, assigneeWallet } = req.body || {};
+
+    if (status === undefined && assigneeWallet === undefined) {
+      return res.status(400).json({ error: 'Nothing to update. Provide status or assigneeWallet' });
+    }
+
+    if (status !== undefined && !FINDING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}`, supportedStatuses: FINDING_STATUSES });
+    }
+
+    if (assigneeWallet !== undefined && assigneeWallet !== null && !WALLET_ADDRESS_PATTERN.test(assigneeWallet)) {
+      return res.status(400).json({ error: 'assigneeWallet must be a wallet address (0x followed by 40 hex characters)' });
+    }
+
+    const existing = await getFindingForUser(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Finding not found' });
+    }
+
+    if (assigneeWallet !== undefined && existing.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner of the analysis can assign findings' });
+    }
+
+    const finding = await updateFindingTriage(existing.id, req.user.id, {
+      status,
+      assigneeWallet: assigneeWallet === undefined ? undefined : assigneeWallet && assigneeWallet.toLowerCase()
+    });
+
+    if (!finding) {
+      return res.status(404).json({ error: 'Finding not found' });
+    }
+
+    res.json({
+      success: true,
+      finding
+    });
+  } catch (error) {
+    console.error('Update finding error:', error);
+    res.status(500).json({ error: 'Failed to update finding' });
+  }
+});
+
+// Comment threads of a finding
+router.get('/:id/comments', authenticateWeb3Token, async (req, res) => {
+  try {
+    const finding = await getFindingForUser(req.params.id, req.user.id);
+
+    if (!finding) {
+      return res.status(404).json({ error: 'Finding not found' });
+    }
+
+    res.json({
+      success: true,
+      comments: await getFindingComments(finding.id)
+    });
+  } catch (error) {
+    console.error('Get finding comments error:', error);
+    res.status(500).json({ error: 'Failed to get comments' });
+  }
+});
+
+// Comment on a finding: { body, parentId? } where parentId replies to an existing comment
+router.post('/:id/comments', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { body, parentId = null } = req.body || {};
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comments must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    if (parentId !== null && !isUuid(parentId)) {
+      return res.status(400).json({ error: 'Invalid parentId' });
+    }
+
+    const finding = await getFindingForUser(req.params.id, req.user.id);
+
+    if (!finding) {
+      return res.status(404).json({ error: 'Finding not found' });
+    }
+
+    const comment = await addFindingComment(finding.id, req.user.id, { body: body.trim(), parentId });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Parent comment not found on this finding' });
+    }
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error('Add finding comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+export default router;
@@ -0,0 +1,185 @@
+import express from 'express';
+import { pool } from '../database.js';
+import { isUuid } from '../contractFiles.js';
+import { getProjectForUser, createProjectForUser, MAX_PROJECT_NAME_LENGTH } from '../projects.js';
+import { authenticateWeb3Token } from '../auth/middleware.js';
+
+const router = express.Router();
+
+// Get user projects with their file counts
+router.get('/', authenticateWeb3Token, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, COUNT(f.id)::int AS file_count
+       FROM projects p
+       LEFT JOIN contract_files f ON f.project_id = p.id AND f.is_active = true
+       WHERE p.user_id = $1 AND p.is_archived = false
+       GROUP BY p.id
+       ORDER BY p.updated_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      projects: result.rows
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({ error: 'Failed to get projects' });
+  }
+});
+
+// Create new project
+router.post('/', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { name, description = '' } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    if (name.trim().length > MAX_PROJECT_NAME_LENGTH) {
+      return res.status(400).json({ error: `Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters` });
+    }
+
+    const project = await createProjectForUser(req.user.id, { name, description });
+
+    res.json({
+      success: true,
+      project: { ...project, file_count: 0 }
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// Get project with its files, ordered by folder path
+router.get('/:id', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await getProjectForUser(id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const filesResult = await pool.query(
+      `SELECT id, filename, original_name, file_path, project_id, commit_hash, current_version, file_size, language,
+              upload_date, last_scanned, scan_count, tags, description
+       FROM contract_files
+       WHERE project_id = $1 AND user_id = $2 AND is_active = true
+       ORDER BY COALESCE(file_path, original_name)`,
+      [id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      project: {
+        ...project,
+        file_count: filesResult.rows.length,
+        files: filesResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ error: 'Failed to get project' });
+  }
+});
+
+// Update project name and/or description
+router.patch('/:id', authenticateWeb3Token, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body || {};
+
+    if (!isUuid(id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ error: 'Project name cannot be empty' });
+    }
+
+    if (name && name.trim().length > MAX_PROJECT_NAME_LENGTH) {
+      return res.status(400).json({ error: `Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters` });
+    }
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND user_id = $4 AND is_archived = false
+       RETURNING *`,
+      [name ? name.trim() : null, description ?? null, id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({
+      success: true,
+      project: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Delete project: archives it and soft-deletes its files.
+// Conversations are kept and detached from the project.
+router.delete('/:id', authenticateWeb3Token, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    if (!isUuid(id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE projects
+       SET is_archived = true, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND is_archived = false
+       RETURNING *`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const filesResult = await client.query(
+      'UPDATE contract_files SET is_active = false WHERE project_id = $1 AND user_id = $2 AND is_active = true',
+      [id, req.user.id]
+    );
+
+    await client.query(
+      'UPDATE conversations SET project_id = NULL WHERE project_id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      filesDeleted: filesResult.rowCount
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete project error:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { ethers } from 'ethers';
 import { pool } from '../database.js';
+import { recordCreditTransaction, CREDIT_TRANSACTION_TYPES, SIGNUP_CREDITS } from '../credits.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || process.env.SHIPABLE_JWT_TOKEN || 'your-secret-key';
 const JWT_EXPIRES_IN = '7d';
@@ -24,12 +25,32 @@ const getOrCreateUser = async (walletAddress, ensName = null) => {
     return updated.rows[0];
   }
 
-  // Create new user
-  const inserted = await pool.query(
-    'INSERT INTO users (wallet_address, ens_name, nonce, credits_balance) VALUES ($1, $2, $3, $4) RETURNING *',
-    [addr, ensName, generateNonce(), 100]
-  );
-  return inserted.rows[0];
+  // Create new user; the starting credits are granted through the ledger
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(
+      'INSERT INTO users (wallet_address, ens_name, nonce, credits_balance) VALUES ($1, $2, $3, 0) RETURNING *',
+      [addr, ensName, generateNonce()]
+    );
+    const user = inserted.rows[0];
+
+    const grant = await recordCreditTransaction(client, {
+      userId: user.id,
+      type: CREDIT_TRANSACTION_TYPES.SIGNUP_GRANT,
+      amount: SIGNUP_CREDITS,
+      idempotencyKey: `signup:${user.id}`,
+      description: 'Welcome credits'
+    });
+
+    await client.query('COMMIT');
+    return { ...user, credits_balance: grant.balance };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 };
 
 const getNonce = async (walletAddress) => {
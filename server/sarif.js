@@ -0,0 +1,139 @@
+// Convert stored findings into a SARIF 2.1.0 log for CI and code-scanning tools
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+const SARIF_LEVELS = {
+  Critical: 'error',
+  High: 'error',
+  Medium: 'warning',
+  Low: 'note',
+  Informational: 'note'
+};
+
+// GitHub code scanning ranks results by this numeric score
+const SECURITY_SEVERITY = {
+  Critical: '9.5',
+  High: '8.0',
+  Medium: '5.5',
+  Low: '3.0',
+  Informational: '0.0'
+};
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64) || 'finding';
+
+// Detector rule and SWC ids are stable across reports; otherwise fall back to the finding title
+export const sarifRuleId = (finding) => finding.ruleId || finding.swcId || `secweb3/${slugify(finding.title)}`;
+
+const toRule = (finding) => {
+  const tags = ['security', 'smart-contract'];
+  if (finding.swcId) tags.push(finding.swcId);
+  if (finding.cweId) tags.push(finding.cweId);
+
+  const rule = {
+    id: sarifRuleId(finding),
+    name: slugify(finding.title).replace(/(^|-)(\w)/g, (_, __, char) => char.toUpperCase()),
+    shortDescription: { text: finding.title },
+    defaultConfiguration: { level: SARIF_LEVELS[finding.severity] || 'warning' },
+    properties: {
+      tags,
+      'security-severity': SECURITY_SEVERITY[finding.severity] || SECURITY_SEVERITY.Medium
+    }
+  };
+
+  if (finding.recommendation) {
+    rule.help = { text: finding.recommendation };
+  }
+  if (finding.swcId) {
+    rule.helpUri = `https://swcregistry.io/docs/${finding.swcId}`;
+  }
+
+  return rule;
+};
+
+const toLocation = (finding) => {
+  if (!finding.file) return null;
+
+  const physicalLocation = {
+    artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' }
+  };
+
+  if (finding.lineStart) {
+    physicalLocation.region = {
+      startLine: finding.lineStart,
+      endLine: finding.lineEnd || finding.lineStart
+    };
+  }
+
+  return { physicalLocation };
+};
+
+// analysis: analysis_sessions row; findings: API-shaped findings from findings.js
+export const buildSarifLog = (analysis, findings, { toolVersion = '2.0.0' } = {}) => {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = findings.map(finding => {
+    const ruleId = sarifRuleId(finding);
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push(toRule(finding));
+    }
+
+    const message = finding.description
+      ? `${finding.title}\n\n${finding.description}`
+      : finding.title;
+
+    const result = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: message },
+      properties: {
+        severity: finding.severity,
+        findingId: finding.id,
+        triageStatus: finding.status || 'open'
+      }
+    };
+
+    const location = toLocation(finding);
+    if (location) result.locations = [location];
+    if (finding.cweId) result.properties.cwe = finding.cweId;
+    if (finding.commitHash) result.properties.commit = finding.commitHash;
+    // Lets code scanning tools track the finding across scans like we do
+    if (finding.fingerprint) result.partialFingerprints = { 'secweb3/v1': finding.fingerprint };
+    if (finding.suppressed) {
+      result.suppressions = [{ kind: 'inSource', justification: finding.suppressionJustification }];
+    }
+
+    return result;
+  });
+
+  const artifacts = [...new Set(findings.map(finding => finding.file).filter(Boolean))]
+    .map(uri => ({ location: { uri, uriBaseId: '%SRCROOT%' } }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'SecWeb3',
+          version: toolVersion,
+          rules
+        }
+      },
+      automationDetails: { id: `secweb3/${analysis.id}` },
+      artifacts,
+      invocations: [{
+        executionSuccessful: analysis.status === 'completed',
+        endTimeUtc: analysis.completed_at ? new Date(analysis.completed_at).toISOString() : undefined
+      }],
+      results
+    }]
+  };
+};
@@ -0,0 +1,139 @@
+// Smart contract language detection shared by the server and the client.
+// Keep this module dependency-free: the frontend imports it directly.
+
+export const EXTENSION_LANGUAGES = {
+  '.sol': 'Solidity',
+  '.vy': 'Vyper',
+  '.vyi': 'Vyper',
+  '.move': 'Move',
+  '.cairo': 'Cairo'
+};
+
+// A file extension alone is enough for a detection, but not for full confidence
+const EXTENSION_WEIGHT = 6;
+
+// Score at which a language is reported with full confidence
+const CONFIDENT_SCORE = 12;
+
+// Below this score the content is reported as Unknown
+const MINIMUM_SCORE = 3;
+
+// Syntactic signals per language. Each signal counts once, however often it matches.
+const SIGNALS = {
+  Solidity: [
+    { pattern: /^\s*pragma\s+solidity\b/m, weight: 8 },
+    { pattern: /^\s*(abstract\s+)?(contract|interface|library)\s+\w+(\s+is\s+[\w\s.,]+)?\s*\{/m, weight: 5 },
+    { pattern: /\bfunction\s+\w*\s*\([^)]*\)[^{;]*\b(public|external|internal|private|view|pure|payable|returns)\b/, weight: 4 },
+    { pattern: /\bmapping\s*\(/, weight: 3 },
+    { pattern: /\bmsg\.(sender|value)\b/, weight: 2 },
+    { pattern: /^\s*emit\s+\w+\s*\(/m, weight: 2 },
+    { pattern: /^\s*modifier\s+\w+/m, weight: 2 },
+    { pattern: /^\s*import\s+(\{[^}]*\}\s+from\s+)?["'][^"']+\.sol["']/m, weight: 3 },
+    { pattern: /\b(uint(8|16|32|64|128|256)?|bytes32|address(\s+payable)?)\s+(public|private|internal|immutable|constant)\b/, weight: 2 },
+    { pattern: /SPDX-License-Identifier/, weight: 1 }
+  ],
+  Vyper: [
+    { pattern: /^\s*#\s*(@version|pragma\s+version)\b/m, weight: 8 },
+    { pattern: /^@(external|internal|view|pure|payable|nonreentrant|deploy)\b/m, weight: 4 },
+    { pattern: /^\s*def\s+\w+\s*\([^)]*\)\s*(->\s*[\w\[\], ]+)?\s*:/m, weight: 3 },
+    { pattern: /\bHashMap\s*\[/, weight: 3 },
+    { pattern: /^\s*from\s+(vyper\.interfaces|ethereum\.ercs|snekmate)\b/m, weight: 4 },
+    { pattern: /^\s*(event|struct|interface)\s+\w+\s*:\s*$/m, weight: 2 },
+    { pattern: /\b(raw_call|send|empty|convert)\s*\(/, weight: 1 },
+    { pattern: /\bself\.\w+/, weight: 1 }
+  ],
+  Move: [
+    { pattern: /^\s*module\s+(0x[0-9a-fA-F]+|\w+)::\w+\s*[{;]/m, weight: 8 },
+    { pattern: /^\s*(public(\s*\((friend|package)\))?\s+)?(entry\s+)?fun\s+\w+/m, weight: 4 },
+    { pattern: /^\s*use\s+(std|aptos_framework|aptos_std|sui|0x[0-9a-fA-F]+)::/m, weight: 4 },
+    { pattern: /\bhas\s+(key|store|copy|drop)\b/, weight: 4 },
+    { pattern: /&(mut\s+)?signer\b|&mut\s+TxContext\b/, weight: 3 },
+    { pattern: /\b(borrow_global(_mut)?|move_to|move_from)\s*</, weight: 3 },
+    { pattern: /\bacquires\s+\w+/, weight: 3 },
+    { pattern: /^\s*script\s*\{/m, weight: 2 }
+  ],
+  Cairo: [
+    { pattern: /^\s*%lang\s+starknet\b/m, weight: 8 },
+    { pattern: /#\[(starknet::contract|contract)\]/, weight: 8 },
+    { pattern: /\bfelt252\b/, weight: 4 },
+    { pattern: /^\s*use\s+(starknet|core)::/m, weight: 5 },
+    { pattern: /#\[(storage|external\(v0\)|abi\(embed_v0\)|starknet::interface|l1_handler)\]/, weight: 4 },
+    { pattern: /\bContractState\b/, weight: 3 },
+    { pattern: /^@(storage_var|l1_handler|event)\s*$/m, weight: 4 },
+    { pattern: /^\s*func\s+\w+\s*\{/m, weight: 4 },
+    { pattern: /^\s*%builtins\b/m, weight: 4 },
+    { pattern: /:\s*felt\b|\b(tempvar|alloc_locals)\b/, weight: 3 }
+  ]
+};
+
+const extensionOf = (filename) => {
+  const match = /\.[^./\\]+$/.exec((filename || '').toLowerCase());
+  return match ? match[0] : '';
+};
+
+// Version constraint from `pragma solidity ^0.8.0;`
+const solidityVersion = (code) => {
+  const match = /^\s*pragma\s+solidity\s+([^;]+);/m.exec(code);
+  return match ? match[1].trim() : null;
+};
+
+// Version from `# @version 0.3.7` or `#pragma version ^0.4.0`
+const vyperVersion = (code) => {
+  const match = /^\s*#\s*(?:@version|pragma\s+version)\s+([^\n#]+)/m.exec(code);
+  return match ? match[1].trim() : null;
+};
+
+// Cairo 1 is Rust-like (`fn`, felt252, attributes); Cairo 0 uses `func`, `%lang` and decorators
+const cairoVersion = (code) => {
+  const cairo1 = /\bfn\s+\w+|\bfelt252\b|#\[(starknet::)?contract\]|#\[storage\]/.test(code);
+  const cairo0 = /%lang\s+starknet|%builtins|\bfunc\s+\w+|@storage_var|\btempvar\b/.test(code);
+  if (cairo1 && !cairo0) return '1.x';
+  if (cairo0 && !cairo1) return '0.x';
+  if (cairo1 && cairo0) return /\bfn\s+\w+/.test(code) ? '1.x' : '0.x';
+  return null;
+};
+
+// Move 2024 allows `module a::b;` headers and `public struct`
+const moveVersion = (code) =>
+  /^\s*module\s+\w+::\w+\s*;|^\s*public\s+struct\b/m.test(code) ? '2024' : null;
+
+const VERSION_PARSERS = {
+  Solidity: solidityVersion,
+  Vyper: vyperVersion,
+  Move: moveVersion,
+  Cairo: cairoVersion
+};
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+// Scores every supported language from the file extension and syntactic signals.
+// Returns { language, confidence (0-1), version, scores }; language is 'Unknown'
+// when nothing scores high enough.
+export const detectLanguage = (code = '', filename = '') => {
+  const source = typeof code === 'string' ? code : '';
+  const extensionLanguage = EXTENSION_LANGUAGES[extensionOf(filename)] || null;
+
+  const scores = {};
+  for (const [language, signals] of Object.entries(SIGNALS)) {
+    scores[language] = signals.reduce((score, signal) => score + (signal.pattern.test(source) ? signal.weight : 0), 0);
+    if (language === extensionLanguage) scores[language] += EXTENSION_WEIGHT;
+  }
+
+  const [[bestLanguage, bestScore], [, runnerUpScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (bestScore < MINIMUM_SCORE) {
+    return { language: 'Unknown', confidence: 0, version: null, scores };
+  }
+
+  // Confidence grows with the amount of evidence and drops when another language scores close
+  const evidence = Math.min(1, bestScore / CONFIDENT_SCORE);
+  const margin = bestScore / (bestScore + runnerUpScore);
+
+  return {
+    language: bestLanguage,
+    confidence: roundConfidence(evidence * margin),
+    version: VERSION_PARSERS[bestLanguage](source),
+    scores
+  };
+};
+
+export const detectContractLanguage = (code, filename = '') => detectLanguage(code, filename).language;
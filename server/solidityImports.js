@@ -0,0 +1,226 @@
+import path from 'path';
+import parser from '@solidity-parser/parser';
+import { combineContractFiles, filePathOf } from './contractFiles.js';
+import { detectContractLanguage } from './shared/languageDetection.js';
+
+// Import resolution and flattening for multi-file Solidity scans.
+// Flattening rewrites duplicate directives as comments instead of removing them,
+// so line numbers inside each file stay the same and findings can be mapped back.
+
+const posix = path.posix;
+
+const normalizePath = (value) => posix.normalize(String(value || '').replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+
+// Path used to resolve imports against a stored file
+const pathOf = (file) => normalizePath(filePathOf(file));
+
+const isSolidityFile = (file) => detectContractLanguage(file.file_content, pathOf(file)) === 'Solidity';
+
+// Parses remappings given as `prefix=target` entries, either an array or
+// newline-separated text (the remappings.txt format). Context prefixes are ignored.
+export const parseRemappings = (remappings) => {
+  const entries = Array.isArray(remappings) ? remappings : String(remappings || '').split('\n');
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(entry => entry && !entry.startsWith('#') && entry.includes('='))
+    .map(entry => {
+      const withoutContext = entry.includes(':') && entry.indexOf(':') < entry.indexOf('=')
+        ? entry.slice(entry.indexOf(':') + 1)
+        : entry;
+      const [prefix, ...target] = withoutContext.split('=');
+      return { prefix: prefix.trim(), target: target.join('=').trim() };
+    })
+    .filter(remapping => remapping.prefix)
+    // Longest prefix wins, as in solc
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+};
+
+// Import path as it would be looked up from the project root
+const resolveImportPath = (importPath, importerPath, remappings) => {
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    return normalizePath(posix.join(posix.dirname(importerPath), importPath));
+  }
+
+  const remapping = remappings.find(candidate => importPath.startsWith(candidate.prefix));
+  return normalizePath(remapping ? remapping.target + importPath.slice(remapping.prefix.length) : importPath);
+};
+
+// Finds the file for a resolved import path: an exact path match first, then the file
+// sharing the longest path suffix (uploads often lose their folders, e.g.
+// `@openzeppelin/contracts/token/ERC20/ERC20.sol` uploaded as `ERC20.sol`)
+const findImportedFile = (resolvedPath, files) => {
+  const exact = files.find(file => pathOf(file) === resolvedPath);
+  if (exact) return { file: exact };
+
+  const wanted = resolvedPath.split('/').reverse();
+  let best = [];
+  let bestLength = 0;
+
+  for (const file of files) {
+    const segments = pathOf(file).split('/').reverse();
+    let length = 0;
+    while (length < segments.length && length < wanted.length && segments[length] === wanted[length]) length++;
+
+    if (length > bestLength) {
+      best = [file];
+      bestLength = length;
+    } else if (length > 0 && length === bestLength) {
+      best.push(file);
+    }
+  }
+
+  if (best.length === 1) return { file: best[0] };
+  if (best.length > 1) return { ambiguous: best.map(pathOf) };
+  return {};
+};
+
+// Import, pragma and SPDX directives of one file, with their line ranges
+const parseDirectives = (source) => {
+  const imports = [];
+  const pragmas = [];
+  const errors = [];
+
+  try {
+    const ast = parser.parse(source, { loc: true, tolerant: true });
+    for (const node of ast.children || []) {
+      const lines = { lineStart: node.loc.start.line, lineEnd: node.loc.end.line };
+      if (node.type === 'ImportDirective') imports.push({ path: node.path, ...lines });
+      if (node.type === 'PragmaDirective') pragmas.push({ key: `${node.name} ${node.value}`, ...lines });
+    }
+    (ast.errors || []).forEach(error => errors.push(error.message));
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  const licenses = [];
+  source.split('\n').forEach((line, index) => {
+    const match = line.match(/SPDX-License-Identifier:\s*([^\s*]+)/);
+    if (match) licenses.push({ license: match[1], lineStart: index + 1, lineEnd: index + 1 });
+  });
+
+  return { imports, pragmas, licenses, errors };
+};
+
+// Comments out lines [lineStart, lineEnd] (1-based) with a short note on the first line
+const commentOutLines = (lines, { lineStart, lineEnd }, note) => {
+  for (let line = lineStart; line <= lineEnd; line++) {
+    const text = lines[line - 1];
+    if (text === undefined) continue;
+    const content = text.replace(/^\s*(\/\/\s*)?/, '');
+    lines[line - 1] = line === lineStart ? `// ${content} // ${note}` : `// ${content}`;
+  }
+};
+
+// Builds the import graph from the selected files over the user's library and
+// flattens it. Dependencies come before the files importing them, each file once.
+// Returns { files, code, unresolved, cycles, errors }:
+// - files: contract_files rows in flattened order (selected files plus pulled-in imports)
+// - code: combined analysis input with `// === name ===` banners
+// - unresolved: [{ file, line, import, resolvedPath, reason }]
+export const flattenContractFiles = (selectedFiles, libraryFiles = [], { remappings = [] } = {}) => {
+  const parsedRemappings = parseRemappings(remappings);
+
+  const byId = new Map();
+  [...libraryFiles, ...selectedFiles].forEach(file => byId.set(file.id, file));
+  const solidityLibrary = [...byId.values()].filter(isSolidityFile);
+
+  const directives = new Map();
+  const dependencies = new Map();
+  const unresolved = [];
+  const errors = [];
+
+  // Resolve imports breadth-first, starting from the selected Solidity files
+  const queue = selectedFiles.filter(isSolidityFile);
+  const visited = new Set();
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (visited.has(file.id)) continue;
+    visited.add(file.id);
+
+    const parsed = parseDirectives(file.file_content);
+    directives.set(file.id, parsed);
+    parsed.errors.forEach(message => errors.push({ file: filePathOf(file), message }));
+
+    const fileDependencies = [];
+    for (const directive of parsed.imports) {
+      const resolvedPath = resolveImportPath(directive.path, pathOf(file), parsedRemappings);
+      // Files of the importer's project take precedence over the rest of the library
+      const projectFiles = solidityLibrary.filter(candidate => candidate.project_id === file.project_id);
+      let { file: imported, ambiguous } = findImportedFile(resolvedPath, projectFiles);
+      if (!imported && !ambiguous) ({ file: imported, ambiguous } = findImportedFile(resolvedPath, solidityLibrary));
+
+      if (!imported) {
+        unresolved.push({
+          file: filePathOf(file),
+          line: directive.lineStart,
+          import: directive.path,
+          resolvedPath,
+          reason: ambiguous ? `Ambiguous: matches ${ambiguous.join(', ')}` : 'No matching file uploaded'
+        });
+        continue;
+      }
+
+      directive.fileId = imported.id;
+      if (imported.id !== file.id) fileDependencies.push(imported.id);
+      if (!visited.has(imported.id)) queue.push(imported);
+    }
+    dependencies.set(file.id, fileDependencies);
+  }
+
+  // Depth-first topological order; Solidity allows import cycles, which are reported
+  // and broken at the import that closes them
+  const ordered = [];
+  const cycles = [];
+  const state = new Map();
+  const visit = (fileId, trail) => {
+    if (state.get(fileId) === 'done') return;
+    if (state.get(fileId) === 'visiting') {
+      cycles.push([...trail.slice(trail.indexOf(fileId)), fileId].map(id => filePathOf(byId.get(id))));
+      return;
+    }
+
+    state.set(fileId, 'visiting');
+    (dependencies.get(fileId) || []).forEach(dependencyId => visit(dependencyId, [...trail, fileId]));
+    state.set(fileId, 'done');
+    ordered.push(byId.get(fileId));
+  };
+  selectedFiles.filter(isSolidityFile).forEach(file => visit(file.id, []));
+
+  // De-duplicate SPDX identifiers and pragmas, and comment out resolved imports
+  const seenPragmas = new Set();
+  let licenseKept = false;
+  const flattenedSources = new Map();
+
+  for (const file of ordered) {
+    const { imports, pragmas, licenses } = directives.get(file.id);
+    const lines = file.file_content.split('\n');
+
+    imports.filter(directive => directive.fileId).forEach(directive => {
+      commentOutLines(lines, directive, `flattened: ${filePathOf(byId.get(directive.fileId))}`);
+    });
+
+    pragmas.forEach(pragma => {
+      if (seenPragmas.has(pragma.key)) commentOutLines(lines, pragma, 'duplicate pragma');
+      seenPragmas.add(pragma.key);
+    });
+
+    licenses.forEach(license => {
+      if (licenseKept) {
+        lines[license.lineStart - 1] = lines[license.lineStart - 1].replace('SPDX-License-Identifier:', 'License:');
+      }
+      licenseKept = true;
+    });
+
+    flattenedSources.set(file.id, lines.join('\n'));
+  }
+
+  // Other languages are analysed as they are, after the flattened Solidity sources
+  const files = [...ordered, ...selectedFiles.filter(file => !isSolidityFile(file))];
+  const code = combineContractFiles(files.map(file => ({
+    ...file,
+    file_content: flattenedSources.get(file.id) ?? file.file_content
+  })));
+
+  return { files, code, unresolved, cycles, errors };
+};
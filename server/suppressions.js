@@ -0,0 +1,111 @@
+// Inline suppression annotations in contract source.
+//
+//   // secweb3-disable-next-line <rule-id> [justification]
+//   // secweb3-disable <rule-id> [justification]
+//   ...
+//   // secweb3-enable [<rule-id>]
+//
+// `#` comments work the same way for Vyper. Several rule ids can be given separated
+// by commas; without a rule id (or with `*`) every rule is disabled. Rule ids match a
+// finding's detector rule (e.g. `solidity/tx-origin`) or its SWC id (e.g. `SWC-115`).
+// The justification is the text after the rule ids, optionally introduced by `--`.
+
+const DIRECTIVE_PATTERN = /(?:\/\/+|#+|\/\*+)\s*secweb3-(disable-next-line|disable|enable)\b(.*)$/;
+const RULE_ID_PATTERN = /^(\*|swc-\d+|[a-z0-9_]+(?:[/-][a-z0-9_-]+)+)$/i;
+const COMMENT_ONLY_PATTERN = /^\s*(\/\/|#|\/\*|\*)/;
+
+// Splits the text after a directive into rule ids and the justification
+const parseArguments = (text) => {
+  const tokens = text.replace(/\*\/\s*$/, '').trim().split(/\s+/).filter(Boolean);
+  const rules = [];
+
+  while (tokens.length > 0) {
+    const ids = tokens[0].split(',').filter(Boolean);
+    if (ids.length === 0 || !ids.every(id => RULE_ID_PATTERN.test(id))) break;
+    rules.push(...ids.map(id => id.toLowerCase()));
+    tokens.shift();
+  }
+
+  const justification = tokens.join(' ').replace(/^(--|:|-)\s*/, '').trim();
+  return {
+    // An empty list disables every rule
+    rules: rules.includes('*') ? [] : rules,
+    justification: justification || null
+  };
+};
+
+// Suppressions declared in one source file:
+// [{ rules, justification, startLine, endLine, directive }] with 1-based lines
+export const parseSuppressions = (source) => {
+  const lines = String(source || '').replace(/\r\n/g, '\n').split('\n');
+  const suppressions = [];
+  const openRegions = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(DIRECTIVE_PATTERN);
+    if (!match) return;
+
+    const [, directive, rest] = match;
+    const lineNumber = index + 1;
+    const { rules, justification } = parseArguments(rest);
+
+    if (directive === 'disable-next-line') {
+      // Target the next line with code, so stacked annotations cover the same line
+      let target = index + 1;
+      while (target < lines.length && (!lines[target].trim() || COMMENT_ONLY_PATTERN.test(lines[target]))) target++;
+      if (target < lines.length) {
+        suppressions.push({ rules, justification, startLine: target + 1, endLine: target + 1, directive: lineNumber });
+      }
+    } else if (directive === 'disable') {
+      openRegions.push({ rules, justification, startLine: lineNumber, endLine: lines.length, directive: lineNumber });
+    } else {
+      // enable without rule ids ends every open region, otherwise the regions of those rules
+      for (let i = openRegions.length - 1; i >= 0; i--) {
+        const region = openRegions[i];
+        if (rules.length === 0 || region.rules.some(rule => rules.includes(rule))) {
+          suppressions.push({ ...region, endLine: lineNumber });
+          openRegions.splice(i, 1);
+        }
+      }
+    }
+  });
+
+  // Regions that are never re-enabled last until the end of the file
+  return [...suppressions, ...openRegions];
+};
+
+const coversRule = (suppression, finding) => suppression.rules.length === 0
+  || [finding.ruleId, finding.swcId].some(id => id && suppression.rules.includes(id.toLowerCase()));
+
+// The suppression covering a finding, or null
+export const findSuppression = (finding, suppressions) => {
+  if (!finding.lineStart) return null;
+  return suppressions.find(suppression =>
+    finding.lineStart >= suppression.startLine &&
+    finding.lineStart <= suppression.endLine &&
+    coversRule(suppression, finding)
+  ) || null;
+};
+
+// Marks findings covered by an annotation in their file as suppressed.
+// sources: Map of lowercase file path -> file content.
+// Returns the findings with { suppressed, suppressionJustification } set.
+export const applySuppressions = (findings, sources) => {
+  const parsed = new Map();
+  const suppressionsOf = (file) => {
+    const key = String(file || '').toLowerCase();
+    if (!parsed.has(key)) parsed.set(key, sources.has(key) ? parseSuppressions(sources.get(key)) : []);
+    return parsed.get(key);
+  };
+
+  return findings.map(finding => {
+    const suppression = finding.file ? findSuppression(finding, suppressionsOf(finding.file)) : null;
+    return {
+      ...finding,
+      suppressed: !!suppression,
+      suppressionJustification: suppression
+        ? suppression.justification || `Suppressed by annotation on line ${suppression.directive}`
+        : null
+    };
+  });
+};
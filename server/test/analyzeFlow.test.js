@@ -0,0 +1,377 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { once } from 'events';
+import jwt from 'jsonwebtoken';
+import { startTestDatabase } from './helpers/testDatabase.js';
+
+// The analyze -> stream flow against the mock provider: a completed stream
+// captures the credit hold, a provider that cannot open a session releases it,
+// and a stream that fails part way refunds it. Findings are stored against the
+// file they are in, including files pulled in through imports.
+
+const JWT_SECRET = 'secweb3-test-secret';
+const STARTING_CREDITS = 100;
+
+const CONTRACT = [
+  '// SPDX-License-Identifier: MIT',
+  'pragma solidity ^0.8.20;',
+  '',
+  'contract Vault {',
+  '    address public owner = msg.sender;',
+  '',
+  '    function withdraw() external {',
+  '        require(tx.origin == owner, "not owner");',
+  '        (bool ok, ) = msg.sender.call{value: address(this).balance}("");',
+  '        require(ok);',
+  '    }',
+  '}',
+  ''
+].join('\n');
+
+let database;
+let pool;
+let createApp;
+let createMockProvider;
+let recordCreditTransaction;
+let reconcileCreditBalance;
+let releaseCreditHold;
+let storeContractFile;
+
+before(async () => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  database = await startTestDatabase();
+
+  ({ pool } = await import('../database.js'));
+  ({ createApp } = await import('../app.js'));
+  ({ createMockProvider } = await import('../providers/mockProvider.js'));
+  ({ storeContractFile } = await import('../contractFiles.js'));
+  ({ recordCreditTransaction, reconcileCreditBalance, releaseCreditHold } = await import('../credits.js'));
+  const { default: runMigrations } = await import('../migrations/index.js');
+  await runMigrations();
+});
+
+after(async () => {
+  await pool?.end();
+  await database?.stop();
+});
+
+// Serve an app backed by a mock provider on a free port
+const startServer = async (providerOptions = {}) => {
+  const app = createApp({ analysisProvider: createMockProvider({ failOn: null, ...providerOptions }) });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// A signed-up user: signup grant in the ledger and a token for the API
+const createUser = async () => {
+  const wallet = `0x${crypto.randomBytes(20).toString('hex')}`;
+  const result = await pool.query(
+    'INSERT INTO users (wallet_address, nonce, credits_balance) VALUES ($1, $2, 0) RETURNING id',
+    [wallet, crypto.randomBytes(16).toString('hex')]
+  );
+  const userId = result.rows[0].id;
+
+  await recordCreditTransaction(pool, {
+    userId,
+    type: 'signup_grant',
+    amount: STARTING_CREDITS,
+    idempotencyKey: `signup:${userId}`
+  });
+
+  return { id: userId, token: jwt.sign({ userId, walletAddress: wallet }, JWT_SECRET) };
+};
+
+const analyze = async (server, user, body, headers = {}) => {
+  const response = await fetch(`${server.url}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}`, ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const stream = async (server, user, sessionKey, body = {}) => {
+  const response = await fetch(`${server.url}/api/analyze/stream/${sessionKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.text() };
+};
+
+// The markdown sent over the event stream, joined back together
+const readReport = (events) => events
+  .split('\n\n')
+  .filter(event => event.startsWith('data: {'))
+  .map(event => JSON.parse(event.slice('data: '.length)).body)
+  .join('');
+
+const getBalance = async (userId) =>
+  (await pool.query('SELECT credits_balance FROM users WHERE id = $1', [userId])).rows[0].credits_balance;
+
+const getLedgerTypes = async (userId) =>
+  (await pool.query(
+    "SELECT type FROM credit_transactions WHERE user_id = $1 AND type <> 'signup_grant' ORDER BY created_at, id",
+    [userId]
+  )).rows.map(row => row.type);
+
+const getHolds = async (userId) =>
+  (await pool.query('SELECT * FROM credit_holds WHERE user_id = $1', [userId])).rows;
+
+test('a completed stream captures the credit hold', async () => {
+  const server = await startServer();
+  try {
+    const user = await createUser();
+
+    const started = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.success, true);
+    const cost = started.body.creditInfo.creditsDeducted;
+    assert.ok(cost > 0);
+    assert.equal(started.body.creditInfo.creditsRemaining, STARTING_CREDITS - cost);
+
+    const streamed = await stream(server, user, started.body.sessionKey);
+    assert.equal(streamed.status, 200);
+    assert.match(readReport(streamed.body), /Authorization through tx\.origin/);
+    assert.match(streamed.body, /data: \[DONE\]/);
+
+    const session = (await pool.query(
+      'SELECT * FROM analysis_sessions WHERE session_key = $1',
+      [started.body.sessionKey]
+    )).rows[0];
+    assert.equal(session.status, 'completed');
+    assert.equal(session.refunded_at, null);
+
+    const [hold] = await getHolds(user.id);
+    assert.equal(hold.status, 'captured');
+    assert.equal(hold.analysis_session_id, session.id);
+    // Starting the stream moved both expiries to the stream timeout
+    assert.equal(hold.expires_at.getTime(), session.expires_at.getTime());
+    assert.ok(session.expires_at > session.stream_started_at);
+
+    assert.equal(await getBalance(user.id), STARTING_CREDITS - cost);
+    assert.deepEqual(await getLedgerTypes(user.id), ['hold', 'capture']);
+    assert.equal((await reconcileCreditBalance(user.id)).reconciled, true);
+
+    const findings = await pool.query('SELECT title FROM findings WHERE analysis_session_id = $1', [session.id]);
+    assert.ok(findings.rows.length > 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the quoted price is charged and the quoted code is analyzed', async () => {
+  const server = await startServer();
+  try {
+    const user = await createUser();
+
+    const estimate = await fetch(`${server.url}/api/plans/estimate-cost`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}` },
+      body: JSON.stringify({ code: CONTRACT, filename: 'Vault.sol' })
+    }).then(response => response.json());
+    assert.ok(estimate.quoteId);
+
+    const started = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol', quoteId: estimate.quoteId });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.creditInfo.creditsDeducted, estimate.estimatedCost);
+
+    // Code sent with the stream request does not replace what was priced
+    const other = CONTRACT.replace('tx.origin == owner', 'msg.sender == owner') + '\ncontract Other { function kill() external { selfdestruct(payable(msg.sender)); } }\n';
+    const streamed = await stream(server, user, started.body.sessionKey, { code: other });
+    assert.equal(streamed.status, 200);
+    assert.match(readReport(streamed.body), /Authorization through tx\.origin/);
+    assert.doesNotMatch(readReport(streamed.body), /selfdestruct/);
+
+    // A quote is only honoured for the input it priced
+    const changed = await analyze(server, user, { code: other, filename: 'Vault.sol', quoteId: estimate.quoteId });
+    assert.equal(changed.status, 409);
+    assert.equal(changed.body.quoteError, 'mismatch');
+  } finally {
+    await server.close();
+  }
+});
+
+test('findings in an imported file are stored against that file', async () => {
+  const server = await startServer();
+  try {
+    const user = await createUser();
+    const library = await storeContractFile(user.id, {
+      filename: 'Auth.sol',
+      code: [
+        'pragma solidity ^0.8.20;',
+        '',
+        'contract Auth {',
+        '    function isOwner(address owner) internal view returns (bool) {',
+        '        return tx.origin == owner;',
+        '    }',
+        '}',
+        ''
+      ].join('\n')
+    });
+    const main = await storeContractFile(user.id, {
+      filename: 'Vault.sol',
+      code: [
+        'pragma solidity ^0.8.20;',
+        '',
+        'import "./Auth.sol";',
+        '',
+        'contract Vault is Auth {}',
+        ''
+      ].join('\n')
+    });
+
+    const started = await analyze(server, user, { selectedFileIds: [main.file.id] });
+    assert.equal(started.status, 200);
+    const streamed = await stream(server, user, started.body.sessionKey);
+    assert.equal(streamed.status, 200);
+
+    const session = (await pool.query(
+      'SELECT id, contract_file_version_ids FROM analysis_sessions WHERE session_key = $1',
+      [started.body.sessionKey]
+    )).rows[0];
+    assert.deepEqual([...session.contract_file_version_ids].sort(), [library.version.id, main.version.id].sort());
+
+    const finding = (await pool.query(
+      "SELECT file_path, line_start, contract_file_id FROM findings WHERE analysis_session_id = $1 AND title = 'Authorization through tx.origin'",
+      [session.id]
+    )).rows[0];
+    assert.deepEqual(finding, { file_path: 'Auth.sol', line_start: 5, contract_file_id: library.file.id });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a provider that cannot open a session releases the hold', async () => {
+  const server = await startServer({ failOn: 'session' });
+  try {
+    const user = await createUser();
+
+    const started = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' });
+    assert.equal(started.status, 503);
+    assert.equal(started.body.refunded, true);
+
+    const [hold] = await getHolds(user.id);
+    assert.equal(hold.status, 'released');
+    assert.equal(hold.release_reason, 'provider_error');
+
+    assert.equal(await getBalance(user.id), STARTING_CREDITS);
+    assert.deepEqual(await getLedgerTypes(user.id), ['hold', 'release']);
+    assert.equal((await reconcileCreditBalance(user.id)).reconciled, true);
+
+    const sessions = await pool.query('SELECT 1 FROM analysis_sessions WHERE user_id = $1', [user.id]);
+    assert.equal(sessions.rows.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a stream that fails part way refunds the hold', async () => {
+  const server = await startServer({ failOn: 'stream', chunkSize: 40 });
+  try {
+    const user = await createUser();
+
+    const started = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' });
+    assert.equal(started.status, 200);
+
+    const streamed = await stream(server, user, started.body.sessionKey);
+    assert.equal(streamed.status, 200);
+    assert.match(readReport(streamed.body), /Analysis Failed/);
+    assert.match(readReport(streamed.body), /Credits have been refunded/);
+
+    const session = (await pool.query(
+      'SELECT * FROM analysis_sessions WHERE session_key = $1',
+      [started.body.sessionKey]
+    )).rows[0];
+    assert.equal(session.status, 'failed');
+    assert.notEqual(session.refunded_at, null);
+
+    const [hold] = await getHolds(user.id);
+    assert.equal(hold.status, 'released');
+    assert.equal(hold.release_reason, 'stream_failed');
+
+    assert.equal(await getBalance(user.id), STARTING_CREDITS);
+    assert.deepEqual(await getLedgerTypes(user.id), ['hold', 'release']);
+    assert.equal((await reconcileCreditBalance(user.id)).reconciled, true);
+
+    // A failed session cannot be streamed again
+    const retried = await stream(server, user, started.body.sessionKey);
+    assert.equal(retried.status, 409);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a session whose hold was released cannot be streamed', async () => {
+  const server = await startServer();
+  try {
+    const user = await createUser();
+
+    const started = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' });
+    assert.equal(started.status, 200);
+    await releaseCreditHold(pool, started.body.creditInfo.holdId, { reason: 'expired' });
+
+    const streamed = await stream(server, user, started.body.sessionKey);
+    assert.equal(streamed.status, 409);
+
+    const session = (await pool.query(
+      'SELECT status FROM analysis_sessions WHERE session_key = $1',
+      [started.body.sessionKey]
+    )).rows[0];
+    assert.equal(session.status, 'pending');
+    assert.equal(await getBalance(user.id), STARTING_CREDITS);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a retried request with the same Idempotency-Key is charged once', async () => {
+  const server = await startServer();
+  try {
+    const user = await createUser();
+    const headers = { 'Idempotency-Key': crypto.randomUUID() };
+
+    const first = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' }, headers);
+    const retried = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' }, headers);
+    assert.equal(first.status, 200);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.replayed, true);
+    assert.equal(retried.body.sessionKey, first.body.sessionKey);
+    assert.equal(retried.body.creditInfo.holdId, first.body.creditInfo.holdId);
+
+    assert.equal((await getHolds(user.id)).length, 1);
+    assert.equal(await getBalance(user.id), STARTING_CREDITS - first.body.creditInfo.creditsDeducted);
+
+    // A new key is a new analysis
+    const another = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' }, { 'Idempotency-Key': crypto.randomUUID() });
+    assert.equal(another.status, 200);
+    assert.notEqual(another.body.sessionKey, first.body.sessionKey);
+    assert.equal((await getHolds(user.id)).length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a retry of a request that failed is not started again', async () => {
+  const server = await startServer({ failOn: 'session' });
+  try {
+    const user = await createUser();
+    const headers = { 'Idempotency-Key': crypto.randomUUID() };
+
+    const first = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' }, headers);
+    assert.equal(first.status, 503);
+
+    const retried = await analyze(server, user, { code: CONTRACT, filename: 'Vault.sol' }, headers);
+    assert.equal(retried.status, 409);
+    assert.equal(retried.body.holdStatus, 'released');
+    assert.equal(await getBalance(user.id), STARTING_CREDITS);
+  } finally {
+    await server.close();
+  }
+});
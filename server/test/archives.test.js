@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readArchive } from '../archives.js';
+
+// ZIP uploads are read within the archive limits whatever sizes the headers declare,
+// and malformed archives are rejected as bad requests.
+
+// Build a ZIP of deflated entries; declaredSize overrides the size written to the headers
+const buildZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content, declaredSize = content.length } of files) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSize, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const MB = 1024 * 1024;
+
+test('reads the sources of a ZIP archive', () => {
+  const entries = readArchive(buildZip([
+    { name: 'src/Token.sol', content: Buffer.from('contract Token {}') },
+    { name: 'README.md', content: Buffer.from('# Token') }
+  ]), 'token.zip');
+
+  assert.deepEqual(entries, [
+    { path: 'src/Token.sol', content: Buffer.from('contract Token {}') },
+    { path: 'README.md' }
+  ]);
+});
+
+test('entries larger than their declared size count against the limits', () => {
+  const large = Buffer.alloc(4 * MB, 'a');
+  const files = Array.from({ length: 30 }, (_, index) => ({ name: `Bomb${index}.sol`, content: large, declaredSize: 10 }));
+
+  assert.throws(() => readArchive(buildZip(files), 'bomb.zip'), { status: 400, message: 'Archive content exceeds 100MB' });
+
+  const [entry] = readArchive(buildZip([{ name: 'Big.sol', content: Buffer.alloc(6 * MB, 'a'), declaredSize: 10 }]), 'big.zip');
+  assert.deepEqual(entry, { path: 'Big.sol', error: 'File size exceeds 5MB limit' });
+});
+
+test('entries that are not sources are not decompressed', () => {
+  const large = Buffer.alloc(5 * MB, 'a');
+  const files = Array.from({ length: 30 }, (_, index) => ({ name: `data${index}.bin`, content: large, declaredSize: 10 }));
+
+  const entries = readArchive(buildZip(files), 'data.zip');
+  assert.equal(entries.length, 30);
+  assert.ok(entries.every(entry => entry.content === undefined && entry.error === undefined));
+});
+
+test('truncated and malformed ZIP archives are bad requests', () => {
+  const zip = buildZip([{ name: 'Token.sol', content: Buffer.from('contract Token {}') }]);
+
+  // The entry's data is cut off
+  const truncated = Buffer.concat([zip.subarray(0, 40), zip.subarray(zip.length - 22 - 55)]);
+  truncated.writeUInt32LE(truncated.length - 22 - 55, truncated.length - 6);
+  assert.throws(() => readArchive(truncated, 'truncated.zip'), { status: 400 });
+
+  // The entry points past the end of the archive
+  const badOffset = Buffer.from(zip);
+  badOffset.writeUInt32LE(0xfffffff0, badOffset.length - 22 - 55 + 42);
+  assert.throws(() => readArchive(badOffset, 'offset.zip'), { status: 400 });
+
+  // The central directory starts past the end record
+  const badDirectory = Buffer.from(zip);
+  badDirectory.writeUInt32LE(badDirectory.length, badDirectory.length - 6);
+  assert.throws(() => readArchive(badDirectory, 'directory.zip'), { status: 400 });
+});
@@ -0,0 +1,84 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestDatabase } from './helpers/testDatabase.js';
+
+// Uploads are keyed by path: concurrent uploads of one path end up as versions of a
+// single file rather than as separate files.
+
+let database;
+let pool;
+let storeContractFile;
+
+before(async () => {
+  // The upload log lines interleaved with concurrent uploads trip up the Node 20 test
+  // runner's parsing of the test file's output
+  mock.method(console, 'log', () => {});
+  database = await startTestDatabase();
+
+  ({ pool } = await import('../database.js'));
+  ({ storeContractFile } = await import('../contractFiles.js'));
+  const { default: runMigrations } = await import('../migrations/index.js');
+  await runMigrations();
+});
+
+after(async () => {
+  await pool?.end();
+  await database?.stop();
+});
+
+const createUser = async () => {
+  const result = await pool.query(
+    'INSERT INTO users (wallet_address, nonce) VALUES ($1, $2) RETURNING id',
+    [`0x${crypto.randomBytes(20).toString('hex')}`, crypto.randomBytes(16).toString('hex')]
+  );
+  return result.rows[0].id;
+};
+
+const contract = (name) => `pragma solidity ^0.8.20;\n\ncontract ${name} {}\n`;
+
+const getActiveFiles = async (userId) =>
+  (await pool.query(
+    'SELECT id, current_version FROM contract_files WHERE user_id = $1 AND is_active = true',
+    [userId]
+  )).rows;
+
+test('concurrent uploads of one path become versions of one file', async () => {
+  const userId = await createUser();
+
+  const results = await Promise.all(['A', 'B', 'C'].map(name =>
+    storeContractFile(userId, { filename: 'Token.sol', filePath: 'contracts/Token.sol', code: contract(name) })
+  ));
+
+  const files = await getActiveFiles(userId);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].current_version, 3);
+  assert.equal(new Set(results.map(result => result.file.id)).size, 1);
+  assert.deepEqual(results.map(result => result.updated).sort(), [false, true, true]);
+});
+
+test('concurrent uploads of identical content store it once', async () => {
+  const userId = await createUser();
+
+  const results = await Promise.all([1, 2].map(() =>
+    storeContractFile(userId, { filename: 'Token.sol', code: contract('Token') })
+  ));
+
+  const files = await getActiveFiles(userId);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].current_version, 1);
+  assert.equal(results.filter(result => result.duplicate).length, 1);
+});
+
+test('the same path in another project is a separate file', async () => {
+  const userId = await createUser();
+  const project = await pool.query(
+    'INSERT INTO projects (user_id, name) VALUES ($1, $2) RETURNING id',
+    [userId, 'Vaults']
+  );
+
+  await storeContractFile(userId, { filename: 'Token.sol', code: contract('Token') });
+  await storeContractFile(userId, { filename: 'Token.sol', projectId: project.rows[0].id, code: contract('Token') });
+
+  assert.equal((await getActiveFiles(userId)).length, 2);
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestDatabase } from './helpers/testDatabase.js';
+
+// Ledger pages follow each other without gaps, including entries written in one
+// database transaction, which share their created_at.
+
+let database;
+let pool;
+let recordCreditTransaction;
+let getCreditTransactions;
+
+before(async () => {
+  database = await startTestDatabase();
+
+  ({ pool } = await import('../database.js'));
+  ({ recordCreditTransaction, getCreditTransactions } = await import('../credits.js'));
+  const { default: runMigrations } = await import('../migrations/index.js');
+  await runMigrations();
+});
+
+after(async () => {
+  await pool?.end();
+  await database?.stop();
+});
+
+const createUser = async () => {
+  const result = await pool.query(
+    'INSERT INTO users (wallet_address, nonce, credits_balance) VALUES ($1, $2, 0) RETURNING id',
+    [`0x${crypto.randomBytes(20).toString('hex')}`, crypto.randomBytes(16).toString('hex')]
+  );
+  return result.rows[0].id;
+};
+
+test('paging returns every entry once when entries share created_at', async () => {
+  const userId = await createUser();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (let index = 0; index < 5; index++) {
+      await recordCreditTransaction(client, { userId, type: 'admin_adjustment', amount: 10 });
+    }
+    await client.query('COMMIT');
+  } finally {
+    client.release();
+  }
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await getCreditTransactions(userId, { limit: 2, before: cursor });
+    seen.push(...page.transactions.map(transaction => transaction.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const all = (await pool.query('SELECT id FROM credit_transactions WHERE user_id = $1', [userId])).rows;
+  assert.equal(all.length, 5);
+  assert.equal(new Set(seen).size, seen.length);
+  assert.deepEqual([...seen].sort(), all.map(row => row.id).sort());
+});
@@ -0,0 +1,152 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestDatabase } from './helpers/testDatabase.js';
+
+// Monthly credit resets apply the plan's rollover policy to everything the user
+// has not spent, including credits held for scans that are still running.
+// Approved upgrades run until their plan expires, then the user is back on free.
+
+let database;
+let pool;
+let applyDueCreditResets;
+let approveUpgradeRequest;
+let downgradeExpiredPlans;
+let PlanUnavailableError;
+let recordCreditTransaction;
+let placeCreditHold;
+let releaseCreditHold;
+let reconcileCreditBalance;
+
+before(async () => {
+  database = await startTestDatabase();
+
+  ({ pool } = await import('../database.js'));
+  ({ applyDueCreditResets, approveUpgradeRequest, downgradeExpiredPlans, PlanUnavailableError } = await import('../planUtils.js'));
+  ({ recordCreditTransaction, placeCreditHold, releaseCreditHold, reconcileCreditBalance } = await import('../credits.js'));
+  const { default: runMigrations } = await import('../migrations/index.js');
+  await runMigrations();
+});
+
+after(async () => {
+  await pool?.end();
+  await database?.stop();
+});
+
+const createPlan = async ({ creditsPerMonth = 100, policy = 'none', rolloverCap = null } = {}) => {
+  const code = `test-${crypto.randomBytes(6).toString('hex')}`;
+  const result = await pool.query(`
+    INSERT INTO plans (code, name, credits_per_month, credits_per_scan_limit, files_per_scan_limit,
+                       monthly_reset, credits_rollover_policy, credits_rollover_cap)
+    VALUES ($1, $1, $2, $2, 10, true, $3, $4)
+    RETURNING id, code
+  `, [code, creditsPerMonth, policy, rolloverCap]);
+  return result.rows[0];
+};
+
+// A user on the plan whose current period started over a month ago
+const createUser = async (planId, credits) => {
+  const result = await pool.query(`
+    INSERT INTO users (wallet_address, nonce, credits_balance, plan_id, credits_reset_at)
+    VALUES ($1, $2, 0, $3, CURRENT_TIMESTAMP - INTERVAL '1 month 1 day')
+    RETURNING id
+  `, [`0x${crypto.randomBytes(20).toString('hex')}`, crypto.randomBytes(16).toString('hex'), planId]);
+  const userId = result.rows[0].id;
+
+  await recordCreditTransaction(pool, {
+    userId,
+    type: 'signup_grant',
+    amount: credits,
+    idempotencyKey: `signup:${userId}`
+  });
+
+  return userId;
+};
+
+const getBalance = async (userId) =>
+  (await pool.query('SELECT credits_balance FROM users WHERE id = $1', [userId])).rows[0].credits_balance;
+
+test('credits held over a reset roll over when the hold is released', async () => {
+  const userId = await createUser((await createPlan({ policy: 'full' })).id, 30);
+  const { hold } = await placeCreditHold(pool, { userId, amount: 20, requestKey: crypto.randomUUID() });
+
+  await applyDueCreditResets();
+  assert.equal(await getBalance(userId), 110);
+
+  await releaseCreditHold(pool, hold.id, { reason: 'provider_error' });
+  assert.equal(await getBalance(userId), 130);
+  assert.equal((await reconcileCreditBalance(userId)).reconciled, true);
+});
+
+test('held credits count towards the rollover cap', async () => {
+  const userId = await createUser((await createPlan({ policy: 'capped', rolloverCap: 25 })).id, 30);
+  const { hold } = await placeCreditHold(pool, { userId, amount: 20, requestKey: crypto.randomUUID() });
+
+  await applyDueCreditResets();
+  assert.equal(await getBalance(userId), 105);
+
+  await releaseCreditHold(pool, hold.id, { reason: 'provider_error' });
+  assert.equal(await getBalance(userId), 125);
+
+  const grant = (await pool.query(
+    "SELECT metadata FROM credit_transactions WHERE user_id = $1 AND type = 'monthly_grant'",
+    [userId]
+  )).rows[0];
+  assert.deepEqual(
+    { carriedOver: grant.metadata.carriedOver, held: grant.metadata.held, expired: grant.metadata.expired },
+    { carriedOver: 25, held: 20, expired: 5 }
+  );
+});
+
+test('credits held over a reset without rollover do not carry over', async () => {
+  const userId = await createUser((await createPlan({ policy: 'none' })).id, 30);
+  const { hold } = await placeCreditHold(pool, { userId, amount: 20, requestKey: crypto.randomUUID() });
+
+  await applyDueCreditResets();
+  await releaseCreditHold(pool, hold.id, { reason: 'provider_error' });
+  assert.equal(await getBalance(userId), 100);
+  assert.equal((await reconcileCreditBalance(userId)).reconciled, true);
+});
+
+const requestUpgrade = async (userId, planCode) =>
+  (await pool.query(`
+    INSERT INTO upgrade_requests (user_id, requested_plan_code, contact_email)
+    VALUES ($1, $2, 'admin@example.com')
+    RETURNING id
+  `, [userId, planCode])).rows[0].id;
+
+const getUserPlanCode = async (userId) =>
+  (await pool.query(
+    'SELECT p.code, u.plan_expires_at FROM users u JOIN plans p ON p.id = u.plan_id WHERE u.id = $1',
+    [userId]
+  )).rows[0];
+
+test('an approved upgrade runs until its plan expires', async () => {
+  const plan = await createPlan();
+  const userId = await createUser((await createPlan()).id, 0);
+  const requestId = await requestUpgrade(userId, plan.code);
+
+  const approved = await approveUpgradeRequest(requestId, null, { durationMonths: 1 });
+  assert.equal(approved.status, 'approved');
+  assert.equal(approved.plan_name, plan.code);
+  assert.equal((await getUserPlanCode(userId)).code, plan.code);
+
+  await downgradeExpiredPlans();
+  assert.equal((await getUserPlanCode(userId)).code, plan.code);
+
+  await pool.query("UPDATE users SET plan_expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [userId]);
+  assert.ok(await downgradeExpiredPlans() >= 1);
+  assert.deepEqual(await getUserPlanCode(userId), { code: 'free', plan_expires_at: null });
+});
+
+test('approving a request for a deactivated plan leaves it pending', async () => {
+  const plan = await createPlan();
+  const userId = await createUser((await createPlan()).id, 0);
+  const requestId = await requestUpgrade(userId, plan.code);
+  await pool.query('UPDATE plans SET is_active = false WHERE id = $1', [plan.id]);
+
+  await assert.rejects(approveUpgradeRequest(requestId, null), PlanUnavailableError);
+
+  const request = (await pool.query('SELECT status FROM upgrade_requests WHERE id = $1', [requestId])).rows[0];
+  assert.equal(request.status, 'pending');
+});
@@ -1,7 +1,11 @@
-import React, { useState, useRef } from 'react'
+import React, { useState, useRef, useEffect } from 'react'
 import { Send, Paperclip, Mic, X, FileText, AlertCircle, Files, Code, ChevronDown } from 'lucide-react'
 import FileSelector from './FileSelector'
 import SimpleFileUpload from './SimpleFileUpload'
+import { estimateAnalysisCost } from '../utils/api'
+
+// Pasted code shorter than this is sent as a chat message and not charged
+const MIN_CONTRACT_LENGTH = 50
 
 const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
   const [message, setMessage] = useState('')
@@ -9,11 +13,43 @@ const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
   const [filename, setFilename] = useState('')
   const [inputMode, setInputMode] = useState('code') // 'code' or 'files'
   const [selectedFileIds, setSelectedFileIds] = useState([])
+  const [selectedVersions, setSelectedVersions] = useState({}) // fileId -> versionId of an earlier version
   const [showFileSelector, setShowFileSelector] = useState(false)
   const [showUploadModal, setShowUploadModal] = useState(false)
+  const [estimate, setEstimate] = useState(null) // cost estimate and quote of the current input
   const textareaRef = useRef(null)
   const fileInputRef = useRef(null)
 
+  const selectedCurrentIds = selectedFileIds.filter(id => !selectedVersions[id])
+  const selectedVersionIds = selectedFileIds.map(id => selectedVersions[id]).filter(Boolean)
+
+  // Price the selected files or pasted code as they change. The quote is sent with the
+  // analysis so the price shown here is the one charged
+  useEffect(() => {
+    setEstimate(null)
+    const hasSelection = inputMode === 'files' && selectedFileIds.length > 0
+    const hasCode = inputMode === 'code' && !!code?.trim() && code.length > MIN_CONTRACT_LENGTH
+    if (!hasSelection && !hasCode) return
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      estimateAnalysisCost(hasSelection
+        ? { selectedFileIds: selectedCurrentIds, selectedVersionIds }
+        : { code })
+        .then(result => { if (!cancelled) setEstimate(result) })
+        .catch(error => console.warn('Cost estimate failed:', error.message))
+    }, hasCode ? 500 : 0)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [inputMode, selectedFileIds, selectedVersions, code])
+
+  // An expired quote is not sent; the analysis is then priced when it starts
+  const currentQuoteId = () =>
+    estimate?.quoteId && new Date(estimate.quoteExpiresAt) > new Date() ? estimate.quoteId : null
+
   const handleSubmit = (e) => {
     e.preventDefault()
     if (inputMode === 'code') {
@@ -28,15 +64,19 @@ const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
       const fileCount = selectedFileIds.length
       const defaultMessage = `Analyze ${fileCount} selected smart contract file${fileCount > 1 ? 's' : ''} for security vulnerabilities`
       
+      // Files pinned to an earlier version are sent as version ids instead
       onSendMessage(
         (message || '').trim() || defaultMessage, 
         null, 
-        selectedFileIds
+        selectedCurrentIds,
+        selectedVersionIds,
+        currentQuoteId()
       )
       setSelectedFileIds([])
+      setSelectedVersions({})
     } else {
       // Send with direct code
-      onSendMessage((message || '').trim() || 'Analyze this smart contract for security vulnerabilities', code)
+      onSendMessage((message || '').trim() || 'Analyze this smart contract for security vulnerabilities', code, null, null, code ? currentQuoteId() : null)
       if (code) setCode('')
     }
     
@@ -137,7 +177,9 @@ const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
                   <span className="text-sm font-medium text-white">
                     {selectedFileIds.length} Contract File{selectedFileIds.length !== 1 ? 's' : ''} Selected
                   </span>
-                  <div className="text-xs text-gray-400">Ready for security analysis</div>
+                  <div className="text-xs text-gray-400">
+                    Ready for security analysis{estimate && ` · ${estimate.estimatedCost} credits`}
+                  </div>
                 </div>
               </div>
               <button
@@ -163,7 +205,9 @@ const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
                   <span className="text-sm font-medium text-white">
                     {filename || 'Smart Contract Attached'}
                   </span>
-                  <div className="text-xs text-gray-400">{code.length.toLocaleString()} characters</div>
+                  <div className="text-xs text-gray-400">
+                    {code.length.toLocaleString()} characters{estimate && ` · ${estimate.estimatedCost} credits`}
+                  </div>
                 </div>
               </div>
               <button
@@ -228,6 +272,8 @@ const ChatInput = ({ onSendMessage, isAnalyzing, code, setCode }) => {
                 <FileSelector
                   selectedFileIds={selectedFileIds}
                   onFilesSelected={setSelectedFileIds}
+                  selectedVersions={selectedVersions}
+                  onVersionSelected={(fileId, versionId) => setSelectedVersions(prev => ({ ...prev, [fileId]: versionId }))}
                   onClose={() => setShowFileSelector(false)}
                   className="bg-gray-900/30 rounded-xl p-4 border border-gray-700/30"
                 />
@@ -1,15 +1,17 @@
 import React, { useEffect, useRef, useMemo, useState, useCallback } from 'react'
-import { Copy, Check, Sparkles, Code, Shield, Zap, Bot, User } from 'lucide-react'
+import { Copy, Check, Sparkles, Code, Shield, Zap, Bot, User, FileDown } from 'lucide-react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import rehypeHighlight from 'rehype-highlight'
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism'
+import { downloadConversationReport } from '../utils/api'
 
-const ChatInterface = ({ messages, isAnalyzing, streamingMessage, onShowPlans }) => {
+const ChatInterface = ({ messages, isAnalyzing, streamingMessage, onShowPlans, conversationId }) => {
   const messagesEndRef = useRef(null)
   const [copiedMessageId, setCopiedMessageId] = useState(null)
   const [visibleMessages, setVisibleMessages] = useState(new Set())
+  const [downloadingReport, setDownloadingReport] = useState(null)
 
   // Smart scroll with anti-flicker optimization
   const scrollToBottom = useCallback(() => {
@@ -48,6 +50,20 @@ const ChatInterface = ({ messages, isAnalyzing, streamingMessage, onShowPlans })
     }
   }
 
+  // Reports are only available for saved conversations with a finished analysis
+  const canDownloadReport = (message) =>
+    message.type !== 'user' && message.analysisId && !message.streaming &&
+    conversationId && !String(conversationId).startsWith('local_')
+
+  const handleDownloadReport = async (message, format) => {
+    setDownloadingReport(`${message.id}_${format}`)
+    const result = await downloadConversationReport(conversationId, { format, analysisId: message.analysisId })
+    if (!result.success) {
+      alert(`Failed to download report: ${result.error}`)
+    }
+    setDownloadingReport(null)
+  }
+
   // Optimized markdown renderer with flicker prevention
   const MarkdownRenderer = React.memo(({ content, streaming = false }) => {
     if (!content && !streaming) return null
@@ -294,22 +310,38 @@ const ChatInterface = ({ messages, isAnalyzing, streamingMessage, onShowPlans })
                         )}
                       </div>
                       
-                      {/* Copy Button - Enhanced */}
-                      <button
-                        className={`p-2 rounded-xl transition-all duration-200 opacity-0 group-hover:opacity-100 ${
-                          copiedMessageId === message.id 
-                            ? 'bg-emerald-500/20 text-emerald-400' 
-                            : 'hover:bg-gray-700/50 text-gray-400 hover:text-white'
-                        }`}
-                        title={copiedMessageId === message.id ? 'Copied!' : 'Copy message'}
-                        onClick={() => handleCopy(message.id, message.content)}
-                      >
-                        {copiedMessageId === message.id ? (
-                          <Check className="w-4 h-4" />
-                        ) : (
-                          <Copy className="w-4 h-4" />
-                        )}
-                      </button>
+                      <div className="flex items-center space-x-1">
+                        {/* Audit report downloads */}
+                        {canDownloadReport(message) && ['html', 'pdf'].map(format => (
+                          <button
+                            key={format}
+                            className="flex items-center space-x-1 px-2 py-1.5 rounded-xl text-xs transition-all duration-200 opacity-0 group-hover:opacity-100 hover:bg-gray-700/50 text-gray-400 hover:text-white disabled:opacity-50"
+                            title={`Download audit report (${format.toUpperCase()})`}
+                            disabled={downloadingReport !== null}
+                            onClick={() => handleDownloadReport(message, format)}
+                          >
+                            <FileDown className="w-4 h-4" />
+                            <span>{downloadingReport === `${message.id}_${format}` ? '...' : format.toUpperCase()}</span>
+                          </button>
+                        ))}
+
+                        {/* Copy Button - Enhanced */}
+                        <button
+                          className={`p-2 rounded-xl transition-all duration-200 opacity-0 group-hover:opacity-100 ${
+                            copiedMessageId === message.id 
+                              ? 'bg-emerald-500/20 text-emerald-400' 
+                              : 'hover:bg-gray-700/50 text-gray-400 hover:text-white'
+                          }`}
+                          title={copiedMessageId === message.id ? 'Copied!' : 'Copy message'}
+                          onClick={() => handleCopy(message.id, message.content)}
+                        >
+                          {copiedMessageId === message.id ? (
+                            <Check className="w-4 h-4" />
+                          ) : (
+                            <Copy className="w-4 h-4" />
+                          )}
+                        </button>
+                      </div>
                     </div>
 
                     {/* Message Content */}
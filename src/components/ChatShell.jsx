@@ -6,7 +6,7 @@ import ChatInput from './ChatInput'
 import Header from './Header'
 import {
     checkBackendHealth, analyzeContract, streamAnalysis, getUserConversations, createConversation,
-    addMessageToConversation
+    addMessageToConversation, getCreditTransactions
 } from '../utils/api'
 
 /**
@@ -44,7 +44,7 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
 
       if (response.ok) {
         const planData = await response.json();
-        setUserPlan(planData.plan);
+        setUserPlan({ ...planData.plan, nextCreditsResetAt: planData.nextCreditsResetAt || null });
         setCreditsBalance(planData.creditsBalance);
       } else {
         console.warn('Failed to load user plan:', response.status);
@@ -54,6 +54,22 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
     }
   };
 
+  // Load the latest credit ledger entries
+  const loadCreditsHistory = async () => {
+    const result = await getCreditTransactions({ limit: 10 })
+    if (!result.success) return
+
+    setCreditsHistory(result.transactions.map(transaction => ({
+      id: transaction.id,
+      type: transaction.amount < 0 ? 'deduction' : transaction.type,
+      amount: Math.abs(transaction.amount),
+      reason: transaction.description,
+      timestamp: transaction.createdAt,
+      remainingBalance: transaction.balanceAfter
+    })))
+    setCreditsBalance(result.balance)
+  }
+
   // Check backend health and load conversations on component mount
   useEffect(() => {
     const checkHealth = async () => {
@@ -105,6 +121,7 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
     checkHealth()
     loadConversations()
     loadUserPlan()
+    loadCreditsHistory()
 
     // Check health every 30 seconds
     const healthInterval = setInterval(checkHealth, 30000)
@@ -128,7 +145,8 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
             type: msg.role === 'assistant' ? 'ai' : 'user',
             content: msg.content,
             timestamp: new Date(msg.created_at).toLocaleTimeString(),
-            code: msg.metadata?.code || null
+            code: msg.metadata?.code || null,
+            analysisId: msg.metadata?.analysisId || null
           }))
           setMessages(formattedMessages)
         }
@@ -139,8 +157,9 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
     }
   }
 
-  const handleSendMessage = async (message, contractCode = '', selectedFileIds = null) => {
-    if (!(message || '').trim() && !(contractCode || '').trim() && (!selectedFileIds || selectedFileIds.length === 0)) return
+  const handleSendMessage = async (message, contractCode = '', selectedFileIds = null, selectedVersionIds = null, quoteId = null) => {
+    const hasFiles = (selectedFileIds?.length || 0) + (selectedVersionIds?.length || 0) > 0
+    if (!(message || '').trim() && !(contractCode || '').trim() && !hasFiles) return
     if (analyzing) return
 
     setAnalyzing(true)
@@ -192,9 +211,17 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
 
     try {
       // Step 1: Create session (with credit deduction)
-      // For file analysis, pass selectedFileIds; for direct code, pass contractCode
+      // For file analysis, pass selectedFileIds; for direct code, pass contractCode.
+      // The quote from the input's cost estimate fixes the price that is charged
       const contentToAnalyze = (contractCode || '').trim() ? contractCode : message
-      const sessionData = await analyzeContract(contentToAnalyze, contractCode ? 'contract.sol' : undefined, selectedFileIds)
+      const sessionData = await analyzeContract(
+        contentToAnalyze,
+        contractCode ? 'contract.sol' : undefined,
+        selectedFileIds,
+        conversationId && !String(conversationId).startsWith('local_') ? conversationId : null,
+        selectedVersionIds,
+        quoteId
+      )
 
       if (!sessionData.success) {
         // Remove loading message first
@@ -222,6 +249,21 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
           return;
         }
 
+        if (sessionData.unresolvedImports) {
+          const importList = sessionData.unresolvedImports
+            .map(entry => `- \`${entry.import}\` in **${entry.file}** (line ${entry.line}) - ${entry.reason}`)
+            .join('\n');
+
+          setMessages(prev => [...prev, {
+            id: `error_${Date.now()}`,
+            type: 'ai',
+            content: `❌ **Unresolved Imports**\n\nSome imports in the selected files could not be matched to your uploaded files:\n\n${importList}\n\n*Upload the missing files and try again. No credits were deducted.*`,
+            timestamp: new Date().toLocaleTimeString(),
+            error: true
+          }]);
+          return;
+        }
+
         throw new Error(sessionData.error || 'Failed to create analysis session');
       }
 
@@ -236,19 +278,8 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
         setCreditsBalance(newBalance);
         console.log(`💳 Credits deducted: ${deducted}, Remaining: ${newBalance}`);
 
-        // Add to credits history
+        // Show visual notification
         if (deducted > 0) {
-          const historyEntry = {
-            id: Date.now(),
-            type: 'deduction',
-            amount: deducted,
-            reason: (contractCode || '').trim() ? 'Contract Analysis' : 'AI Chat',
-            timestamp: new Date().toISOString(),
-            remainingBalance: newBalance
-          };
-          setCreditsHistory(prev => [historyEntry, ...prev.slice(0, 9)]); // Keep last 10 entries
-
-          // Show visual notification
           setShowCreditsNotification(true);
           setTimeout(() => setShowCreditsNotification(false), 3000);
         }
@@ -293,7 +324,8 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
                   id: `ai_${Date.now()}`,
                   type: 'ai',
                   content: fullContent,
-                  timestamp: new Date().toLocaleTimeString()
+                  timestamp: new Date().toLocaleTimeString(),
+                  analysisId: sessionData.metadata?.analysisId || null
                 }
                 setMessages(prev => [...prev, aiMessage])
 
@@ -304,7 +336,7 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
                       conversationId,
                       'assistant',
                       fullContent,
-                      { sessionKey: sessionData.sessionKey }
+                      { sessionKey: sessionData.sessionKey, analysisId: sessionData.metadata?.analysisId }
                     )
                   } catch (error) {
                     console.error('Failed to save AI message:', error)
@@ -371,6 +403,9 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
       // Ensure cleanup happens regardless
       setAnalyzing(false)
       setStreamingMessage('')
+
+      // Pick up the debit, or its refund when the analysis failed
+      loadCreditsHistory()
     }
   }
 
@@ -547,6 +582,7 @@ const ChatShell = ({ user, onShowPlans, onDisconnect }) => {
             isAnalyzing={analyzing}
             streamingMessage={streamingMessage}
             onShowPlans={onShowPlans}
+            conversationId={activeConversation}
           />
 
           {/* Chat Input */}
@@ -1,25 +1,31 @@
-import React from 'react'
+import React, { useMemo } from 'react'
 import Editor from '@monaco-editor/react'
+import { detectLanguage } from '../utils/api'
+import { MONACO_LANGUAGES, registerContractLanguages } from '../utils/monacoLanguages'
 
 const CodeEditor = ({ value, onChange }) => {
   const handleEditorChange = (value) => {
     onChange(value || '')
   }
 
-  const detectLanguage = (code) => {
-    if (code.includes('pragma solidity') || code.includes('contract ')) return 'sol'
-    if (code.includes('# @version') || code.includes('@external')) return 'python'
-    if (code.includes('module ') && code.includes('fun ')) return 'rust'
-    if (code.includes('#[contract]') || code.includes('func ')) return 'rust'
-    return 'javascript'
-  }
+  const detection = useMemo(() => detectLanguage(value || ''), [value])
 
   return (
-    <div className="flex-1 min-h-0">
+    <div className="flex-1 min-h-0 relative">
+      {detection.language !== 'Unknown' && (
+        <div
+          className="absolute top-2 right-4 z-10 px-2 py-1 rounded bg-gray-800/80 text-xs text-gray-300 pointer-events-none"
+          title="Detected contract language"
+        >
+          {detection.language}
+          {detection.version && ` ${detection.version}`}
+          <span className="ml-1 text-gray-500">{Math.round(detection.confidence * 100)}%</span>
+        </div>
+      )}
       <Editor
         height="100%"
-        defaultLanguage="javascript"
-        language={detectLanguage(value)}
+        defaultLanguage="plaintext"
+        language={MONACO_LANGUAGES[detection.language] || 'plaintext'}
         value={value}
         onChange={handleEditorChange}
         theme="vs-dark"
@@ -36,10 +42,16 @@ const CodeEditor = ({ value, onChange }) => {
           fontFamily: 'JetBrains Mono, Monaco, "Cascadia Code", "Roboto Mono", Consolas, "Courier New", monospace'
         }}
         beforeMount={(monaco) => {
+          registerContractLanguages(monaco)
           monaco.editor.defineTheme('custom-dark', {
             base: 'vs-dark',
             inherit: true,
-            rules: [],
+            rules: [
+              { token: 'predefined', foreground: '89b4fa' },
+              { token: 'annotation', foreground: 'f9e2af' },
+              { token: 'comment.doc', foreground: '7f849c', fontStyle: 'italic' },
+              { token: 'comment.doc.tag', foreground: 'cba6f7', fontStyle: 'italic' }
+            ],
             colors: {
               'editor.background': '#1e1e2e',
               'editor.foreground': '#cdd6f4',
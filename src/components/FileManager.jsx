@@ -3,24 +3,34 @@ import { createPortal } from 'react-dom';
 import { 
   FileText, Trash2, Edit3, Calendar, Search, Filter, 
   Eye, Code, Download, CheckSquare, Square, AlertCircle,
-  Loader, Tag, Clock, BarChart3, X
+  Loader, Tag, Clock, BarChart3, X, Folder, History
 } from 'lucide-react';
 import FileUpload from './FileUpload';
+import FileVersionHistory from './FileVersionHistory';
+import { getProjects } from '../utils/api';
 
-const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) => {
+const FileManager = ({ onFileSelect, onAnalyzeVersion, onAnalyzeChanges, selectedFileIds = [], className = '' }) => {
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [languageFilter, setLanguageFilter] = useState('all');
+  const [projectFilter, setProjectFilter] = useState('all');
+  const [projects, setProjects] = useState([]);
   const [showUploader, setShowUploader] = useState(false);
   const [editingFile, setEditingFile] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [historyFile, setHistoryFile] = useState(null);
 
   useEffect(() => {
     fetchFiles();
   }, []);
 
+  const fetchProjects = async () => {
+    const result = await getProjects();
+    setProjects(result.projects || []);
+  };
+
   const fetchFiles = async () => {
     try {
       const token = localStorage.getItem('secweb3_token');
@@ -37,6 +47,7 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
       const result = await response.json();
       if (result.success) {
         setFiles(result.files);
+        fetchProjects();
       } else {
         setError(result.error);
       }
@@ -156,15 +167,25 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
     return files.filter(file => {
       const matchesSearch = file.filename.toLowerCase().includes(searchQuery.toLowerCase()) ||
                            file.original_name.toLowerCase().includes(searchQuery.toLowerCase()) ||
+                           (file.file_path && file.file_path.toLowerCase().includes(searchQuery.toLowerCase())) ||
                            (file.description && file.description.toLowerCase().includes(searchQuery.toLowerCase()));
       
       const matchesLanguage = languageFilter === 'all' || 
                              file.language?.toLowerCase() === languageFilter.toLowerCase();
       
-      return matchesSearch && matchesLanguage;
+      const matchesProject = projectFilter === 'all' ||
+                            (projectFilter === 'none' ? !file.project_id : file.project_id === projectFilter);
+      
+      return matchesSearch && matchesLanguage && matchesProject;
+    }).sort((a, b) => {
+      // Within a project, list files by folder path
+      if (projectFilter === 'all') return 0;
+      return (a.file_path || a.original_name).localeCompare(b.file_path || b.original_name);
     });
   };
 
+  const projectNameOf = (projectId) => projects.find(project => project.id === projectId)?.name;
+
   const uniqueLanguages = [...new Set(files.map(file => file.language).filter(Boolean))];
 
   if (loading) {
@@ -243,6 +264,22 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
           />
         </div>
         
+        {projects.length > 0 && (
+          <select
+            value={projectFilter}
+            onChange={(e) => setProjectFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">All Projects</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>
+                {project.name} ({project.file_count})
+              </option>
+            ))}
+            <option value="none">No Project</option>
+          </select>
+        )}
+
         <select
           value={languageFilter}
           onChange={(e) => setLanguageFilter(e.target.value)}
@@ -273,7 +310,7 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
               <span>
                 {filteredFiles.every(file => selectedFileIds.includes(file.id)) 
                   ? 'Deselect All' 
-                  : 'Select All'
+                  : projectNameOf(projectFilter) ? `Select Project "${projectNameOf(projectFilter)}"` : 'Select All'
                 }
               </span>
             </button>
@@ -338,16 +375,30 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
                     </div>
                     
                     <div className="min-w-0">
-                      <h4 className="text-sm font-semibold text-gray-900 truncate">
-                        {file.original_name}
+                      <h4 className="text-sm font-semibold text-gray-900 truncate" title={file.file_path || file.original_name}>
+                        {file.file_path || file.original_name}
                       </h4>
                       <div className="flex items-center space-x-3 mt-1">
+                        {file.project_id && projectFilter === 'all' && projectNameOf(file.project_id) && (
+                          <span className="text-xs text-blue-700 flex items-center">
+                            <Folder className="w-3 h-3 mr-1" />
+                            {projectNameOf(file.project_id)}
+                          </span>
+                        )}
                         <span className={`
                           px-2 py-1 text-xs rounded-full font-medium
                           ${getLanguageColor(file.language)}
                         `}>
                           {file.language?.toUpperCase() || 'UNKNOWN'}
                         </span>
+                        {file.current_version > 1 && (
+                          <span className="text-xs text-gray-500">v{file.current_version}</span>
+                        )}
+                        {file.commit_hash && (
+                          <span className="text-xs text-gray-500 font-mono" title={`Imported at commit ${file.commit_hash}`}>
+                            @{file.commit_hash.slice(0, 7)}
+                          </span>
+                        )}
                         <span className="text-xs text-gray-500 flex items-center">
                           <BarChart3 className="w-3 h-3 mr-1" />
                           {formatFileSize(file.file_size)}
@@ -392,6 +443,17 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
                 </div>
 
                 <div className="flex items-center space-x-2">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setHistoryFile(file);
+                    }}
+                    className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                    title="Version history"
+                  >
+                    <History className="w-4 h-4" />
+                  </button>
+
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -483,6 +545,19 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
         </div>
       )}
 
+      {/* Version History Modal */}
+      {historyFile && (
+        <FileVersionHistory
+          file={historyFile}
+          onClose={() => setHistoryFile(null)}
+          onRestored={(restored) => setFiles(prev => prev.map(file =>
+            file.id === restored.id ? { ...file, ...restored } : file
+          ))}
+          onAnalyzeVersion={onAnalyzeVersion}
+          onAnalyzeChanges={onAnalyzeChanges}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -546,6 +621,7 @@ const FileManager = ({ onFileSelect, selectedFileIds = [], className = '' }) =>
             </div>
             
             <FileUpload
+              projectId={projectNameOf(projectFilter) ? projectFilter : null}
               onUploadComplete={(result) => {
                 if (result.success) {
                   // Refresh the files list
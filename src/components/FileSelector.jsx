@@ -2,17 +2,22 @@ import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { 
   Files, Code, ChevronDown, ChevronRight, CheckSquare, Square, 
-  FileText, Calendar, BarChart3, Zap, AlertCircle, Loader, X 
+  FileText, Calendar, BarChart3, Zap, AlertCircle, Loader, X, Folder, FolderOpen
 } from 'lucide-react';
 import FileUpload from './FileUpload';
+import { getProjects, getFileVersions } from '../utils/api';
 
-const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, className = '' }) => {
+const FileSelector = ({ onFilesSelected, selectedFileIds = [], selectedVersions = {}, onVersionSelected, onClose, className = '' }) => {
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showUploader, setShowUploader] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [expandedProjects, setExpandedProjects] = useState({});
+  const [versionsByFile, setVersionsByFile] = useState({});
   const [expandedCategories, setExpandedCategories] = useState({
     recent: true,
+    byProject: true,
     byLanguage: false
   });
 
@@ -20,6 +25,24 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
     fetchFiles();
   }, []);
 
+  // Load the history of selected files that have earlier versions, so one can be picked
+  useEffect(() => {
+    if (!onVersionSelected) return;
+    files
+      .filter(file => selectedFileIds.includes(file.id) && file.current_version > 1 && !versionsByFile[file.id])
+      .forEach(file => {
+        setVersionsByFile(prev => ({ ...prev, [file.id]: [] }));
+        getFileVersions(file.id).then(result => {
+          setVersionsByFile(prev => ({ ...prev, [file.id]: result.versions || [] }));
+        });
+      });
+  }, [files, selectedFileIds]);
+
+  const fetchProjects = async () => {
+    const result = await getProjects();
+    setProjects(result.projects || []);
+  };
+
   const fetchFiles = async () => {
     try {
       const token = localStorage.getItem('secweb3_token');
@@ -36,6 +59,7 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
       const result = await response.json();
       if (result.success) {
         setFiles(result.files);
+        fetchProjects();
       } else {
         setError(result.error);
       }
@@ -103,6 +127,20 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
     return colors[language?.toLowerCase()] || 'bg-gray-100 text-gray-800 border-gray-200';
   };
 
+  const toggleProject = (projectId) => {
+    setExpandedProjects(prev => ({
+      ...prev,
+      [projectId]: !prev[projectId]
+    }));
+  };
+
+  // Folder part of a file's project path ('' for files at the project root)
+  const folderOf = (file) => {
+    const filePath = file.file_path || '';
+    const index = filePath.lastIndexOf('/');
+    return index > 0 ? filePath.slice(0, index) : '';
+  };
+
   const toggleCategory = (category) => {
     setExpandedCategories(prev => ({
       ...prev,
@@ -185,7 +223,24 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
   // Get recent files (last 5)
   const recentFiles = files.slice(0, 5);
 
-  const FileItem = ({ file, compact = false }) => (
+  // Group files by project, then by folder
+  const projectGroups = [
+    ...projects.map(project => ({
+      id: project.id,
+      name: project.name,
+      files: files.filter(file => file.project_id === project.id)
+    })),
+    { id: 'none', name: 'No Project', files: files.filter(file => !file.project_id) }
+  ].filter(group => group.files.length > 0);
+
+  const foldersOf = (groupFiles) => Object.entries(groupFiles.reduce((acc, file) => {
+    const folder = folderOf(file);
+    if (!acc[folder]) acc[folder] = [];
+    acc[folder].push(file);
+    return acc;
+  }, {})).sort(([a], [b]) => a.localeCompare(b));
+
+  const FileItem = ({ file, compact = false, label = file.file_path || file.original_name }) => (
     <div
       key={file.id}
       className={`
@@ -212,8 +267,8 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
           </div>
           
           <div className="min-w-0 flex-1">
-            <p className="text-sm font-medium text-gray-900 truncate">
-              {file.original_name}
+            <p className="text-sm font-medium text-gray-900 truncate" title={file.file_path || file.original_name}>
+              {label}
             </p>
             
             {!compact && (
@@ -237,6 +292,22 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
           </div>
         </div>
       </div>
+
+      {selectedFileIds.includes(file.id) && versionsByFile[file.id]?.length > 1 && (
+        <select
+          value={selectedVersions[file.id] || ''}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => onVersionSelected(file.id, e.target.value || null)}
+          className="ml-2 px-2 py-1 text-xs border border-gray-300 rounded bg-white text-gray-700"
+          title="Version to analyze"
+        >
+          {versionsByFile[file.id].map(version => (
+            <option key={version.id} value={version.is_current ? '' : version.id}>
+              v{version.version_number}{version.is_current ? ' (current)' : ` - ${formatDate(version.created_at)}`}
+            </option>
+          ))}
+        </select>
+      )}
     </div>
   );
 
@@ -292,6 +363,81 @@ const FileSelector = ({ onFilesSelected, selectedFileIds = [], onClose, classNam
           )}
         </div>
 
+        {/* Files by Project */}
+        {projects.length > 0 && (
+          <div>
+            <button
+              onClick={() => toggleCategory('byProject')}
+              className="flex items-center space-x-2 w-full text-left p-2 hover:bg-gray-50 rounded-lg transition-colors"
+            >
+              {expandedCategories.byProject ? (
+                <ChevronDown className="w-4 h-4 text-gray-500" />
+              ) : (
+                <ChevronRight className="w-4 h-4 text-gray-500" />
+              )}
+              <span className="text-sm font-medium text-gray-900">
+                By Project ({projectGroups.length} project{projectGroups.length !== 1 ? 's' : ''})
+              </span>
+            </button>
+
+            {expandedCategories.byProject && (
+              <div className="space-y-2 ml-6 mt-2">
+                {projectGroups.map(group => (
+                  <div key={group.id}>
+                    <div className="flex items-center justify-between">
+                      <button
+                        onClick={() => toggleProject(group.id)}
+                        className="flex items-center space-x-2 text-left p-1 hover:bg-gray-50 rounded transition-colors min-w-0"
+                      >
+                        {expandedProjects[group.id] ? (
+                          <FolderOpen className="w-4 h-4 text-blue-600 flex-shrink-0" />
+                        ) : (
+                          <Folder className="w-4 h-4 text-blue-600 flex-shrink-0" />
+                        )}
+                        <span className="text-sm font-medium text-gray-900 truncate">
+                          {group.name} ({group.files.length})
+                        </span>
+                      </button>
+
+                      <button
+                        onClick={() => handleSelectAll(group.files)}
+                        className="text-xs text-blue-600 hover:text-blue-800 px-2 py-1 rounded hover:bg-blue-50 flex-shrink-0"
+                      >
+                        {group.files.every(file => selectedFileIds.includes(file.id)) ? 'Deselect' : 'Select Project'}
+                      </button>
+                    </div>
+
+                    {expandedProjects[group.id] && (
+                      <div className="space-y-2 ml-6 mt-1">
+                        {foldersOf(group.files).map(([folder, folderFiles]) => (
+                          <div key={folder || '/'}>
+                            {folder && (
+                              <div className="flex items-center justify-between mb-1">
+                                <span className="text-xs text-gray-500 font-mono truncate">{folder}/</span>
+                                <button
+                                  onClick={() => handleSelectAll(folderFiles)}
+                                  className="text-xs text-blue-600 hover:text-blue-800 px-2 py-0.5 rounded hover:bg-blue-50 flex-shrink-0"
+                                >
+                                  {folderFiles.every(file => selectedFileIds.includes(file.id)) ? 'Deselect' : 'Select'}
+                                </button>
+                              </div>
+                            )}
+                            <div className="space-y-1">
+                              {folderFiles.map(file => (
+                                <FileItem key={file.id} file={file} compact={true} label={file.original_name} />
+                              ))}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Files by Language */}
         <div>
           <button
@@ -1,34 +1,61 @@
-import React, { useState, useRef } from 'react';
-import { Upload, X, FileText, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, X, FileText, AlertCircle, CheckCircle, Loader, FolderOpen } from 'lucide-react';
+import { getProjects, createProject } from '../utils/api';
 
-const FileUpload = ({ onUploadComplete, className = '' }) => {
+const NEW_PROJECT = '__new__';
+
+const FileUpload = ({ onUploadComplete, projectId = null, className = '' }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadResults, setUploadResults] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [targetProjectId, setTargetProjectId] = useState(projectId || '');
+  const [newProjectName, setNewProjectName] = useState('');
+  const [skipTests, setSkipTests] = useState(false);
+  const [gitRef, setGitRef] = useState('');
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  useEffect(() => {
+    getProjects().then(result => setProjects(result.projects || []));
+  }, []);
 
   const supportedExtensions = ['.sol', '.vy', '.move', '.cairo'];
+  const archiveExtensions = ['.zip', '.tar.gz', '.tgz', '.tar'];
+  const bundleExtensions = ['.bundle'];
   const maxFileSize = 5 * 1024 * 1024; // 5MB
+  const maxArchiveSize = 50 * 1024 * 1024; // 50MB
   const maxFiles = 10;
 
+  // Zipped or tarred repositories are extracted on the server
+  const isArchive = (file) => archiveExtensions.some(extension => file.name.toLowerCase().endsWith(extension));
+
+  // Git bundles (`git bundle create repo.bundle --all`) are imported at a chosen ref
+  const isGitBundle = (file) => bundleExtensions.some(extension => file.name.toLowerCase().endsWith(extension));
+
+  const isRepository = (file) => isArchive(file) || isGitBundle(file);
+
   const validateFile = (file) => {
     const errors = [];
     
     // Check file extension
     const extension = '.' + file.name.split('.').pop().toLowerCase();
-    if (!supportedExtensions.includes(extension)) {
-      errors.push(`Unsupported file type. Supported: ${supportedExtensions.join(', ')}`);
+    if (!supportedExtensions.includes(extension) && !isRepository(file)) {
+      errors.push(`Unsupported file type. Supported: ${[...supportedExtensions, ...archiveExtensions, ...bundleExtensions].join(', ')}`);
     }
     
     // Check file size
-    if (file.size > maxFileSize) {
-      errors.push('File size exceeds 5MB limit');
+    if (isRepository(file) ? file.size > maxArchiveSize : file.size > maxFileSize) {
+      errors.push(`File size exceeds ${isRepository(file) ? '50MB' : '5MB'} limit`);
     }
     
     return errors;
   };
 
+  // Path shown and stored for a file; folder uploads keep their relative path
+  const pathOf = (file) => file.webkitRelativePath || file.name;
+
   const handleFiles = (files) => {
     const fileArray = Array.from(files);
     const validFiles = fileArray.filter(file => {
@@ -105,21 +132,103 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
     setUploadResults(null);
 
     try {
-      const formData = new FormData();
-      selectedFiles.forEach(file => {
-        formData.append('contracts', file);
-      });
+      let uploadProjectId = targetProjectId;
+      if (targetProjectId === NEW_PROJECT) {
+        const created = await createProject(newProjectName.trim());
+        if (!created.success) {
+          setUploadResults({ success: false, error: created.error || 'Failed to create project' });
+          return;
+        }
+        uploadProjectId = created.project.id;
+        setProjects(prev => [created.project, ...prev]);
+        setTargetProjectId(uploadProjectId);
+        setNewProjectName('');
+      }
 
       const token = localStorage.getItem('secweb3_token');
-      const response = await fetch('/api/files/upload', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-        body: formData,
-      });
+      const sourceFiles = selectedFiles.filter(file => !isRepository(file));
+      const archives = selectedFiles.filter(isArchive);
+      const bundles = selectedFiles.filter(isGitBundle);
+      const results = [];
+
+      if (sourceFiles.length > 0) {
+        const formData = new FormData();
+        if (uploadProjectId) {
+          formData.append('projectId', uploadProjectId);
+        }
+        sourceFiles.forEach(file => {
+          formData.append('paths', pathOf(file));
+          formData.append('contracts', file);
+        });
 
-      const result = await response.json();
+        const response = await fetch('/api/files/upload', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          body: formData,
+        });
+        results.push(await response.json());
+      }
+
+      // Each archive is imported separately; without a chosen project the server
+      // creates one named after the archive
+      for (const archive of archives) {
+        const formData = new FormData();
+        if (uploadProjectId) {
+          formData.append('projectId', uploadProjectId);
+        }
+        formData.append('skipTests', String(skipTests));
+        formData.append('archive', archive);
+
+        const response = await fetch('/api/files/upload-archive', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          body: formData,
+        });
+        const result = await response.json();
+        results.push({
+          ...result,
+          archive: archive.name,
+          errors: result.success ? [] : [`${archive.name}: ${result.error}`]
+        });
+      }
+
+      // Bundles are imported at the given ref (HEAD by default); every stored file
+      // records the commit it was read at
+      for (const bundle of bundles) {
+        const formData = new FormData();
+        if (uploadProjectId) {
+          formData.append('projectId', uploadProjectId);
+        }
+        formData.append('ref', gitRef.trim() || 'HEAD');
+        formData.append('skipTests', String(skipTests));
+        formData.append('bundle', bundle);
+
+        const response = await fetch('/api/files/import-git', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          body: formData,
+        });
+        const result = await response.json();
+        results.push({
+          ...result,
+          archive: result.commit ? `${bundle.name} @ ${result.commit.hash.slice(0, 7)}` : bundle.name,
+          errors: result.success ? [] : [`${bundle.name}: ${result.error}`]
+        });
+      }
+
+      const result = results.length === 1 && !results[0].archive ? results[0] : {
+        success: results.some(item => item.success),
+        uploadedFiles: results.flatMap(item => item.uploadedFiles || []),
+        errors: results.flatMap(item => item.errors || []),
+        archiveResults: results.filter(item => item.archive && item.summary),
+        message: results.map(item => item.message).filter(Boolean).join('. ')
+      };
       setUploadResults(result);
       
       if (result.success) {
@@ -159,7 +268,16 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
           ref={fileInputRef}
           type="file"
           multiple
-          accept=".sol,.vy,.move,.cairo"
+          accept=".sol,.vy,.move,.cairo,.zip,.tar,.tar.gz,.tgz,.bundle"
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          directory=""
+          multiple
           onChange={handleFileSelect}
           className="hidden"
         />
@@ -189,7 +307,7 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
             </p>
             
             <div className="flex flex-wrap justify-center gap-2 pt-2">
-              {supportedExtensions.map(ext => (
+              {[...supportedExtensions, ...archiveExtensions, ...bundleExtensions].map(ext => (
                 <span key={ext} className="px-3 py-1 bg-blue-100 text-blue-700 text-xs font-medium rounded-full">
                   {ext}
                 </span>
@@ -198,10 +316,21 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
             
             <div className="text-sm text-gray-500 pt-3 space-y-1">
               <p className="flex items-center justify-center space-x-4">
-                <span>Max file size: 5MB</span>
+                <span>Max file size: 5MB (archives and git bundles 50MB)</span>
                 <span>•</span>
                 <span>Max files: {maxFiles}</span>
               </p>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  folderInputRef.current?.click();
+                }}
+                className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800 font-medium"
+              >
+                <FolderOpen className="w-4 h-4" />
+                <span>Or upload a folder</span>
+              </button>
             </div>
           </div>
         </div>
@@ -241,10 +370,12 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
                   <FileText className="w-5 h-5 text-blue-600 flex-shrink-0" />
                   <div className="min-w-0">
                     <p className="text-sm font-medium text-gray-900 truncate">
-                      {file.name}
+                      {pathOf(file)}
                     </p>
                     <p className="text-xs text-gray-500">
                       {formatFileSize(file.size)}
+                      {isArchive(file) && ' • archive, extracted on upload'}
+                      {isGitBundle(file) && ' • git bundle, imported at the ref below'}
                     </p>
                   </div>
                 </div>
@@ -260,12 +391,71 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
             ))}
           </div>
 
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+            <label className="text-sm font-medium text-gray-700" htmlFor="upload-project">
+              Project
+            </label>
+            <select
+              id="upload-project"
+              value={targetProjectId}
+              onChange={(e) => setTargetProjectId(e.target.value)}
+              disabled={uploading}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">No project</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+              <option value={NEW_PROJECT}>+ New project...</option>
+            </select>
+            {targetProjectId === NEW_PROJECT && (
+              <input
+                type="text"
+                value={newProjectName}
+                onChange={(e) => setNewProjectName(e.target.value)}
+                placeholder="Project name"
+                disabled={uploading}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            )}
+          </div>
+
+          {selectedFiles.some(isGitBundle) && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <label className="text-sm font-medium text-gray-700" htmlFor="upload-git-ref">
+                Git ref
+              </label>
+              <input
+                id="upload-git-ref"
+                type="text"
+                value={gitRef}
+                onChange={(e) => setGitRef(e.target.value)}
+                placeholder="HEAD, branch, tag or commit hash"
+                disabled={uploading}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          )}
+
+          {selectedFiles.some(isRepository) && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={skipTests}
+                onChange={(e) => setSkipTests(e.target.checked)}
+                disabled={uploading}
+                className="rounded border-gray-300"
+              />
+              <span>Skip test files in archives (test/, tests/, *.t.sol)</span>
+            </label>
+          )}
+
           <button
             onClick={uploadFiles}
-            disabled={uploading || selectedFiles.length === 0}
+            disabled={uploading || selectedFiles.length === 0 || (targetProjectId === NEW_PROJECT && !newProjectName.trim())}
             className={`
               w-full py-3 px-4 rounded-lg font-medium transition-all duration-200
-              ${uploading || selectedFiles.length === 0
+              ${uploading || selectedFiles.length === 0 || (targetProjectId === NEW_PROJECT && !newProjectName.trim())
                 ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
                 : 'bg-blue-600 hover:bg-blue-700 text-white hover:scale-[1.02]'
               }
@@ -313,6 +503,36 @@ const FileUpload = ({ onUploadComplete, className = '' }) => {
                   {uploadResults.message}
                 </p>
               )}
+
+              {uploadResults.archiveResults?.map(archiveResult => (
+                <details key={archiveResult.archive} className="mt-2">
+                  <summary className="text-sm text-gray-700 cursor-pointer">
+                    {archiveResult.archive}: {archiveResult.summary.accepted} imported, {archiveResult.summary.updated} updated, {archiveResult.summary.duplicate} unchanged,
+                    {' '}{archiveResult.summary.skipped} skipped, {archiveResult.summary.rejected} rejected
+                  </summary>
+                  <ul className="mt-1 ml-4 max-h-48 overflow-y-auto space-y-0.5">
+                    {archiveResult.results.map(entry => (
+                      <li key={entry.path} className="text-xs text-gray-600 font-mono">
+                        <span className={
+                          entry.status === 'accepted' ? 'text-green-700'
+                            : entry.status === 'updated' ? 'text-blue-700'
+                            : entry.status === 'rejected' ? 'text-red-600'
+                              : 'text-gray-500'
+                        }>
+                          {entry.status}
+                        </span>
+                        {' '}{entry.path}{entry.reason && ` (${entry.reason})`}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              ))}
+
+              {!uploadResults.success && uploadResults.error && (
+                <p className="text-sm mt-1 text-red-700">
+                  {uploadResults.error}
+                </p>
+              )}
               
               {uploadResults.errors && uploadResults.errors.length > 0 && (
                 <div className="mt-2">
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { GitCompare, X, Zap, Loader, AlertCircle } from 'lucide-react';
+import { getFileDiff } from '../utils/api';
+import { MONACO_LANGUAGES, registerContractLanguages } from '../utils/monacoLanguages';
+
+// Side-by-side diff between two versions of a stored file, with an action to
+// analyze only the changes
+const FileVersionDiff = ({ file, versions, fromVersion, toVersion, onClose, onAnalyzeChanges }) => {
+  const [from, setFrom] = useState(fromVersion);
+  const [to, setTo] = useState(toVersion);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchDiff = async () => {
+      setLoading(true);
+      const result = await getFileDiff(file.id, from, to);
+      if (result.success) {
+        setComparison(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+    fetchDiff();
+  }, [file.id, from, to]);
+
+  const hasChanges = comparison?.hunks.length > 0;
+
+  const VersionSelect = ({ value, onChange, label }) => (
+    <label className="flex items-center space-x-2 text-sm text-gray-700">
+      <span>{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="px-2 py-1 border border-gray-300 rounded text-sm"
+      >
+        {versions.map(version => (
+          <option key={version.id} value={version.version_number}>
+            v{version.version_number}{version.is_current ? ' (current)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 w-full max-w-6xl h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center min-w-0">
+            <GitCompare className="w-5 h-5 mr-2 text-blue-600 flex-shrink-0" />
+            <span className="truncate">{file.file_path || file.original_name}</span>
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-3">
+          <VersionSelect label="From" value={from} onChange={setFrom} />
+          <VersionSelect label="To" value={to} onChange={setTo} />
+
+          {comparison && (
+            <span className="text-sm text-gray-600">
+              <span className="text-green-700">+{comparison.summary.added}</span>
+              {' '}<span className="text-red-600">-{comparison.summary.removed}</span> lines
+            </span>
+          )}
+
+          {onAnalyzeChanges && (
+            <button
+              onClick={() => onAnalyzeChanges(file, from, to)}
+              disabled={loading || !hasChanges}
+              className="ml-auto px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-200 disabled:text-gray-500 flex items-center"
+              title={comparison ? `A full scan of v${to} would cost ${comparison.fullScanCost} credits` : undefined}
+            >
+              <Zap className="w-4 h-4 mr-1" />
+              Analyze changes{hasChanges && ` (${comparison.estimatedCost} credits)`}
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
+            <AlertCircle className="w-4 h-4 text-red-600" />
+            <span className="text-sm text-red-700">{error}</span>
+          </div>
+        )}
+
+        <div className="flex-1 min-h-0 rounded-lg overflow-hidden border border-gray-200">
+          {loading && !comparison ? (
+            <div className="flex items-center justify-center h-full">
+              <Loader className="w-6 h-6 animate-spin text-blue-600" />
+            </div>
+          ) : comparison && (
+            <DiffEditor
+              height="100%"
+              original={comparison.from.file_content}
+              modified={comparison.to.file_content}
+              language={MONACO_LANGUAGES[comparison.to.language] || 'plaintext'}
+              theme="vs-dark"
+              beforeMount={registerContractLanguages}
+              options={{
+                readOnly: true,
+                renderSideBySide: true,
+                minimap: { enabled: false },
+                fontSize: 13,
+                scrollBeyondLastLine: false,
+                automaticLayout: true
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileVersionDiff;
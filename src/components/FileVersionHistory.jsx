@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { History, X, Eye, RotateCcw, Play, GitCompare, Loader, AlertCircle } from 'lucide-react';
+import { getFileVersions, getFileVersion, restoreFileVersion } from '../utils/api';
+import FileVersionDiff from './FileVersionDiff';
+
+const SOURCE_LABELS = {
+  upload: 'Uploaded',
+  import: 'Imported',
+  restore: 'Restored'
+};
+
+// Version history of a stored file: view, compare, restore or analyze any version
+const FileVersionHistory = ({ file, onClose, onRestored, onAnalyzeVersion, onAnalyzeChanges }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [comparing, setComparing] = useState(null);
+
+  const fetchVersions = async () => {
+    setLoading(true);
+    const result = await getFileVersions(file.id);
+    if (result.success) {
+      setVersions(result.versions);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchVersions();
+  }, [file.id]);
+
+  const viewVersion = async (version) => {
+    const result = await getFileVersion(file.id, version.version_number);
+    if (result.success) {
+      setViewing(result.version);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    setRestoring(version.version_number);
+    const result = await restoreFileVersion(file.id, version.version_number);
+    setRestoring(null);
+
+    if (result.success) {
+      setViewing(null);
+      await fetchVersions();
+      onRestored && onRestored(result.file);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center min-w-0">
+            <History className="w-5 h-5 mr-2 text-blue-600 flex-shrink-0" />
+            <span className="truncate">History of {file.file_path || file.original_name}</span>
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center space-x-2">
+            <AlertCircle className="w-4 h-4 text-red-600" />
+            <span className="text-sm text-red-700">{error}</span>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <div className="overflow-y-auto space-y-2">
+            {versions.map(version => (
+              <div
+                key={version.id}
+                className={`p-3 rounded-lg border ${version.is_current ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      Version {version.version_number}
+                      {version.is_current && <span className="ml-2 text-xs text-blue-700">current</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {SOURCE_LABELS[version.source] || version.source} {formatDate(version.created_at)}
+                      {version.restored_from && ` from version ${version.restored_from}`}
+                      {' • '}{version.file_size} B
+                      {version.commit_hash && <span className="font-mono"> • @{version.commit_hash.slice(0, 7)}</span>}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => viewVersion(version)}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                      title="View content"
+                    >
+                      <Eye className="w-4 h-4" />
+                    </button>
+                    {version.version_number > 1 && (
+                      <button
+                        onClick={() => setComparing(version.version_number)}
+                        className="p-2 text-gray-500 hover:text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
+                        title="Compare with previous version"
+                      >
+                        <GitCompare className="w-4 h-4" />
+                      </button>
+                    )}
+                    {onAnalyzeVersion && (
+                      <button
+                        onClick={() => onAnalyzeVersion(file, version)}
+                        className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                        title="Analyze this version"
+                      >
+                        <Play className="w-4 h-4" />
+                      </button>
+                    )}
+                    {!version.is_current && (
+                      <button
+                        onClick={() => restoreVersion(version)}
+                        disabled={restoring !== null}
+                        className="p-2 text-gray-500 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-colors disabled:opacity-50"
+                        title="Restore this version"
+                      >
+                        {restoring === version.version_number
+                          ? <Loader className="w-4 h-4 animate-spin" />
+                          : <RotateCcw className="w-4 h-4" />}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {viewing?.id === version.id && (
+                  <pre className="mt-3 p-3 max-h-72 overflow-auto bg-gray-900 text-gray-100 text-xs rounded-lg">
+                    {viewing.file_content}
+                  </pre>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {comparing && (
+        <FileVersionDiff
+          file={file}
+          versions={versions}
+          fromVersion={comparing - 1}
+          toVersion={comparing}
+          onClose={() => setComparing(null)}
+          onAnalyzeChanges={onAnalyzeChanges}
+        />
+      )}
+    </div>
+  );
+};
+
+export default FileVersionHistory;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react'
+import { ClipboardCheck, MessageSquare, Reply, User, Loader } from 'lucide-react'
+import { updateFinding, getFindingComments, addFindingComment } from '../utils/api'
+
+export const TRIAGE_STATUSES = [
+  { value: 'open', label: 'Open', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200' },
+  { value: 'confirmed', label: 'Confirmed', className: 'bg-red-100 text-red-800 dark:bg-red-900/60 dark:text-red-200' },
+  { value: 'false_positive', label: 'False positive', className: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-200' },
+  { value: 'acknowledged', label: 'Acknowledged', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/60 dark:text-amber-200' },
+  { value: 'fixed', label: 'Fixed', className: 'bg-green-100 text-green-800 dark:bg-green-900/60 dark:text-green-200' }
+]
+
+const WALLET_ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/
+
+const shortenWallet = (wallet) => (wallet ? `${wallet.slice(0, 6)}...${wallet.slice(-4)}` : 'Unknown')
+
+const formatCommentDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const CommentForm = ({ onSubmit, placeholder, autoFocus = false }) => {
+  const [body, setBody] = useState('')
+  const [sending, setSending] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!body.trim()) return
+    setSending(true)
+    const sent = await onSubmit(body)
+    setSending(false)
+    if (sent) setBody('')
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-start space-x-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        rows={2}
+        className="flex-1 px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+      />
+      <button
+        type="submit"
+        disabled={sending || !body.trim()}
+        className="px-3 py-2 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition disabled:opacity-50"
+      >
+        {sending ? <Loader className="w-4 h-4 animate-spin" /> : 'Post'}
+      </button>
+    </form>
+  )
+}
+
+const Comment = ({ comment, onReply }) => {
+  const [replying, setReplying] = useState(false)
+
+  return (
+    <div className="space-y-2">
+      <div className="rounded-lg bg-gray-50 dark:bg-gray-900/50 p-3">
+        <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+          <span className="font-mono">{comment.authorEnsName || shortenWallet(comment.authorWallet)}</span>
+          <span>{formatCommentDate(comment.createdAt)}</span>
+        </div>
+        <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-words-safe">{comment.body}</p>
+        {onReply && (
+          <button
+            onClick={() => setReplying(!replying)}
+            className="mt-1 inline-flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            <Reply className="w-3 h-3 mr-1" />
+            Reply
+          </button>
+        )}
+      </div>
+
+      {(comment.replies.length > 0 || replying) && (
+        <div className="ml-6 space-y-2 border-l border-gray-200 dark:border-gray-700 pl-3">
+          {comment.replies.map(reply => <Comment key={reply.id} comment={reply} />)}
+          {replying && (
+            <CommentForm
+              placeholder="Write a reply..."
+              autoFocus
+              onSubmit={async (body) => {
+                const sent = await onReply(body, comment.id)
+                if (sent) setReplying(false)
+                return sent
+              }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Triage controls of a stored finding: status, assignee and comment threads
+const FindingTriage = ({ finding, onUpdated }) => {
+  const [assignee, setAssignee] = useState(finding.assigneeWallet || '')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [comments, setComments] = useState(null)
+
+  useEffect(() => {
+    setAssignee(finding.assigneeWallet || '')
+  }, [finding.assigneeWallet])
+
+  useEffect(() => {
+    let cancelled = false
+    getFindingComments(finding.id).then(data => {
+      if (!cancelled && data.success) setComments(data.comments)
+    })
+    return () => { cancelled = true }
+  }, [finding.id])
+
+  const saveTriage = async (updates) => {
+    setSaving(true)
+    setError(null)
+    const result = await updateFinding(finding.id, updates)
+    setSaving(false)
+    if (result.success) {
+      onUpdated && onUpdated(result.finding)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleAssigneeSave = () => {
+    const wallet = assignee.trim()
+    if (wallet && !WALLET_ADDRESS_PATTERN.test(wallet)) {
+      setError('Enter a wallet address (0x followed by 40 hex characters)')
+      return
+    }
+    saveTriage({ assigneeWallet: wallet || null })
+  }
+
+  const handleComment = async (body, parentId = null) => {
+    const result = await addFindingComment(finding.id, body, parentId)
+    if (!result.success) {
+      setError(result.error)
+      return false
+    }
+
+    setComments(prev => {
+      if (!parentId) return [...(prev || []), result.comment]
+      const addReply = (list) => list.map(comment => comment.id === parentId
+        ? { ...comment, replies: [...comment.replies, result.comment] }
+        : { ...comment, replies: addReply(comment.replies) })
+      return addReply(prev || [])
+    })
+    onUpdated && onUpdated({ ...finding, commentCount: (finding.commentCount || 0) + 1 })
+    return true
+  }
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-bold text-gray-900 dark:text-white flex items-center text-base">
+        <div className="w-8 h-8 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg flex items-center justify-center mr-3">
+          <ClipboardCheck className="w-4 h-4 text-indigo-600 dark:text-indigo-400" />
+        </div>
+        Triage
+      </h4>
+
+      <div className="bg-indigo-50/50 dark:bg-indigo-950/20 border border-indigo-200/50 dark:border-indigo-800/50 rounded-xl p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {TRIAGE_STATUSES.map(status => (
+            <button
+              key={status.value}
+              onClick={() => saveTriage({ status: status.value })}
+              disabled={saving || finding.status === status.value}
+              className={`px-3 py-1.5 rounded-full text-xs font-medium border transition
+                ${finding.status === status.value
+                  ? `${status.className} border-transparent ring-2 ring-indigo-400`
+                  : 'bg-white/60 dark:bg-gray-900/40 text-gray-700 dark:text-gray-200 border-gray-300 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              aria-pressed={finding.status === status.value}
+            >
+              {status.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <User className="w-4 h-4 text-gray-500 flex-shrink-0" />
+          <input
+            type="text"
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            placeholder="Assignee wallet (0x...)"
+            className="flex-1 px-3 py-1.5 text-sm font-mono rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+          />
+          <button
+            onClick={handleAssigneeSave}
+            disabled={saving || assignee.trim().toLowerCase() === (finding.assigneeWallet || '')}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+          >
+            {assignee.trim() ? 'Assign' : 'Unassign'}
+          </button>
+        </div>
+
+        {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="space-y-2">
+          <p className="flex items-center text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            <MessageSquare className="w-3 h-3 mr-1.5" />
+            Comments
+          </p>
+          {comments === null ? (
+            <Loader className="w-4 h-4 animate-spin text-gray-400" />
+          ) : (
+            comments.map(comment => <Comment key={comment.id} comment={comment} onReply={handleComment} />)
+          )}
+          <CommentForm placeholder="Add a comment..." onSubmit={(body) => handleComment(body)} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FindingTriage
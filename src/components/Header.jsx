@@ -30,6 +30,11 @@ const Header = ({ darkMode, setDarkMode, user, onShowPlans, onDisconnect }) => {
                     </div>
                     <div className="text-xs text-blue-500 dark:text-blue-300">
                       {user.plan?.name || 'Free'} Plan
+                      {user.plan?.nextCreditsResetAt && (
+                        <span title={new Date(user.plan.nextCreditsResetAt).toLocaleString()}>
+                          {' '}· resets {new Date(user.plan.nextCreditsResetAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { X, Check, Star, Zap, Shield, Users, Phone, Mail, Building } from 'lucide-react';
+import { X, Check, Star, Zap, Shield, Users, Phone, Mail, Building, Clock } from 'lucide-react';
 
 const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
   const [plans, setPlans] = useState([]);
+  const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedPlan, setSelectedPlan] = useState(null);
   const [showUpgradeForm, setShowUpgradeForm] = useState(false);
@@ -18,6 +19,7 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
   useEffect(() => {
     if (isOpen) {
       fetchPlans();
+      fetchRequests();
     }
   }, [isOpen]);
 
@@ -34,6 +36,24 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
     }
   };
 
+  const fetchRequests = async () => {
+    try {
+      const response = await fetch('/api/plans/upgrade-requests', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('secweb3_token')}`
+        }
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setRequests(data.requests || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch upgrade requests:', error);
+    }
+  };
+
+  const pendingRequest = requests.find(request => request.status === 'pending');
+
   const handleUpgradeClick = (plan) => {
     setSelectedPlan(plan);
     setShowUpgradeForm(true);
@@ -53,7 +73,7 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          'Authorization': `Bearer ${localStorage.getItem('secweb3_token')}`
         },
         body: JSON.stringify({
           requestedPlanCode: selectedPlan.code,
@@ -65,6 +85,7 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
 
       if (response.ok) {
         alert('Upgrade request submitted! We will contact you within 24 hours.');
+        setRequests(prev => [data.request, ...prev]);
         onUpgradeRequest?.(data);
         setShowUpgradeForm(false);
         onClose();
@@ -299,9 +320,10 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
 
                   <button
                     onClick={() => handleUpgradeClick(plan)}
-                    disabled={currentUser?.plan?.code === plan.code}
+                    disabled={currentUser?.plan?.code === plan.code || !!pendingRequest}
+                    title={pendingRequest ? 'Your upgrade request is waiting for review' : undefined}
                     className={`w-full py-3 px-4 rounded-xl font-medium transition-colors ${
-                      currentUser?.plan?.code === plan.code
+                      currentUser?.plan?.code === plan.code || pendingRequest
                         ? 'bg-gray-100 text-gray-500 cursor-not-allowed'
                         : plan.code === 'pro'
                         ? 'bg-blue-600 text-white hover:bg-blue-700'
@@ -310,6 +332,8 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
                   >
                     {currentUser?.plan?.code === plan.code
                       ? 'Current Plan'
+                      : pendingRequest?.requestedPlanCode === plan.code
+                      ? 'Request Pending'
                       : plan.code === 'free'
                       ? 'Downgrade'
                       : 'Request Upgrade'
@@ -319,6 +343,38 @@ const PlansModal = ({ isOpen, onClose, currentUser, onUpgradeRequest }) => {
               ))}
             </div>
           )}
+
+          {requests.length > 0 && (
+            <div className="mt-8">
+              <h3 className="text-lg font-semibold mb-3 flex items-center">
+                <Clock className="w-5 h-5 mr-2 text-gray-500" />
+                Your Upgrade Requests
+              </h3>
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+                {requests.map(request => (
+                  <div key={request.id} className="px-4 py-3 flex items-start justify-between">
+                    <div>
+                      <p className="font-medium">{request.planName || request.requestedPlanCode}</p>
+                      <p className="text-sm text-gray-500">
+                        Requested {new Date(request.createdAt).toLocaleDateString()}
+                        {request.reviewedAt && ` · reviewed ${new Date(request.reviewedAt).toLocaleDateString()}`}
+                      </p>
+                      {request.adminNotes && <p className="text-sm text-gray-600 mt-1">{request.adminNotes}</p>}
+                    </div>
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      request.status === 'approved'
+                        ? 'bg-green-100 text-green-700'
+                        : request.status === 'rejected'
+                        ? 'bg-red-100 text-red-700'
+                        : 'bg-yellow-100 text-yellow-700'
+                    }`}>
+                      {request.status === 'approved' ? 'Approved' : request.status === 'rejected' ? 'Rejected' : 'Pending review'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
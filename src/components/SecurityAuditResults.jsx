@@ -1,9 +1,92 @@
-import React, { useState, useMemo } from 'react'
-import { AlertTriangle, Shield, Info, CheckCircle, FileText, Code, ExternalLink, SlidersHorizontal } from 'lucide-react'
+import React, { useState, useMemo, useEffect } from 'react'
+import { AlertTriangle, Shield, Info, CheckCircle, FileText, Code, ExternalLink, SlidersHorizontal, Hash, Download, GitCompare, MessageSquare, EyeOff } from 'lucide-react'
+import { getAnalysisFindings, downloadAnalysisExport } from '../utils/api'
+import FindingTriage, { TRIAGE_STATUSES } from './FindingTriage'
 
-const SecurityAuditResults = ({ content }) => {
+const SEVERITY_FILTERS = ['All', 'Critical', 'High', 'Medium', 'Low', 'Informational']
+
+const formatLineRange = (lineStart, lineEnd) => {
+  if (!lineStart) return null
+  return lineEnd && lineEnd !== lineStart ? `lines ${lineStart}-${lineEnd}` : `line ${lineStart}`
+}
+
+// Structured findings from the server, in the shape the cards below render
+const fromStoredFinding = (finding) => ({
+  id: finding.id,
+  severity: finding.severity,
+  title: finding.title,
+  description: finding.description,
+  recommendation: finding.recommendation,
+  file: finding.file,
+  line: formatLineRange(finding.lineStart, finding.lineEnd),
+  swcId: finding.swcId,
+  cweId: finding.cweId,
+  ruleId: finding.ruleId,
+  source: finding.source,
+  change: finding.change || null,
+  stored: true,
+  status: finding.status || 'open',
+  assigneeWallet: finding.assigneeWallet || null,
+  commentCount: finding.commentCount || 0,
+  suppressed: !!finding.suppressed,
+  suppressionJustification: finding.suppressionJustification || null
+})
+
+const SOURCE_LABELS = {
+  ai: 'AI analysis',
+  static: 'Static analyzer',
+  'ai+static': 'AI + static analyzer'
+}
+
+// How a finding compares with the previous scan of the same files
+const CHANGE_BADGES = {
+  new: { label: 'New', className: 'bg-purple-100 text-purple-800 dark:bg-purple-900/60 dark:text-purple-200' },
+  persisting: { label: 'Persisting', className: 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200' }
+}
+
+const formatScanDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const SecurityAuditResults = ({ content, analysisId = null, findings = null }) => {
   const [expandedIssues, setExpandedIssues] = useState(new Set())
   const [severityFilter, setSeverityFilter] = useState('All')
+  const [storedFindings, setStoredFindings] = useState(null)
+  const [comparison, setComparison] = useState(null)
+  const [showResolved, setShowResolved] = useState(false)
+  const [showSuppressed, setShowSuppressed] = useState(false)
+  // Triage changes made here, by finding id, applied on top of the loaded findings
+  const [triageUpdates, setTriageUpdates] = useState({})
+  const [exporting, setExporting] = useState(false)
+  const [exportError, setExportError] = useState(null)
+
+  // Load findings the server extracted for this analysis
+  useEffect(() => {
+    if (!analysisId || findings) return
+    let cancelled = false
+
+    getAnalysisFindings(analysisId).then(data => {
+      if (!cancelled && data.success) {
+        setStoredFindings(data.findings)
+        setComparison(data.comparison || null)
+      }
+    })
+
+    return () => { cancelled = true }
+  }, [analysisId, findings])
+
+  const handleExportSarif = async () => {
+    setExporting(true)
+    setExportError(null)
+    const result = await downloadAnalysisExport(analysisId, 'sarif')
+    if (!result.success) {
+      setExportError(result.error)
+    }
+    setExporting(false)
+  }
 
   const toggleIssue = (issueId) => {
     const next = new Set(expandedIssues)
@@ -19,8 +102,8 @@ const SecurityAuditResults = ({ content }) => {
     setExpandedIssues(new Set())
   }
 
-  // Parse the content to extract structured vulnerability information
-  const parseVulnerabilities = (text) => {
+  // Fallback when no stored findings exist: guess issues from the markdown
+  const parseVulnerabilities = (text = '') => {
     const vulnerabilities = []
 
     // Look for common vulnerability patterns in the text
@@ -43,9 +126,8 @@ const SecurityAuditResults = ({ content }) => {
               severity,
               title,
               description,
-              chain: 'Ethereum/All EVM chains',
-              file: 'Contract.sol',
-              line: 'Multiple lines'
+              file: null,
+              line: null
             })
           }
         })
@@ -60,7 +142,33 @@ const SecurityAuditResults = ({ content }) => {
     return vulnerabilities
   }
 
-  const vulnerabilities = useMemo(() => parseVulnerabilities(content), [content])
+  const allVulnerabilities = useMemo(() => {
+    const structured = findings || storedFindings
+    if (structured && structured.length > 0) {
+      return structured.map(finding => fromStoredFinding({ ...finding, ...triageUpdates[finding.id] }))
+    }
+    return parseVulnerabilities(content)
+  }, [content, findings, storedFindings, triageUpdates])
+
+  // Findings silenced by secweb3-disable annotations are listed separately, collapsed
+  const vulnerabilities = useMemo(() => allVulnerabilities.filter(v => !v.suppressed), [allVulnerabilities])
+  const suppressedVulnerabilities = useMemo(() => allVulnerabilities.filter(v => v.suppressed), [allVulnerabilities])
+
+  const handleTriageUpdated = (finding) => {
+    setTriageUpdates(prev => ({
+      ...prev,
+      [finding.id]: {
+        status: finding.status,
+        assigneeWallet: finding.assigneeWallet,
+        commentCount: finding.commentCount
+      }
+    }))
+  }
+
+  const filteredVulnerabilities = useMemo(() => {
+    if (severityFilter === 'All') return vulnerabilities
+    return vulnerabilities.filter(v => v.severity === severityFilter)
+  }, [severityFilter, vulnerabilities])
 
   const getSeverityIcon = (severity) => {
     switch (severity.toLowerCase()) {
@@ -107,33 +215,142 @@ const SecurityAuditResults = ({ content }) => {
     }
   }
 
+  // Findings compared with the previous full scan of the same files
+  const changesPanel = comparison && (
+    <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur border border-gray-200 dark:border-gray-700 rounded-xl p-5 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <GitCompare className="w-5 h-5 text-purple-500" />
+          <h3 className="text-base font-semibold text-gray-900 dark:text-white">Changes since last scan</h3>
+        </div>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Compared with the scan of {formatScanDate(comparison.previousAnalysis.completedAt || comparison.previousAnalysis.createdAt)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div className="rounded-lg bg-purple-50 dark:bg-purple-950/30 p-3 text-center">
+          <p className="text-2xl font-bold text-purple-700 dark:text-purple-300">{comparison.summary.new}</p>
+          <p className="text-xs font-medium text-purple-700 dark:text-purple-300 uppercase tracking-wide">New</p>
+        </div>
+        <div className="rounded-lg bg-gray-100 dark:bg-gray-900/40 p-3 text-center">
+          <p className="text-2xl font-bold text-gray-700 dark:text-gray-200">{comparison.summary.persisting}</p>
+          <p className="text-xs font-medium text-gray-600 dark:text-gray-300 uppercase tracking-wide">Persisting</p>
+        </div>
+        <div className="rounded-lg bg-green-50 dark:bg-green-950/30 p-3 text-center">
+          <p className="text-2xl font-bold text-green-700 dark:text-green-300">{comparison.summary.resolved}</p>
+          <p className="text-xs font-medium text-green-700 dark:text-green-300 uppercase tracking-wide">Resolved</p>
+        </div>
+      </div>
+
+      {comparison.resolved.length > 0 && (
+        <div className="mt-3">
+          <button
+            onClick={() => setShowResolved(!showResolved)}
+            className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            {showResolved ? 'Hide resolved findings' : 'Show resolved findings'}
+          </button>
+          {showResolved && (
+            <ul className="mt-2 space-y-1">
+              {comparison.resolved.map(finding => (
+                <li key={finding.id} className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300">
+                  <CheckCircle className="w-4 h-4 text-green-500 flex-shrink-0" />
+                  <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold ${getSeverityBadgeColor(finding.severity)}`}>
+                    {finding.severity}
+                  </span>
+                  <span className="line-through truncate">{finding.title}</span>
+                  {finding.file && (
+                    <span className="text-xs text-gray-400 truncate">
+                      {[finding.file, formatLineRange(finding.lineStart, finding.lineEnd)].filter(Boolean).join(', ')}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+
+  const suppressedPanel = suppressedVulnerabilities.length > 0 && (
+    <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur border border-gray-200 dark:border-gray-700 rounded-xl p-5 shadow-sm">
+      <button
+        onClick={() => setShowSuppressed(!showSuppressed)}
+        className="w-full flex items-center justify-between text-left"
+        aria-expanded={showSuppressed}
+      >
+        <span className="flex items-center space-x-2">
+          <EyeOff className="w-5 h-5 text-gray-500" />
+          <span className="text-base font-semibold text-gray-900 dark:text-white">
+            Suppressed findings ({suppressedVulnerabilities.length})
+          </span>
+        </span>
+        <svg
+          className={`w-5 h-5 text-gray-500 transition-transform duration-300 ${showSuppressed ? 'rotate-180' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {showSuppressed && (
+        <ul className="mt-3 space-y-3">
+          {suppressedVulnerabilities.map(vulnerability => (
+            <li key={vulnerability.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold ${getSeverityBadgeColor(vulnerability.severity)}`}>
+                  {vulnerability.severity}
+                </span>
+                <span className="font-medium text-gray-800 dark:text-gray-200">{vulnerability.title}</span>
+                {(vulnerability.file || vulnerability.line) && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {[vulnerability.file, vulnerability.line].filter(Boolean).join(', ')}
+                  </span>
+                )}
+                {vulnerability.ruleId && (
+                  <span className="text-xs font-mono text-gray-500 dark:text-gray-400">{vulnerability.ruleId}</span>
+                )}
+              </div>
+              <p className="mt-1 text-xs text-gray-600 dark:text-gray-300 italic">
+                Justification: {vulnerability.suppressionJustification}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+
   if (vulnerabilities.length === 0) {
     return (
-      <div className="p-6 bg-gradient-to-br from-green-50 to-emerald-50 dark:from-green-950/30 dark:to-emerald-950/30 rounded-2xl border border-green-200 dark:border-green-800/50 shadow-lg animate-fade-in">
-        <div className="text-center py-12">
-          <div className="w-20 h-20 bg-green-100 dark:bg-green-900/50 rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg">
-            <Shield className="w-10 h-10 text-green-600 dark:text-green-400" />
-          </div>
-          <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-3 tracking-tight">
-            No Vulnerabilities Detected
-          </h3>
-          <p className="text-gray-600 dark:text-gray-300 text-base leading-relaxed max-w-md mx-auto">
-            Your smart contract appears to be secure based on our comprehensive security analysis.
-          </p>
-          <div className="mt-6 inline-flex items-center px-4 py-2 bg-green-100 dark:bg-green-900/40 rounded-xl text-sm font-medium text-green-800 dark:text-green-200">
-            <CheckCircle className="w-4 h-4 mr-2" />
-            Security Check Passed
+      <div className="space-y-4">
+        {changesPanel}
+        <div className="p-6 bg-gradient-to-br from-green-50 to-emerald-50 dark:from-green-950/30 dark:to-emerald-950/30 rounded-2xl border border-green-200 dark:border-green-800/50 shadow-lg animate-fade-in">
+          <div className="text-center py-12">
+            <div className="w-20 h-20 bg-green-100 dark:bg-green-900/50 rounded-full flex items-center justify-center mx-auto mb-6 shadow-lg">
+              <Shield className="w-10 h-10 text-green-600 dark:text-green-400" />
+            </div>
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-3 tracking-tight">
+              No Vulnerabilities Detected
+            </h3>
+            <p className="text-gray-600 dark:text-gray-300 text-base leading-relaxed max-w-md mx-auto">
+              Your smart contract appears to be secure based on our comprehensive security analysis.
+            </p>
+            <div className="mt-6 inline-flex items-center px-4 py-2 bg-green-100 dark:bg-green-900/40 rounded-xl text-sm font-medium text-green-800 dark:text-green-200">
+              <CheckCircle className="w-4 h-4 mr-2" />
+              Security Check Passed
+            </div>
           </div>
         </div>
+        {suppressedPanel}
       </div>
     )
   }
 
-  const filteredVulnerabilities = useMemo(() => {
-    if (severityFilter === 'All') return vulnerabilities
-    return vulnerabilities.filter(v => v.severity === severityFilter)
-  }, [severityFilter, vulnerabilities])
-
   return (
     <div className="space-y-4">
       {/* Security Summary Header */}
@@ -147,6 +364,17 @@ const SecurityAuditResults = ({ content }) => {
           </div>
 
           <div className="flex items-center space-x-2">
+            {analysisId && (
+              <button
+                onClick={handleExportSarif}
+                disabled={exporting}
+                title={exportError || 'Download findings as SARIF 2.1.0'}
+                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+              >
+                <Download className="w-3 h-3 mr-1.5" />
+                {exporting ? 'Exporting...' : 'SARIF'}
+              </button>
+            )}
             <button
               onClick={() => expandAll(filteredVulnerabilities)}
               className="px-3 py-1.5 text-xs font-medium rounded border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
@@ -167,7 +395,7 @@ const SecurityAuditResults = ({ content }) => {
             <SlidersHorizontal className="w-4 h-4 mr-2" />
             Filter by severity:
           </div>
-          {['All', 'Critical', 'High', 'Medium', 'Low'].map(severity => {
+          {SEVERITY_FILTERS.map(severity => {
             const count = severity === 'All'
               ? vulnerabilities.length
               : vulnerabilities.filter(v => v.severity === severity).length
@@ -193,8 +421,16 @@ const SecurityAuditResults = ({ content }) => {
             )
           })}
         </div>
+
+        {exportError && (
+          <p className="mt-3 text-xs text-red-600 dark:text-red-400">
+            Export failed: {exportError}
+          </p>
+        )}
       </div>
 
+      {changesPanel}
+
       {/* Vulnerability Issues */}
       {filteredVulnerabilities.map((vulnerability, index) => (
         <div
@@ -221,16 +457,54 @@ const SecurityAuditResults = ({ content }) => {
                       <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-bold ${getSeverityBadgeColor(vulnerability.severity)}`}>
                         {vulnerability.severity}
                       </span>
+                      {vulnerability.stored && vulnerability.status !== 'open' && (
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase ${TRIAGE_STATUSES.find(status => status.value === vulnerability.status)?.className || ''}`}>
+                          {TRIAGE_STATUSES.find(status => status.value === vulnerability.status)?.label || vulnerability.status}
+                        </span>
+                      )}
+                      {CHANGE_BADGES[vulnerability.change] && (
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase ${CHANGE_BADGES[vulnerability.change].className}`}>
+                          {CHANGE_BADGES[vulnerability.change].label}
+                        </span>
+                      )}
                     </div>
-                    <div className="flex items-center space-x-2 max-w-xs">
-                      <span className="font-medium text-xs uppercase tracking-wide">Chain:</span>
-                      <span className="text-xs truncate">{vulnerability.chain}</span>
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <FileText className="w-3 h-3 flex-shrink-0" />
-                      <span className="font-medium text-xs uppercase tracking-wide">Location:</span>
-                      <span className="text-xs truncate">{vulnerability.file}, {vulnerability.line}</span>
-                    </div>
+                    {(vulnerability.file || vulnerability.line) && (
+                      <div className="flex items-center space-x-2">
+                        <FileText className="w-3 h-3 flex-shrink-0" />
+                        <span className="font-medium text-xs uppercase tracking-wide">Location:</span>
+                        <span className="text-xs truncate">
+                          {[vulnerability.file, vulnerability.line].filter(Boolean).join(', ')}
+                        </span>
+                      </div>
+                    )}
+                    {vulnerability.source && (
+                      <div className="flex items-center space-x-2">
+                        <Shield className="w-3 h-3 flex-shrink-0" />
+                        <span className="font-medium text-xs uppercase tracking-wide">Detected by:</span>
+                        <span className="text-xs truncate">{SOURCE_LABELS[vulnerability.source] || vulnerability.source}</span>
+                      </div>
+                    )}
+                    {vulnerability.assigneeWallet && (
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-xs uppercase tracking-wide">Assignee:</span>
+                        <span className="text-xs font-mono truncate">{vulnerability.assigneeWallet.slice(0, 6)}...{vulnerability.assigneeWallet.slice(-4)}</span>
+                      </div>
+                    )}
+                    {vulnerability.commentCount > 0 && (
+                      <div className="flex items-center space-x-1">
+                        <MessageSquare className="w-3 h-3 flex-shrink-0" />
+                        <span className="text-xs">{vulnerability.commentCount}</span>
+                      </div>
+                    )}
+                    {(vulnerability.ruleId || vulnerability.swcId || vulnerability.cweId) && (
+                      <div className="flex items-center space-x-2">
+                        <Hash className="w-3 h-3 flex-shrink-0" />
+                        <span className="font-medium text-xs uppercase tracking-wide">Reference:</span>
+                        <span className="text-xs truncate">
+                          {[vulnerability.ruleId, vulnerability.swcId, vulnerability.cweId].filter(Boolean).join(' / ')}
+                        </span>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -282,7 +556,7 @@ function vulnerableFunction() {
                     Description
                   </h4>
                   <div className="bg-blue-50/50 dark:bg-blue-950/20 border border-blue-200/50 dark:border-blue-800/50 rounded-xl p-4">
-                    <p className="text-gray-700 dark:text-gray-300 leading-relaxed break-words-safe">
+                    <p className="text-gray-700 dark:text-gray-300 leading-relaxed break-words-safe whitespace-pre-wrap">
                       {vulnerability.description || 'Detailed description of the security vulnerability and its potential impact on the smart contract.'}
                     </p>
                   </div>
@@ -312,12 +586,17 @@ function vulnerableFunction() {
                     Remediation Steps
                   </h4>
                   <div className="bg-green-50/70 dark:bg-green-950/30 border border-green-200/60 dark:border-green-800/60 rounded-xl p-4">
-                    <p className="text-green-800 dark:text-green-200 leading-relaxed break-words-safe">
-                      Follow secure coding practices and implement the recommended fixes to address this vulnerability. Review the code thoroughly and apply industry-standard security patterns.
+                    <p className="text-green-800 dark:text-green-200 leading-relaxed break-words-safe whitespace-pre-wrap">
+                      {vulnerability.recommendation || 'Follow secure coding practices and implement the recommended fixes to address this vulnerability. Review the code thoroughly and apply industry-standard security patterns.'}
                     </p>
                   </div>
                 </div>
 
+                {/* Triage */}
+                {vulnerability.stored && (
+                  <FindingTriage finding={vulnerability} onUpdated={handleTriageUpdated} />
+                )}
+
                 {/* Recommended Fix Code */}
                 <div className="space-y-3">
                   <h4 className="font-bold text-gray-900 dark:text-white flex items-center text-base">
@@ -371,6 +650,8 @@ function secureFunction() {
           )}
         </div>
       ))}
+
+      {suppressedPanel}
     </div>
   )
 }
@@ -15,82 +15,153 @@ const getAuthHeaders = () => {
   return token ? { 'Authorization': `Bearer ${token}` } : {}
 }
 
+// Price an analysis before running it: { estimatedCost, breakdown, quoteId, quoteExpiresAt, ... }.
+// Takes the input analyzeContract sends (selectedFileIds and selectedVersionIds, or code and filename);
+// passing the quoteId to analyzeContract charges the quoted price for that same input
+export const estimateAnalysisCost = async ({ selectedFileIds = [], selectedVersionIds = [], code = '', filename = 'contract.sol' }) => {
+  const hasSelection = selectedFileIds.length > 0 || selectedVersionIds.length > 0
+  const response = await fetch(`${API_BASE_URL}/api/plans/estimate-cost`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders()
+    },
+    body: JSON.stringify(hasSelection ? { selectedFileIds, selectedVersionIds } : { code, filename })
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `Cost estimate failed: ${response.status}`)
+  }
+
+  return data
+}
+
 // Main contract analysis function - calls backend with credit deduction
-export const analyzeContract = async (code, filename = 'contract.sol', selectedFileIds = null) => {
+// selectedVersionIds analyzes earlier versions of stored files instead of their current content;
+// quoteId (from estimateAnalysisCost) charges the price that was shown for this input
+export const analyzeContract = async (code, filename = 'contract.sol', selectedFileIds = null, conversationId = null, selectedVersionIds = null, quoteId = null) => {
   try {
     console.log('🔄 Starting contract analysis with session creation...')
 
+    const fileCount = (selectedFileIds?.length || 0) + (selectedVersionIds?.length || 0)
     const payload = {
       code: code || '',
       filename: filename || 'contract.sol',
-      message: selectedFileIds && selectedFileIds.length > 0 
-        ? `Analyze ${selectedFileIds.length} selected smart contract file${selectedFileIds.length > 1 ? 's' : ''} for security vulnerabilities`
+      message: fileCount > 0
+        ? `Analyze ${fileCount} selected smart contract file${fileCount > 1 ? 's' : ''} for security vulnerabilities`
         : '',
-      selectedFileIds: selectedFileIds || []
+      selectedFileIds: selectedFileIds || [],
+      selectedVersionIds: selectedVersionIds || [],
+      conversationId,
+      quoteId
     };
 
-    console.log(`📍 Creating session via /api/analyze for ${selectedFileIds?.length ? 'file analysis' : 'code analysis'}`);
+    console.log(`📍 Creating session via /api/analyze for ${fileCount ? 'file analysis' : 'code analysis'}`);
 
-    const response = await fetch(`${API_BASE_URL}/api/analyze`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...getAuthHeaders()
-      },
-      body: JSON.stringify(payload)
+    return await requestAnalysisSession(payload)
+  } catch (error) {
+    console.error('Analysis failed:', error)
+    throw error
+  }
+}
+
+// Analyze only the changes between two versions of a stored file, at a cost based
+// on the changed lines. toVersion defaults to the current version, fromVersion to the one before it
+export const analyzeFileChanges = async (fileId, fromVersion = null, toVersion = null, conversationId = null) => {
+  try {
+    console.log('🔄 Starting change analysis with session creation...')
+
+    return await requestAnalysisSession({
+      message: 'Analyze the changes between file versions for security vulnerabilities',
+      changes: { fileId, fromVersion, toVersion },
+      conversationId
     })
+  } catch (error) {
+    console.error('Change analysis failed:', error)
+    throw error
+  }
+}
 
-    if (!response.ok && response.status >= 500) {
-      throw new Error('Server is temporarily unavailable. Please try again in a moment.')
-    }
+// Create an analysis session (with credit deduction) and map error responses.
+// The request is retried once when no response arrives; both attempts carry
+// the same Idempotency-Key so credits are only held once.
+const requestAnalysisSession = async (payload) => {
+  const idempotencyKey = crypto.randomUUID()
+  const sendRequest = () => fetch(`${API_BASE_URL}/api/analyze`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': idempotencyKey,
+      ...getAuthHeaders()
+    },
+    body: JSON.stringify(payload)
+  })
+
+  let response
+  try {
+    response = await sendRequest()
+  } catch (networkError) {
+    console.warn('⚠️ Analysis request failed, retrying:', networkError.message)
+    response = await sendRequest()
+  }
 
-    let data
-    try {
-      data = await response.json()
-    } catch (parseError) {
-      throw new Error('Invalid response from server. Please try again.')
-    }
+  if (!response.ok && response.status >= 500) {
+    throw new Error('Server is temporarily unavailable. Please try again in a moment.')
+  }
 
-    if (!response.ok) {
-      // Handle specific error cases
-      if (response.status === 401) {
-        throw new Error('Authentication required. Please sign in again.')
-      }
+  let data
+  try {
+    data = await response.json()
+  } catch (parseError) {
+    throw new Error('Invalid response from server. Please try again.')
+  }
 
-      if (response.status === 402 || response.status === 403) {
-        // Credit-related errors - return detailed info for UI
-        return {
-          success: false,
-          error: data.error,
-          scanCost: data.scanCost,
-          availableCredits: data.availableCredits,
-          planName: data.planName,
-          creditError: true
-        }
-      }
+  if (!response.ok) {
+    // Handle specific error cases
+    if (response.status === 401) {
+      throw new Error('Authentication required. Please sign in again.')
+    }
 
-      if (response.status === 503) {
-        throw new Error(data.error || 'Analysis service temporarily unavailable')
+    if (response.status === 402 || response.status === 403) {
+      // Credit-related errors - return detailed info for UI
+      return {
+        success: false,
+        error: data.error,
+        scanCost: data.scanCost,
+        availableCredits: data.availableCredits,
+        planName: data.planName,
+        creditError: true
       }
+    }
 
-      throw new Error(data.error || `Analysis failed: ${response.status}`)
+    if (response.status === 422 && data.unresolvedImports) {
+      // Selected files import contracts that have not been uploaded - no credits were deducted
+      return {
+        success: false,
+        error: data.error,
+        unresolvedImports: data.unresolvedImports
+      }
     }
 
-    if (!data.success) {
-      throw new Error(data.error || 'Analysis session creation failed')
+    if (response.status === 503) {
+      throw new Error(data.error || 'Analysis service temporarily unavailable')
     }
 
-    console.log('✅ Analysis session created with credit deduction:', data.creditInfo)
+    throw new Error(data.error || `Analysis failed: ${response.status}`)
+  }
 
-    return {
-      success: true,
-      sessionKey: data.sessionKey,
-      creditInfo: data.creditInfo,
-      metadata: data.metadata
-    }
-  } catch (error) {
-    console.error('Analysis failed:', error)
-    throw error
+  if (!data.success) {
+    throw new Error(data.error || 'Analysis session creation failed')
+  }
+
+  console.log('✅ Analysis session created with credit deduction:', data.creditInfo)
+
+  return {
+    success: true,
+    sessionKey: data.sessionKey,
+    creditInfo: data.creditInfo,
+    metadata: data.metadata
   }
 }
 
@@ -276,7 +347,7 @@ export const getUserConversations = async () => {
 }
 
 // Create new conversation
-export const createConversation = async (title, messages = []) => {
+export const createConversation = async (title, messages = [], projectId = null) => {
   try {
     const response = await fetch(`${API_BASE_URL}/api/conversations`, {
       method: 'POST',
@@ -284,7 +355,7 @@ export const createConversation = async (title, messages = []) => {
         'Content-Type': 'application/json',
         ...getAuthHeaders()
       },
-      body: JSON.stringify({ title, messages })
+      body: JSON.stringify({ title, messages, projectId })
     })
 
     if (!response.ok) {
@@ -411,24 +482,397 @@ export const deleteConversation = async (conversationId) => {
   }
 }
 
-// Utility functions
-export const detectContractLanguage = (code, filename) => {
-  if (filename) {
-    if (filename.endsWith('.sol')) return 'Solidity'
-    if (filename.endsWith('.vy')) return 'Vyper'
-    if (filename.endsWith('.move')) return 'Move'
-    if (filename.endsWith('.cairo')) return 'Cairo'
+// Project API functions
+
+// Get user projects with file counts
+export const getProjects = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/projects`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get projects: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get projects:', error)
+    return { success: false, projects: [] }
+  }
+}
+
+// Create a new project
+export const createProject = async (name, description = '') => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/projects`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify({ name, description })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to create project: ${response.status}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Failed to create project:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Get a project with its files
+export const getProject = async (projectId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/projects/${projectId}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get project: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get project:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Rename a project or change its description
+export const updateProject = async (projectId, updates) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/projects/${projectId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify(updates)
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to update project: ${response.status}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Failed to update project:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Delete a project and its files
+export const deleteProject = async (projectId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/projects/${projectId}`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to delete project: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to delete project:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// File version API functions
+
+// Get the version history of a stored file (newest first)
+export const getFileVersions = async (fileId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/files/${fileId}/versions`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get file versions: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get file versions:', error)
+    return { success: false, versions: [], error: error.message }
+  }
+}
+
+// Get one version of a stored file, including its content
+export const getFileVersion = async (fileId, versionNumber) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/files/${fileId}/versions/${versionNumber}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get file version: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get file version:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Compare two versions of a stored file (defaults: previous -> current), including
+// the credits an analysis of only the changes would cost
+export const getFileDiff = async (fileId, fromVersion = null, toVersion = null) => {
+  try {
+    const params = new URLSearchParams()
+    if (fromVersion) params.set('from', fromVersion)
+    if (toVersion) params.set('to', toVersion)
+
+    const response = await fetch(`${API_BASE_URL}/api/files/${fileId}/diff?${params}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to compare file versions: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to compare file versions:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Make an earlier version current again (stored as a new version)
+export const restoreFileVersion = async (fileId, versionNumber) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/files/${fileId}/versions/${versionNumber}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to restore file version: ${response.status}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Failed to restore file version:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Analysis API functions
+
+// Get structured findings for an analysis (analysis id or session key)
+export const getAnalysisFindings = async (analysisId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/analyses/${encodeURIComponent(analysisId)}/findings`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get findings: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get findings:', error)
+    return { success: false, findings: [], error: error.message }
+  }
+}
+
+// Triage a finding: { status?, assigneeWallet? } (assigneeWallet null unassigns)
+export const updateFinding = async (findingId, updates) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/findings/${findingId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify(updates)
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to update finding: ${response.status}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Failed to update finding:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Comment threads of a finding
+export const getFindingComments = async (findingId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/findings/${findingId}/comments`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to get comments: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get comments:', error)
+    return { success: false, comments: [], error: error.message }
+  }
+}
+
+// Comment on a finding, or reply to one of its comments when parentId is given
+export const addFindingComment = async (findingId, body, parentId = null) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/findings/${findingId}/comments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify({ body, parentId })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to add comment: ${response.status}`)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Failed to add comment:', error)
+    return { success: false, error: error.message }
   }
+}
 
-  const lowerCode = code.toLowerCase()
-  if (lowerCode.includes('pragma solidity') || lowerCode.includes('contract ')) return 'Solidity'
-  if (lowerCode.includes('# @version') || lowerCode.includes('@external')) return 'Vyper'
-  if (lowerCode.includes('module ') && lowerCode.includes('fun ')) return 'Move'
-  if (lowerCode.includes('#[contract]') || lowerCode.includes('func ')) return 'Cairo'
+// Credit ledger entries of the current user, newest first. cursor: the previous page's nextCursor
+export const getCreditTransactions = async ({ limit = 50, cursor = null, type = null } = {}) => {
+  try {
+    const params = new URLSearchParams({ limit: String(limit) })
+    if (cursor) {
+      params.set('before', cursor.before)
+      params.set('beforeId', cursor.beforeId)
+    }
+    if (type) params.set('type', type)
+
+    const response = await fetch(`${API_BASE_URL}/api/credits/transactions?${params}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      }
+    })
 
-  return 'Unknown'
+    if (!response.ok) {
+      throw new Error(`Failed to get credit transactions: ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (error) {
+    console.error('Failed to get credit transactions:', error)
+    return { success: false, transactions: [], error: error.message }
+  }
 }
 
+// Fetch an authenticated file and hand it to the browser as a download
+const downloadFile = async (path, fallbackFilename) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: getAuthHeaders()
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.error || `Download failed: ${response.status}`)
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const filenameMatch = disposition.match(/filename="?([^"]+)"?/)
+  const filename = filenameMatch ? filenameMatch[1] : fallbackFilename
+
+  const blob = await response.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+
+  return filename
+}
+
+// Download an analysis export (e.g. SARIF) as a file
+export const downloadAnalysisExport = async (analysisId, format = 'sarif') => {
+  try {
+    const filename = await downloadFile(
+      `/api/analyses/${encodeURIComponent(analysisId)}/export?format=${encodeURIComponent(format)}`,
+      `secweb3-${analysisId}.${format}`
+    )
+
+    return { success: true, filename }
+  } catch (error) {
+    console.error('Failed to export analysis:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Download the audit report (html or pdf) of a conversation's analysis
+export const downloadConversationReport = async (conversationId, { format = 'html', analysisId = null } = {}) => {
+  try {
+    const params = new URLSearchParams({ format })
+    if (analysisId) params.set('analysisId', analysisId)
+
+    const filename = await downloadFile(
+      `/api/conversations/${encodeURIComponent(conversationId)}/report?${params}`,
+      `secweb3-audit-report.${format}`
+    )
+
+    return { success: true, filename }
+  } catch (error) {
+    console.error('Failed to download report:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Utility functions
+export { detectLanguage, detectContractLanguage } from '../../server/shared/languageDetection.js'
+
 export const validateContractCode = (code) => {
   if (!code || typeof code !== 'string') {
     return { valid: false, error: 'Contract code is required' }
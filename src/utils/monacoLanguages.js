@@ -0,0 +1,347 @@
+// Monaco language support for the contract languages: Monarch tokenizers,
+// language configurations (brackets, comments, indentation) and keyword completion.
+// Register once per Monaco instance from an editor's beforeMount.
+
+// Monaco language id for each contract language
+export const MONACO_LANGUAGES = {
+  Solidity: 'solidity',
+  Vyper: 'vyper',
+  Move: 'move',
+  Cairo: 'cairo'
+}
+
+const sizedTypes = (prefixes, sizes) => prefixes.flatMap(prefix => sizes.map(size => `${prefix}${size}`))
+
+const INT_SIZES = Array.from({ length: 32 }, (_, index) => (index + 1) * 8)
+const BYTES_SIZES = Array.from({ length: 32 }, (_, index) => index + 1)
+
+const SOLIDITY = {
+  keywords: [
+    'pragma', 'solidity', 'import', 'as', 'from', 'contract', 'interface', 'library', 'abstract', 'is',
+    'function', 'modifier', 'event', 'error', 'struct', 'enum', 'mapping', 'using', 'for', 'global',
+    'returns', 'return', 'if', 'else', 'while', 'do', 'break', 'continue', 'emit', 'new', 'delete',
+    'try', 'catch', 'assembly', 'unchecked', 'constructor', 'fallback', 'receive', 'public', 'private',
+    'internal', 'external', 'pure', 'view', 'payable', 'virtual', 'override', 'constant', 'immutable',
+    'memory', 'storage', 'calldata', 'transient', 'indexed', 'anonymous', 'type', 'true', 'false',
+    'this', 'super', 'let', 'switch', 'case', 'default', 'leave'
+  ],
+  typeKeywords: [
+    'address', 'bool', 'string', 'bytes', 'byte', 'int', 'uint', 'fixed', 'ufixed',
+    ...sizedTypes(['int', 'uint'], INT_SIZES),
+    ...sizedTypes(['bytes'], BYTES_SIZES)
+  ],
+  builtins: [
+    'msg', 'block', 'tx', 'abi', 'require', 'assert', 'revert', 'keccak256', 'sha256', 'ripemd160',
+    'ecrecover', 'gasleft', 'blockhash', 'blobhash', 'addmod', 'mulmod', 'selfdestruct',
+    'wei', 'gwei', 'ether', 'seconds', 'minutes', 'hours', 'days', 'weeks'
+  ]
+}
+
+const VYPER = {
+  keywords: [
+    'def', 'return', 'if', 'elif', 'else', 'for', 'in', 'pass', 'break', 'continue', 'assert', 'raise',
+    'and', 'or', 'not', 'log', 'event', 'struct', 'interface', 'implements', 'from', 'import', 'as',
+    'self', 'True', 'False', 'None', 'public', 'constant', 'immutable', 'indexed', 'flag', 'enum',
+    'uses', 'initializes', 'exports', 'extcall', 'staticcall', 'UNREACHABLE'
+  ],
+  typeKeywords: [
+    'address', 'bool', 'decimal', 'Bytes', 'String', 'HashMap', 'DynArray', 'bytes',
+    ...sizedTypes(['int', 'uint'], INT_SIZES),
+    ...sizedTypes(['bytes'], BYTES_SIZES)
+  ],
+  builtins: [
+    'msg', 'block', 'tx', 'chain', 'send', 'raw_call', 'raw_log', 'raw_revert', 'keccak256', 'sha256',
+    'ecrecover', 'ecadd', 'ecmul', 'create_minimal_proxy_to', 'create_copy_of', 'create_from_blueprint',
+    'min', 'max', 'min_value', 'max_value', 'abs', 'sqrt', 'isqrt', 'floor', 'ceil', 'concat', 'slice',
+    'extract32', 'empty', 'len', 'range', 'convert', 'as_wei_value', 'selfdestruct', 'method_id',
+    'abi_encode', 'abi_decode', 'unsafe_add', 'unsafe_sub', 'unsafe_mul', 'unsafe_div', 'pow_mod256',
+    'uint2str', 'blockhash', 'blobhash', 'print'
+  ],
+  decorators: ['external', 'internal', 'view', 'pure', 'payable', 'nonpayable', 'nonreentrant', 'deploy']
+}
+
+const MOVE = {
+  keywords: [
+    'module', 'script', 'fun', 'public', 'entry', 'native', 'friend', 'package', 'struct',
+    'enum', 'has', 'copy', 'drop', 'store', 'key', 'let', 'mut', 'if', 'else', 'while', 'loop', 'for',
+    'in', 'break', 'continue', 'return', 'abort', 'use', 'as', 'const', 'acquires', 'move', 'match',
+    'inline', 'phantom', 'spec', 'schema', 'invariant', 'ensures', 'requires', 'aborts_if', 'modifies',
+    'pragma', 'include', 'apply', 'global', 'true', 'false', 'Self'
+  ],
+  typeKeywords: ['u8', 'u16', 'u32', 'u64', 'u128', 'u256', 'bool', 'address', 'signer', 'vector'],
+  builtins: ['borrow_global', 'borrow_global_mut', 'move_from', 'move_to', 'exists', 'freeze']
+}
+
+const CAIRO = {
+  keywords: [
+    'fn', 'func', 'let', 'const', 'mod', 'use', 'struct', 'enum', 'impl', 'trait', 'of', 'match', 'if',
+    'else', 'loop', 'while', 'for', 'in', 'break', 'continue', 'return', 'ref', 'mut', 'pub', 'self',
+    'super', 'crate', 'extern', 'type', 'nopanic', 'as', 'true', 'false', 'Self', 'implicits',
+    'with_attr', 'tempvar', 'local', 'alloc_locals', 'namespace', 'from', 'import', 'assert', 'with',
+    'end', 'codeoffset', 'dw', 'static_assert', 'call', 'jmp', 'ret'
+  ],
+  typeKeywords: [
+    'felt252', 'felt', 'u8', 'u16', 'u32', 'u64', 'u128', 'u256', 'usize', 'i8', 'i16', 'i32', 'i64', 'i128',
+    'bool', 'ContractAddress', 'ClassHash', 'EthAddress', 'ByteArray', 'Array', 'Span', 'Option',
+    'Result', 'Felt252Dict', 'LegacyMap', 'Map', 'Box', 'Nullable'
+  ],
+  builtins: [
+    'get_caller_address', 'get_contract_address', 'get_block_timestamp', 'get_block_number',
+    'get_tx_info', 'get_execution_info', 'get_block_info', 'emit', 'Some', 'None', 'Ok', 'Err'
+  ]
+}
+
+const OPERATORS = [
+  '=', '>', '<', '!', '~', '?', ':', '==', '<=', '>=', '!=', '&&', '||', '++', '--', '+', '-', '*',
+  '/', '&', '|', '^', '%', '<<', '>>', '>>>', '+=', '-=', '*=', '/=', '&=', '|=', '^=', '%=', '<<=',
+  '>>=', '**', '->', '=>', '::'
+]
+
+const SYMBOLS = /[=><!~?:&|+\-*/^%]+/
+const ESCAPES = /\\(?:[abfnrtv\\"'0]|x[0-9A-Fa-f]{2}|u[0-9A-Fa-f]{4}|u\{[0-9A-Fa-f]+\})/
+
+const stringStates = {
+  string_double: [
+    [/[^\\"]+/, 'string'],
+    [ESCAPES, 'string.escape'],
+    [/\\./, 'string.escape.invalid'],
+    [/"/, 'string', '@pop']
+  ],
+  string_single: [
+    [/[^\\']+/, 'string'],
+    [ESCAPES, 'string.escape'],
+    [/\\./, 'string.escape.invalid'],
+    [/'/, 'string', '@pop']
+  ]
+}
+
+// Tokenizer shared by the brace languages; `rules` come before the common ones
+const braceTokenizer = ({ keywords, typeKeywords, builtins }, { rules = [], blockComments = true } = {}) => ({
+  defaultToken: '',
+  keywords,
+  typeKeywords,
+  builtins,
+  operators: OPERATORS,
+  symbols: SYMBOLS,
+  tokenizer: {
+    root: [
+      ...rules,
+      [/[a-zA-Z_$][\w$]*/, {
+        cases: {
+          '@keywords': 'keyword',
+          '@typeKeywords': 'type',
+          '@builtins': 'predefined',
+          '@default': 'identifier'
+        }
+      }],
+      { include: '@whitespace' },
+      [/[{}()[\]]/, '@brackets'],
+      [/@symbols/, { cases: { '@operators': 'operator', '@default': '' } }],
+      [/0[xX][0-9a-fA-F_]+/, 'number.hex'],
+      [/\d[\d_]*(\.\d[\d_]*)?([eE][-+]?\d+)?/, 'number'],
+      [/[;,.]/, 'delimiter'],
+      [/"/, 'string', '@string_double'],
+      [/'/, 'string', '@string_single']
+    ],
+    whitespace: [
+      [/[ \t\r\n]+/, ''],
+      [/\/\/\/.*$/, 'comment.doc'],
+      [/\/\/.*$/, 'comment'],
+      ...(blockComments ? [
+        [/\/\*\*(?!\/)/, 'comment.doc', '@docComment'],
+        [/\/\*/, 'comment', '@comment']
+      ] : [])
+    ],
+    comment: [
+      [/[^/*]+/, 'comment'],
+      [/\*\//, 'comment', '@pop'],
+      [/[/*]/, 'comment']
+    ],
+    docComment: [
+      [/@\w+/, 'comment.doc.tag'],
+      [/[^/*@]+/, 'comment.doc'],
+      [/\*\//, 'comment.doc', '@pop'],
+      [/[/*@]/, 'comment.doc']
+    ],
+    ...stringStates
+  }
+})
+
+// Macros such as assert! or array!, but not the left side of `!=`
+const MACRO_RULE = [/[a-zA-Z_]\w*!(?!=)/, 'predefined']
+
+const vyperTokenizer = ({ keywords, typeKeywords, builtins, decorators }) => ({
+  defaultToken: '',
+  keywords,
+  typeKeywords,
+  builtins,
+  decorators,
+  operators: OPERATORS,
+  symbols: SYMBOLS,
+  tokenizer: {
+    root: [
+      [/@[a-zA-Z_]\w*/, 'annotation'],
+      [/[a-zA-Z_]\w*/, {
+        cases: {
+          '@keywords': 'keyword',
+          '@typeKeywords': 'type',
+          '@builtins': 'predefined',
+          '@default': 'identifier'
+        }
+      }],
+      [/[ \t\r\n]+/, ''],
+      [/#.*$/, 'comment'],
+      [/"""/, 'string.doc', '@docstring'],
+      [/[{}()[\]]/, '@brackets'],
+      [/@symbols/, { cases: { '@operators': 'operator', '@default': '' } }],
+      [/0[xX][0-9a-fA-F_]+/, 'number.hex'],
+      [/0[bB][01_]+/, 'number.binary'],
+      [/\d[\d_]*(\.\d[\d_]*)?([eE][-+]?\d+)?/, 'number'],
+      [/[;,.]/, 'delimiter'],
+      [/[bx]?"/, 'string', '@string_double'],
+      [/[bx]?'/, 'string', '@string_single']
+    ],
+    docstring: [
+      [/"""/, 'string.doc', '@pop'],
+      [/@\w+/, 'comment.doc.tag'],
+      [/[^"@]+/, 'string.doc'],
+      [/["@]/, 'string.doc']
+    ],
+    ...stringStates
+  }
+})
+
+const LANGUAGES = {
+  solidity: {
+    words: SOLIDITY,
+    tokenizer: braceTokenizer(SOLIDITY, {
+      rules: [[/(hex|unicode)(?=["'])/, 'string']]
+    })
+  },
+  vyper: {
+    words: VYPER,
+    tokenizer: vyperTokenizer(VYPER)
+  },
+  move: {
+    words: MOVE,
+    tokenizer: braceTokenizer(MOVE, {
+      rules: [
+        [/@(0[xX][0-9a-fA-F]+|[a-zA-Z_]\w*)/, 'number.hex'],
+        [/#\[[^\]]*\]/, 'annotation'],
+        [/[bx](?=")/, 'string'],
+        MACRO_RULE
+      ]
+    })
+  },
+  cairo: {
+    words: CAIRO,
+    tokenizer: braceTokenizer(CAIRO, {
+      // Cairo has line comments only
+      blockComments: false,
+      rules: [
+        [/#\[[^\]]*\]/, 'annotation'],
+        // Cairo 0 decorators; elsewhere @ takes a snapshot
+        [/@(external|view|constructor|storage_var|event|l1_handler|contract_interface|known_ap_change)\b/, 'annotation'],
+        MACRO_RULE
+      ]
+    })
+  }
+}
+
+const BRACKETS = [['{', '}'], ['[', ']'], ['(', ')']]
+
+const braceConfiguration = ({ blockComments = true } = {}) => ({
+  comments: blockComments ? { lineComment: '//', blockComment: ['/*', '*/'] } : { lineComment: '//' },
+  brackets: BRACKETS,
+  autoClosingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"', notIn: ['string'] },
+    { open: "'", close: "'", notIn: ['string', 'comment'] },
+    ...(blockComments ? [{ open: '/**', close: ' */', notIn: ['string'] }] : [])
+  ],
+  surroundingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"' },
+    { open: "'", close: "'" }
+  ],
+  folding: {
+    markers: {
+      start: /^\s*\/\/\s*#?region\b/,
+      end: /^\s*\/\/\s*#?endregion\b/
+    }
+  }
+})
+
+const vyperConfiguration = (monaco) => ({
+  comments: { lineComment: '#', blockComment: ['"""', '"""'] },
+  brackets: BRACKETS,
+  autoClosingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"', notIn: ['string'] },
+    { open: "'", close: "'", notIn: ['string', 'comment'] }
+  ],
+  surroundingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+    { open: '"', close: '"' },
+    { open: "'", close: "'" }
+  ],
+  // Blocks open after a trailing colon, as in Python
+  onEnterRules: [{
+    beforeText: /:\s*(#.*)?$/,
+    action: { indentAction: monaco.languages.IndentAction.Indent }
+  }],
+  folding: { offSide: true }
+})
+
+const CONFIGURATIONS = {
+  solidity: () => braceConfiguration(),
+  vyper: vyperConfiguration,
+  move: () => braceConfiguration(),
+  cairo: () => braceConfiguration({ blockComments: false })
+}
+
+// Keyword, type and builtin completions for the word at the cursor
+const completionProvider = (monaco, { keywords, typeKeywords, builtins, decorators = [] }) => ({
+  provideCompletionItems: (model, position) => {
+    const word = model.getWordUntilPosition(position)
+    const range = {
+      startLineNumber: position.lineNumber,
+      endLineNumber: position.lineNumber,
+      startColumn: word.startColumn,
+      endColumn: word.endColumn
+    }
+    const { CompletionItemKind } = monaco.languages
+    const items = (labels, kind) => labels.map(label => ({ label, kind, insertText: label, range }))
+
+    return {
+      suggestions: [
+        ...items(keywords, CompletionItemKind.Keyword),
+        ...items(typeKeywords, CompletionItemKind.TypeParameter),
+        ...items(builtins, CompletionItemKind.Function),
+        ...items(decorators, CompletionItemKind.Property)
+      ]
+    }
+  }
+})
+
+// Registers the contract languages with a Monaco instance (safe to call on every mount)
+export const registerContractLanguages = (monaco) => {
+  const registered = new Set(monaco.languages.getLanguages().map(language => language.id))
+
+  for (const [id, { words, tokenizer }] of Object.entries(LANGUAGES)) {
+    if (registered.has(id)) continue
+
+    monaco.languages.register({ id })
+    monaco.languages.setMonarchTokensProvider(id, tokenizer)
+    monaco.languages.setLanguageConfiguration(id, CONFIGURATIONS[id](monaco))
+    monaco.languages.registerCompletionItemProvider(id, completionProvider(monaco, words))
+  }
+}